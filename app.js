@@ -11,8 +11,7 @@ const adminRoutes = require("./backend/routes/adminRoutes");
 const { csrfProtection } = require("./backend/middleware/csrf");
 const { sanitizeInputs } = require("./backend/middleware/sanitizer");
 const { errorHandler } = require("./backend/middleware/errorHandler");
-const { db } = require("./backend/config/firebaseConfig");
-const { doc, getDoc } = require("firebase/firestore");
+const { getRepositories } = require("./backend/repositories");
 
 dotenv.config();
 const app = express();
@@ -135,10 +134,8 @@ app.use(async (req, res, next) => {
     try {
       // Check if we already have profilePicture cached in session
       if (req.session.user.profilePicture === undefined) {
-        const userRef = doc(db, "users", req.session.user.uid);
-        const userDoc = await getDoc(userRef);
-        if (userDoc.exists()) {
-          const userData = userDoc.data();
+        const userData = await getRepositories().users.findById(req.session.user.uid);
+        if (userData) {
           req.session.user.profilePicture = userData.profilePicture || null;
           req.session.user.fullName = userData.fullName || req.session.user.fullName;
         }
@@ -3,21 +3,21 @@
  * Handles all admin-related operations
  */
 
-const { db } = require("../config/firebaseConfig");
-const {
-  doc,
-  getDoc,
-  collection,
-  addDoc,
-  getDocs,
-  query,
-  where,
-  updateDoc,
-  deleteDoc,
-  orderBy
-} = require("firebase/firestore");
-const { createNotification, sendNotificationToRole } = require("../services/notificationService");
+const { getRepositories } = require("../repositories");
+const { createNotification, sendNotificationToRole, getUserNotifications, getUnreadCount } = require("../services/notificationService");
 const { getPaginationParams, paginateArray, buildPaginationUI, getPaginationInfo } = require("../utils/pagination");
+const { getRecommendationCache } = require("../services/recommendationCache");
+const { updateIndexedScholarship, removeIndexedScholarship } = require("../services/scholarshipSearchIndex");
+const { getIrrelevantScholarshipReport } = require("../services/recommendationFeedbackService");
+const { refreshAllStudentRecommendations, runInBackground } = require("../services/recommendationRefreshService");
+const {
+  SLOT_ERRORS,
+  recountScholarshipSlots,
+  recountAllScholarshipSlots
+} = require("../services/slotAllocationService");
+const { TRANSITION_ERRORS, transitionApplication } = require("../services/applicationStatusService");
+const { APPLICATION_STATUS, ACTORS, isValidStatusTransition } = require("../utils/applicationStateMachine");
+const { AppError } = require("../middleware/errorHandler");
 
 // Middleware to check admin role
 function isAdmin(req, res, next) {
@@ -37,26 +37,24 @@ async function showAdminDashboard(req, res) {
 
   try {
     // Get counts for dashboard using parallel queries for better performance
-    const usersRef = collection(db, "users");
-    const scholarshipsRef = collection(db, "scholarships");
-    const applicationsRef = collection(db, "applications");
+    const repositories = getRepositories();
 
     // Execute all independent queries in parallel
     const [
-      usersSnapshot,
-      scholarshipsSnapshot,
-      applicationsSnapshot
+      allUsers,
+      allScholarships,
+      allApplications
     ] = await Promise.all([
-      getDocs(usersRef),
-      getDocs(scholarshipsRef),
-      getDocs(applicationsRef)
+      repositories.users.findAll(),
+      repositories.scholarships.findAll(),
+      repositories.applications.findAll()
     ]);
 
     // Process users by role
     let totalStudents = 0;
     let totalSponsors = 0;
-    usersSnapshot.forEach(doc => {
-      const role = doc.data().role;
+    allUsers.forEach(user => {
+      const role = user.role;
       if (role === 'student') totalStudents++;
       else if (role === 'sponsor') totalSponsors++;
     });
@@ -66,9 +64,9 @@ async function showAdminDashboard(req, res) {
     let pendingScholarships = 0;
     let openScholarships = 0;
     let closedScholarships = 0;
-    scholarshipsSnapshot.forEach(doc => {
+    allScholarships.forEach(scholarship => {
       totalScholarships++;
-      const status = doc.data().status;
+      const status = scholarship.status;
       if (status === 'Pending') pendingScholarships++;
       else if (status === 'Open') openScholarships++;
       else if (status === 'Closed') closedScholarships++;
@@ -80,9 +78,9 @@ async function showAdminDashboard(req, res) {
     let notifiedApplications = 0;
     let notSelectedApplications = 0;
     let pendingApplications = 0;
-    applicationsSnapshot.forEach(doc => {
+    allApplications.forEach(application => {
       totalApplications++;
-      const status = doc.data().status;
+      const status = application.status;
       if (status === 'accepted') acceptedApplications++;
       else if (status === 'notified') notifiedApplications++;
       else if (status === 'not_selected') notSelectedApplications++;
@@ -94,8 +92,8 @@ async function showAdminDashboard(req, res) {
 
     // Add recent scholarship submissions
     const recentScholarships = [];
-    scholarshipsSnapshot.forEach(doc => {
-      recentScholarships.push({ id: doc.id, ...doc.data(), type: 'scholarship' });
+    allScholarships.forEach(scholarship => {
+      recentScholarships.push({ ...scholarship, type: 'scholarship' });
     });
     recentScholarships
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -110,8 +108,8 @@ async function showAdminDashboard(req, res) {
 
     // Add recent applications
     const recentApps = [];
-    applicationsSnapshot.forEach(doc => {
-      recentApps.push({ id: doc.id, ...doc.data(), type: 'application' });
+    allApplications.forEach(application => {
+      recentApps.push({ ...application, type: 'application' });
     });
     recentApps
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
@@ -153,7 +151,7 @@ async function showAdminDashboard(req, res) {
 }
 
 /**
- * Get all pending scholarships for approval
+ * Get all pending scholarships for approval (new submissions and reopen requests)
  */
 async function getPendingScholarships(req, res) {
   if (!req.session.user || req.session.user.role !== "admin") {
@@ -161,24 +159,19 @@ async function getPendingScholarships(req, res) {
   }
 
   try {
-    const scholarshipsRef = collection(db, "scholarships");
-    // Use only where clause to avoid composite index requirement
-    const q = query(
-      scholarshipsRef,
-      where("status", "==", "Pending")
-    );
-    const snapshot = await getDocs(q);
-
-    const scholarships = [];
-    snapshot.forEach(doc => {
-      scholarships.push({ id: doc.id, ...doc.data() });
-    });
+    const pending = await getRepositories().scholarships.findByStatus(["Pending", "Pending Reopen"]);
+    const scholarships = pending.map(scholarship => ({
+      ...scholarship,
+      requestType: scholarship.status === "Pending Reopen" ? "reopen" : "new"
+    }));
 
     // Sort by createdAt in JavaScript (descending)
     scholarships.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     res.render("admin/pending_scholarships", {
       email: req.session.user.email,
+      fullName: req.session.user.fullName || "Administrator",
+      profilePicture: req.session.user.profilePicture,
       scholarships
     });
 
@@ -188,7 +181,7 @@ async function getPendingScholarships(req, res) {
 }
 
 /**
- * Get all approved/active scholarships
+ * Get all approved/active scholarships with their application counts
  */
 async function getApprovedScholarships(req, res) {
   if (!req.session.user || req.session.user.role !== "admin") {
@@ -196,24 +189,43 @@ async function getApprovedScholarships(req, res) {
   }
 
   try {
-    const scholarshipsRef = collection(db, "scholarships");
-    // Use only where clause to avoid composite index requirement
-    const q = query(
-      scholarshipsRef,
-      where("status", "in", ["Open", "Closed"])
-    );
-    const snapshot = await getDocs(q);
+    const repositories = getRepositories();
+    const [approved, applications] = await Promise.all([
+      repositories.scholarships.findByStatus(["Open", "Closed"]),
+      repositories.applications.findAll()
+    ]);
 
-    const scholarships = [];
-    snapshot.forEach(doc => {
-      scholarships.push({ id: doc.id, ...doc.data() });
-    });
+    const now = new Date();
+    const scholarships = approved.map(scholarship => ({
+      ...scholarship,
+      isExpired: now > new Date(scholarship.endDate),
+      isFull: (scholarship.slotsFilled || 0) >= scholarship.slotsAvailable
+    }));
 
     // Sort by createdAt in JavaScript (descending)
     scholarships.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
+    // Get application counts
+    const appCounts = {};
+    applications.forEach(app => {
+      if (!appCounts[app.scholarshipId]) {
+        appCounts[app.scholarshipId] = { total: 0, accepted: 0, notified: 0, pending: 0, notSelected: 0 };
+      }
+      appCounts[app.scholarshipId].total++;
+      if (app.status === "accepted") appCounts[app.scholarshipId].accepted++;
+      if (app.status === "notified") appCounts[app.scholarshipId].notified++;
+      if (app.status === "pending" || app.status === "under_review") appCounts[app.scholarshipId].pending++;
+      if (app.status === "not_selected") appCounts[app.scholarshipId].notSelected++;
+    });
+
+    scholarships.forEach(s => {
+      s.applicationCounts = appCounts[s.id] || { total: 0, accepted: 0, notified: 0, pending: 0, notSelected: 0 };
+    });
+
     res.render("admin/approved_scholarships", {
       email: req.session.user.email,
+      fullName: req.session.user.fullName || "Administrator",
+      profilePicture: req.session.user.profilePicture,
       scholarships
     });
 
@@ -231,14 +243,8 @@ async function getAllScholarships(req, res) {
   }
 
   try {
-    const scholarshipsRef = collection(db, "scholarships");
-    const q = query(scholarshipsRef, orderBy("createdAt", "desc"));
-    const snapshot = await getDocs(q);
-
-    const scholarships = [];
-    snapshot.forEach(doc => {
-      scholarships.push({ id: doc.id, ...doc.data() });
-    });
+    const scholarships = await getRepositories().scholarships.findAll();
+    scholarships.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     // Calculate stats
     const stats = {
@@ -270,21 +276,20 @@ async function approveScholarship(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = scholarshipDoc.data();
-
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: "Open",
       approvedAt: new Date().toISOString(),
       approvedBy: req.session.user.email,
       updatedAt: new Date().toISOString()
     });
+    updateIndexedScholarship(scholarshipId, { ...scholarship, status: "Open" });
 
     // Notify sponsor
     await createNotification(
@@ -303,6 +308,9 @@ async function approveScholarship(req, res) {
       `A new scholarship "${scholarship.scholarshipName}" is now available. Check it out!`
     );
 
+    // Re-score students so the new offer shows up in their saved recommendations
+    runInBackground(() => refreshAllStudentRecommendations("scholarship"));
+
 
     res.json({ success: true, message: "Scholarship approved successfully" });
 
@@ -323,16 +331,14 @@ async function rejectScholarship(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = scholarshipDoc.data();
-
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: "Rejected",
       rejectionReason: reason || "Does not meet our guidelines",
       rejectedAt: new Date().toISOString(),
@@ -368,24 +374,15 @@ async function getScholarshipDetails(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     // Get applications for this scholarship
-    const applicationsRef = collection(db, "applications");
-    const q = query(applicationsRef, where("scholarshipId", "==", scholarshipId));
-    const applicationsSnapshot = await getDocs(q);
-
-    const applications = [];
-    applicationsSnapshot.forEach(doc => {
-      applications.push({ id: doc.id, ...doc.data() });
-    });
+    const applications = await getRepositories().applications.findApplicationsByScholarship(scholarshipId);
 
     res.render("admin/scholarship_details", {
       email: req.session.user.email,
@@ -398,6 +395,289 @@ async function getScholarshipDetails(req, res) {
   }
 }
 
+/**
+ * Get scholarship details as JSON (admin modals)
+ */
+async function getScholarshipJson(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const scholarship = await getRepositories().scholarships.findById(req.params.id);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    res.json({ scholarship });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load scholarship" });
+  }
+}
+
+/**
+ * Close a scholarship
+ */
+async function closeScholarship(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    await scholarships.update(scholarshipId, {
+      status: "Closed",
+      closedAt: new Date().toISOString(),
+      closedBy: "admin",
+      updatedAt: new Date().toISOString()
+    });
+    removeIndexedScholarship(scholarshipId);
+
+    // Notify sponsor
+    await createNotification(
+      scholarship.sponsorUid,
+      "scholarship_update",
+      "Scholarship Closed by Admin",
+      `Your scholarship "${scholarship.scholarshipName}" has been closed by the administrator.`,
+      scholarshipId
+    );
+
+    res.json({ success: true, message: "Scholarship closed" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to close scholarship" });
+  }
+}
+
+/**
+ * Reopen a scholarship (approves a sponsor's reopen request)
+ */
+async function reopenScholarship(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    await scholarships.update(scholarshipId, {
+      status: "Open",
+      reopenRequested: false,
+      reopenRequestedAt: null,
+      previousStatus: null,
+      reopenedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+    updateIndexedScholarship(scholarshipId, { ...scholarship, status: "Open" });
+
+    // Notify sponsor
+    await createNotification(
+      scholarship.sponsorUid,
+      "scholarship_update",
+      "Scholarship Reopened",
+      `Your scholarship "${scholarship.scholarshipName}" has been reopened and is now accepting applications.`,
+      scholarshipId
+    );
+
+    res.json({ success: true, message: "Scholarship reopened" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to reopen scholarship" });
+  }
+}
+
+/**
+ * Deny a sponsor's reopen request
+ */
+async function rejectReopenRequest(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    // Revert to Closed status
+    await scholarships.update(scholarshipId, {
+      status: "Closed",
+      reopenRequested: false,
+      reopenRequestedAt: null,
+      reopenDeniedAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    });
+
+    // Notify sponsor
+    await createNotification(
+      scholarship.sponsorUid,
+      "scholarship_update",
+      "Reopen Request Denied",
+      `Your request to reopen "${scholarship.scholarshipName}" has been denied by the administrator. The scholarship remains closed.`,
+      scholarshipId
+    );
+
+    res.json({ success: true, message: "Reopen request denied" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to deny reopen request" });
+  }
+}
+
+/**
+ * View applications for a scholarship, highest AI score first
+ */
+async function getScholarshipApplications(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.redirect("/login");
+  }
+
+  try {
+    const repositories = getRepositories();
+    const scholarship = await repositories.scholarships.findById(req.params.id);
+
+    if (!scholarship) {
+      return res.status(404).send("Scholarship not found");
+    }
+
+    const applications = await repositories.applications.findApplicationsByScholarship(req.params.id);
+
+    // Sort by AI score if available
+    applications.sort((a, b) => (b.aiScore || 0) - (a.aiScore || 0));
+
+    res.render("admin/scholarship_applications", {
+      email: req.session.user.email,
+      scholarship,
+      applications
+    });
+  } catch (error) {
+    res.status(500).send("Error loading applications");
+  }
+}
+
+/**
+ * Send exam details to every notified student of a scholarship
+ */
+async function sendExamDetails(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const repositories = getRepositories();
+    const scholarship = await repositories.scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    if (!scholarship.examSchedule) {
+      return res.status(400).json({ error: "No exam schedule set for this scholarship" });
+    }
+
+    const applications = await repositories.applications.findApplicationsByScholarship(scholarshipId);
+    const notified = applications.filter(app => app.status === "notified");
+
+    const examDate = new Date(scholarship.examSchedule.date).toLocaleDateString("en-US", {
+      weekday: "long",
+      year: "numeric",
+      month: "long",
+      day: "numeric"
+    });
+
+    let message = `Exam Details for "${scholarship.scholarshipName}":\n\n` +
+      `📅 Date: ${examDate}\n` +
+      `🕐 Time: ${scholarship.examSchedule.time}\n` +
+      `📍 Venue: ${scholarship.examSchedule.venue}`;
+
+    if (scholarship.examSchedule.notes) {
+      message += `\n\n📝 Notes: ${scholarship.examSchedule.notes}`;
+    }
+
+    await Promise.all(notified.map(app => createNotification(
+      app.studentUid,
+      "exam_schedule",
+      "Exam Schedule - " + scholarship.scholarshipName,
+      message,
+      scholarshipId
+    )));
+
+    const count = notified.length;
+    res.json({ success: true, count, message: `Exam details sent to ${count} student(s)` });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to send exam details" });
+  }
+}
+
+/**
+ * Mark every application that was not notified as not selected
+ */
+async function markRemainingNotSelected(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const repositories = getRepositories();
+    const scholarship = await repositories.scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    const applications = await repositories.applications.findApplicationsByScholarship(scholarshipId);
+    // Skips notified, enrolled and already closed applications. The waitlist
+    // goes first, so slots given back below are not offered to it again.
+    const closable = applications.filter(app =>
+      isValidStatusTransition(app.status, APPLICATION_STATUS.NOT_SELECTED, ACTORS.ADMIN));
+    const remaining = [
+      ...closable.filter(app => app.status === APPLICATION_STATUS.WAITLISTED),
+      ...closable.filter(app => app.status !== APPLICATION_STATUS.WAITLISTED)
+    ];
+
+    // One transaction per application: accepted ones give their slot back,
+    // and each student is told they were not selected
+    for (const app of remaining) {
+      await transitionApplication(app.id, APPLICATION_STATUS.NOT_SELECTED, {
+        actor: ACTORS.ADMIN,
+        user: req.session.user,
+        application: app,
+        changes: {
+          notSelectedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      });
+    }
+
+    const count = remaining.length;
+    res.json({ success: true, count, message: `${count} applicant(s) marked as not selected` });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update applications" });
+  }
+}
+
 /**
  * Get all users
  */
@@ -410,13 +690,7 @@ async function getAllUsers(req, res) {
   const { tab } = req.query; // 'all', 'students', or 'sponsors'
 
   try {
-    const usersRef = collection(db, "users");
-    const snapshot = await getDocs(usersRef);
-
-    const users = [];
-    snapshot.forEach(doc => {
-      users.push({ id: doc.id, ...doc.data() });
-    });
+    const users = await getRepositories().users.findAll();
 
     // Sort by createdAt descending
     users.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
@@ -472,45 +746,30 @@ async function getUserDetails(req, res) {
   }
 
   try {
-    const userRef = doc(db, "users", userId);
-    const userDoc = await getDoc(userRef);
+    const repositories = getRepositories();
+    const user = await repositories.users.findById(userId);
 
-    if (!userDoc.exists()) {
+    if (!user) {
       return res.status(404).send("User not found");
     }
 
-    const user = { id: userDoc.id, ...userDoc.data() };
-
     // Get additional data based on role
     let additionalData = {};
 
     if (user.role === "student") {
       // Get assessment
-      const assessmentRef = doc(db, "users", userId, "assessment", "main");
-      const assessmentDoc = await getDoc(assessmentRef);
-      if (assessmentDoc.exists()) {
-        additionalData.assessment = assessmentDoc.data();
+      const assessment = await repositories.assessments.findByStudent(userId);
+      if (assessment) {
+        additionalData.assessment = assessment;
       }
 
       // Get applications
-      const applicationsRef = collection(db, "applications");
-      const q = query(applicationsRef, where("studentUid", "==", userId));
-      const applicationsSnapshot = await getDocs(q);
-      additionalData.applications = [];
-      applicationsSnapshot.forEach(doc => {
-        additionalData.applications.push({ id: doc.id, ...doc.data() });
-      });
+      additionalData.applications = await repositories.applications.findApplicationsByStudent(userId);
     }
 
     if (user.role === "sponsor") {
       // Get scholarships
-      const scholarshipsRef = collection(db, "scholarships");
-      const q = query(scholarshipsRef, where("sponsorUid", "==", userId));
-      const scholarshipsSnapshot = await getDocs(q);
-      additionalData.scholarships = [];
-      scholarshipsSnapshot.forEach(doc => {
-        additionalData.scholarships.push({ id: doc.id, ...doc.data() });
-      });
+      additionalData.scholarships = await repositories.scholarships.findBySponsor(userId);
     }
 
     res.render("admin/user_details", {
@@ -524,6 +783,32 @@ async function getUserDetails(req, res) {
   }
 }
 
+/**
+ * Get user details and assessment as JSON (admin modals)
+ */
+async function getUserJson(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const repositories = getRepositories();
+    const user = await repositories.users.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const assessment = user.role === "student"
+      ? await repositories.assessments.findByStudent(req.params.id)
+      : null;
+
+    res.json({ user, assessment });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load user" });
+  }
+}
+
 /**
  * Suspend/Unsuspend a user
  */
@@ -535,17 +820,16 @@ async function toggleUserStatus(req, res) {
   }
 
   try {
-    const userRef = doc(db, "users", userId);
-    const userDoc = await getDoc(userRef);
+    const { users } = getRepositories();
+    const user = await users.findById(userId);
 
-    if (!userDoc.exists()) {
+    if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const user = userDoc.data();
     const newStatus = user.suspended ? false : true;
 
-    await updateDoc(userRef, {
+    await users.update(userId, {
       suspended: newStatus,
       updatedAt: new Date().toISOString()
     });
@@ -591,6 +875,7 @@ async function bulkUserAction(req, res) {
   }
 
   try {
+    const { users } = getRepositories();
     const newStatus = action === "suspend";
     let successCount = 0;
     let failCount = 0;
@@ -598,23 +883,20 @@ async function bulkUserAction(req, res) {
     // Process each user
     for (const userId of userIds) {
       try {
-        const userRef = doc(db, "users", userId);
-        const userDoc = await getDoc(userRef);
+        const user = await users.findById(userId);
 
-        if (!userDoc.exists()) {
+        if (!user) {
           failCount++;
           continue;
         }
 
-        const user = userDoc.data();
-
         // Skip admins
         if (user.role === "admin") {
           failCount++;
           continue;
         }
 
-        await updateDoc(userRef, {
+        await users.update(userId, {
           suspended: newStatus,
           updatedAt: new Date().toISOString()
         });
@@ -656,14 +938,8 @@ async function getAllApplications(req, res) {
   }
 
   try {
-    const applicationsRef = collection(db, "applications");
-    const q = query(applicationsRef, orderBy("createdAt", "desc"));
-    const snapshot = await getDocs(q);
-
-    const applications = [];
-    snapshot.forEach(doc => {
-      applications.push({ id: doc.id, ...doc.data() });
-    });
+    const applications = await getRepositories().applications.findAll();
+    applications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     // Calculate stats
     const stats = {
@@ -695,22 +971,29 @@ async function getSystemAnalytics(req, res) {
 
   try {
     // Get all data for reports
-    const usersRef = collection(db, "users");
-    const scholarshipsRef = collection(db, "scholarships");
-    const applicationsRef = collection(db, "applications");
+    const repositories = getRepositories();
 
-    const usersSnapshot = await getDocs(usersRef);
-    const scholarshipsSnapshot = await getDocs(scholarshipsRef);
-    const applicationsSnapshot = await getDocs(applicationsRef);
-
-    const users = [];
-    usersSnapshot.forEach(doc => users.push({ id: doc.id, ...doc.data() }));
-
-    const scholarships = [];
-    scholarshipsSnapshot.forEach(doc => scholarships.push({ id: doc.id, ...doc.data() }));
+    const [users, scholarships, applications] = await Promise.all([
+      repositories.users.findAll(),
+      repositories.scholarships.findAll(),
+      repositories.applications.findAll()
+    ]);
 
-    const applications = [];
-    applicationsSnapshot.forEach(doc => applications.push({ id: doc.id, ...doc.data() }));
+    // Calculate new users this month
+    const now = new Date();
+    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+    const newThisMonth = users.filter(u => {
+      const created = u.createdAt ? new Date(u.createdAt) : null;
+      return created && created >= startOfMonth;
+    }).length;
+
+    // Calculate approval rate
+    const totalDecided = applications.filter(a =>
+      a.status === "notified" || a.status === "not_selected"
+    ).length;
+    const approvalRate = totalDecided > 0
+      ? Math.round((applications.filter(a => a.status === "notified").length / totalDecided) * 100)
+      : 0;
 
     // Calculate analytics
     const analytics = {
@@ -719,11 +1002,7 @@ async function getSystemAnalytics(req, res) {
         students: users.filter(u => u.role === "student").length,
         sponsors: users.filter(u => u.role === "sponsor").length,
         admins: users.filter(u => u.role === "admin").length,
-        newThisMonth: users.filter(u => {
-          const created = new Date(u.createdAt);
-          const now = new Date();
-          return created.getMonth() === now.getMonth() && created.getFullYear() === now.getFullYear();
-        }).length
+        newThisMonth
       },
       scholarships: {
         total: scholarships.length,
@@ -735,17 +1014,16 @@ async function getSystemAnalytics(req, res) {
       },
       applications: {
         total: applications.length,
-        pending: applications.filter(a => a.status === "pending").length,
-        underReview: applications.filter(a => a.status === "under_review").length,
-        approved: applications.filter(a => a.status === "approved").length,
-        rejected: applications.filter(a => a.status === "rejected").length,
-        approvalRate: applications.length > 0
-          ? Math.round((applications.filter(a => a.status === "approved").length / applications.length) * 100)
-          : 0
+        accepted: applications.filter(a => a.status === "accepted").length,
+        notified: applications.filter(a => a.status === "notified").length,
+        pending: applications.filter(a => a.status === "pending" || a.status === "under_review").length,
+        notSelected: applications.filter(a => a.status === "not_selected").length,
+        approvalRate
       },
       // Scholarship types distribution
       scholarshipTypes: scholarships.reduce((acc, s) => {
-        acc[s.scholarshipType] = (acc[s.scholarshipType] || 0) + 1;
+        const type = s.scholarshipType || "Other";
+        acc[type] = (acc[type] || 0) + 1;
         return acc;
       }, {})
     };
@@ -753,6 +1031,8 @@ async function getSystemAnalytics(req, res) {
     res.render("admin/reports", {
       email: req.session.user.email,
       analytics,
+      cacheStats: getRecommendationCache().getStats(),
+      irrelevantScholarships: await getIrrelevantScholarshipReport().catch(() => []),
       scholarships,
       applications
     });
@@ -781,10 +1061,9 @@ async function sendSystemNotification(req, res) {
 
     if (targetRole === "all") {
       // Send to all users
-      const usersRef = collection(db, "users");
-      const snapshot = await getDocs(usersRef);
-      for (const docSnapshot of snapshot.docs) {
-        await createNotification(docSnapshot.id, "system", title, message);
+      const users = await getRepositories().users.findAll();
+      for (const user of users) {
+        await createNotification(user.id, "system", title, message);
         count++;
       }
     } else {
@@ -812,13 +1091,7 @@ async function getManageScholarships(req, res) {
   }
 
   try {
-    const scholarshipsRef = collection(db, "scholarships");
-    const snapshot = await getDocs(scholarshipsRef);
-
-    const scholarships = [];
-    snapshot.forEach(doc => {
-      scholarships.push({ id: doc.id, ...doc.data() });
-    });
+    const scholarships = await getRepositories().scholarships.findAll();
 
     // Sort by createdAt descending
     scholarships.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -862,40 +1135,399 @@ async function updateApplicationStatus(req, res) {
   }
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const { applications } = getRepositories();
+    const application = await applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).json({ error: "Application not found" });
     }
 
-    const application = applicationDoc.data();
+    // Approving takes a slot and rejecting an approved application frees it;
+    // the state machine notifies the student
+    try {
+      await transitionApplication(applicationId, status, {
+        actor: ACTORS.ADMIN,
+        user: req.session.user,
+        application,
+        changes: {
+          updatedAt: new Date().toISOString(),
+          reviewedBy: req.session.user.email
+        }
+      });
+    } catch (error) {
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
+
+    res.json({ success: true, message: `Application ${status} successfully` });
+
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update application" });
+  }
+}
+
+/**
+ * Approve a student application and fill one of the scholarship's slots
+ */
+async function approveApplicationSlot(req, res) {
+  const applicationId = req.params.id;
 
-    await updateDoc(applicationRef, {
-      status,
-      updatedAt: new Date().toISOString(),
-      reviewedBy: req.session.user.email
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    // Reserves the slot and approves in one transaction, so concurrent approvals cannot overfill;
+    // the student and sponsor are notified by the state machine
+    await transitionApplication(applicationId, APPLICATION_STATUS.APPROVED, {
+      actor: ACTORS.ADMIN,
+      user: req.session.user,
+      changes: {
+        approvedAt: new Date().toISOString(),
+        approvedBy: "admin",
+        updatedAt: new Date().toISOString()
+      }
     });
 
-    // Notify student
-    await createNotification(
-      application.studentUid,
-      status === "approved" ? "application_approved" : "application_rejected",
-      status === "approved" ? "Application Approved!" : "Application Update",
-      status === "approved"
-        ? `Congratulations! Your application for "${application.scholarshipName}" has been approved.`
-        : `Your application for "${application.scholarshipName}" was not approved. Please check other opportunities.`,
-      applicationId
-    );
+    res.json({ success: true, message: "Application approved and slot filled" });
+  } catch (error) {
+    if (error.errorCode === SLOT_ERRORS.SLOTS_FULL) {
+      return res.status(400).json({ error: "No slots available" });
+    }
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: "Failed to approve application" });
+  }
+}
 
+/**
+ * Notify a student of acceptance (changes status from "accepted" to "notified")
+ */
+async function notifyApplicant(req, res) {
+  const applicationId = req.params.id;
 
-    res.json({ success: true, message: `Application ${status} successfully` });
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
 
+  try {
+    const repositories = getRepositories();
+    const application = await repositories.applications.findById(applicationId);
+
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    // Only accepted applications can be notified
+    if (application.status !== "accepted") {
+      return res.status(400).json({ error: "Only accepted applications can be notified" });
+    }
+
+    // The slot was reserved when the application was accepted
+    await transitionApplication(applicationId, APPLICATION_STATUS.NOTIFIED, {
+      actor: ACTORS.ADMIN,
+      user: req.session.user,
+      application,
+      changes: {
+        notifiedAt: new Date().toISOString(),
+        notifiedBy: req.session.user.email,
+        updatedAt: new Date().toISOString()
+      }
+    });
+
+    res.json({ success: true, message: "Student has been notified" });
+  } catch (error) {
+    if ([SLOT_ERRORS.STATUS_CHANGED, TRANSITION_ERRORS.INVALID_TRANSITION].includes(error.errorCode)) {
+      return res.status(400).json({ error: "Only accepted applications can be notified" });
+    }
+    res.status(500).json({ error: "Failed to notify student" });
+  }
+}
+
+/**
+ * Mark an application as not selected
+ */
+async function markApplicationNotSelected(req, res) {
+  const applicationId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const repositories = getRepositories();
+    const application = await repositories.applications.findById(applicationId);
+
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
+
+    // Cannot mark already notified applications as not selected
+    if (application.status === "notified") {
+      return res.status(400).json({ error: "Cannot mark notified applications as not selected" });
+    }
+
+    // Releases the slot if the application held one
+    await transitionApplication(applicationId, APPLICATION_STATUS.NOT_SELECTED, {
+      actor: ACTORS.ADMIN,
+      user: req.session.user,
+      application,
+      changes: {
+        notSelectedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      }
+    });
+
+    res.json({ success: true, message: "Application marked as not selected" });
   } catch (error) {
+    if (error.errorCode === SLOT_ERRORS.STATUS_CHANGED) {
+      return res.status(409).json({ error: "The application was updated by someone else. Please reload and try again." });
+    }
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: "Failed to update application" });
   }
 }
 
+/**
+ * Rebuild one scholarship's slotsFilled from its application statuses
+ */
+async function recountSlots(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const result = await recountScholarshipSlots(req.params.id);
+
+    if (!result) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    let message = result.changed
+      ? `Slots corrected from ${result.previous} to ${result.slotsFilled}`
+      : `Slots are correct (${result.slotsFilled} filled)`;
+    if (result.promoted.length > 0) message += `, ${result.promoted.length} waitlisted applicant(s) offered a slot`;
+
+    res.json({
+      success: true,
+      ...result,
+      message
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to recount slots" });
+  }
+}
+
+/**
+ * Rebuild slotsFilled for every scholarship
+ */
+async function recountAllSlots(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const { checked, corrected } = await recountAllScholarshipSlots();
+
+    res.json({
+      success: true,
+      checked,
+      corrected,
+      message: `Checked ${checked} scholarship(s), corrected ${corrected.length}`
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to recount slots" });
+  }
+}
+
+/**
+ * Admin notifications page
+ */
+async function showAdminNotifications(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.redirect("/login");
+  }
+
+  try {
+    const [notifications, unreadCount, users] = await Promise.all([
+      getUserNotifications("admin"),
+      getUnreadCount("admin"),
+      getRepositories().users.findAll()
+    ]);
+
+    res.render("admin/notifications", {
+      email: req.session.user.email,
+      notifications,
+      unreadCount,
+      stats: {
+        total: users.length,
+        students: users.filter(u => u.role === "student").length,
+        sponsors: users.filter(u => u.role === "sponsor").length
+      }
+    });
+  } catch (error) {
+    res.render("admin/notifications", {
+      email: req.session.user.email,
+      notifications: [],
+      unreadCount: 0,
+      stats: { total: 0, students: 0, sponsors: 0 }
+    });
+  }
+}
+
+/**
+ * Sidebar badge counts
+ */
+async function getSidebarCounts(req, res) {
+  try {
+    const pending = await getRepositories().scholarships.findByStatus("Pending");
+    const unreadNotifications = await getUnreadCount("admin");
+
+    res.json({
+      pendingScholarships: pending.length,
+      unreadNotifications
+    });
+  } catch (error) {
+    res.json({ pendingScholarships: 0, unreadNotifications: 0 });
+  }
+}
+
+/**
+ * Admin profile page with platform statistics
+ */
+async function showAdminProfile(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.redirect("/login");
+  }
+
+  try {
+    const repositories = getRepositories();
+    const [users, scholarships, applications, admin] = await Promise.all([
+      repositories.users.findAll(),
+      repositories.scholarships.findAll(),
+      repositories.applications.findAll(),
+      repositories.users.findById(req.session.user.uid)
+    ]);
+    const adminData = admin || {};
+
+    res.render("admin/profile", {
+      email: req.session.user.email,
+      user: {
+        fullName: req.session.user.fullName || adminData.fullName || "System Administrator",
+        createdAt: adminData.createdAt || null,
+        profilePicture: adminData.profilePicture || null
+      },
+      stats: {
+        totalUsers: users.length,
+        totalScholarships: scholarships.length,
+        totalApplications: applications.length,
+        students: users.filter(u => u.role === "student").length,
+        sponsors: users.filter(u => u.role === "sponsor").length
+      }
+    });
+  } catch (error) {
+    res.render("admin/profile", {
+      email: req.session.user.email,
+      user: {
+        fullName: "System Administrator",
+        createdAt: null,
+        profilePicture: null
+      },
+      stats: {
+        totalUsers: 0,
+        totalScholarships: 0,
+        totalApplications: 0,
+        students: 0,
+        sponsors: 0
+      }
+    });
+  }
+}
+
+/**
+ * Save profile changes for the signed-in admin
+ * The hardcoded admin account has no user document until its first edit, so
+ * one is created with the admin's identity.
+ * @param {object} sessionUser - req.session.user
+ * @param {object} changes
+ */
+async function saveAdminProfile(sessionUser, changes) {
+  const { users } = getRepositories();
+  const existing = await users.findById(sessionUser.uid);
+  const now = new Date().toISOString();
+
+  if (existing) {
+    await users.update(sessionUser.uid, { ...changes, updatedAt: now });
+  } else {
+    await users.update(sessionUser.uid, {
+      uid: sessionUser.uid,
+      email: sessionUser.email,
+      role: "admin",
+      fullName: "System Administrator",
+      ...changes,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+}
+
+/**
+ * Update admin profile
+ */
+async function updateAdminProfile(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { fullName } = req.body;
+
+  if (!fullName || !fullName.trim()) {
+    return res.status(400).json({ error: "Full name is required" });
+  }
+
+  try {
+    await saveAdminProfile(req.session.user, { fullName: fullName.trim() });
+
+    // Update session
+    req.session.user.fullName = fullName.trim();
+
+    res.json({ success: true, message: "Profile updated successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update profile" });
+  }
+}
+
+/**
+ * Save an uploaded admin avatar (the file is stored by the upload middleware)
+ */
+async function uploadAdminAvatar(req, res) {
+  if (!req.session.user || req.session.user.role !== "admin") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  if (!req.file) {
+    return res.status(400).json({ error: "No file uploaded" });
+  }
+
+  try {
+    const profilePictureUrl = `/uploads/${req.file.filename}`;
+
+    await saveAdminProfile(req.session.user, { profilePicture: profilePictureUrl });
+
+    // Update session so sidebar updates immediately
+    req.session.user.profilePicture = profilePictureUrl;
+
+    res.json({ success: true, message: "Profile picture updated", url: profilePictureUrl });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to upload profile picture" });
+  }
+}
+
 module.exports = {
   isAdmin,
   showAdminDashboard,
@@ -905,13 +1537,31 @@ module.exports = {
   approveScholarship,
   rejectScholarship,
   getScholarshipDetails,
+  getScholarshipJson,
+  closeScholarship,
+  reopenScholarship,
+  rejectReopenRequest,
+  getScholarshipApplications,
+  sendExamDetails,
+  markRemainingNotSelected,
   getAllUsers,
   getUserDetails,
+  getUserJson,
   toggleUserStatus,
   bulkUserAction,
   getAllApplications,
   getSystemAnalytics,
   sendSystemNotification,
   getManageScholarships,
-  updateApplicationStatus
+  updateApplicationStatus,
+  approveApplicationSlot,
+  notifyApplicant,
+  markApplicationNotSelected,
+  recountSlots,
+  recountAllSlots,
+  showAdminNotifications,
+  getSidebarCounts,
+  showAdminProfile,
+  updateAdminProfile,
+  uploadAdminAvatar
 };
@@ -3,22 +3,24 @@
  * Handles scholarship applications for students
  */
 
-const { db } = require("../config/firebaseConfig");
+const { getRepositories } = require("../repositories");
+const { rankApplicationsWithRubric } = require("../services/rankingService");
+const { RUBRIC_CRITERIA, resolveRubric } = require("../utils/rankingAlgorithm");
+const { AppError } = require("../middleware/errorHandler");
+const { SLOT_ERRORS } = require("../services/slotAllocationService");
 const {
-  doc,
-  setDoc,
-  getDoc,
-  collection,
-  addDoc,
-  getDocs,
-  query,
-  where,
-  updateDoc,
-  deleteDoc,
-  orderBy,
-  serverTimestamp
-} = require("firebase/firestore");
-const { rankApplicantsForScholarship } = require("../services/gptMatchingService");
+  TRANSITION_ERRORS,
+  transitionApplication,
+  createApplicationWithStatus
+} = require("../services/applicationStatusService");
+const { APPLICATION_STATUS, ACTORS, DECLINE_REASONS } = require("../utils/applicationStateMachine");
+const { getWaitlist, addToWaitlist, isOfferExpired, WAITLIST_CONFIG } = require("../services/waitlistService");
+const {
+  getApplicationHistory,
+  findRemovedApplication,
+  formatHistoryCsv
+} = require("../services/applicationHistoryService");
+const { STATUS_LABELS } = require("../utils/constants");
 
 /**
  * Create a new application
@@ -41,37 +43,24 @@ async function createApplication(req, res) {
   const isDraft = saveAsDraft === true || saveAsDraft === 'true';
 
   try {
+    const { scholarships, applications, assessments, users } = getRepositories();
+
     // Check if scholarship exists and is open
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Block if scholarship is not Open (deadline passed or closed)
     if (scholarship.status !== "Open") {
       return res.status(400).json({ error: "This scholarship is no longer accepting applications" });
     }
 
-    // Check if slots are available (only for non-draft submissions)
-    if (!isDraft && (scholarship.slotsFilled || 0) >= scholarship.slotsAvailable) {
-      return res.status(400).json({ error: "No slots available for this scholarship" });
-    }
-
     // Check if student already has an accepted scholarship (one scholarship per student rule)
-    const applicationsRef = collection(db, "applications");
-    const acceptedQuery = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid),
-      where("studentAccepted", "==", true)
-    );
-    const acceptedApps = await getDocs(acceptedQuery);
+    const acceptedApp = await applications.findAcceptedByStudent(studentUid);
 
-    if (!acceptedApps.empty) {
-      const acceptedApp = acceptedApps.docs[0].data();
+    if (acceptedApp) {
       return res.status(400).json({
         error: `You have already accepted a scholarship (${acceptedApp.scholarshipName}). You cannot apply to other scholarships.`,
         hasAcceptedScholarship: true
@@ -79,28 +68,23 @@ async function createApplication(req, res) {
     }
 
     // Check if student already has an application (draft or submitted) for this scholarship
-    const existingQuery = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid),
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const existingApps = await getDocs(existingQuery);
-
-    if (!existingApps.empty) {
-      const existingApp = existingApps.docs[0];
-      const existingData = existingApp.data();
+    const existingApp = await applications.findStudentApplication(studentUid, scholarshipId);
 
+    if (existingApp) {
       // If existing is a draft, allow updating it
-      if (existingData.status === "draft") {
-        // Update the existing draft
-        await updateDoc(doc(db, "applications", existingApp.id), {
-          applicationLetter: applicationLetter || existingData.applicationLetter,
-          status: isDraft ? "draft" : "pending",
-          updatedAt: new Date().toISOString(),
-          submittedAt: isDraft ? null : new Date().toISOString()
+      if (existingApp.status === APPLICATION_STATUS.DRAFT) {
+        // Update the existing draft (submissions re-check open slots atomically)
+        await transitionApplication(existingApp.id, isDraft ? APPLICATION_STATUS.DRAFT : APPLICATION_STATUS.PENDING, {
+          actor: ACTORS.STUDENT,
+          user: req.session.user,
+          application: existingApp,
+          changes: {
+            applicationLetter: applicationLetter || existingApp.applicationLetter,
+            updatedAt: new Date().toISOString(),
+            submittedAt: isDraft ? null : new Date().toISOString()
+          }
         });
 
-
         return res.status(200).json({
           success: true,
           message: isDraft ? "Draft saved successfully!" : "Application submitted successfully!",
@@ -113,19 +97,14 @@ async function createApplication(req, res) {
     }
 
     // Get student's assessment data
-    const assessmentRef = doc(db, "users", studentUid, "assessment", "main");
-    const assessmentDoc = await getDoc(assessmentRef);
+    const assessment = await assessments.findByStudent(studentUid);
 
-    if (!assessmentDoc.exists()) {
+    if (!assessment) {
       return res.status(400).json({ error: "Please complete your assessment before applying" });
     }
 
-    const assessment = assessmentDoc.data();
-
     // Get student user data
-    const userRef = doc(db, "users", studentUid);
-    const userDoc = await getDoc(userRef);
-    const userData = userDoc.data();
+    const userData = await users.findById(studentUid) || {};
 
     // Get document URLs from assessment files (now stored as full Cloudinary URLs)
     const assessmentFiles = assessment.files || {};
@@ -149,6 +128,7 @@ async function createApplication(req, res) {
       course: assessment.course,
       yearLevel: assessment.yearLevel,
       gpa: assessment.gpa,
+      gradingScale: assessment.gradingScale || null,
       incomeRange: assessment.incomeRange,
       skills: assessment.skills,
       involvement: assessment.involvement,
@@ -156,7 +136,7 @@ async function createApplication(req, res) {
       // Documents from assessment
       documents: documents,
       // Application status - draft or pending
-      status: isDraft ? "draft" : "pending",
+      status: isDraft ? APPLICATION_STATUS.DRAFT : APPLICATION_STATUS.PENDING,
       matchScore: null, // Will be calculated by GPT
       rankScore: null,
       rank: null,
@@ -168,18 +148,22 @@ async function createApplication(req, res) {
       reviewedAt: null
     };
 
-    const newAppRef = await addDoc(applicationsRef, applicationData);
+    // Slots are checked in the same transaction that creates the application
+    const applicationId = await createApplicationWithStatus(scholarshipId, applicationData, req.session.user);
 
 
     // Return success
     res.status(201).json({
       success: true,
       message: isDraft ? "Draft saved successfully!" : "Application submitted successfully!",
-      applicationId: newAppRef.id,
+      applicationId,
       isDraft
     });
 
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
     res.status(500).json({ error: "Failed to submit application: " + error.message });
   }
 }
@@ -196,18 +180,7 @@ async function getStudentApplications(req, res) {
   const studentUid = req.session.user.uid;
 
   try {
-    const applicationsRef = collection(db, "applications");
-    // Use only where clause to avoid composite index requirement
-    const q = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid)
-    );
-    const snapshot = await getDocs(q);
-
-    const applications = [];
-    snapshot.forEach(doc => {
-      applications.push({ id: doc.id, ...doc.data() });
-    });
+    const applications = await getRepositories().applications.findApplicationsByStudent(studentUid);
 
     // Sort by createdAt in JavaScript (descending)
     applications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -233,19 +206,15 @@ async function getApplicationDetails(req, res) {
   }
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const repositories = getRepositories();
+    const application = await repositories.applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).send("Application not found");
     }
 
-    const application = { id: applicationDoc.id, ...applicationDoc.data() };
-
     // Get scholarship details first (needed for sponsor authorization)
-    const scholarshipRef = doc(db, "scholarships", application.scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
-    const scholarship = scholarshipDoc.exists() ? { id: scholarshipDoc.id, ...scholarshipDoc.data() } : null;
+    const scholarship = await repositories.scholarships.findById(application.scholarshipId);
 
     // Check authorization
     if (req.session.user.role === "student" && application.studentUid !== req.session.user.uid) {
@@ -261,10 +230,8 @@ async function getApplicationDetails(req, res) {
 
     // Always fetch fresh document URLs from student's assessment (to handle legacy applications)
     try {
-      const assessmentRef = doc(db, "users", application.studentUid, "assessment", "main");
-      const assessmentDoc = await getDoc(assessmentRef);
-      if (assessmentDoc.exists()) {
-        const assessment = assessmentDoc.data();
+      const assessment = await repositories.assessments.findByStudent(application.studentUid);
+      if (assessment) {
         const assessmentFiles = assessment.files || {};
         // Update application documents with latest from assessment
         application.documents = {
@@ -279,24 +246,32 @@ async function getApplicationDetails(req, res) {
       // Keep existing documents if fetch fails
     }
 
+    const history = await getApplicationHistory(applicationId);
+
     // Render appropriate view based on role
     if (req.session.user.role === "student") {
       res.render("student/application_details", {
         email: req.session.user.email,
         application,
-        scholarship
+        scholarship,
+        history,
+        statusLabels: STATUS_LABELS
       });
     } else if (req.session.user.role === "sponsor") {
       res.render("sponsor/application_review", {
         email: req.session.user.email,
         application,
-        scholarship
+        scholarship,
+        history,
+        statusLabels: STATUS_LABELS
       });
     } else if (req.session.user.role === "admin") {
       res.render("admin/application_review", {
         email: req.session.user.email,
         application,
-        scholarship
+        scholarship,
+        history,
+        statusLabels: STATUS_LABELS
       });
     }
 
@@ -317,54 +292,44 @@ async function getScholarshipApplications(req, res) {
 
   try {
     // Get scholarship details
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const repositories = getRepositories();
+    const scholarship = await repositories.scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
     }
 
-    // Get applications - use only where clause to avoid composite index requirement
-    const applicationsRef = collection(db, "applications");
-    const q = query(
-      applicationsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const snapshot = await getDocs(q);
-
-    const applications = [];
-    snapshot.forEach(doc => {
-      const appData = doc.data();
-      // Skip draft applications
-      if (appData.status !== 'draft') {
-        applications.push({ id: doc.id, ...appData });
-      }
-    });
+    // Get applications, skipping drafts
+    const applications = (await repositories.applications.findApplicationsByScholarship(scholarshipId))
+      .filter(app => app.status !== 'draft');
 
     // Separate accepted/notified from pending/under_review for ranking
     const acceptedApps = applications.filter(a => ['accepted', 'notified', 'not_selected'].includes(a.status));
     const pendingApps = applications.filter(a => ['pending', 'under_review'].includes(a.status));
+    const waitlistedApps = await getWaitlist(scholarshipId);
 
-    // Sort pending applications by rankScore (highest first), then by createdAt
+    // Keep the rubric's order (rankApplicants puts ineligible applicants and
+    // those below a cutoff last); applicants not ranked yet follow, newest first
     pendingApps.sort((a, b) => {
-      const scoreA = a.rankScore || a.matchScore || 0;
-      const scoreB = b.rankScore || b.matchScore || 0;
-      if (scoreA !== scoreB) {
-        return scoreB - scoreA; // Higher score first
+      const rankedA = a.rank ? 0 : 1;
+      const rankedB = b.rank ? 0 : 1;
+      if (rankedA !== rankedB) {
+        return rankedA - rankedB;
+      }
+      if (a.rank && a.rank !== b.rank) {
+        return a.rank - b.rank;
       }
       return new Date(b.createdAt) - new Date(a.createdAt);
     });
 
-    // Reassign ranks to pending applications (1, 2, 3, ...) based on sorted order
+    // Close the gaps left by applicants who moved on since the last ranking
     pendingApps.forEach((app, index) => {
-      if (app.rankScore || app.matchScore) {
+      if (app.rank) {
         app.rank = index + 1;
       }
     });
@@ -376,8 +341,8 @@ async function getScholarshipApplications(req, res) {
       return new Date(dateB) - new Date(dateA);
     });
 
-    // Combine: pending apps first (ranked), then accepted apps
-    const sortedApplications = [...pendingApps, ...acceptedApps];
+    // Combine: pending apps first (ranked), then the waitlist in order, then accepted apps
+    const sortedApplications = [...pendingApps, ...waitlistedApps, ...acceptedApps];
 
     // Calculate stats
     const stats = {
@@ -395,6 +360,7 @@ async function getScholarshipApplications(req, res) {
       underReview: applications.filter(a => a.status === "under_review").length,
       accepted: applications.filter(a => a.status === "accepted").length,
       notified: applications.filter(a => a.status === "notified").length,
+      waitlisted: waitlistedApps.length,
       notSelected: applications.filter(a => a.status === "not_selected").length
     };
 
@@ -402,7 +368,11 @@ async function getScholarshipApplications(req, res) {
       email: req.session.user.email,
       scholarship,
       applications: sortedApplications,
-      stats: sponsorStats
+      stats: sponsorStats,
+      waitlistResponseDays: scholarship.waitlistResponseDays || WAITLIST_CONFIG.responseDays,
+      rubric: resolveRubric(scholarship),
+      hasCustomRubric: Boolean(scholarship.rankingRubric),
+      rubricCriteria: Object.keys(RUBRIC_CRITERIA).map(key => ({ key, label: RUBRIC_CRITERIA[key].label }))
     });
 
   } catch (error) {
@@ -411,7 +381,8 @@ async function getScholarshipApplications(req, res) {
 }
 
 /**
- * Rank applications using GPT
+ * Rank applications using the scholarship's ranking rubric
+ * Pass { aiSecondOpinion: true } to also store the GPT ranking for comparison
  */
 async function rankApplications(req, res) {
   const scholarshipId = req.params.id;
@@ -422,60 +393,79 @@ async function rankApplications(req, res) {
 
   try {
     // Get scholarship details
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const repositories = getRepositories();
+    const scholarship = await repositories.scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
     // Get pending/under_review applications
-    const applicationsRef = collection(db, "applications");
-    const q = query(
-      applicationsRef,
-      where("scholarshipId", "==", scholarshipId),
-      where("status", "in", ["pending", "under_review"])
-    );
-    const snapshot = await getDocs(q);
-
-    const applications = [];
-    snapshot.forEach(doc => {
-      applications.push({ id: doc.id, ...doc.data() });
-    });
+    const applications = (await repositories.applications.findApplicationsByScholarship(scholarshipId))
+      .filter(app => ["pending", "under_review"].includes(app.status));
 
     if (applications.length === 0) {
       return res.json({ success: true, message: "No applications to rank", rankings: [] });
     }
 
-    // Use GPT to rank applications
-    const rankings = await rankApplicantsForScholarship(applications, scholarship);
+    // Score applicants against the rubric, optionally with a GPT second opinion
+    const aiSecondOpinion = req.body.aiSecondOpinion === true || req.body.aiSecondOpinion === "true";
+    const { rubric, rankings, aiSecondOpinion: aiAttached } = await rankApplicationsWithRubric(
+      applications,
+      scholarship,
+      { aiSecondOpinion }
+    );
 
-    // Update applications with rank scores
+    // Update applications with rank scores and per-criterion rubric scores;
+    // ranking moves pending applications under review
+    const applicationsById = new Map(applications.map(app => [app.id, app]));
     for (const ranking of rankings) {
-      const appRef = doc(db, "applications", ranking.applicationId);
-      await updateDoc(appRef, {
+      const rankData = {
         rankScore: ranking.rankScore,
         rank: ranking.rank,
-        status: "under_review",
+        rubricScores: ranking.rubricScores,
+        rubricVersion: rubric.version,
+        meetsCutoffs: ranking.meetsCutoffs,
+        cutoffFailures: ranking.cutoffFailures,
         scoreBreakdown: ranking.scoreBreakdown,
         strengths: ranking.strengths,
         weaknesses: ranking.weaknesses,
         recommendation: ranking.recommendation,
+        aiOpinion: ranking.aiOpinion || null,
+        aiValidationIssues: ranking.aiValidationIssues || [],
+        rankedAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
-      });
+      };
+
+      const application = applicationsById.get(ranking.applicationId);
+      if (application && application.status === APPLICATION_STATUS.PENDING) {
+        await transitionApplication(ranking.applicationId, APPLICATION_STATUS.UNDER_REVIEW, {
+          actor: ACTORS.SPONSOR,
+          user: req.session.user,
+          note: "Ranked with the scholarship rubric",
+          application,
+          changes: rankData
+        });
+      } else {
+        await repositories.applications.update(ranking.applicationId, rankData);
+      }
     }
 
+    let message = `Successfully ranked ${rankings.length} applications`;
+    if (aiSecondOpinion && !aiAttached) {
+      message += " (AI second opinion unavailable)";
+    }
 
     res.json({
       success: true,
-      message: `Successfully ranked ${rankings.length} applications`,
+      message,
+      rubric,
+      aiSecondOpinion: aiAttached,
       rankings
     });
 
@@ -501,15 +491,12 @@ async function updateApplicationStatus(req, res) {
   }
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const application = await getRepositories().applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).json({ error: "Application not found" });
     }
 
-    const application = applicationDoc.data();
-
     // Check authorization for sponsors
     if (req.session.user.role === "sponsor" && application.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
@@ -517,103 +504,59 @@ async function updateApplicationStatus(req, res) {
 
     // Update application
     const updateData = {
-      status,
       sponsorNotes: notes || application.sponsorNotes,
       updatedAt: new Date().toISOString(),
       reviewedAt: new Date().toISOString(),
       reviewedBy: req.session.user.email
     };
 
-    // If sponsor accepts, check slot availability and update slots
+    // Accepting reserves a slot; undoing an acceptance releases it (see updateApplicationSlot)
     if (status === "accepted" && req.session.user.role === "sponsor") {
-      // Get scholarship to check slot availability
-      const scholarshipRef = doc(db, "scholarships", application.scholarshipId);
-      const scholarshipDoc = await getDoc(scholarshipRef);
-
-      if (scholarshipDoc.exists()) {
-        const scholarship = scholarshipDoc.data();
-        const slotsFilled = scholarship.slotsFilled || 0;
-        const slotsAvailable = scholarship.slotsAvailable || 0;
-
-        // Check if slots are full
-        if (slotsFilled >= slotsAvailable) {
-          return res.status(400).json({
-            error: "All scholarship slots are already filled. Cannot accept more students.",
-            slotsFull: true
-          });
-        }
-
-        // Increment slotsFilled when sponsor accepts
-        await updateDoc(scholarshipRef, {
-          slotsFilled: slotsFilled + 1,
-          updatedAt: new Date().toISOString()
-        });
-      }
-
       updateData.acceptedBySponsor = true;
       updateData.acceptedAt = new Date().toISOString();
     }
 
-    // If sponsor undos acceptance (from accepted back to under_review), decrement slots
+    // If sponsor undos acceptance (from accepted back to under_review), clear the accepted fields
     if (status === "under_review" && req.session.user.role === "sponsor" && application.status === "accepted") {
-      const scholarshipRef = doc(db, "scholarships", application.scholarshipId);
-      const scholarshipDoc = await getDoc(scholarshipRef);
-
-      if (scholarshipDoc.exists()) {
-        const scholarship = scholarshipDoc.data();
-        const currentFilled = scholarship.slotsFilled || 0;
-
-        // Decrement slotsFilled (but don't go below 0)
-        await updateDoc(scholarshipRef, {
-          slotsFilled: Math.max(0, currentFilled - 1),
-          updatedAt: new Date().toISOString()
-        });
-      }
-
-      // Clear the accepted fields
       updateData.acceptedBySponsor = false;
       updateData.acceptedAt = null;
     }
 
-    // If admin notifies student of acceptance
+    // Taking an applicant off the waitlist clears their place in it
+    if (status === "under_review" && application.status === "waitlisted") {
+      updateData.waitlistPosition = null;
+    }
+
     if (status === "notified" && req.session.user.role === "admin") {
       updateData.notifiedAt = new Date().toISOString();
       updateData.notifiedBy = req.session.user.email;
-
-      // Note: Slot count is already updated when sponsor accepts, no need to update again
-
-      // Notify student of approval
-      const notificationData = {
-        userId: application.studentUid,
-        type: "application_approved",
-        title: "Congratulations! You've Been Selected!",
-        message: `Great news! You have been selected for the scholarship "${application.scholarshipName}". Check your applications for more details.`,
-        relatedId: applicationId,
-        read: false,
-        createdAt: new Date().toISOString()
-      };
-      await addDoc(collection(db, "notifications"), notificationData);
     }
 
-    // If admin marks as not selected
     if (status === "not_selected" && req.session.user.role === "admin") {
       updateData.notSelectedAt = new Date().toISOString();
-
-      // Notify student they were not chosen
-      const notificationData = {
-        userId: application.studentUid,
-        type: "application_not_selected",
-        title: "Application Update",
-        message: `Unfortunately, you were not selected for the scholarship "${application.scholarshipName}". Don't give up - keep applying to other scholarships!`,
-        relatedId: applicationId,
-        read: false,
-        createdAt: new Date().toISOString()
-      };
-      await addDoc(collection(db, "notifications"), notificationData);
     }
 
-    await updateDoc(applicationRef, updateData);
-
+    // The state machine checks the role may make this move and sends its notifications
+    try {
+      await transitionApplication(applicationId, status, {
+        actor: req.session.user.role,
+        user: req.session.user,
+        note: notes,
+        application,
+        changes: updateData
+      });
+    } catch (error) {
+      if (error.errorCode === SLOT_ERRORS.SLOTS_FULL) {
+        return res.status(400).json({
+          error: "All scholarship slots are already filled. Cannot accept more students.",
+          slotsFull: true
+        });
+      }
+      if (error instanceof AppError) {
+        return res.status(error.statusCode).json({ error: error.message });
+      }
+      throw error;
+    }
 
     res.json({
       success: true,
@@ -636,36 +579,91 @@ async function withdrawApplication(req, res) {
   }
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const { applications } = getRepositories();
+    const application = await applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).json({ error: "Application not found" });
     }
 
-    const application = applicationDoc.data();
-
     // Check ownership
     if (application.studentUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
-    // Can only withdraw pending or under_review applications
-    if (!["pending", "under_review"].includes(application.status)) {
+    // Withdrawing deletes the application, unless a reviewer moved it on in the meantime
+    await transitionApplication(applicationId, APPLICATION_STATUS.WITHDRAWN, {
+      actor: ACTORS.STUDENT,
+      user: req.session.user,
+      application
+    });
+
+    res.json({
+      success: true,
+      message: "Application withdrawn successfully"
+    });
+
+  } catch (error) {
+    if ([SLOT_ERRORS.STATUS_CHANGED, TRANSITION_ERRORS.INVALID_TRANSITION].includes(error.errorCode)) {
       return res.status(400).json({ error: "Cannot withdraw this application" });
     }
+    res.status(500).json({ error: "Failed to withdraw application: " + error.message });
+  }
+}
+
+/**
+ * Export an application's status history (JSON, or CSV with ?format=csv)
+ * Students get their own applications, sponsors those for their scholarships, admins any.
+ * Withdrawn applications are deleted, but their history can still be exported.
+ */
+async function exportApplicationHistory(req, res) {
+  const applicationId = req.params.id;
+
+  if (!req.session.user) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const repositories = getRepositories();
+    const history = await getApplicationHistory(applicationId);
+    const application = await repositories.applications.findById(applicationId) ||
+      findRemovedApplication(history);
+
+    if (!application) {
+      return res.status(404).json({ error: "Application not found" });
+    }
 
-    // Delete the application
-    await deleteDoc(applicationRef);
+    const { role, uid } = req.session.user;
+    if (role === "student" && application.studentUid !== uid) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+    if (role === "sponsor") {
+      const scholarship = await repositories.scholarships.findById(application.scholarshipId);
+      if (!scholarship || scholarship.sponsorUid !== uid) {
+        return res.status(403).json({ error: "Unauthorized" });
+      }
+    }
 
+    if (req.query.format === "csv") {
+      const filename = `application_history_${applicationId}_${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(formatHistoryCsv(history));
+    }
 
     res.json({
-      success: true,
-      message: "Application withdrawn successfully"
+      applicationId,
+      scholarshipId: application.scholarshipId,
+      scholarshipName: application.scholarshipName,
+      studentName: application.studentName,
+      currentStatus: application.status,
+      exportedAt: new Date().toISOString(),
+      history
     });
 
   } catch (error) {
-    res.status(500).json({ error: "Failed to withdraw application: " + error.message });
+    console.error('Error exporting application history:', error);
+    res.status(500).json({ error: "Failed to export application history" });
   }
 }
 
@@ -678,14 +676,8 @@ async function getAllApplications(req, res) {
   }
 
   try {
-    const applicationsRef = collection(db, "applications");
-    const q = query(applicationsRef, orderBy("createdAt", "desc"));
-    const snapshot = await getDocs(q);
-
-    const applications = [];
-    snapshot.forEach(doc => {
-      applications.push({ id: doc.id, ...doc.data() });
-    });
+    const applications = await getRepositories().applications.findAll();
+    applications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     // Calculate stats
     const stats = {
@@ -732,62 +724,25 @@ async function batchUpdateApplicationStatus(req, res) {
     let failCount = 0;
     let slotFullCount = 0;
 
-    // Track scholarship slot updates to avoid multiple reads
-    const scholarshipSlots = {};
+    const { applications } = getRepositories();
 
     for (const applicationId of applicationIds) {
       try {
-        const applicationRef = doc(db, "applications", applicationId);
-        const applicationDoc = await getDoc(applicationRef);
+        const application = await applications.findById(applicationId);
 
-        if (!applicationDoc.exists()) {
+        if (!application) {
           failCount++;
           continue;
         }
 
-        const application = applicationDoc.data();
-
         // Verify the application belongs to a scholarship owned by this sponsor
         if (application.sponsorUid !== sponsorUid) {
           failCount++;
           continue;
         }
 
-        // Handle slot counting for accepting
-        if (status === "accepted") {
-          // Get or fetch scholarship slot info
-          if (!scholarshipSlots[application.scholarshipId]) {
-            const scholarshipRef = doc(db, "scholarships", application.scholarshipId);
-            const scholarshipDoc = await getDoc(scholarshipRef);
-            if (scholarshipDoc.exists()) {
-              const scholarship = scholarshipDoc.data();
-              scholarshipSlots[application.scholarshipId] = {
-                ref: scholarshipRef,
-                slotsFilled: scholarship.slotsFilled || 0,
-                slotsAvailable: scholarship.slotsAvailable || 0
-              };
-            }
-          }
-
-          const slotInfo = scholarshipSlots[application.scholarshipId];
-          if (slotInfo && slotInfo.slotsFilled >= slotInfo.slotsAvailable) {
-            slotFullCount++;
-            continue;
-          }
-
-          // Increment slot count
-          if (slotInfo) {
-            slotInfo.slotsFilled++;
-            await updateDoc(slotInfo.ref, {
-              slotsFilled: slotInfo.slotsFilled,
-              updatedAt: new Date().toISOString()
-            });
-          }
-        }
-
         // Update application status
         const updateData = {
-          status: status,
           statusUpdatedAt: new Date().toISOString(),
           statusUpdatedBy: "sponsor",
           updatedAt: new Date().toISOString()
@@ -798,7 +753,19 @@ async function batchUpdateApplicationStatus(req, res) {
           updateData.acceptedAt = new Date().toISOString();
         }
 
-        await updateDoc(applicationRef, updateData);
+        // Reserves or releases the slot in the same transaction
+        try {
+          await transitionApplication(applicationId, status, {
+            actor: ACTORS.SPONSOR,
+            user: req.session.user,
+            application,
+            changes: updateData
+          });
+        } catch (error) {
+          if (error.errorCode !== SLOT_ERRORS.SLOTS_FULL) throw error;
+          slotFullCount++;
+          continue;
+        }
 
         successCount++;
       } catch (err) {
@@ -820,6 +787,52 @@ async function batchUpdateApplicationStatus(req, res) {
   }
 }
 
+/**
+ * Add ranked applicants to a scholarship's waitlist, in the order given (for sponsors)
+ */
+async function waitlistApplications(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "sponsor") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const { applicationIds, responseDays } = req.body;
+
+  if (!applicationIds || !Array.isArray(applicationIds) || applicationIds.length === 0) {
+    return res.status(400).json({ error: "No applications specified" });
+  }
+
+  try {
+    const scholarship = await getRepositories().scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    // Check ownership
+    if (scholarship.sponsorUid !== req.session.user.uid) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    const { added, skipped } = await addToWaitlist(scholarship, applicationIds, {
+      user: req.session.user,
+      responseDays
+    });
+
+    let message = `${added.length} applicant(s) added to the waitlist`;
+    if (skipped.length > 0) message += `, ${skipped.length} skipped`;
+
+    res.json({ success: true, message, added, skipped });
+
+  } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    res.status(500).json({ error: "Failed to update the waitlist" });
+  }
+}
+
 /**
  * Get draft application for a scholarship (if exists)
  */
@@ -833,21 +846,13 @@ async function getDraftApplication(req, res) {
   const studentUid = req.session.user.uid;
 
   try {
-    const applicationsRef = collection(db, "applications");
-    const q = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid),
-      where("scholarshipId", "==", scholarshipId),
-      where("status", "==", "draft")
-    );
-    const snapshot = await getDocs(q);
+    const application = await getRepositories().applications.findStudentApplication(studentUid, scholarshipId);
 
-    if (snapshot.empty) {
+    if (!application || application.status !== "draft") {
       return res.json({ success: true, draft: null });
     }
 
-    const draftDoc = snapshot.docs[0];
-    const draft = { id: draftDoc.id, ...draftDoc.data() };
+    const draft = application;
 
     res.json({ success: true, draft });
 
@@ -867,15 +872,13 @@ async function deleteDraftApplication(req, res) {
   }
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const { applications } = getRepositories();
+    const application = await applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).json({ error: "Application not found" });
     }
 
-    const application = applicationDoc.data();
-
     // Check ownership
     if (application.studentUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
@@ -886,7 +889,7 @@ async function deleteDraftApplication(req, res) {
       return res.status(400).json({ error: "Cannot delete submitted applications. Use withdraw instead." });
     }
 
-    await deleteDoc(applicationRef);
+    await applications.delete(applicationId);
 
 
     res.json({
@@ -918,15 +921,13 @@ async function studentRespondToOffer(req, res) {
   const studentUid = req.session.user.uid;
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const { applications } = getRepositories();
+    const application = await applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).json({ error: "Application not found" });
     }
 
-    const application = applicationDoc.data();
-
     // Check ownership
     if (application.studentUid !== studentUid) {
       return res.status(403).json({ error: "Unauthorized" });
@@ -942,83 +943,51 @@ async function studentRespondToOffer(req, res) {
       return res.status(400).json({ error: "You have already responded to this offer" });
     }
 
+    // Slots offered from the waitlist must be answered before their deadline
+    if (isOfferExpired(application)) {
+      return res.status(400).json({ error: "This offer has expired and was passed to the next applicant" });
+    }
+
     if (response === 'accept') {
       // Check if student already accepted another scholarship
-      const applicationsRef = collection(db, "applications");
-      const acceptedQuery = query(
-        applicationsRef,
-        where("studentUid", "==", studentUid),
-        where("studentAccepted", "==", true)
-      );
-      const acceptedApps = await getDocs(acceptedQuery);
-
-      if (!acceptedApps.empty) {
-        const acceptedApp = acceptedApps.docs[0].data();
+      const acceptedApp = await applications.findAcceptedByStudent(studentUid);
+
+      if (acceptedApp) {
         return res.status(400).json({
           error: `You have already accepted another scholarship (${acceptedApp.scholarshipName}). You can only accept one scholarship.`,
           hasAcceptedScholarship: true
         });
       }
 
-      // Accept this scholarship
-      await updateDoc(applicationRef, {
-        studentAccepted: true,
-        studentRespondedAt: new Date().toISOString(),
-        status: 'enrolled', // Final status - student is now a grantee
-        updatedAt: new Date().toISOString()
+      // Accept this scholarship (the offer keeps its slot; the sponsor is notified)
+      await transitionApplication(applicationId, APPLICATION_STATUS.ENROLLED, {
+        actor: ACTORS.STUDENT,
+        user: req.session.user,
+        application,
+        changes: {
+          studentAccepted: true,
+          studentRespondedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
       });
 
-      // Notify sponsor that student accepted
-      const notificationData = {
-        userId: application.sponsorUid,
-        type: "student_accepted_offer",
-        title: "Student Accepted Scholarship",
-        message: `${application.studentName} has accepted the scholarship "${application.scholarshipName}".`,
-        relatedId: applicationId,
-        read: false,
-        createdAt: new Date().toISOString()
-      };
-      await addDoc(collection(db, "notifications"), notificationData);
-
       // Auto-decline all other approved offers for this student
-      const otherOffersQuery = query(
-        applicationsRef,
-        where("studentUid", "==", studentUid),
-        where("status", "in", ["accepted", "notified"])
-      );
-      const otherOffers = await getDocs(otherOffersQuery);
-
-      for (const offerDoc of otherOffers.docs) {
-        if (offerDoc.id !== applicationId) {
-          const offerData = offerDoc.data();
-          await updateDoc(doc(db, "applications", offerDoc.id), {
-            studentAccepted: false,
-            studentRespondedAt: new Date().toISOString(),
-            status: 'student_declined',
-            declineReason: 'Student accepted another scholarship',
-            updatedAt: new Date().toISOString()
-          });
-
-          // Decrement slot count for declined scholarship
-          const scholarshipRef = doc(db, "scholarships", offerData.scholarshipId);
-          const scholarshipDoc = await getDoc(scholarshipRef);
-          if (scholarshipDoc.exists()) {
-            const scholarship = scholarshipDoc.data();
-            await updateDoc(scholarshipRef, {
-              slotsFilled: Math.max(0, (scholarship.slotsFilled || 1) - 1),
+      const otherOffers = (await applications.findApplicationsByStudent(studentUid))
+        .filter(app => ["accepted", "notified"].includes(app.status));
+
+      for (const offerData of otherOffers) {
+        if (offerData.id !== applicationId) {
+          // Declining releases the offer's slot and tells its sponsor
+          await transitionApplication(offerData.id, APPLICATION_STATUS.STUDENT_DECLINED, {
+            actor: ACTORS.SYSTEM,
+            application: offerData,
+            note: DECLINE_REASONS.ACCEPTED_ANOTHER,
+            changes: {
+              studentAccepted: false,
+              studentRespondedAt: new Date().toISOString(),
+              declineReason: DECLINE_REASONS.ACCEPTED_ANOTHER,
               updatedAt: new Date().toISOString()
-            });
-          }
-
-          // Notify sponsor about decline
-          await addDoc(collection(db, "notifications"), {
-            userId: offerData.sponsorUid,
-            type: "student_declined_offer",
-            title: "Student Declined Scholarship",
-            message: `${offerData.studentName} has declined the scholarship "${offerData.scholarshipName}" (accepted another offer).`,
-            relatedId: offerDoc.id,
-            read: false,
-            createdAt: new Date().toISOString()
+            }
           });
         }
       }
@@ -1029,36 +998,17 @@ async function studentRespondToOffer(req, res) {
       });
 
     } else {
-      // Decline this scholarship
-      await updateDoc(applicationRef, {
-        studentAccepted: false,
-        studentRespondedAt: new Date().toISOString(),
-        status: 'student_declined',
-        updatedAt: new Date().toISOString()
-      });
-
-      // Decrement slot count
-      const scholarshipRef = doc(db, "scholarships", application.scholarshipId);
-      const scholarshipDoc = await getDoc(scholarshipRef);
-      if (scholarshipDoc.exists()) {
-        const scholarship = scholarshipDoc.data();
-        await updateDoc(scholarshipRef, {
-          slotsFilled: Math.max(0, (scholarship.slotsFilled || 1) - 1),
+      // Decline this scholarship and release its slot
+      await transitionApplication(applicationId, APPLICATION_STATUS.STUDENT_DECLINED, {
+        actor: ACTORS.STUDENT,
+        user: req.session.user,
+        application,
+        changes: {
+          studentAccepted: false,
+          studentRespondedAt: new Date().toISOString(),
           updatedAt: new Date().toISOString()
-        });
-      }
-
-      // Notify sponsor
-      const notificationData = {
-        userId: application.sponsorUid,
-        type: "student_declined_offer",
-        title: "Student Declined Scholarship",
-        message: `${application.studentName} has declined the scholarship "${application.scholarshipName}".`,
-        relatedId: applicationId,
-        read: false,
-        createdAt: new Date().toISOString()
-      };
-      await addDoc(collection(db, "notifications"), notificationData);
+        }
+      });
 
       res.json({
         success: true,
@@ -1067,6 +1017,9 @@ async function studentRespondToOffer(req, res) {
     }
 
   } catch (error) {
+    if ([SLOT_ERRORS.STATUS_CHANGED, TRANSITION_ERRORS.INVALID_TRANSITION].includes(error.errorCode)) {
+      return res.status(400).json({ error: "This scholarship offer is not available for response" });
+    }
     console.error('Error responding to offer:', error);
     res.status(500).json({ error: "Failed to process your response" });
   }
@@ -1083,37 +1036,15 @@ async function getApprovedOffers(req, res) {
   const studentUid = req.session.user.uid;
 
   try {
-    const applicationsRef = collection(db, "applications");
-    const offersQuery = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid),
-      where("status", "in", ["accepted", "notified"])
-    );
-    const snapshot = await getDocs(offersQuery);
-
-    const offers = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      // Only include offers that haven't been responded to yet
-      if (data.studentAccepted === undefined) {
-        offers.push({ id: doc.id, ...data });
-      }
-    });
+    const { applications } = getRepositories();
 
-    // Check if student already has an accepted scholarship
-    const acceptedQuery = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid),
-      where("studentAccepted", "==", true)
-    );
-    const acceptedSnapshot = await getDocs(acceptedQuery);
-    const hasAcceptedScholarship = !acceptedSnapshot.empty;
+    // Only include offers that haven't been responded to yet
+    const offers = (await applications.findApplicationsByStudent(studentUid))
+      .filter(app => ["accepted", "notified"].includes(app.status) && app.studentAccepted === undefined);
 
-    let acceptedScholarship = null;
-    if (hasAcceptedScholarship) {
-      const acceptedDoc = acceptedSnapshot.docs[0];
-      acceptedScholarship = { id: acceptedDoc.id, ...acceptedDoc.data() };
-    }
+    // Check if student already has an accepted scholarship
+    const acceptedScholarship = await applications.findAcceptedByStudent(studentUid);
+    const hasAcceptedScholarship = Boolean(acceptedScholarship);
 
     res.json({
       success: true,
@@ -1136,7 +1067,9 @@ module.exports = {
   rankApplications,
   updateApplicationStatus,
   batchUpdateApplicationStatus,
+  waitlistApplications,
   withdrawApplication,
+  exportApplicationHistory,
   getAllApplications,
   getDraftApplication,
   deleteDraftApplication,
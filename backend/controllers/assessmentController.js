@@ -1,7 +1,9 @@
-const { db } = require("../config/firebaseConfig");
-const { doc, setDoc, getDoc } = require("firebase/firestore");
+const { getRepositories } = require("../repositories");
 const { uploadToCloudinary } = require("../config/cloudinaryConfig");
 const fs = require("fs");
+const { validateGPA, DEFAULT_GRADING_SCALE } = require("../utils/constants");
+const { getRecommendationCache } = require("../services/recommendationCache");
+const { refreshStudentRecommendations, runInBackground } = require("../services/recommendationRefreshService");
 
 async function showAssessmentForm(req, res) {
 
@@ -14,19 +16,15 @@ async function showAssessmentForm(req, res) {
 
   try {
     // Check if user has already completed assessment
-    const userRef = doc(db, "users", userUid);
-    const userDoc = await getDoc(userRef);
+    const { users, assessments } = getRepositories();
+    const user = await users.findById(userUid);
 
-    const hasCompletedAssessment = userDoc.exists() && userDoc.data().hasCompletedAssessment;
+    const hasCompletedAssessment = Boolean(user && user.hasCompletedAssessment);
 
     // Get existing assessment data if available
     let assessmentData = null;
     if (hasCompletedAssessment) {
-      const assessmentRef = doc(db, "users", userUid, "assessment", "main");
-      const assessmentDoc = await getDoc(assessmentRef);
-      if (assessmentDoc.exists()) {
-        assessmentData = assessmentDoc.data();
-      }
+      assessmentData = await assessments.findByStudent(userUid);
     }
 
     res.render("student/student_assessment", {
@@ -86,6 +84,7 @@ async function submitAssessment(req, res) {
     course,
     yearLevel,
     gpa,
+    gradingScale,
     incomeRange,
     scholarshipType,
     skills,
@@ -102,13 +101,20 @@ async function submitAssessment(req, res) {
     return res.status(400).send(`Missing required fields: ${missingFields.join(', ')}`);
   }
 
+  // Validate GPA against the grading scale the student declared
+  const studentGradingScale = gradingScale || DEFAULT_GRADING_SCALE;
+  const gpaValidation = validateGPA(gpa, studentGradingScale);
+  if (!gpaValidation.valid) {
+    return res.status(400).send(gpaValidation.error);
+  }
+
   const submissionDate = new Date();
 
   try {
     // 1. Get existing assessment data to preserve files if not replaced
-    const assessmentRef = doc(db, "users", userUid, "assessment", "main");
-    const existingAssessmentDoc = await getDoc(assessmentRef);
-    const existingFiles = existingAssessmentDoc.exists() ? (existingAssessmentDoc.data().files || {}) : {};
+    const { users, assessments } = getRepositories();
+    const existingAssessment = await assessments.findByStudent(userUid);
+    const existingFiles = existingAssessment ? (existingAssessment.files || {}) : {};
 
     // Upload files to Cloudinary - preserve existing if no new file uploaded
     const files = {
@@ -161,6 +167,7 @@ async function submitAssessment(req, res) {
       course: course.trim(),
       yearLevel: yearLevel.trim(),
       gpa: gpa.trim(),
+      gradingScale: studentGradingScale,
       incomeRange: incomeRange.trim(),
       scholarshipType: scholarshipType.trim(),
       skills: skills ? (Array.isArray(skills) ? skills.join(', ') : skills.trim()) : "",
@@ -172,15 +179,19 @@ async function submitAssessment(req, res) {
     };
 
 
-    await setDoc(assessmentRef, assessmentData);
+    await assessments.save(userUid, assessmentData);
 
     // 2. Update the user document to mark assessment as completed
-    const userRef = doc(db, "users", userUid);
-    await setDoc(userRef, {
+    await users.update(userUid, {
       hasCompletedAssessment: true,
       lastAssessmentDate: submissionDate.toISOString()
-    }, { merge: true }); // merge: true keeps existing fields
+    });
+
+    // Cached matches were computed from the previous answers
+    await getRecommendationCache().invalidateStudent(userUid);
 
+    // Re-score saved recommendations against the new answers
+    runInBackground(() => refreshStudentRecommendations(userUid, { assessment: assessmentData, trigger: "assessment" }));
 
     // If there's a redirect scholarship ID, redirect to the scholarship apply page
     if (redirectScholarshipId) {
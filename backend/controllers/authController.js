@@ -1,6 +1,4 @@
 const { registerUser, loginUser, logoutUser, signInWithGoogle, resetPassword, resendVerificationEmail, updateAuthProviderStatus, setPasswordForGoogleUser } = require("../services/firebaseAuthService");
-const { db } = require("../config/firebaseConfig");
-const { doc, getDoc } = require("firebase/firestore");
 
 // ----------------------
 // HELPER FUNCTIONS
@@ -1,7 +1,37 @@
-const { db } = require("../config/firebaseConfig");
-const { doc, setDoc, getDoc, collection, addDoc, getDocs, query, where, updateDoc, deleteDoc } = require("firebase/firestore");
+const { getRepositories } = require("../repositories");
 const { createNotification } = require("../services/notificationService");
-const { validateGPA, validateDateRange, validateSlots, validateIncome, SCHOLARSHIP_TYPES } = require("../utils/constants");
+const { getRecommendationCache } = require("../services/recommendationCache");
+const { updateIndexedScholarship, removeIndexedScholarship } = require("../services/scholarshipSearchIndex");
+const { validateGPA, validateDateRange, validateSlots, validateIncome, SCHOLARSHIP_TYPES, DEGREE_LEVELS, DEFAULT_GRADING_SCALE } = require("../utils/constants");
+const { parseIncomeLimit } = require("../utils/incomeParser");
+const { RUBRIC_CRITERIA, DEFAULT_RUBRIC, SUBMITTED_AT, validateRubric, resolveRubric } = require("../utils/rankingAlgorithm");
+
+/**
+ * Parse an optional award amount
+ * @param {string} value - Form value
+ * @returns {number|null} - Whole pesos, or null when blank or invalid
+ */
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return Number.isFinite(amount) && amount > 0 ? Math.round(amount) : null;
+}
+
+/**
+ * Load the assessments of several students
+ * @param {object} assessments - Assessments repository
+ * @param {array} studentUids
+ * @returns {Promise<object>} - Assessment by student UID (students without one are left out)
+ */
+async function loadAssessments(assessments, studentUids) {
+  const assessmentMap = {};
+  const results = await Promise.all(studentUids.map(uid => assessments.findByStudent(uid)));
+  results.forEach((assessment, index) => {
+    if (assessment) {
+      assessmentMap[studentUids[index]] = assessment;
+    }
+  });
+  return assessmentMap;
+}
 
 // Show form to add scholarship offer
 function showAddScholarshipForm(req, res) {
@@ -32,6 +62,7 @@ async function addScholarshipOffer(req, res) {
     scholarshipType,
     description,
     minGPA,
+    minGPAScale,
     eligibleCourses,
     eligibleYearLevels,
     incomeLimit,
@@ -39,6 +70,8 @@ async function addScholarshipOffer(req, res) {
     requiredDocuments,
     additionalDocuments,
     slotsAvailable,
+    amount,
+    degreeLevel,
     startDate,
     endDate,
     status,
@@ -62,8 +95,8 @@ async function addScholarshipOffer(req, res) {
 
   // Skip validation for drafts
   if (!savingAsDraft) {
-    // Validate GPA
-    const gpaValidation = validateGPA(minGPA);
+    // Validate GPA in the scale the sponsor chose
+    const gpaValidation = validateGPA(minGPA, minGPAScale || DEFAULT_GRADING_SCALE);
     if (!gpaValidation.valid) {
       return res.status(400).json({ success: false, error: gpaValidation.error });
     }
@@ -80,10 +113,10 @@ async function addScholarshipOffer(req, res) {
       return res.status(400).json({ success: false, error: slotsValidation.error });
     }
 
-    // Validate income limit if provided
+    // Validate income limit if provided (select values like "below_20k" or free text amounts)
     if (incomeLimit && incomeLimit.trim()) {
-      const incomeNum = parseFloat(incomeLimit);
-      if (!isNaN(incomeNum)) {
+      const incomeNum = parseIncomeLimit(incomeLimit);
+      if (incomeNum !== null) {
         const incomeValidation = validateIncome(incomeNum);
         if (!incomeValidation.valid) {
           return res.status(400).json({ success: false, error: incomeValidation.error });
@@ -102,9 +135,8 @@ async function addScholarshipOffer(req, res) {
 
   try {
     // Get sponsor's full name from users collection
-    const sponsorDocRef = doc(db, "users", sponsorUid);
-    const sponsorDoc = await getDoc(sponsorDocRef);
-    const sponsorData = sponsorDoc.exists() ? sponsorDoc.data() : {};
+    const { users, scholarships } = getRepositories();
+    const sponsorData = await users.findById(sponsorUid) || {};
 
     // Create scholarship data
     const scholarshipData = {
@@ -116,6 +148,7 @@ async function addScholarshipOffer(req, res) {
 
       // Qualification Criteria
       minGPA: parseFloat(minGPA),
+      minGPAScale: minGPAScale || DEFAULT_GRADING_SCALE,
       eligibleCourses: normalizeToArray(eligibleCourses),
       eligibleYearLevels: normalizeToArray(eligibleYearLevels),
       incomeLimit: incomeLimit ? incomeLimit.trim() : "",
@@ -128,6 +161,8 @@ async function addScholarshipOffer(req, res) {
       // Scholarship Capacity
       slotsAvailable: parseInt(slotsAvailable),
       slotsFilled: 0,
+      amount: parseAmount(amount),
+      degreeLevel: DEGREE_LEVELS.includes(degreeLevel) ? degreeLevel : "",
 
       // Duration
       startDate: startDate,
@@ -149,8 +184,7 @@ async function addScholarshipOffer(req, res) {
 
 
     // Add to scholarships collection
-    const scholarshipsRef = collection(db, "scholarships");
-    const docRef = await addDoc(scholarshipsRef, scholarshipData);
+    const newScholarship = await scholarships.create(scholarshipData);
 
 
     // Only notify admin if not a draft
@@ -160,7 +194,7 @@ async function addScholarshipOffer(req, res) {
         'new_scholarship',
         'New Scholarship Submitted for Review',
         `"${scholarshipName}" by ${organizationName} is awaiting your review.`,
-        docRef.id
+        newScholarship.id
       );
     } else {
     }
@@ -182,17 +216,7 @@ async function viewScholarshipOffers(req, res) {
 
   try {
     // Query scholarships by sponsor UID
-    const scholarshipsRef = collection(db, "scholarships");
-    const q = query(scholarshipsRef, where("sponsorUid", "==", sponsorUid));
-    const querySnapshot = await getDocs(q);
-
-    const scholarships = [];
-    querySnapshot.forEach((doc) => {
-      scholarships.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const scholarships = await getRepositories().scholarships.findBySponsor(sponsorUid);
 
 
     res.render("sponsor/view_offers", {
@@ -214,15 +238,13 @@ async function viewScholarshipDetails(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check if this sponsor owns this scholarship
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
@@ -231,7 +253,7 @@ async function viewScholarshipDetails(req, res) {
     res.render("sponsor/scholarship_details", {
       layout: "layouts/sponsor_layout",
       email: req.session.user.email,
-      scholarship: { id: scholarshipDoc.id, ...scholarshipData }
+      scholarship: scholarshipData
     });
   } catch (err) {
     res.status(500).send("Error loading scholarship");
@@ -248,15 +270,13 @@ async function updateScholarshipStatus(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check ownership
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
@@ -265,7 +285,7 @@ async function updateScholarshipStatus(req, res) {
     // If trying to reopen (change from Closed to Open), require admin approval
     if (scholarshipData.status === 'Closed' && status === 'Open') {
       // Set status to Pending Reopen and notify admin
-      await updateDoc(scholarshipRef, {
+      await scholarships.update(scholarshipId, {
         status: 'Pending Reopen',
         reopenRequested: true,
         reopenRequestedAt: new Date().toISOString(),
@@ -286,10 +306,11 @@ async function updateScholarshipStatus(req, res) {
     }
 
     // Sponsor can close their own scholarship directly
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: status,
       updatedAt: new Date().toISOString()
     });
+    updateIndexedScholarship(scholarshipId, { ...scholarshipData, status });
 
     res.redirect("/sponsor/offers");
   } catch (err) {
@@ -306,15 +327,13 @@ async function deleteScholarship(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check ownership
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
@@ -332,13 +351,14 @@ async function deleteScholarship(req, res) {
     }
 
     // Soft delete: update status to Archived instead of deleting
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: 'Archived',
       isArchived: true,
       archivedAt: new Date().toISOString(),
       previousStatus: scholarshipData.status,
       updatedAt: new Date().toISOString()
     });
+    removeIndexedScholarship(scholarshipId);
 
     res.redirect("/sponsor/offers");
   } catch (err) {
@@ -355,15 +375,13 @@ async function restoreScholarship(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check ownership
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
@@ -377,7 +395,7 @@ async function restoreScholarship(req, res) {
     // Restore to previous status or Draft if no previous status
     const restoredStatus = scholarshipData.previousStatus || 'Draft';
 
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: restoredStatus,
       isArchived: false,
       archivedAt: null,
@@ -385,6 +403,7 @@ async function restoreScholarship(req, res) {
       restoredAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     });
+    updateIndexedScholarship(scholarshipId, { ...scholarshipData, status: restoredStatus });
 
     res.json({ success: true, message: "Scholarship restored successfully" });
   } catch (err) {
@@ -401,15 +420,13 @@ async function permanentlyDeleteScholarship(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check ownership
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
@@ -420,7 +437,7 @@ async function permanentlyDeleteScholarship(req, res) {
       return res.status(400).json({ error: "Only archived scholarships can be permanently deleted" });
     }
 
-    await deleteDoc(scholarshipRef);
+    await scholarships.delete(scholarshipId);
 
     res.json({ success: true, message: "Scholarship permanently deleted" });
   } catch (err) {
@@ -438,15 +455,13 @@ async function showEditScholarshipForm(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check ownership
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
@@ -454,7 +469,7 @@ async function showEditScholarshipForm(req, res) {
 
     res.render("sponsor/edit_scholarship", {
       email: req.session.user.email,
-      scholarship: { id: scholarshipDoc.id, ...scholarshipData }
+      scholarship: scholarshipData
     });
   } catch (err) {
     res.status(500).send("Error loading scholarship");
@@ -475,12 +490,15 @@ async function updateScholarship(req, res) {
     organizationName,
     scholarshipType,
     minGPA,
+    minGPAScale,
     eligibleCourses,
     eligibleYearLevels,
     incomeLimit,
     requiredSkills,
     requiredDocuments,
     slotsAvailable,
+    amount,
+    degreeLevel,
     startDate,
     endDate,
     status
@@ -491,16 +509,20 @@ async function updateScholarship(req, res) {
     return res.status(400).send("Please fill in all required fields");
   }
 
+  // Validate GPA in the scale the sponsor chose
+  const gpaValidation = validateGPA(minGPA, minGPAScale || DEFAULT_GRADING_SCALE);
+  if (!gpaValidation.valid) {
+    return res.status(400).send(gpaValidation.error);
+  }
+
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const existingData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!existingData) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const existingData = scholarshipDoc.data();
-
     // Check ownership
     if (existingData.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
@@ -515,6 +537,7 @@ async function updateScholarship(req, res) {
 
       // Qualification Criteria
       minGPA: parseFloat(minGPA),
+      minGPAScale: minGPAScale || DEFAULT_GRADING_SCALE,
       eligibleCourses: eligibleCourses ? eligibleCourses.split(',').map(c => c.trim()) : [],
       eligibleYearLevels: eligibleYearLevels ? eligibleYearLevels.split(',').map(y => y.trim()) : [],
       incomeLimit: incomeLimit ? incomeLimit.trim() : "",
@@ -525,8 +548,9 @@ async function updateScholarship(req, res) {
 
       // Scholarship Capacity
       slotsAvailable: parseInt(slotsAvailable),
-      // Keep existing slotsFilled
-      slotsFilled: existingData.slotsFilled || 0,
+      // slotsFilled is left out so this edit cannot overwrite a concurrent slot change
+      amount: parseAmount(amount),
+      degreeLevel: DEGREE_LEVELS.includes(degreeLevel) ? degreeLevel : "",
 
       // Duration
       startDate: startDate,
@@ -541,8 +565,11 @@ async function updateScholarship(req, res) {
 
 
     // Update the document
-    await updateDoc(scholarshipRef, updatedScholarshipData);
+    await scholarships.update(scholarshipId, updatedScholarshipData);
+    updateIndexedScholarship(scholarshipId, { ...existingData, ...updatedScholarshipData });
 
+    // Drop cached matches that include the old version of this scholarship
+    await getRecommendationCache().invalidateScholarship(scholarshipId);
 
     return res.redirect("/sponsor/offers");
   } catch (err) {
@@ -559,15 +586,13 @@ async function viewScholarshipApplications(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarshipData = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarshipData) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarshipData = scholarshipDoc.data();
-
     // Check ownership
     if (scholarshipData.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
@@ -578,7 +603,7 @@ async function viewScholarshipApplications(req, res) {
 
     res.render("sponsor/applications_list", {
       email: req.session.user.email,
-      scholarship: { id: scholarshipDoc.id, ...scholarshipData }
+      scholarship: scholarshipData
     });
   } catch (err) {
     res.status(500).send("Error loading applications");
@@ -602,43 +627,36 @@ async function createAnnouncement(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
     // Get applications based on audience
-    const applicationsRef = collection(db, "applications");
+    const { applications, announcements, notifications } = getRepositories();
 
     // Get all applications for this scholarship first
-    const allAppsQuery = query(
-      applicationsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const allAppsSnapshot = await getDocs(allAppsQuery);
+    const allApplications = await applications.findApplicationsByScholarship(scholarshipId);
 
     // Filter applications based on audience
     const filteredApps = [];
-    allAppsSnapshot.forEach((doc) => {
-      const app = doc.data();
+    allApplications.forEach((app) => {
       if (audience === 'all') {
         // All applicants except draft and withdrawn
         if (app.status && !['draft', 'withdrawn'].includes(app.status)) {
-          filteredApps.push({ id: doc.id, ...app });
+          filteredApps.push(app);
         }
       } else if (audience === 'grantees') {
         // Only enrolled/accepted/notified/approved students
         if (app.status && ['enrolled', 'accepted', 'notified', 'approved'].includes(app.status)) {
-          filteredApps.push({ id: doc.id, ...app });
+          filteredApps.push(app);
         }
       }
     });
@@ -671,7 +689,7 @@ async function createAnnouncement(req, res) {
       createdAt: new Date().toISOString()
     };
 
-    const announcementRef = await addDoc(collection(db, "announcements"), announcementData);
+    const announcement = await announcements.create(announcementData);
 
     // Send notifications to all targeted students
     let notificationCount = 0;
@@ -692,14 +710,14 @@ async function createAnnouncement(req, res) {
         type: examDate ? "exam_scheduled" : "sponsor_announcement",
         title: notificationTitle,
         message: notificationMessage,
-        relatedId: announcementRef.id,
+        relatedId: announcement.id,
         scholarshipId: scholarshipId,
         scholarshipName: scholarship.scholarshipName,
         read: false,
         createdAt: new Date().toISOString()
       };
 
-      notificationPromises.push(addDoc(collection(db, "notifications"), notificationData));
+      notificationPromises.push(notifications.create(notificationData));
       notificationCount++;
     });
 
@@ -708,7 +726,7 @@ async function createAnnouncement(req, res) {
     res.json({
       success: true,
       message: `Announcement sent to ${notificationCount} student(s)`,
-      announcementId: announcementRef.id
+      announcementId: announcement.id
     });
 
   } catch (error) {
@@ -728,32 +746,20 @@ async function getScholarshipAnnouncements(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
     // Get announcements for this scholarship
-    const announcementsRef = collection(db, "announcements");
-    const announcementsQuery = query(
-      announcementsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const snapshot = await getDocs(announcementsQuery);
-
-    const announcements = [];
-    snapshot.forEach((doc) => {
-      announcements.push({ id: doc.id, ...doc.data() });
-    });
+    const announcements = await getRepositories().announcements.findByScholarship(scholarshipId);
 
     // Sort by createdAt descending
     announcements.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -778,59 +784,29 @@ async function getGranteesReport(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
     }
 
     // Get all grantees (enrolled, accepted, approved) for this scholarship
-    const applicationsRef = collection(db, "applications");
-    const appsQuery = query(
-      applicationsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const appsSnapshot = await getDocs(appsQuery);
-
-    const grantees = [];
-    const studentUids = [];
-
-    appsSnapshot.forEach((doc) => {
-      const app = doc.data();
-      // Only include enrolled, accepted, notified, or approved students
-      if (app.status && ['enrolled', 'accepted', 'notified', 'approved'].includes(app.status)) {
-        grantees.push({ id: doc.id, ...app });
-        if (app.studentUid) {
-          studentUids.push(app.studentUid);
-        }
-      }
-    });
+    const { applications, assessments } = getRepositories();
+    const allApplications = await applications.findApplicationsByScholarship(scholarshipId);
+
+    // Only include enrolled, accepted, notified, or approved students
+    const grantees = allApplications.filter(app =>
+      app.status && ['enrolled', 'accepted', 'notified', 'approved'].includes(app.status));
+    const studentUids = grantees.map(app => app.studentUid).filter(Boolean);
 
     // Get assessment data for each student to get additional details
-    const assessmentsRef = collection(db, "assessments");
-    const assessmentMap = {};
-
-    // Process student UIDs in batches of 30 (Firestore limit)
-    if (studentUids.length > 0) {
-      const batchSize = 30;
-      for (let i = 0; i < studentUids.length; i += batchSize) {
-        const batch = studentUids.slice(i, i + batchSize);
-        const assessQuery = query(assessmentsRef, where("userId", "in", batch));
-        const assessSnapshot = await getDocs(assessQuery);
-        assessSnapshot.forEach((doc) => {
-          const assessment = doc.data();
-          assessmentMap[assessment.userId] = assessment;
-        });
-      }
-    }
+    const assessmentMap = await loadAssessments(assessments, studentUids);
 
     // Combine application data with assessment data
     const granteesWithDetails = grantees.map((grantee, index) => {
@@ -878,57 +854,28 @@ async function exportGranteesReport(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).json({ error: "Unauthorized" });
     }
 
     // Get all grantees for this scholarship
-    const applicationsRef = collection(db, "applications");
-    const appsQuery = query(
-      applicationsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const appsSnapshot = await getDocs(appsQuery);
-
-    const grantees = [];
-    const studentUids = [];
-
-    appsSnapshot.forEach((doc) => {
-      const app = doc.data();
-      if (app.status && ['enrolled', 'accepted', 'notified', 'approved'].includes(app.status)) {
-        grantees.push({ id: doc.id, ...app });
-        if (app.studentUid) {
-          studentUids.push(app.studentUid);
-        }
-      }
-    });
+    const { applications, assessments } = getRepositories();
+    const allApplications = await applications.findApplicationsByScholarship(scholarshipId);
+
+    const grantees = allApplications.filter(app =>
+      app.status && ['enrolled', 'accepted', 'notified', 'approved'].includes(app.status));
+    const studentUids = grantees.map(app => app.studentUid).filter(Boolean);
 
     // Get assessment data
-    const assessmentsRef = collection(db, "assessments");
-    const assessmentMap = {};
-
-    if (studentUids.length > 0) {
-      const batchSize = 30;
-      for (let i = 0; i < studentUids.length; i += batchSize) {
-        const batch = studentUids.slice(i, i + batchSize);
-        const assessQuery = query(assessmentsRef, where("userId", "in", batch));
-        const assessSnapshot = await getDocs(assessQuery);
-        assessSnapshot.forEach((doc) => {
-          const assessment = doc.data();
-          assessmentMap[assessment.userId] = assessment;
-        });
-      }
-    }
+    const assessmentMap = await loadAssessments(assessments, studentUids);
 
     // Build CSV
     const csvHeaders = [
@@ -1001,35 +948,28 @@ async function showAnnouncementPage(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     // Check ownership
     if (scholarship.sponsorUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
     }
 
     // Get application counts for display
-    const applicationsRef = collection(db, "applications");
+    const { applications, announcements: announcementsRepository } = getRepositories();
 
     // Count all applicants (get all and filter in memory to avoid not-in index issues)
-    const allAppsQuery = query(
-      applicationsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const allAppsSnapshot = await getDocs(allAppsQuery);
+    const allApplications = await applications.findApplicationsByScholarship(scholarshipId);
 
     let allApplicantsCount = 0;
     let granteesCount = 0;
 
-    allAppsSnapshot.forEach((doc) => {
-      const app = doc.data();
+    allApplications.forEach((app) => {
       // Count all except draft and withdrawn
       if (app.status && !['draft', 'withdrawn'].includes(app.status)) {
         allApplicantsCount++;
@@ -1041,16 +981,7 @@ async function showAnnouncementPage(req, res) {
     });
 
     // Get existing announcements
-    const announcementsRef = collection(db, "announcements");
-    const announcementsQuery = query(
-      announcementsRef,
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const announcementsSnapshot = await getDocs(announcementsQuery);
-    const announcements = [];
-    announcementsSnapshot.forEach((doc) => {
-      announcements.push({ id: doc.id, ...doc.data() });
-    });
+    const announcements = await announcementsRepository.findByScholarship(scholarshipId);
     announcements.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     res.render("sponsor/announcements", {
@@ -1067,6 +998,93 @@ async function showAnnouncementPage(req, res) {
   }
 }
 
+/**
+ * Get the ranking rubric for a scholarship (API)
+ */
+async function getRankingRubric(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "sponsor") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    // Check ownership
+    if (scholarship.sponsorUid !== req.session.user.uid) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    res.json({
+      success: true,
+      rubric: resolveRubric(scholarship),
+      isDefault: !scholarship.rankingRubric,
+      defaultRubric: DEFAULT_RUBRIC,
+      criteria: Object.keys(RUBRIC_CRITERIA).map(key => ({ key, label: RUBRIC_CRITERIA[key].label })),
+      tieBreakerOptions: [...Object.keys(RUBRIC_CRITERIA), SUBMITTED_AT]
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: "Failed to load ranking rubric" });
+  }
+}
+
+/**
+ * Attach or reset the ranking rubric for a scholarship (API)
+ * Send { reset: true } to go back to the default rubric
+ */
+async function updateRankingRubric(req, res) {
+  const scholarshipId = req.params.id;
+
+  if (!req.session.user || req.session.user.role !== "sponsor") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const reset = req.body.reset === true || req.body.reset === "true";
+  let rubric = null;
+  if (!reset) {
+    const validation = validateRubric(req.body.rubric);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+    rubric = { ...validation.rubric, updatedAt: new Date().toISOString() };
+  }
+
+  try {
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
+
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    // Check ownership
+    if (scholarship.sponsorUid !== req.session.user.uid) {
+      return res.status(403).json({ error: "Unauthorized" });
+    }
+
+    await scholarships.update(scholarshipId, {
+      rankingRubric: rubric,
+      updatedAt: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: reset ? "Ranking rubric reset to default" : "Ranking rubric saved",
+      rubric: rubric || DEFAULT_RUBRIC
+    });
+
+  } catch (error) {
+    res.status(500).json({ error: "Failed to save ranking rubric" });
+  }
+}
+
 module.exports = {
   showAddScholarshipForm,
   addScholarshipOffer,
@@ -1083,5 +1101,7 @@ module.exports = {
   getScholarshipAnnouncements,
   showAnnouncementPage,
   getGranteesReport,
-  exportGranteesReport
+  exportGranteesReport,
+  getRankingRubric,
+  updateRankingRubric
 };
\ No newline at end of file
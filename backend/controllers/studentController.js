@@ -3,21 +3,27 @@
  * Handles student-related operations (search, apply, recommendations, etc.)
  */
 
-const { db } = require("../config/firebaseConfig");
-const {
-  doc,
-  getDoc,
-  setDoc,
-  updateDoc,
-  collection,
-  getDocs,
-  query,
-  where
-} = require("firebase/firestore");
+const { getRepositories } = require("../repositories");
 const { matchStudentToScholarships } = require("../services/gptMatchingService");
+const { buildRecommendationRecords, validateWhatIfOverrides, simulateWhatIf } = require("../services/recommendationService");
+const { getOpenScholarships, saveRecommendations } = require("../services/recommendationRefreshService");
+const { getRecommendationHistory, getRecommendationSnapshot } = require("../services/recommendationHistoryService");
+const { saveFeedback, removeFeedback, getStudentFeedback, getStudentPreferences } = require("../services/recommendationFeedbackService");
+const { validateFeedback, HIDDEN_ACTIONS, NOT_RELEVANT_REASONS } = require("../utils/recommendationPreferences");
+const { diffRecommendationRuns } = require("../utils/recommendationDiff");
+const { findSimilarScholarships, coApplicationCounts } = require("../utils/scholarshipSimilarity");
+const { getCoApplications } = require("../services/coApplicationService");
+const { parseSearchParams, pickSearchQuery, searchScholarships: runScholarshipSearch, SEARCH_SORTS, DEADLINE_WINDOWS, AMOUNT_RANGES } = require("../utils/scholarshipSearch");
+const { parseSkillList } = require("../utils/skillMatcher");
+const { syncScholarshipIndex } = require("../services/scholarshipSearchIndex");
+const { getStudentSavedSearches, getSavedSearch, createSavedSearch, updateSavedSearch, deleteSavedSearch } = require("../services/savedSearchService");
+const { validateSavedSearch, describeSearch, MAX_SAVED_SEARCHES } = require("../utils/savedSearches");
 const { getUserNotifications, getUnreadCount, markAsRead, markAllAsRead } = require("../services/notificationService");
+const { getApplicationHistory } = require("../services/applicationHistoryService");
 const { getPaginationParams, paginateArray, buildPaginationUI, getPaginationInfo } = require("../utils/pagination");
 const { generateScholarshipICS } = require("../utils/icalGenerator");
+const { formatGPA } = require("../utils/gradeScale");
+const { GRADING_SCALES, YEAR_LEVELS, INCOME_RANGES, DEGREE_LEVELS, STATUS_LABELS } = require("../utils/constants");
 const { uploadToCloudinary } = require("../config/cloudinaryConfig");
 const fs = require("fs");
 
@@ -33,26 +39,21 @@ async function showStudentDashboard(req, res) {
 
   try {
     // Run all independent queries in parallel for better performance
-    const assessmentRef = doc(db, "users", studentUid, "assessment", "main");
-    const applicationsRef = collection(db, "applications");
-    const scholarshipsRef = collection(db, "scholarships");
-
-    const appQuery = query(applicationsRef, where("studentUid", "==", studentUid));
-    const scholarshipQuery = query(scholarshipsRef, where("status", "==", "Open"));
+    const { assessments, applications, scholarships } = getRepositories();
 
     const [
-      assessmentDoc,
-      appSnapshot,
-      scholarshipSnapshot,
+      assessment,
+      studentApplications,
+      openScholarships,
       unreadCount
     ] = await Promise.all([
-      getDoc(assessmentRef),
-      getDocs(appQuery),
-      getDocs(scholarshipQuery),
+      assessments.findByStudent(studentUid),
+      applications.findApplicationsByStudent(studentUid),
+      scholarships.findOpenScholarships(),
       getUnreadCount(studentUid)
     ]);
 
-    const hasAssessment = assessmentDoc.exists();
+    const hasAssessment = Boolean(assessment);
 
     let applicationStats = {
       total: 0,
@@ -62,8 +63,7 @@ async function showStudentDashboard(req, res) {
       notSelected: 0
     };
 
-    appSnapshot.forEach(doc => {
-      const app = doc.data();
+    studentApplications.forEach(app => {
       applicationStats.total++;
       if (app.status === "pending" || app.status === "under_review") applicationStats.pending++;
       else if (app.status === "accepted") applicationStats.accepted++;
@@ -71,7 +71,7 @@ async function showStudentDashboard(req, res) {
       else if (app.status === "not_selected") applicationStats.notSelected++;
     });
 
-    const availableScholarships = scholarshipSnapshot.size;
+    const availableScholarships = openScholarships.length;
 
     res.render("student/student_dashboard", {
       email: req.session.user.email,
@@ -95,78 +95,41 @@ async function showStudentDashboard(req, res) {
 }
 
 /**
- * Search scholarships with filters
+ * Search scholarships with filters, facet counts and sort options
+ * Open scholarships are loaded once and searched in utils/scholarshipSearch.
  */
 async function searchScholarships(req, res) {
   if (!req.session.user || req.session.user.role !== "student") {
     return res.redirect("/login");
   }
 
-  const { type, course, minGPA, search } = req.query;
+  const filters = parseSearchParams(req.query);
   const { page, limit } = getPaginationParams(req.query, 9); // 9 items per page (3x3 grid)
   const studentUid = req.session.user.uid;
 
   try {
-    // Get student's applications to check which scholarships they've already applied to
-    const applicationsRef = collection(db, "applications");
-    const applicationsQuery = query(applicationsRef, where("studentUid", "==", studentUid));
-    const applicationsSnapshot = await getDocs(applicationsQuery);
-
-    const appliedScholarshipIds = new Set();
-    applicationsSnapshot.forEach(doc => {
-      appliedScholarshipIds.add(doc.data().scholarshipId);
-    });
-
-    const scholarshipsRef = collection(db, "scholarships");
-    // Use only where clause to avoid composite index requirement
-    let q = query(scholarshipsRef, where("status", "==", "Open"));
-
-    const snapshot = await getDocs(q);
-    let scholarships = [];
-
-    snapshot.forEach(doc => {
-      scholarships.push({ id: doc.id, ...doc.data() });
-    });
-
-    // Sort by createdAt in JavaScript (descending)
-    scholarships.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-
-    // Apply filters (client-side filtering for flexibility)
-    if (type && type !== "all") {
-      scholarships = scholarships.filter(s => s.scholarshipType === type);
-    }
+    const repositories = getRepositories();
 
-    if (course && course !== "all") {
-      scholarships = scholarships.filter(s =>
-        !s.eligibleCourses ||
-        s.eligibleCourses.length === 0 ||
-        s.eligibleCourses.some(c => c.toLowerCase().includes(course.toLowerCase()))
-      );
-    }
+    // Get student's applications to check which scholarships they've already applied to
+    const studentApplications = await repositories.applications.findApplicationsByStudent(studentUid);
+    const appliedScholarshipIds = new Set(studentApplications.map(app => app.scholarshipId));
 
-    if (minGPA) {
-      const gpa = parseFloat(minGPA);
-      scholarships = scholarships.filter(s => parseFloat(s.minGPA) <= gpa);
-    }
+    // Student's assessment powers "eligible for me" and the match score sort
+    const assessment = await repositories.assessments.findByStudent(studentUid);
 
-    if (search) {
-      const searchLower = search.toLowerCase();
-      scholarships = scholarships.filter(s =>
-        s.scholarshipName.toLowerCase().includes(searchLower) ||
-        s.organizationName.toLowerCase().includes(searchLower)
-      );
-    }
+    const allScholarships = await repositories.scholarships.findOpenScholarships();
 
-    // Get unique values for filter dropdowns
-    const allScholarshipsSnapshot = await getDocs(query(scholarshipsRef, where("status", "==", "Open")));
-    const allScholarships = [];
-    allScholarshipsSnapshot.forEach(doc => allScholarships.push(doc.data()));
+    // Text search uses the shared full-text index, brought up to date with what was just loaded
+    const index = syncScholarshipIndex(allScholarships);
+    const { results, total, facets, sort } = runScholarshipSearch(allScholarships, filters, { assessment, index });
 
-    const scholarshipTypes = [...new Set(allScholarships.map(s => s.scholarshipType))];
-    const courses = [...new Set(allScholarships.flatMap(s => s.eligibleCourses || []))];
+    // Filter dropdowns list every value among open scholarships; facets give the counts
+    const scholarshipTypes = [...new Set(allScholarships.map(s => s.scholarshipType).filter(Boolean))].sort();
+    const courses = [...new Set(allScholarships.flatMap(s => s.eligibleCourses || []))].sort();
+    const skills = [...new Set(allScholarships.flatMap(s => parseSkillList(s.requiredSkills)))].sort();
 
     // Mark scholarships that the student has already applied to
-    scholarships = scholarships.map(s => ({
+    const scholarships = results.map(s => ({
       ...s,
       hasApplied: appliedScholarshipIds.has(s.id)
     }));
@@ -175,21 +138,31 @@ async function searchScholarships(req, res) {
     const { data: paginatedScholarships, pagination } = paginateArray(scholarships, page, limit);
 
     // Build pagination UI with current query params preserved
-    const queryParams = { type, course, minGPA, search };
-    // Remove empty params
-    Object.keys(queryParams).forEach(key => {
-      if (!queryParams[key]) delete queryParams[key];
-    });
-    const paginationUI = buildPaginationUI(pagination, '/student/scholarships', queryParams);
+    const searchQuery = pickSearchQuery(req.query);
+    const paginationUI = buildPaginationUI(pagination, '/student/scholarships', searchQuery);
     const paginationInfo = getPaginationInfo(pagination);
 
     res.render("student/search_scholarships", {
       email: req.session.user.email,
       scholarships: paginatedScholarships,
-      totalResults: scholarships.length,
-      filters: { type, course, minGPA, search },
+      totalResults: total,
+      filters: { ...filters, sort },
+      facets,
+      hasAssessment: Boolean(assessment),
+      gradingScales: GRADING_SCALES,
+      formatGPA,
       scholarshipTypes,
       courses,
+      skills,
+      searchOptions: {
+        sorts: SEARCH_SORTS,
+        deadlineWindows: DEADLINE_WINDOWS,
+        amountRanges: AMOUNT_RANGES,
+        yearLevels: YEAR_LEVELS,
+        degreeLevels: DEGREE_LEVELS,
+        incomeRanges: INCOME_RANGES
+      },
+      searchQuery,
       pagination: paginationUI,
       paginationInfo
     });
@@ -199,6 +172,135 @@ async function searchScholarships(req, res) {
   }
 }
 
+/**
+ * Save the current search filters
+ * Body: { name, query: search query parameters, alertsEnabled }
+ */
+async function saveSearch(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const studentUid = req.session.user.uid;
+
+  try {
+    const validation = validateSavedSearch(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const existing = await getStudentSavedSearches(studentUid);
+    if (existing.length >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches. Delete one from your profile first.` });
+    }
+
+    const savedSearch = await createSavedSearch(studentUid, validation.savedSearch);
+    res.json({ success: true, savedSearch: { id: savedSearch.id, name: savedSearch.name } });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to save search. Please try again later." });
+  }
+}
+
+/**
+ * Open a saved search on the search page
+ */
+async function openSavedSearch(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.redirect("/login");
+  }
+
+  try {
+    const savedSearch = await getSavedSearch(req.session.user.uid, req.params.id);
+    if (!savedSearch) {
+      return res.status(404).send("Saved search not found");
+    }
+
+    const params = new URLSearchParams(savedSearch.query || {});
+    res.redirect(`/student/scholarships?${params.toString()}`);
+  } catch (error) {
+    res.status(500).send("Error loading saved search");
+  }
+}
+
+/**
+ * Turn new-match alerts for a saved search on or off
+ * Body: { alertsEnabled }
+ */
+async function setSavedSearchAlerts(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const savedSearch = await getSavedSearch(req.session.user.uid, req.params.id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    const alertsEnabled = req.body.alertsEnabled === true || req.body.alertsEnabled === "true";
+    const changes = { alertsEnabled };
+    // Turning alerts back on should not send a digest for everything that opened while they were off
+    if (alertsEnabled && !savedSearch.alertsEnabled) {
+      changes.lastCheckedAt = new Date().toISOString();
+    }
+    await updateSavedSearch(savedSearch.id, changes);
+
+    res.json({ success: true, alertsEnabled });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to update saved search. Please try again later." });
+  }
+}
+
+/**
+ * Delete a saved search
+ */
+async function removeSavedSearch(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const savedSearch = await getSavedSearch(req.session.user.uid, req.params.id);
+    if (!savedSearch) {
+      return res.status(404).json({ error: "Saved search not found" });
+    }
+
+    await deleteSavedSearch(savedSearch.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to delete saved search. Please try again later." });
+  }
+}
+
+/**
+ * Load the "similar scholarships" and "applicants also applied to" lists
+ * for a scholarship detail page. Both are optional extras, so failures
+ * leave the lists empty instead of breaking the page.
+ * @param {object} scholarship - Scholarship being viewed
+ * @param {string} studentUid - Viewing student (left out of co-application counts)
+ * @returns {Promise<object>} - { similarScholarships, alsoAppliedTo }
+ */
+async function loadRelatedScholarships(scholarship, studentUid) {
+  try {
+    const openScholarships = await getOpenScholarships();
+    const byId = new Map(openScholarships.map(s => [s.id, s]));
+
+    const similarScholarships = findSimilarScholarships(scholarship, openScholarships);
+
+    // Applications of everyone who applied here, to count co-applications
+    const applications = await getCoApplications(scholarship.id);
+
+    // Only list scholarships students can still apply to
+    const alsoAppliedTo = coApplicationCounts(applications, scholarship.id, { excludeStudentUid: studentUid })
+      .filter(item => byId.has(item.scholarshipId))
+      .map(item => ({ scholarship: byId.get(item.scholarshipId), count: item.count }));
+
+    return { similarScholarships, alsoAppliedTo };
+  } catch (error) {
+    return { similarScholarships: [], alsoAppliedTo: [] };
+  }
+}
+
 /**
  * View scholarship details
  */
@@ -210,43 +312,30 @@ async function viewScholarshipDetails(req, res) {
   }
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const repositories = getRepositories();
+    const scholarship = await repositories.scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     // Check if student has already applied
-    const applicationsRef = collection(db, "applications");
-    const appQuery = query(
-      applicationsRef,
-      where("studentUid", "==", req.session.user.uid),
-      where("scholarshipId", "==", scholarshipId)
-    );
-    const appSnapshot = await getDocs(appQuery);
-    const hasApplied = !appSnapshot.empty;
-
-    let existingApplication = null;
-    if (hasApplied) {
-      appSnapshot.forEach(doc => {
-        existingApplication = { id: doc.id, ...doc.data() };
-      });
-    }
+    const existingApplication = await repositories.applications.findStudentApplication(req.session.user.uid, scholarshipId);
+    const hasApplied = Boolean(existingApplication);
 
     // Check if student has completed assessment
-    const assessmentRef = doc(db, "users", req.session.user.uid, "assessment", "main");
-    const assessmentDoc = await getDoc(assessmentRef);
-    const hasAssessment = assessmentDoc.exists();
+    const hasAssessment = Boolean(await repositories.assessments.findByStudent(req.session.user.uid));
+
+    const { similarScholarships, alsoAppliedTo } = await loadRelatedScholarships(scholarship, req.session.user.uid);
 
     res.render("student/scholarship_details", {
       email: req.session.user.email,
       scholarship,
       hasApplied,
       existingApplication,
-      hasAssessment
+      hasAssessment,
+      similarScholarships,
+      alsoAppliedTo
     });
 
   } catch (error) {
@@ -266,25 +355,20 @@ async function showApplyForm(req, res) {
 
   try {
     // Check if student has completed assessment
-    const assessmentRef = doc(db, "users", req.session.user.uid, "assessment", "main");
-    const assessmentDoc = await getDoc(assessmentRef);
+    const repositories = getRepositories();
+    const assessment = await repositories.assessments.findByStudent(req.session.user.uid);
 
-    if (!assessmentDoc.exists()) {
+    if (!assessment) {
       return res.redirect("/student/assessment?redirect=" + scholarshipId);
     }
 
-    const assessment = assessmentDoc.data();
-
     // Get scholarship details
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const scholarship = await repositories.scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).send("Scholarship not found");
     }
 
-    const scholarship = { id: scholarshipDoc.id, ...scholarshipDoc.data() };
-
     if (scholarship.status !== "Open") {
       return res.redirect("/student/scholarships/" + scholarshipId + "?error=closed");
     }
@@ -311,21 +395,16 @@ async function getRecommendations(req, res) {
   const studentUid = req.session.user.uid;
 
   try {
-    // Get student's applications to check which scholarships they've already applied to
-    const applicationsRef = collection(db, "applications");
-    const applicationsQuery = query(applicationsRef, where("studentUid", "==", studentUid));
-    const applicationsSnapshot = await getDocs(applicationsQuery);
+    const repositories = getRepositories();
 
-    const appliedScholarshipIds = new Set();
-    applicationsSnapshot.forEach(doc => {
-      appliedScholarshipIds.add(doc.data().scholarshipId);
-    });
+    // Get student's applications to check which scholarships they've already applied to
+    const studentApplications = await repositories.applications.findApplicationsByStudent(studentUid);
+    const appliedScholarshipIds = new Set(studentApplications.map(app => app.scholarshipId));
 
     // Get student's assessment
-    const assessmentRef = doc(db, "users", studentUid, "assessment", "main");
-    const assessmentDoc = await getDoc(assessmentRef);
+    const assessment = await repositories.assessments.findByStudent(studentUid);
 
-    if (!assessmentDoc.exists()) {
+    if (!assessment) {
       return res.render("student/recommendations", {
         email: req.session.user.email,
         recommendations: [],
@@ -335,55 +414,71 @@ async function getRecommendations(req, res) {
       });
     }
 
-    const assessment = assessmentDoc.data();
-
     // Get saved recommendations from database
-    const recommendationsRef = doc(db, "users", studentUid, "recommendations", "main");
-    const recommendationsDoc = await getDoc(recommendationsRef);
+    const savedData = await repositories.recommendations.findCurrent(studentUid);
 
-    if (!recommendationsDoc.exists()) {
+    if (!savedData) {
       // No saved recommendations yet - show empty state with generate button
       return res.render("student/recommendations", {
         email: req.session.user.email,
         recommendations: [],
         hasAssessment: true,
         lastGenerated: null,
-        assessment
+        assessment,
+        whatIfOptions: { gradingScales: GRADING_SCALES, yearLevels: YEAR_LEVELS, incomeRanges: INCOME_RANGES }
       });
     }
 
-    const savedData = recommendationsDoc.data();
     const savedRecommendations = savedData.recommendations || [];
+    const showHidden = req.query.showHidden === "1";
     const lastGenerated = savedData.generatedAt;
+    const refreshTrigger = savedData.trigger || "manual";
 
     // Get current scholarship data to enrich saved recommendations
-    const scholarshipsRef = collection(db, "scholarships");
-    const snapshot = await getDocs(scholarshipsRef);
+    const allScholarships = await repositories.scholarships.findAll();
 
     const scholarshipsMap = {};
-    snapshot.forEach(doc => {
-      scholarshipsMap[doc.id] = { id: doc.id, ...doc.data() };
+    allScholarships.forEach(scholarship => {
+      scholarshipsMap[scholarship.id] = scholarship;
     });
 
-    // Enhance saved recommendations with current scholarship data and applied status
+    // Student's save / dismiss / not relevant feedback, by scholarship
+    const feedback = await getStudentFeedback(studentUid).catch(() => []);
+    const feedbackMap = new Map(feedback.map(entry => [entry.scholarshipId, entry]));
+
+    // Enhance saved recommendations with current scholarship data, applied status and feedback
     const enhancedRecommendations = savedRecommendations.map(rec => {
       const scholarship = scholarshipsMap[rec.scholarshipId];
+      const entry = feedbackMap.get(rec.scholarshipId);
       return {
         ...rec,
         scholarship,
-        hasApplied: appliedScholarshipIds.has(rec.scholarshipId)
+        hasApplied: appliedScholarshipIds.has(rec.scholarshipId),
+        feedback: entry ? entry.action : null,
+        hidden: Boolean(entry && HIDDEN_ACTIONS.includes(entry.action))
       };
     }).filter(rec => rec.scholarship); // Filter out recommendations for deleted scholarships
 
+    // Dismissed and "not relevant" scholarships are hidden unless asked for
+    const hiddenCount = enhancedRecommendations.filter(rec => rec.hidden).length;
+    const visibleRecommendations = showHidden
+      ? enhancedRecommendations
+      : enhancedRecommendations.filter(rec => !rec.hidden);
+
     // Sort recommendations by match percentage (highest first)
-    enhancedRecommendations.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0));
+    visibleRecommendations.sort((a, b) => (b.matchScore || 0) - (a.matchScore || 0));
 
     res.render("student/recommendations", {
       email: req.session.user.email,
-      recommendations: enhancedRecommendations,
+      recommendations: visibleRecommendations,
       hasAssessment: true,
       lastGenerated,
-      assessment
+      refreshTrigger,
+      hiddenCount,
+      showHidden,
+      notRelevantReasons: NOT_RELEVANT_REASONS,
+      assessment,
+      whatIfOptions: { gradingScales: GRADING_SCALES, yearLevels: YEAR_LEVELS, incomeRanges: INCOME_RANGES }
     });
 
   } catch (error) {
@@ -398,67 +493,176 @@ async function getRecommendations(req, res) {
 }
 
 /**
- * Generate and save AI-powered scholarship recommendations
+ * Save, dismiss or mark a recommendation as not relevant
+ * Body: { action: "saved" | "dismissed" | "not_relevant", reason, note }
  */
-async function generateAndSaveRecommendations(req, res) {
+async function submitRecommendationFeedback(req, res) {
   if (!req.session.user || req.session.user.role !== "student") {
     return res.status(401).json({ error: "Unauthorized" });
   }
 
   const studentUid = req.session.user.uid;
+  const scholarshipId = req.params.scholarshipId;
 
   try {
-    // Get student's assessment
-    const assessmentRef = doc(db, "users", studentUid, "assessment", "main");
-    const assessmentDoc = await getDoc(assessmentRef);
+    const validation = validateFeedback(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const scholarship = await getRepositories().scholarships.findById(scholarshipId);
+    if (!scholarship) {
+      return res.status(404).json({ error: "Scholarship not found" });
+    }
+
+    const entry = await saveFeedback(studentUid, scholarship, validation.feedback);
+
+    res.json({
+      success: true,
+      feedback: entry.action,
+      hidden: HIDDEN_ACTIONS.includes(entry.action)
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to save feedback. Please try again later." });
+  }
+}
+
+/**
+ * Undo feedback on a recommendation (unsave / restore)
+ */
+async function deleteRecommendationFeedback(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    await removeFeedback(req.session.user.uid, req.params.scholarshipId);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to remove feedback. Please try again later." });
+  }
+}
+
+/**
+ * "What-if" simulation: re-score open scholarships with hypothetical
+ * assessment answers using the deterministic matcher. Nothing is saved.
+ * Body: { overrides: { gpa, gradingScale, course, yearLevel, incomeRange, skills, involvement } }
+ */
+async function simulateRecommendations(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const studentUid = req.session.user.uid;
 
-    if (!assessmentDoc.exists()) {
+  try {
+    const assessment = await getRepositories().assessments.findByStudent(studentUid);
+
+    if (!assessment) {
       return res.status(400).json({ error: "Please complete your assessment first." });
     }
 
-    const assessment = assessmentDoc.data();
+    const validation = validateWhatIfOverrides(assessment, req.body.overrides);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
 
-    // Get all open scholarships
-    const scholarshipsRef = collection(db, "scholarships");
-    const q = query(scholarshipsRef, where("status", "==", "Open"));
-    const snapshot = await getDocs(q);
+    const scholarships = await getOpenScholarships();
+    const simulation = simulateWhatIf(assessment, validation.overrides, scholarships);
 
-    const scholarships = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      // Only include scholarships with available slots
-      if ((data.slotsAvailable - (data.slotsFilled || 0)) > 0) {
-        scholarships.push({ id: doc.id, ...data });
-      }
+    res.json({
+      success: true,
+      overrides: validation.overrides,
+      results: simulation.results,
+      summary: simulation.summary
     });
+  } catch (error) {
+    res.status(500).json({ error: "Failed to run the simulation. Please try again later." });
+  }
+}
+
+/**
+ * Compare two saved recommendation runs
+ * Query: ?from=<runId>&to=<runId> (defaults to the two most recent runs)
+ */
+async function getRecommendationHistoryView(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.redirect("/login");
+  }
+
+  const studentUid = req.session.user.uid;
+
+  try {
+    const runs = await getRecommendationHistory(studentUid);
+
+    // Runs outside the listed history are loaded on demand
+    const findRun = async runId => runs.find(run => run.id === runId) || await getRecommendationSnapshot(studentUid, runId);
+    const toRun = req.query.to ? await findRun(req.query.to) : runs[0] || null;
+    const fromRun = req.query.from
+      ? await findRun(req.query.from)
+      : runs.find(run => toRun && run.version < toRun.version) || null;
+
+    const diff = fromRun && toRun ? diffRecommendationRuns(fromRun, toRun) : null;
+
+    res.render("student/recommendation_history", {
+      email: req.session.user.email,
+      runs,
+      fromRun,
+      toRun,
+      diff
+    });
+  } catch (error) {
+    res.render("student/recommendation_history", {
+      email: req.session.user.email,
+      runs: [],
+      fromRun: null,
+      toRun: null,
+      diff: null,
+      error: "Error loading recommendation history. Please try again later."
+    });
+  }
+}
+
+/**
+ * Generate and save AI-powered scholarship recommendations
+ */
+async function generateAndSaveRecommendations(req, res) {
+  if (!req.session.user || req.session.user.role !== "student") {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const studentUid = req.session.user.uid;
+
+  try {
+    // Get student's assessment
+    const assessment = await getRepositories().assessments.findByStudent(studentUid);
+
+    if (!assessment) {
+      return res.status(400).json({ error: "Please complete your assessment first." });
+    }
+
+    // Get all open scholarships with available slots
+    const scholarships = await getOpenScholarships();
 
     if (scholarships.length === 0) {
       return res.status(400).json({ error: "No scholarships are currently available." });
     }
 
 
-    // Get GPT recommendations - personalized for this specific student (with caching)
-    const recommendations = await matchStudentToScholarships(assessment, scholarships, studentUid);
+    // Get GPT recommendations - personalized for this specific student (with caching);
+    // problems in the AI replies are saved with the run
+    let validationIssues = [];
+    const matches = await matchStudentToScholarships(assessment, scholarships, studentUid, {
+      onValidationIssues: issues => { validationIssues = issues; }
+    });
 
-    // Sort recommendations by matchScore (highest to lowest)
-    recommendations.sort((a, b) => b.matchScore - a.matchScore);
+    // Store one record shape with a score breakdown whichever engine answered,
+    // nudged by the student's earlier feedback (sorted by matchScore, highest to lowest)
+    const preferences = await getStudentPreferences(studentUid);
+    const recommendations = buildRecommendationRecords(assessment, scholarships, matches, preferences);
 
     // Save recommendations to database (each student has their own recommendations)
-    const recommendationsRef = doc(db, "users", studentUid, "recommendations", "main");
-    await setDoc(recommendationsRef, {
-      recommendations: recommendations,
-      generatedAt: new Date().toISOString(),
-      studentName: assessment.fullName,
-      assessmentSnapshot: {
-        fullName: assessment.fullName,
-        gpa: assessment.gpa,
-        course: assessment.course,
-        yearLevel: assessment.yearLevel,
-        incomeRange: assessment.incomeRange,
-        scholarshipType: assessment.scholarshipType
-      }
-    });
-
+    await saveRecommendations(studentUid, assessment, recommendations, "manual", validationIssues);
 
     res.json({
       success: true,
@@ -483,18 +687,7 @@ async function getMyApplications(req, res) {
   const { page, limit } = getPaginationParams(req.query, 10);
 
   try {
-    const applicationsRef = collection(db, "applications");
-    // Use only where clause to avoid composite index requirement
-    const q = query(
-      applicationsRef,
-      where("studentUid", "==", studentUid)
-    );
-    const snapshot = await getDocs(q);
-
-    const applications = [];
-    snapshot.forEach(doc => {
-      applications.push({ id: doc.id, ...doc.data() });
-    });
+    const applications = await getRepositories().applications.findApplicationsByStudent(studentUid);
 
     // Sort by createdAt in JavaScript (descending)
     applications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -537,31 +730,28 @@ async function viewApplicationDetails(req, res) {
   }
 
   try {
-    const applicationRef = doc(db, "applications", applicationId);
-    const applicationDoc = await getDoc(applicationRef);
+    const repositories = getRepositories();
+    const application = await repositories.applications.findById(applicationId);
 
-    if (!applicationDoc.exists()) {
+    if (!application) {
       return res.status(404).send("Application not found");
     }
 
-    const application = { id: applicationDoc.id, ...applicationDoc.data() };
-
     // Check ownership
     if (application.studentUid !== req.session.user.uid) {
       return res.status(403).send("Unauthorized");
     }
 
     // Get scholarship details
-    const scholarshipRef = doc(db, "scholarships", application.scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
-    const scholarship = scholarshipDoc.exists()
-      ? { id: scholarshipDoc.id, ...scholarshipDoc.data() }
-      : null;
+    const scholarship = await repositories.scholarships.findById(application.scholarshipId);
+    const history = await getApplicationHistory(applicationId);
 
     res.render("student/application_details", {
       email: req.session.user.email,
       application,
-      scholarship
+      scholarship,
+      history,
+      statusLabels: STATUS_LABELS
     });
 
   } catch (error) {
@@ -636,14 +826,16 @@ async function getProfile(req, res) {
 
   try {
     // Get user data
-    const userRef = doc(db, "users", studentUid);
-    const userDoc = await getDoc(userRef);
-    const user = userDoc.exists() ? userDoc.data() : {};
+    const repositories = getRepositories();
+    const user = await repositories.users.findById(studentUid) || {};
 
     // Get assessment data
-    const assessmentRef = doc(db, "users", studentUid, "assessment", "main");
-    const assessmentDoc = await getDoc(assessmentRef);
-    const assessment = assessmentDoc.exists() ? assessmentDoc.data() : null;
+    const assessment = await repositories.assessments.findByStudent(studentUid);
+
+    // Saved searches are managed from the profile; a failure only hides the list
+    const savedSearches = await getStudentSavedSearches(studentUid)
+      .then(searches => searches.map(search => ({ ...search, summary: describeSearch(search.query || {}) })))
+      .catch(() => []);
 
     // Pass Firebase config for credential linking (Google-only users)
     const firebaseConfig = {
@@ -656,6 +848,7 @@ async function getProfile(req, res) {
       email: req.session.user.email,
       user,
       assessment,
+      savedSearches,
       firebaseConfig
     });
 
@@ -680,8 +873,7 @@ async function updateProfile(req, res) {
   }
 
   try {
-    const userRef = doc(db, "users", studentUid);
-    await updateDoc(userRef, {
+    await getRepositories().users.update(studentUid, {
       fullName: fullName.trim(),
       updatedAt: new Date().toISOString()
     });
@@ -721,8 +913,7 @@ async function uploadAvatar(req, res) {
       if (err) console.error('Error deleting temp file:', err);
     });
 
-    const userRef = doc(db, "users", studentUid);
-    await updateDoc(userRef, {
+    await getRepositories().users.update(studentUid, {
       profilePicture: profilePictureUrl,
       updatedAt: new Date().toISOString()
     });
@@ -749,15 +940,12 @@ async function downloadScholarshipCalendar(req, res) {
   const scholarshipId = req.params.id;
 
   try {
-    const scholarshipRef = doc(db, "scholarships", scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const scholarship = await getRepositories().scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: "Scholarship not found" });
     }
 
-    const scholarship = { id: scholarshipId, ...scholarshipDoc.data() };
-
     // Generate iCal content
     const icsContent = generateScholarshipICS(scholarship, {
       includeReminder: true,
@@ -784,6 +972,14 @@ module.exports = {
   showApplyForm,
   getRecommendations,
   generateAndSaveRecommendations,
+  getRecommendationHistoryView,
+  simulateRecommendations,
+  submitRecommendationFeedback,
+  deleteRecommendationFeedback,
+  saveSearch,
+  openSavedSearch,
+  setSavedSearchAlerts,
+  removeSavedSearch,
   getMyApplications,
   viewApplicationDetails,
   getNotifications,
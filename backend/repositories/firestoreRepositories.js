@@ -0,0 +1,320 @@
+/**
+ * Firestore repositories
+ * Production implementation of the data access layer (see repositories/index.js)
+ * on top of the Firebase client SDK. Every method returns plain objects with
+ * the document ID as `id` (assessments and current recommendations, which are
+ * one document per student, are returned without one).
+ */
+
+const {
+  doc,
+  getDoc,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  runTransaction
+} = require("firebase/firestore");
+const { chunk } = require("../utils/helpers");
+
+// Firestore allows at most 30 values in an "in" filter
+const IN_QUERY_LIMIT = 30;
+
+/**
+ * Read a document snapshot as { id, ...data }
+ * @param {object} snapshot - DocumentSnapshot
+ * @returns {object|null}
+ */
+function fromSnapshot(snapshot) {
+  return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+}
+
+/**
+ * Read every document of a query snapshot
+ * @param {object} snapshot - QuerySnapshot
+ * @returns {array}
+ */
+function fromQuery(snapshot) {
+  const documents = [];
+  snapshot.forEach(document => documents.push({ id: document.id, ...document.data() }));
+  return documents;
+}
+
+/**
+ * Build Firestore-backed repositories
+ * @param {object} db - Firestore instance
+ * @returns {object} - { runTransaction, users, assessments, scholarships, applications, notifications,
+ *   announcements, recommendations, feedback, savedSearches }
+ */
+function createFirestoreRepositories(db) {
+  /**
+   * Generic helpers for a top-level collection
+   * @param {string} name - Collection name
+   */
+  const collectionHelpers = name => ({
+    async findById(id) {
+      return fromSnapshot(await getDoc(doc(db, name, id)));
+    },
+    async findWhere(...filters) {
+      const q = query(collection(db, name), ...filters.map(([field, op, value]) => where(field, op, value)));
+      return fromQuery(await getDocs(q));
+    },
+    async create(data) {
+      const ref = await addDoc(collection(db, name), data);
+      return { id: ref.id, ...data };
+    },
+    async update(id, changes) {
+      await updateDoc(doc(db, name, id), changes);
+    },
+    async delete(id) {
+      await deleteDoc(doc(db, name, id));
+    }
+  });
+
+  const usersCollection = collectionHelpers("users");
+  const users = {
+    findById: usersCollection.findById,
+    async findAll() {
+      return fromQuery(await getDocs(collection(db, "users")));
+    },
+    async findByRole(role, filters = {}) {
+      const extra = Object.keys(filters).map(field => [field, "==", filters[field]]);
+      return usersCollection.findWhere(["role", "==", role], ...extra);
+    },
+    async update(uid, changes) {
+      // merge: true keeps existing fields and creates the document if missing
+      await setDoc(doc(db, "users", uid), changes, { merge: true });
+    }
+  };
+
+  const assessments = {
+    async findByStudent(studentUid) {
+      const snapshot = await getDoc(doc(db, "users", studentUid, "assessment", "main"));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+    async save(studentUid, assessment) {
+      await setDoc(doc(db, "users", studentUid, "assessment", "main"), assessment);
+    }
+  };
+
+  const scholarshipsCollection = collectionHelpers("scholarships");
+  const scholarships = {
+    findById: scholarshipsCollection.findById,
+    async findAll() {
+      return fromQuery(await getDocs(collection(db, "scholarships")));
+    },
+    async findByStatus(status) {
+      // An array matches any of the statuses
+      return scholarshipsCollection.findWhere(["status", Array.isArray(status) ? "in" : "==", status]);
+    },
+    async findOpenScholarships(options = {}) {
+      const open = await scholarshipsCollection.findWhere(["status", "==", "Open"]);
+      if (!options.withAvailableSlots) return open;
+      return open.filter(s => (s.slotsAvailable - (s.slotsFilled || 0)) > 0);
+    },
+    async findBySponsor(sponsorUid) {
+      return scholarshipsCollection.findWhere(["sponsorUid", "==", sponsorUid]);
+    },
+    create: scholarshipsCollection.create,
+    update: scholarshipsCollection.update,
+    delete: scholarshipsCollection.delete
+  };
+
+  const applicationsCollection = collectionHelpers("applications");
+  const historyCollection = applicationId => `applications/${applicationId}/statusHistory`;
+  const applications = {
+    findById: applicationsCollection.findById,
+    async findAll() {
+      return fromQuery(await getDocs(collection(db, "applications")));
+    },
+    async findApplicationsByStudent(studentUid) {
+      return applicationsCollection.findWhere(["studentUid", "==", studentUid]);
+    },
+    async findApplicationsByStudents(studentUids) {
+      const batches = await Promise.all(chunk(studentUids, IN_QUERY_LIMIT)
+        .map(uids => applicationsCollection.findWhere(["studentUid", "in", uids])));
+      return batches.flat();
+    },
+    async findApplicationsByScholarship(scholarshipId) {
+      return applicationsCollection.findWhere(["scholarshipId", "==", scholarshipId]);
+    },
+    async findApplicationsByScholarships(scholarshipIds) {
+      const batches = await Promise.all(chunk(scholarshipIds, IN_QUERY_LIMIT)
+        .map(ids => applicationsCollection.findWhere(["scholarshipId", "in", ids])));
+      return batches.flat();
+    },
+    async findStudentApplication(studentUid, scholarshipId) {
+      const matches = await applicationsCollection.findWhere(
+        ["studentUid", "==", studentUid],
+        ["scholarshipId", "==", scholarshipId]
+      );
+      return matches[0] || null;
+    },
+    async findAcceptedByStudent(studentUid) {
+      const matches = await applicationsCollection.findWhere(
+        ["studentUid", "==", studentUid],
+        ["studentAccepted", "==", true]
+      );
+      return matches[0] || null;
+    },
+    async findOffersExpiringBefore(isoDate) {
+      return applicationsCollection.findWhere(["offerExpiresAt", "<=", isoDate]);
+    },
+    // Status history is append-only: entries are added inside status transactions
+    historyCollection,
+    async findHistory(applicationId) {
+      const historyRef = collection(db, historyCollection(applicationId));
+      return fromQuery(await getDocs(query(historyRef, orderBy("createdAt", "asc"))));
+    },
+    create: applicationsCollection.create,
+    update: applicationsCollection.update,
+    delete: applicationsCollection.delete
+  };
+
+  const notificationsCollection = collectionHelpers("notifications");
+  const notifications = {
+    findById: notificationsCollection.findById,
+    async findByUser(userId) {
+      return notificationsCollection.findWhere(["userId", "==", userId]);
+    },
+    async findUnreadByUser(userId) {
+      return notificationsCollection.findWhere(["userId", "==", userId], ["read", "==", false]);
+    },
+    create: notificationsCollection.create,
+    update: notificationsCollection.update,
+    delete: notificationsCollection.delete
+  };
+
+  const announcementsCollection = collectionHelpers("announcements");
+  const announcements = {
+    async findByScholarship(scholarshipId) {
+      return announcementsCollection.findWhere(["scholarshipId", "==", scholarshipId]);
+    },
+    create: announcementsCollection.create
+  };
+
+  const recommendations = {
+    async findCurrent(studentUid) {
+      const snapshot = await getDoc(doc(db, "users", studentUid, "recommendations", "main"));
+      return snapshot.exists() ? snapshot.data() : null;
+    },
+    async saveCurrent(studentUid, data) {
+      await setDoc(doc(db, "users", studentUid, "recommendations", "main"), data);
+    },
+    async saveRun(studentUid, prepare) {
+      const currentRef = doc(db, "users", studentUid, "recommendations", "main");
+      return runTransaction(db, async transaction => {
+        const existing = await transaction.get(currentRef);
+        const { current, snapshot } = prepare(existing.exists() ? existing.data() : null);
+
+        transaction.set(currentRef, current);
+        let snapshotId = null;
+        if (snapshot) {
+          const snapshotRef = doc(collection(db, "users", studentUid, "recommendationHistory"));
+          transaction.set(snapshotRef, snapshot);
+          snapshotId = snapshotRef.id;
+        }
+        return { current, snapshotId };
+      });
+    },
+    async addSnapshot(studentUid, snapshot) {
+      const ref = await addDoc(collection(db, "users", studentUid, "recommendationHistory"), snapshot);
+      return ref.id;
+    },
+    async deleteSnapshotsAfter(studentUid, keepCount) {
+      const historyRef = collection(db, "users", studentUid, "recommendationHistory");
+      const stale = fromQuery(await getDocs(query(historyRef, orderBy("version", "desc")))).slice(keepCount);
+      await Promise.all(stale.map(snapshot =>
+        deleteDoc(doc(db, "users", studentUid, "recommendationHistory", snapshot.id))));
+      return stale.length;
+    },
+    async findSnapshots(studentUid, limitCount) {
+      const historyRef = collection(db, "users", studentUid, "recommendationHistory");
+      return fromQuery(await getDocs(query(historyRef, orderBy("version", "desc"), limit(limitCount))));
+    },
+    async findSnapshot(studentUid, snapshotId) {
+      return fromSnapshot(await getDoc(doc(db, "users", studentUid, "recommendationHistory", snapshotId)));
+    }
+  };
+
+  // One document per student and scholarship
+  const feedbackId = (studentUid, scholarshipId) => `${studentUid}_${scholarshipId}`;
+  const feedbackCollection = collectionHelpers("recommendationFeedback");
+  const feedback = {
+    async save(studentUid, scholarshipId, entry) {
+      await setDoc(doc(db, "recommendationFeedback", feedbackId(studentUid, scholarshipId)), entry);
+    },
+    async remove(studentUid, scholarshipId) {
+      await feedbackCollection.delete(feedbackId(studentUid, scholarshipId));
+    },
+    async findByStudent(studentUid) {
+      return feedbackCollection.findWhere(["studentUid", "==", studentUid]);
+    },
+    async findByAction(action) {
+      return feedbackCollection.findWhere(["action", "==", action]);
+    }
+  };
+
+  const savedSearchesCollection = collectionHelpers("savedSearches");
+  const savedSearches = {
+    findById: savedSearchesCollection.findById,
+    async findByStudent(studentUid) {
+      return savedSearchesCollection.findWhere(["studentUid", "==", studentUid]);
+    },
+    async findAlerting() {
+      return savedSearchesCollection.findWhere(["alertsEnabled", "==", true]);
+    },
+    create: savedSearchesCollection.create,
+    update: savedSearchesCollection.update,
+    delete: savedSearchesCollection.delete
+  };
+
+  /**
+   * Run `work` in a Firestore transaction
+   * Reads go through the transaction so Firestore retries `work` when a read
+   * document changes before commit. All reads must come before any write.
+   * @param {function} work - async (transaction) => result, where transaction
+   *   has get(collection, id), create(collection, data) => id, update(collection, id, changes)
+   *   and delete(collection, id); `collection` may be a subcollection path like "applications/{id}/statusHistory"
+   * @returns {Promise<*>} - Result of `work`
+   */
+  const transact = work => runTransaction(db, async transaction => work({
+    async get(name, id) {
+      return fromSnapshot(await transaction.get(doc(db, name, id)));
+    },
+    create(name, data) {
+      const ref = doc(collection(db, name));
+      transaction.set(ref, data);
+      return ref.id;
+    },
+    update(name, id, changes) {
+      transaction.update(doc(db, name, id), changes);
+    },
+    delete(name, id) {
+      transaction.delete(doc(db, name, id));
+    }
+  }));
+
+  return {
+    runTransaction: transact,
+    users,
+    assessments,
+    scholarships,
+    applications,
+    notifications,
+    announcements,
+    recommendations,
+    feedback,
+    savedSearches
+  };
+}
+
+module.exports = {
+  createFirestoreRepositories
+};
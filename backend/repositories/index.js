@@ -0,0 +1,59 @@
+/**
+ * Repositories
+ * Data access layer between controllers/services and the database. Code asks
+ * for `getRepositories()` instead of importing firebase/firestore, so tests can
+ * swap in the in-memory implementation with `setRepositories()`.
+ *
+ * runTransaction(async transaction => ...) runs reads and writes on top-level
+ * collections atomically: transaction.get(collection, id), create(collection,
+ * data) => id, update(collection, id, changes), delete(collection, id).
+ * create() also takes a subcollection path, e.g. applications.historyCollection(id).
+ *
+ * Repositories (all methods async; documents come back as { id, ...data }):
+ *   users          findById, findAll, findByRole(role, equalityFilters), update (merges)
+ *   assessments    findByStudent, save                       (users/{uid}/assessment/main)
+ *   scholarships   findById, findAll, findByStatus(status or [statuses]), findOpenScholarships({ withAvailableSlots }),
+ *                  findBySponsor, create, update, delete
+ *   applications   findById, findAll, findApplicationsByStudent, findApplicationsByStudents,
+ *                  findApplicationsByScholarship, findApplicationsByScholarships, findStudentApplication,
+ *                  findAcceptedByStudent, findOffersExpiringBefore(isoDate), findHistory (oldest first), historyCollection(id) => path,
+ *                  create, update, delete          (history: applications/{id}/statusHistory)
+ *   notifications  findById, findByUser, findUnreadByUser, create, update, delete
+ *   announcements  findByScholarship, create
+ *   recommendations findCurrent, saveCurrent, saveRun(uid, prepare) (reads the current run and writes it with
+ *                  its snapshot in one transaction), addSnapshot, findSnapshots, findSnapshot, deleteSnapshotsAfter(uid, keepCount)
+ *   feedback       save, remove, findByStudent, findByAction  (recommendationFeedback)
+ *   savedSearches  findById, findByStudent, findAlerting, create, update, delete
+ */
+
+const { createMemoryRepositories } = require("./memoryRepositories");
+
+let activeRepositories = null;
+
+/**
+ * Get the active repositories (Firestore on first use)
+ * @returns {object}
+ */
+function getRepositories() {
+  if (!activeRepositories) {
+    // Loaded lazily so tests using the in-memory store never initialize Firebase
+    const { db } = require("../config/firebaseConfig");
+    const { createFirestoreRepositories } = require("./firestoreRepositories");
+    activeRepositories = createFirestoreRepositories(db);
+  }
+  return activeRepositories;
+}
+
+/**
+ * Replace the active repositories (tests, scripts)
+ * @param {object|null} repositories - Repositories, or null to go back to Firestore
+ */
+function setRepositories(repositories) {
+  activeRepositories = repositories;
+}
+
+module.exports = {
+  getRepositories,
+  setRepositories,
+  createMemoryRepositories
+};
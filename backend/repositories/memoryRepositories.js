@@ -0,0 +1,329 @@
+/**
+ * In-memory repositories
+ * Same interface as the Firestore repositories, backed by Maps, for unit and
+ * integration tests that run offline. Documents are copied on the way in and
+ * out so callers cannot change stored data by mutating results. Like
+ * Firestore's updateDoc, update() fails when the document does not exist.
+ */
+
+/**
+ * Copy a stored value so callers never share references with the store
+ * @param {*} value
+ * @returns {*}
+ */
+function copy(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+/**
+ * Build in-memory repositories
+ * @param {object} seed - Initial data:
+ *   { users, scholarships, applications, notifications, announcements, feedback, savedSearches: [{ id, ...data }],
+ *     assessments, recommendations: { [studentUid]: data } }
+ * @returns {object} - Same repositories as createFirestoreRepositories, plus dump() for assertions.
+ *   runTransaction covers the tables with document IDs (users, scholarships, applications, ...) and
+ *   subcollections such as applications/{id}/statusHistory, which it creates on first write.
+ */
+function createMemoryRepositories(seed = {}) {
+  let nextId = 1;
+  const tables = {};
+
+  /**
+   * A table of documents keyed by ID
+   * @param {string} name
+   * @param {array} rows - Seed documents with an `id`
+   */
+  const table = (name, rows = []) => {
+    const store = new Map(rows.map(({ id, ...data }) => [id, copy(data)]));
+    tables[name] = store;
+
+    return {
+      store,
+      async findById(id) {
+        return store.has(id) ? { id, ...copy(store.get(id)) } : null;
+      },
+      async findWhere(predicate) {
+        return [...store.entries()]
+          .filter(([id, data]) => predicate({ id, ...data }))
+          .map(([id, data]) => ({ id, ...copy(data) }));
+      },
+      async create(data) {
+        const id = `${name}-${nextId++}`;
+        store.set(id, copy(data));
+        return { id, ...copy(data) };
+      },
+      async set(id, data) {
+        store.set(id, copy(data));
+      },
+      async update(id, changes) {
+        if (!store.has(id)) {
+          throw new Error(`No document to update: ${name}/${id}`);
+        }
+        store.set(id, { ...store.get(id), ...copy(changes) });
+      },
+      async delete(id) {
+        store.delete(id);
+      }
+    };
+  };
+
+  const usersTable = table("users", seed.users);
+  const users = {
+    findById: usersTable.findById,
+    async findAll() {
+      return usersTable.findWhere(() => true);
+    },
+    async findByRole(role, filters = {}) {
+      return usersTable.findWhere(user =>
+        user.role === role && Object.keys(filters).every(field => user[field] === filters[field]));
+    },
+    async update(uid, changes) {
+      const existing = usersTable.store.get(uid) || {};
+      await usersTable.set(uid, { ...existing, ...changes });
+    }
+  };
+
+  const assessmentStore = new Map(Object.entries(copy(seed.assessments || {})));
+  tables.assessments = assessmentStore;
+  const assessments = {
+    async findByStudent(studentUid) {
+      return assessmentStore.has(studentUid) ? copy(assessmentStore.get(studentUid)) : null;
+    },
+    async save(studentUid, assessment) {
+      assessmentStore.set(studentUid, copy(assessment));
+    }
+  };
+
+  const scholarshipsTable = table("scholarships", seed.scholarships);
+  const scholarships = {
+    findById: scholarshipsTable.findById,
+    async findAll() {
+      return scholarshipsTable.findWhere(() => true);
+    },
+    async findByStatus(status) {
+      const statuses = Array.isArray(status) ? status : [status];
+      return scholarshipsTable.findWhere(s => statuses.includes(s.status));
+    },
+    async findOpenScholarships(options = {}) {
+      return scholarshipsTable.findWhere(s => s.status === "Open" &&
+        (!options.withAvailableSlots || (s.slotsAvailable - (s.slotsFilled || 0)) > 0));
+    },
+    async findBySponsor(sponsorUid) {
+      return scholarshipsTable.findWhere(s => s.sponsorUid === sponsorUid);
+    },
+    create: scholarshipsTable.create,
+    update: scholarshipsTable.update,
+    delete: scholarshipsTable.delete
+  };
+
+  const applicationsTable = table("applications", seed.applications);
+  const historyCollection = applicationId => `applications/${applicationId}/statusHistory`;
+  const applications = {
+    findById: applicationsTable.findById,
+    async findAll() {
+      return applicationsTable.findWhere(() => true);
+    },
+    async findApplicationsByStudent(studentUid) {
+      return applicationsTable.findWhere(a => a.studentUid === studentUid);
+    },
+    async findApplicationsByStudents(studentUids) {
+      const uids = new Set(studentUids);
+      return applicationsTable.findWhere(a => uids.has(a.studentUid));
+    },
+    async findApplicationsByScholarship(scholarshipId) {
+      return applicationsTable.findWhere(a => a.scholarshipId === scholarshipId);
+    },
+    async findApplicationsByScholarships(scholarshipIds) {
+      const ids = new Set(scholarshipIds);
+      return applicationsTable.findWhere(a => ids.has(a.scholarshipId));
+    },
+    async findStudentApplication(studentUid, scholarshipId) {
+      const matches = await applicationsTable.findWhere(a => a.studentUid === studentUid && a.scholarshipId === scholarshipId);
+      return matches[0] || null;
+    },
+    async findAcceptedByStudent(studentUid) {
+      const matches = await applicationsTable.findWhere(a => a.studentUid === studentUid && a.studentAccepted === true);
+      return matches[0] || null;
+    },
+    async findOffersExpiringBefore(isoDate) {
+      return applicationsTable.findWhere(a => Boolean(a.offerExpiresAt) && a.offerExpiresAt <= isoDate);
+    },
+    historyCollection,
+    async findHistory(applicationId) {
+      const entries = tables[historyCollection(applicationId)] || new Map();
+      return [...entries.entries()]
+        .map(([id, data]) => ({ id, ...copy(data) }))
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+    create: applicationsTable.create,
+    update: applicationsTable.update,
+    delete: applicationsTable.delete
+  };
+
+  const notificationsTable = table("notifications", seed.notifications);
+  const notifications = {
+    findById: notificationsTable.findById,
+    async findByUser(userId) {
+      return notificationsTable.findWhere(n => n.userId === userId);
+    },
+    async findUnreadByUser(userId) {
+      return notificationsTable.findWhere(n => n.userId === userId && n.read === false);
+    },
+    create: notificationsTable.create,
+    update: notificationsTable.update,
+    delete: notificationsTable.delete
+  };
+
+  const announcementsTable = table("announcements", seed.announcements);
+  const announcements = {
+    async findByScholarship(scholarshipId) {
+      return announcementsTable.findWhere(a => a.scholarshipId === scholarshipId);
+    },
+    create: announcementsTable.create
+  };
+
+  const currentRecommendations = new Map(Object.entries(copy(seed.recommendations || {})));
+  const history = new Map();
+  tables.recommendations = currentRecommendations;
+  tables.recommendationHistory = history;
+  const recommendations = {
+    async findCurrent(studentUid) {
+      return currentRecommendations.has(studentUid) ? copy(currentRecommendations.get(studentUid)) : null;
+    },
+    async saveCurrent(studentUid, data) {
+      currentRecommendations.set(studentUid, copy(data));
+    },
+    async saveRun(studentUid, prepare) {
+      // Queued with the other transactions, so concurrent runs read each other's writes
+      return runTransaction(async () => {
+        const existing = currentRecommendations.has(studentUid) ? copy(currentRecommendations.get(studentUid)) : null;
+        const { current, snapshot } = prepare(existing);
+
+        currentRecommendations.set(studentUid, copy(current));
+        const snapshotId = snapshot ? await recommendations.addSnapshot(studentUid, snapshot) : null;
+        return { current: copy(current), snapshotId };
+      });
+    },
+    async addSnapshot(studentUid, snapshot) {
+      if (!history.has(studentUid)) history.set(studentUid, new Map());
+      const id = `recommendationHistory-${nextId++}`;
+      history.get(studentUid).set(id, copy(snapshot));
+      return id;
+    },
+    async deleteSnapshotsAfter(studentUid, keepCount) {
+      const runs = history.get(studentUid) || new Map();
+      const stale = [...runs.entries()]
+        .sort(([, a], [, b]) => b.version - a.version)
+        .slice(keepCount);
+      stale.forEach(([id]) => runs.delete(id));
+      return stale.length;
+    },
+    async findSnapshots(studentUid, limitCount) {
+      return [...(history.get(studentUid) || new Map()).entries()]
+        .map(([id, data]) => ({ id, ...copy(data) }))
+        .sort((a, b) => b.version - a.version)
+        .slice(0, limitCount);
+    },
+    async findSnapshot(studentUid, snapshotId) {
+      const runs = history.get(studentUid);
+      return runs && runs.has(snapshotId) ? { id: snapshotId, ...copy(runs.get(snapshotId)) } : null;
+    }
+  };
+
+  const feedbackTable = table("feedback", seed.feedback);
+  const feedbackId = (studentUid, scholarshipId) => `${studentUid}_${scholarshipId}`;
+  const feedback = {
+    async save(studentUid, scholarshipId, entry) {
+      await feedbackTable.set(feedbackId(studentUid, scholarshipId), entry);
+    },
+    async remove(studentUid, scholarshipId) {
+      await feedbackTable.delete(feedbackId(studentUid, scholarshipId));
+    },
+    async findByStudent(studentUid) {
+      return feedbackTable.findWhere(entry => entry.studentUid === studentUid);
+    },
+    async findByAction(action) {
+      return feedbackTable.findWhere(entry => entry.action === action);
+    }
+  };
+
+  const savedSearchesTable = table("savedSearches", seed.savedSearches);
+  const savedSearches = {
+    findById: savedSearchesTable.findById,
+    async findByStudent(studentUid) {
+      return savedSearchesTable.findWhere(s => s.studentUid === studentUid);
+    },
+    async findAlerting() {
+      return savedSearchesTable.findWhere(s => s.alertsEnabled === true);
+    },
+    create: savedSearchesTable.create,
+    update: savedSearchesTable.update,
+    delete: savedSearchesTable.delete
+  };
+
+  // Transactions run one at a time; their writes are applied together on success
+  let transactionQueue = Promise.resolve();
+  const runTransaction = work => {
+    const run = transactionQueue.then(async () => {
+      const writes = [];
+      const transaction = {
+        async get(name, id) {
+          return tables[name].has(id) ? { id, ...copy(tables[name].get(id)) } : null;
+        },
+        create(name, data) {
+          const id = `${name.split("/").pop()}-${nextId++}`;
+          writes.push(() => {
+            // Subcollections (e.g. applications/{id}/statusHistory) get a table on first write
+            if (!tables[name]) tables[name] = new Map();
+            tables[name].set(id, copy(data));
+          });
+          return id;
+        },
+        update(name, id, changes) {
+          if (!tables[name].has(id)) {
+            throw new Error(`No document to update: ${name}/${id}`);
+          }
+          writes.push(() => tables[name].set(id, { ...tables[name].get(id), ...copy(changes) }));
+        },
+        delete(name, id) {
+          writes.push(() => tables[name].delete(id));
+        }
+      };
+
+      const result = await work(transaction);
+      writes.forEach(write => write());
+      return result;
+    });
+    transactionQueue = run.catch(() => {});
+    return run;
+  };
+
+  return {
+    runTransaction,
+    users,
+    assessments,
+    scholarships,
+    applications,
+    notifications,
+    announcements,
+    recommendations,
+    feedback,
+    savedSearches,
+    /**
+     * Snapshot of every table, for test assertions
+     * @returns {object} - { [table]: { [id]: data } }
+     */
+    dump() {
+      const result = {};
+      Object.keys(tables).forEach(name => {
+        result[name] = Object.fromEntries([...tables[name].entries()].map(([id, data]) =>
+          [id, data instanceof Map ? Object.fromEntries(data) : data]));
+      });
+      return copy(result);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryRepositories
+};
@@ -52,18 +52,21 @@ const {
   createAnnouncement,
   getScholarshipAnnouncements,
   getGranteesReport,
-  exportGranteesReport
+  exportGranteesReport,
+  getRankingRubric,
+  updateRankingRubric
 } = require('../controllers/scholarshipController');
 const {
   getScholarshipApplications,
   getApplicationDetails,
   rankApplications,
   updateApplicationStatus,
-  batchUpdateApplicationStatus
+  batchUpdateApplicationStatus,
+  waitlistApplications,
+  exportApplicationHistory
 } = require('../controllers/applicationController');
 const { getUserNotifications, markAsRead, markAllAsRead, getUnreadCount, createNotification } = require('../services/notificationService');
-const { db } = require('../config/firebaseConfig');
-const { collection, query, where, getDocs, doc, getDoc, updateDoc } = require('firebase/firestore');
+const { getRepositories } = require('../repositories');
 
 // Apply requireSponsor middleware to all routes
 router.use(requireSponsor);
@@ -83,12 +86,22 @@ router.get('/offers/:id', viewScholarshipDetails);
 // View applications for a scholarship
 router.get('/offers/:id/applications', getScholarshipApplications);
 
-// Rank applications using GPT
+// Rank applications using the scholarship's rubric (optional AI second opinion)
 router.post('/offers/:id/applications/rank', rankApplications);
 
+// Add ranked applicants to the waitlist, in order
+router.post('/offers/:id/waitlist', waitlistApplications);
+
+// Ranking rubric (criteria, weights, cutoffs, tie-breakers)
+router.get('/offers/:id/rubric', getRankingRubric);
+router.post('/offers/:id/rubric', updateRankingRubric);
+
 // View single application
 router.get('/applications/:id', getApplicationDetails);
 
+// Status history (JSON, or CSV with ?format=csv)
+router.get('/applications/:id/history', exportApplicationHistory);
+
 // Update application status (approve/reject)
 router.post('/applications/:id/status', updateApplicationStatus);
 
@@ -130,22 +143,20 @@ router.post('/offers/:id/exam-schedule', async (req, res) => {
   const sponsorUid = req.session.user.uid;
 
   try {
-    const scholarshipRef = doc(db, 'scholarships', scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: 'Scholarship not found' });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== sponsorUid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
     // Update scholarship with exam schedule
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       examSchedule: {
         date,
         time,
@@ -171,22 +182,20 @@ router.post('/offers/:id/request-close', async (req, res) => {
   const sponsorUid = req.session.user.uid;
 
   try {
-    const scholarshipRef = doc(db, 'scholarships', scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: 'Scholarship not found' });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== sponsorUid) {
       return res.status(403).json({ error: 'Unauthorized' });
     }
 
     // Update scholarship with close request
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       closeRequested: true,
       closeRequestReason: reason,
       closeRequestedAt: new Date().toISOString()
@@ -213,15 +222,13 @@ router.post('/offers/:id/submit-draft', async (req, res) => {
   const sponsorUid = req.session.user.uid;
 
   try {
-    const scholarshipRef = doc(db, 'scholarships', scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: 'Scholarship not found' });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== sponsorUid) {
       return res.status(403).json({ error: 'Unauthorized' });
@@ -239,7 +246,7 @@ router.post('/offers/:id/submit-draft', async (req, res) => {
     }
 
     // Update status to Pending
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: 'Pending',
       isDraft: false,
       submittedAt: new Date().toISOString(),
@@ -268,15 +275,13 @@ router.post('/offers/:id/resubmit', async (req, res) => {
   const sponsorUid = req.session.user.uid;
 
   try {
-    const scholarshipRef = doc(db, 'scholarships', scholarshipId);
-    const scholarshipDoc = await getDoc(scholarshipRef);
+    const { scholarships } = getRepositories();
+    const scholarship = await scholarships.findById(scholarshipId);
 
-    if (!scholarshipDoc.exists()) {
+    if (!scholarship) {
       return res.status(404).json({ error: 'Scholarship not found' });
     }
 
-    const scholarship = scholarshipDoc.data();
-
     // Check ownership
     if (scholarship.sponsorUid !== sponsorUid) {
       return res.status(403).json({ error: 'Unauthorized' });
@@ -288,7 +293,7 @@ router.post('/offers/:id/resubmit', async (req, res) => {
     }
 
     // Update status to Pending
-    await updateDoc(scholarshipRef, {
+    await scholarships.update(scholarshipId, {
       status: 'Pending',
       rejectionReason: null,
       resubmittedAt: new Date().toISOString(),
@@ -317,9 +322,8 @@ router.get('/dashboard', async (req, res) => {
 
   try {
     // Get sponsor's scholarships
-    const scholarshipsRef = collection(db, 'scholarships');
-    const scholarshipQuery = query(scholarshipsRef, where('sponsorUid', '==', sponsorUid));
-    const scholarshipSnapshot = await getDocs(scholarshipQuery);
+    const repositories = getRepositories();
+    const scholarships = await repositories.scholarships.findBySponsor(sponsorUid);
 
     let scholarshipStats = {
       total: 0,
@@ -330,10 +334,7 @@ router.get('/dashboard', async (req, res) => {
       filledSlots: 0
     };
 
-    const scholarshipIds = [];
-    scholarshipSnapshot.forEach(doc => {
-      const data = doc.data();
-      scholarshipIds.push(doc.id);
+    scholarships.forEach(data => {
       scholarshipStats.total++;
       if (data.status === 'Open') scholarshipStats.open++;
       else if (data.status === 'Pending') scholarshipStats.pending++;
@@ -352,29 +353,16 @@ router.get('/dashboard', async (req, res) => {
       ranked: 0
     };
 
-    // Use batched queries for scholarshipIds (Firestore 'in' supports max 30 items)
-    if (scholarshipIds.length > 0) {
-      const applicationsRef = collection(db, 'applications');
-
-      // Process in batches of 30 (Firestore 'in' limit)
-      const batchSize = 30;
-      for (let i = 0; i < scholarshipIds.length; i += batchSize) {
-        const batch = scholarshipIds.slice(i, i + batchSize);
-        const appQuery = query(applicationsRef, where('scholarshipId', 'in', batch));
-        const batchSnapshot = await getDocs(appQuery);
-
-        batchSnapshot.forEach(doc => {
-          const app = doc.data();
-          applicationStats.total++;
-          if (app.status === 'pending' || app.status === 'under_review') applicationStats.pending++;
-          else if (app.status === 'accepted') applicationStats.accepted++;
-          else if (app.status === 'notified') applicationStats.notified++;
-          else if (app.status === 'not_selected') applicationStats.notSelected++;
-          // Count ranked applications (those with matchScore)
-          if (app.matchScore !== undefined) applicationStats.ranked++;
-        });
-      }
-    }
+    const applications = await repositories.applications.findApplicationsByScholarships(scholarships.map(s => s.id));
+    applications.forEach(app => {
+      applicationStats.total++;
+      if (app.status === 'pending' || app.status === 'under_review') applicationStats.pending++;
+      else if (app.status === 'accepted') applicationStats.accepted++;
+      else if (app.status === 'notified') applicationStats.notified++;
+      else if (app.status === 'not_selected') applicationStats.notSelected++;
+      // Count ranked applications (those with matchScore)
+      if (app.matchScore !== undefined) applicationStats.ranked++;
+    });
 
     // Get unread notifications
     const unreadNotifications = await getUnreadCount(sponsorUid);
@@ -450,37 +438,15 @@ router.get('/profile', async (req, res) => {
 
   try {
     // Get sponsor's user document
-    const userRef = doc(db, 'users', sponsorUid);
-    const userDoc = await getDoc(userRef);
-    const userData = userDoc.exists() ? userDoc.data() : {};
-
-    // Get sponsor's scholarships count
-    const scholarshipsRef = collection(db, 'scholarships');
-    const scholarshipQuery = query(scholarshipsRef, where('sponsorUid', '==', sponsorUid));
-    const scholarshipSnapshot = await getDocs(scholarshipQuery);
-
-    let totalScholarships = scholarshipSnapshot.size;
-    let totalApplications = 0;
-
-    // Get scholarship IDs for application count
-    const scholarshipIds = [];
-    scholarshipSnapshot.forEach(doc => {
-      scholarshipIds.push(doc.id);
-    });
+    const repositories = getRepositories();
+    const userData = await repositories.users.findById(sponsorUid) || {};
 
-    // Count applications for sponsor's scholarships using efficient batched queries
-    if (scholarshipIds.length > 0) {
-      const applicationsRef = collection(db, 'applications');
-
-      // Process in batches of 30 (Firestore 'in' limit)
-      const batchSize = 30;
-      for (let i = 0; i < scholarshipIds.length; i += batchSize) {
-        const batch = scholarshipIds.slice(i, i + batchSize);
-        const appQuery = query(applicationsRef, where('scholarshipId', 'in', batch));
-        const batchSnapshot = await getDocs(appQuery);
-        totalApplications += batchSnapshot.size;
-      }
-    }
+    // Get sponsor's scholarships and their applications for the counts
+    const scholarships = await repositories.scholarships.findBySponsor(sponsorUid);
+    const applications = await repositories.applications.findApplicationsByScholarships(scholarships.map(s => s.id));
+
+    const totalScholarships = scholarships.length;
+    const totalApplications = applications.length;
 
     // Pass Firebase config for credential linking (Google-only users)
     const firebaseConfig = {
@@ -533,8 +499,7 @@ router.post('/profile/update', async (req, res) => {
   }
 
   try {
-    const userRef = doc(db, 'users', sponsorUid);
-    await updateDoc(userRef, {
+    await getRepositories().users.update(sponsorUid, {
       fullName: fullName.trim(),
       updatedAt: new Date().toISOString()
     });
@@ -559,8 +524,7 @@ router.post('/profile/avatar', avatarUpload.single('profilePicture'), csrfMultip
   try {
     const profilePictureUrl = `/uploads/${req.file.filename}`;
 
-    const userRef = doc(db, 'users', sponsorUid);
-    await updateDoc(userRef, {
+    await getRepositories().users.update(sponsorUid, {
       profilePicture: profilePictureUrl,
       updatedAt: new Date().toISOString()
     });
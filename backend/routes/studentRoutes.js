@@ -9,10 +9,18 @@ const { showAssessmentForm, submitAssessment } = require('../controllers/assessm
 const {
   showStudentDashboard,
   searchScholarships,
+  saveSearch,
+  openSavedSearch,
+  setSavedSearchAlerts,
+  removeSavedSearch,
   viewScholarshipDetails,
   showApplyForm,
   getRecommendations,
   generateAndSaveRecommendations,
+  getRecommendationHistoryView,
+  simulateRecommendations,
+  submitRecommendationFeedback,
+  deleteRecommendationFeedback,
   getMyApplications,
   viewApplicationDetails,
   getNotifications,
@@ -29,7 +37,8 @@ const {
   getDraftApplication,
   deleteDraftApplication,
   studentRespondToOffer,
-  getApprovedOffers
+  getApprovedOffers,
+  exportApplicationHistory
 } = require('../controllers/applicationController');
 
 // Create uploads directory if it doesn't exist
@@ -117,11 +126,18 @@ router.get('/scholarships/:id', requireStudent, viewScholarshipDetails);
 router.get('/scholarships/:id/apply', requireStudent, showApplyForm);
 router.get('/scholarships/:id/calendar', requireStudent, downloadScholarshipCalendar);
 
+// Saved searches - require student role
+router.post('/saved-searches', requireStudent, saveSearch);
+router.get('/saved-searches/:id', requireStudent, openSavedSearch);
+router.post('/saved-searches/:id/alerts', requireStudent, setSavedSearchAlerts);
+router.delete('/saved-searches/:id', requireStudent, removeSavedSearch);
+
 // Applications - require student role
 router.post('/scholarships/:id/apply', requireStudent, createApplication);
 router.get('/scholarships/:scholarshipId/draft', requireStudent, getDraftApplication);
 router.get('/applications', requireStudent, getMyApplications);
 router.get('/applications/:id', requireStudent, viewApplicationDetails);
+router.get('/applications/:id/history', requireStudent, exportApplicationHistory);
 router.post('/applications/:id/withdraw', requireStudent, withdrawApplication);
 router.delete('/applications/:id/draft', requireStudent, deleteDraftApplication);
 
@@ -132,6 +148,10 @@ router.post('/applications/:id/respond', requireStudent, studentRespondToOffer);
 // Recommendations (GPT-powered) - require student role
 router.get('/recommendations', requireStudent, getRecommendations);
 router.post('/recommendations/generate', requireStudent, generateAndSaveRecommendations);
+router.get('/recommendations/history', requireStudent, getRecommendationHistoryView);
+router.post('/recommendations/what-if', requireStudent, simulateRecommendations);
+router.post('/recommendations/:scholarshipId/feedback', requireStudent, submitRecommendationFeedback);
+router.delete('/recommendations/:scholarshipId/feedback', requireStudent, deleteRecommendationFeedback);
 
 // Notifications - require student role
 router.get('/notifications', requireStudent, getNotifications);
@@ -139,24 +159,17 @@ router.post('/notifications/:id/read', requireStudent, markNotificationRead);
 router.post('/notifications/read-all', requireStudent, markAllNotificationsRead);
 
 // API endpoint for sidebar counts (notifications)
-const { db } = require('../config/firebaseConfig');
-const { collection, query, where, getDocs } = require('firebase/firestore');
+const { getUnreadCount } = require('../services/notificationService');
 
 router.get('/api/counts', requireStudent, async (req, res) => {
   try {
     const studentUid = req.session.user.uid;
 
     // Get unread notifications count
-    const notificationsRef = collection(db, 'notifications');
-    const notifQuery = query(
-      notificationsRef,
-      where('userId', '==', studentUid),
-      where('read', '==', false)
-    );
-    const notifSnapshot = await getDocs(notifQuery);
+    const unreadNotifications = await getUnreadCount(studentUid);
 
     res.json({
-      unreadNotifications: notifSnapshot.size
+      unreadNotifications
     });
   } catch (error) {
     res.json({ unreadNotifications: 0 });
@@ -0,0 +1,101 @@
+/**
+ * Application History Service
+ * Every status transition appends an entry to applications/{id}/statusHistory
+ * in the same transaction as the status write, so the history cannot disagree
+ * with the application. Entries are never edited; the history can be exported
+ * as JSON or CSV when a decision is disputed. The history is kept when an
+ * application is deleted (withdrawn): the last entry then records who it
+ * belonged to, so it can still be exported.
+ */
+
+const { getRepositories } = require("../repositories");
+const { STATUS_LABELS } = require("../utils/constants");
+
+const CSV_HEADERS = ["Date", "From", "To", "Role", "Changed By", "Note"];
+
+/**
+ * Build a history entry for a transition
+ * @param {object} transition
+ * @param {string|null} transition.fromStatus - null when the application is created
+ * @param {string} transition.toStatus
+ * @param {string} transition.actor - One of ACTORS
+ * @param {object|null} transition.user - Session user who made the change (null for system changes)
+ * @param {string} transition.note - Reviewer note or reason
+ * @param {object} transition.removedApplication - Application the transition deletes, if any
+ * @returns {object}
+ */
+function buildHistoryEntry({ fromStatus, toStatus, actor, user, note, removedApplication }) {
+  const entry = {
+    fromStatus: fromStatus || null,
+    toStatus,
+    actorRole: actor,
+    actorUid: user ? user.uid || null : null,
+    actorEmail: user ? user.email || null : null,
+    note: note || null,
+    createdAt: new Date().toISOString()
+  };
+
+  if (removedApplication) {
+    entry.removedApplication = {
+      studentUid: removedApplication.studentUid || null,
+      studentName: removedApplication.studentName || null,
+      scholarshipId: removedApplication.scholarshipId || null,
+      scholarshipName: removedApplication.scholarshipName || null
+    };
+  }
+
+  return entry;
+}
+
+/**
+ * Rebuild a deleted application from its history
+ * @param {array} history - Entries from getApplicationHistory
+ * @returns {object|null} - { studentUid, studentName, scholarshipId, scholarshipName, status }, null if not deleted
+ */
+function findRemovedApplication(history) {
+  const entry = [...history].reverse().find(e => e.removedApplication);
+  return entry ? { ...entry.removedApplication, status: entry.toStatus } : null;
+}
+
+/**
+ * Get an application's status history, oldest first
+ * @param {string} applicationId
+ * @returns {Promise<array>}
+ */
+async function getApplicationHistory(applicationId) {
+  return getRepositories().applications.findHistory(applicationId);
+}
+
+/**
+ * Quote a CSV field
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return `"${String(value === null || value === undefined ? "" : value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Render history entries as CSV
+ * @param {array} history - Entries from getApplicationHistory
+ * @returns {string}
+ */
+function formatHistoryCsv(history) {
+  const rows = history.map(entry => [
+    entry.createdAt,
+    entry.fromStatus ? STATUS_LABELS[entry.fromStatus] || entry.fromStatus : "",
+    STATUS_LABELS[entry.toStatus] || entry.toStatus,
+    entry.actorRole,
+    entry.actorEmail || (entry.actorRole === "system" ? "System" : ""),
+    entry.note
+  ].map(csvField).join(","));
+
+  return [CSV_HEADERS.join(","), ...rows].join("\n");
+}
+
+module.exports = {
+  buildHistoryEntry,
+  findRemovedApplication,
+  getApplicationHistory,
+  formatHistoryCsv
+};
@@ -0,0 +1,174 @@
+/**
+ * Application Status Service
+ * Runs a status change through the state machine (utils/applicationStateMachine):
+ * checks that the actor may make the move from the application's current
+ * status, writes it with the slot bookkeeping the move needs and a status
+ * history entry, then sends the notifications the machine lists for it and,
+ * when the move frees a slot, offers it to the next waitlisted applicant.
+ */
+
+const { getRepositories } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const { createNotification } = require("./notificationService");
+const { buildHistoryEntry } = require("./applicationHistoryService");
+const {
+  APPLICATION_STATUS,
+  ACTORS,
+  INITIAL_STATUSES,
+  freesSlot,
+  getTransition,
+  buildTransitionNotifications
+} = require("../utils/applicationStateMachine");
+const {
+  updateApplicationSlot,
+  deleteApplicationSlot,
+  saveApplicationWhileOpen
+} = require("./slotAllocationService");
+
+const TRANSITION_ERRORS = {
+  INVALID_TRANSITION: "INVALID_TRANSITION",
+  INVALID_INITIAL_STATUS: "INVALID_INITIAL_STATUS"
+};
+
+/**
+ * Send the notifications a transition lists; a failed send never undoes the write
+ * @param {object} transition
+ * @param {object} context - { application, scholarship, applicationId }
+ */
+async function sendTransitionNotifications(transition, context) {
+  for (const notification of buildTransitionNotifications(transition, context)) {
+    try {
+      await createNotification(
+        notification.userId,
+        notification.type,
+        notification.title,
+        notification.message,
+        notification.relatedId
+      );
+    } catch (error) {
+      console.error("Error sending status notification:", error);
+    }
+  }
+}
+
+/**
+ * Write callback that appends a history entry inside the status transaction
+ * @param {object} entry - From buildHistoryEntry
+ * @returns {function} - onWrite option for the slot allocation service
+ */
+function appendHistory(entry) {
+  return (transaction, applicationId) => {
+    transaction.create(getRepositories().applications.historyCollection(applicationId), entry);
+  };
+}
+
+/**
+ * Move an application to a new status
+ * @param {string} applicationId
+ * @param {string} toStatus - One of APPLICATION_STATUS
+ * @param {object} options
+ * @param {string} options.actor - One of ACTORS
+ * @param {object} options.changes - Other application fields to write with the status
+ * @param {object} options.application - Already loaded application, saves a read
+ * @param {object} options.user - Session user making the change, recorded in the history
+ * @param {string} options.note - Note or reason recorded in the history
+ * @returns {Promise<object>} - { application, scholarship } as written (scholarship may be null)
+ * @throws {AppError} - INVALID_TRANSITION, or a SLOT_ERRORS code from the write
+ */
+async function transitionApplication(applicationId, toStatus, options = {}) {
+  const { actor, changes = {} } = options;
+  const application = options.application || await getRepositories().applications.findById(applicationId);
+  if (!application) {
+    throw new AppError("Application not found", 404, "APPLICATION_NOT_FOUND");
+  }
+
+  const fromStatus = application.status;
+  const transition = getTransition(fromStatus, toStatus, actor);
+  if (!transition) {
+    throw new AppError(
+      `Cannot change an application from ${fromStatus} to ${toStatus}`,
+      400,
+      TRANSITION_ERRORS.INVALID_TRANSITION
+    );
+  }
+
+  // Re-saving a draft is not a status change, so it leaves no history entry
+  const onWrite = fromStatus === toStatus ? undefined : appendHistory(buildHistoryEntry({
+    fromStatus,
+    toStatus,
+    actor,
+    user: options.user,
+    note: options.note,
+    removedApplication: transition.removesApplication ? application : null
+  }));
+
+  let result;
+  if (transition.removesApplication) {
+    // fromStatuses makes the delete fail if the status moved after our read
+    const removed = await deleteApplicationSlot(applicationId, { fromStatuses: [fromStatus], onWrite });
+    result = { application: { ...removed, status: toStatus }, scholarship: null };
+  } else if (transition.requiresOpenScholarship) {
+    const data = { ...changes, status: toStatus };
+    await saveApplicationWhileOpen(application.scholarshipId, applicationId, data, {
+      checkSlots: Boolean(transition.requiresFreeSlot),
+      fromStatuses: [fromStatus],
+      onWrite
+    });
+    result = { application: { ...application, ...data }, scholarship: null };
+  } else {
+    result = await updateApplicationSlot(
+      applicationId,
+      { ...changes, status: toStatus },
+      { fromStatuses: [fromStatus], onWrite }
+    );
+  }
+
+  await sendTransitionNotifications(transition, { ...result, applicationId });
+
+  if (freesSlot(fromStatus, toStatus)) {
+    // Loaded lazily: the waitlist service makes its offers through this module
+    const { promoteFromWaitlist } = require("./waitlistService");
+    try {
+      await promoteFromWaitlist(application.scholarshipId);
+    } catch (error) {
+      console.error("Error promoting from waitlist:", error);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Create an application in one of its initial statuses
+ * Drafts only need the scholarship to be open; submissions also need a free slot.
+ * @param {string} scholarshipId
+ * @param {object} data - Application fields including `status`
+ * @param {object} user - Student creating the application, recorded in the history
+ * @returns {Promise<string>} - Application ID
+ * @throws {AppError} - INVALID_INITIAL_STATUS, or a SLOT_ERRORS code from the write
+ */
+async function createApplicationWithStatus(scholarshipId, data, user = null) {
+  if (!INITIAL_STATUSES.includes(data.status)) {
+    throw new AppError(
+      `Applications cannot start as ${data.status}`,
+      400,
+      TRANSITION_ERRORS.INVALID_INITIAL_STATUS
+    );
+  }
+
+  return saveApplicationWhileOpen(scholarshipId, null, data, {
+    checkSlots: data.status === APPLICATION_STATUS.PENDING,
+    onWrite: appendHistory(buildHistoryEntry({
+      fromStatus: null,
+      toStatus: data.status,
+      actor: ACTORS.STUDENT,
+      user
+    }))
+  });
+}
+
+module.exports = {
+  TRANSITION_ERRORS,
+  transitionApplication,
+  createApplicationWithStatus
+};
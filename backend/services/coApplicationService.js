@@ -0,0 +1,55 @@
+/**
+ * Co-application Service
+ * Loads what applicants of a scholarship applied to, for the "applicants
+ * also applied to" list on scholarship pages. Collecting it takes a query
+ * per scholarship plus chunked queries over every applicant, so results are
+ * kept per process for a while instead of being rebuilt on each page view.
+ * The shown counts are thresholded and rounded (utils/scholarshipSimilarity),
+ * so serving them a little late changes nothing a student can see.
+ */
+
+const { getRepositories } = require("../repositories");
+const { createMemoryStore } = require("./recommendationCache");
+
+const CO_APPLICATION_TTL = 60 * 60 * 1000; // 1 hour
+const MAX_CACHED_SCHOLARSHIPS = 200;
+
+let store = createMemoryStore({ maxEntries: MAX_CACHED_SCHOLARSHIPS });
+
+/**
+ * Applications of everyone who applied to a scholarship
+ * Only { studentUid, scholarshipId } is kept. The viewing student is
+ * included; coApplicationCounts leaves them out per request.
+ * @param {string} scholarshipId
+ * @param {Date} now - Current time (tests)
+ * @returns {Promise<array>} - [{ studentUid, scholarshipId }]
+ */
+async function getCoApplications(scholarshipId, now = new Date()) {
+  const cached = await store.get(scholarshipId);
+  if (cached && now.getTime() - cached.loadedAt < CO_APPLICATION_TTL) {
+    return cached.applications;
+  }
+
+  const { applications: applicationsRepository } = getRepositories();
+  const applicants = await applicationsRepository.findApplicationsByScholarship(scholarshipId);
+  const applicantUids = [...new Set(applicants.map(app => app.studentUid).filter(Boolean))];
+
+  const applications = (await applicationsRepository.findApplicationsByStudents(applicantUids))
+    .map(app => ({ studentUid: app.studentUid, scholarshipId: app.scholarshipId }));
+
+  await store.set(scholarshipId, { applications, loadedAt: now.getTime() });
+  return applications;
+}
+
+/**
+ * Forget every cached scholarship (tests)
+ */
+function clearCoApplications() {
+  store = createMemoryStore({ maxEntries: MAX_CACHED_SCHOLARSHIPS });
+}
+
+module.exports = {
+  CO_APPLICATION_TTL,
+  getCoApplications,
+  clearCoApplications
+};
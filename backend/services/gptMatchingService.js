@@ -1,136 +1,153 @@
 /**
  * GPT Matching Service
- * Uses OpenAI GPT API for scholarship matching and applicant ranking
- * Enhanced with caching and better fallback mechanisms
+ * Uses an LLM (OpenAI GPT by default) for scholarship matching and applicant ranking
+ * Enhanced with caching (see recommendationCache) and better fallback mechanisms
  */
 
 require("dotenv").config();
-
-// OpenAI API Configuration
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
-const GPT_MODEL = process.env.OPENAI_MODEL || "gpt-4o-mini"; // Use gpt-4o-mini for cost efficiency
-
-// In-memory cache for API responses (with TTL)
-const recommendationCache = new Map();
-const CACHE_TTL = 30 * 60 * 1000; // 30 minutes cache
+const { matchScholarship, blendScores } = require("../utils/matchingAlgorithm");
+const { checkIncomeEligibility, ELIGIBILITY } = require("../utils/incomeParser");
+const { matchSkills } = require("../utils/skillMatcher");
+const { rankApplicants, scoreApplication, resolveRubric } = require("../utils/rankingAlgorithm");
+const { toStandardGPA, formatGPA } = require("../utils/gradeScale");
+const { parseJSONArray, validateAIResponse, MATCH_SCHEMA, RANKING_SCHEMA } = require("../utils/aiResponseValidator");
+const { chunk, mapWithConcurrency } = require("../utils/helpers");
+const { getProvider } = require("./llmProvider");
+const { getRecommendationCache } = require("./recommendationCache");
 
 /**
- * Generate a cache key based on student and scholarships
+ * Describe a grade for prompts, with its 4.0-scale equivalent
+ * @param {number|string} value - Grade in its own scale
+ * @param {string} scale - Grading scale key
+ * @returns {string} - e.g. "1.25 GWA (4.0-scale equivalent: 3.75)"
  */
-function generateCacheKey(studentId, scholarshipIds) {
-  const sortedIds = [...scholarshipIds].sort().join(',');
-  return `${studentId}:${sortedIds}`;
+function describeGPA(value, scale) {
+  const standard = toStandardGPA(value, scale);
+  if (standard === null) return "Not specified";
+  return `${formatGPA(value, scale)} (4.0-scale equivalent: ${standard})`;
 }
 
 /**
- * Get cached recommendation if valid
+ * Describe an AI response that could not be read at all
+ * @param {string} error - Parse error
+ * @returns {object} - Validation issue that belongs to no item
  */
-function getCachedRecommendation(cacheKey) {
-  const cached = recommendationCache.get(cacheKey);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    return cached.data;
-  }
-  if (cached) {
-    recommendationCache.delete(cacheKey); // Remove expired cache
-  }
-  return null;
+function responseIssue(error) {
+  return { id: null, field: null, message: `response unusable: ${error}` };
 }
 
-/**
- * Set cached recommendation
- */
-function setCachedRecommendation(cacheKey, data) {
-  recommendationCache.set(cacheKey, {
-    data,
-    timestamp: Date.now()
-  });
-
-  // Clean up old entries periodically (keep max 100 entries)
-  if (recommendationCache.size > 100) {
-    const now = Date.now();
-    for (const [key, value] of recommendationCache.entries()) {
-      if (now - value.timestamp > CACHE_TTL) {
-        recommendationCache.delete(key);
-      }
-    }
-  }
-}
+// AI matching batches: scholarships per prompt and prompts in flight at once
+const MATCH_BATCHING = {
+  batchSize: parseInt(process.env.LLM_MATCH_BATCH_SIZE, 10) || 20,
+  concurrency: parseInt(process.env.LLM_MATCH_CONCURRENCY, 10) || 3,
+  prefilter: true,
+  maxAIScholarships: null
+};
 
 /**
  * Clear recommendation cache (useful after scholarship updates)
+ * @returns {Promise<void>}
  */
 function clearRecommendationCache() {
-  recommendationCache.clear();
+  return getRecommendationCache().clear();
 }
 
 /**
- * Call OpenAI GPT API
+ * Call the configured LLM provider (OpenAI by default, see llmProvider)
  * @param {string} systemPrompt - System instructions
  * @param {string} userPrompt - User request/data
- * @returns {Promise<object>} - GPT response
+ * @returns {Promise<string>} - Response text
  */
 async function callGPTAPI(systemPrompt, userPrompt) {
-  if (!OPENAI_API_KEY) {
-    throw new Error("OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.");
-  }
-
-  try {
-    const response = await fetch(OPENAI_API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${OPENAI_API_KEY}`
-      },
-      body: JSON.stringify({
-        model: GPT_MODEL,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt }
-        ],
-        temperature: 0.3, // Lower temperature for more consistent results
-        max_tokens: 2000
-      })
-    });
-
-    if (!response.ok) {
-      const errorData = await response.json();
-      throw new Error(`GPT API Error: ${errorData.error?.message || "Unknown error"}`);
-    }
-
-    const data = await response.json();
-    return data.choices[0].message.content;
-  } catch (error) {
-    throw error;
-  }
+  return getProvider().complete(systemPrompt, userPrompt);
 }
 
 /**
  * Match student to available scholarships
+ * Scholarships are sent to the AI in bounded batches (run concurrently up to
+ * a limit) and merged into one list. Scholarships the student is
+ * hard-ineligible for are pre-filtered and scored by the algorithm, as is any
+ * batch whose AI call fails.
  * @param {object} studentAssessment - Student's assessment data
  * @param {array} scholarships - Array of available scholarships
  * @param {string} studentId - Optional student ID for caching
- * @returns {Promise<array>} - Array of matches with scores and explanations
+ * @param {object} options - { batchSize, concurrency, prefilter, maxAIScholarships, onValidationIssues }
+ *   onValidationIssues(issues) receives every problem found in the AI responses
+ *   ([{ id, field, message }]), including ones that belong to no scholarship
+ * @returns {Promise<array>} - Array of matches with scores and explanations, best first
  */
-async function matchStudentToScholarships(studentAssessment, scholarships, studentId = null) {
+async function matchStudentToScholarships(studentAssessment, scholarships, studentId = null, options = {}) {
 
   // Check cache first if studentId is provided
+  const cache = getRecommendationCache();
   if (studentId) {
-    const scholarshipIds = scholarships.map(s => s.id);
-    const cacheKey = generateCacheKey(studentId, scholarshipIds);
-    const cached = getCachedRecommendation(cacheKey);
+    const cached = await cache.get(studentId, studentAssessment, scholarships);
     if (cached) {
       return cached;
     }
   }
 
+  const { batchSize, concurrency, prefilter, maxAIScholarships } = { ...MATCH_BATCHING, ...options };
+
+  // The algorithm result doubles as the fallback for every scholarship
+  const fallbackById = new Map(
+    performBasicMatching(studentAssessment, scholarships).map(match => [String(match.scholarshipId), match])
+  );
+
+  let candidates = scholarships;
+  if (prefilter) {
+    // The AI cannot make a hard-ineligible scholarship eligible, so skip the call
+    candidates = candidates.filter(s => fallbackById.get(String(s.id)).eligible);
+  }
+  if (maxAIScholarships && candidates.length > maxAIScholarships) {
+    candidates = [...candidates]
+      .sort((a, b) => fallbackById.get(String(b.id)).matchScore - fallbackById.get(String(a.id)).matchScore)
+      .slice(0, maxAIScholarships);
+  }
+
+  const batchResults = await mapWithConcurrency(
+    chunk(candidates, batchSize),
+    concurrency,
+    batch => matchScholarshipBatch(studentAssessment, batch, fallbackById)
+  );
+
+  const issues = batchResults.flatMap(result => result.issues);
+  if (issues.length > 0 && options.onValidationIssues) {
+    options.onValidationIssues(issues);
+  }
+
+  const aiById = new Map(batchResults.flatMap(result => result.matches).map(match => [String(match.scholarshipId), match]));
+  const matches = scholarships
+    .map(s => aiById.get(String(s.id)) || fallbackById.get(String(s.id)))
+    .sort((a, b) => b.matchScore - a.matchScore);
+
+  // Cache the results
+  if (studentId) {
+    await cache.set(studentId, studentAssessment, scholarships, matches);
+  }
+
+  return matches;
+}
+
+/**
+ * Match one batch of scholarships with the AI
+ * Never throws: if the call fails or returns nothing usable, the batch gets
+ * the algorithm's results; otherwise items are validated one by one.
+ * @param {object} studentAssessment - Student's assessment data
+ * @param {array} scholarships - Scholarships in this batch
+ * @param {Map} fallbackById - Algorithm matches by scholarship ID
+ * @returns {Promise<object>} - { matches, issues: [{ id, field, message }] }
+ */
+async function matchScholarshipBatch(studentAssessment, scholarships, fallbackById) {
+  const fallback = (issues = []) => ({ matches: scholarships.map(s => fallbackById.get(String(s.id))), issues });
+
   const systemPrompt = `You are a scholarship matching expert. Your task is to analyze a student's profile and match them with ALL available scholarships.
 
 For each scholarship, evaluate the student's fit based on:
-1. GPA requirement match (student GPA vs minimum required)
+1. GPA requirement match (student GPA vs minimum required - compare the 4.0-scale equivalents, since a 1.0-5.0 GWA is better when lower)
 2. Course/program eligibility (student course vs eligible courses)
 3. Year level eligibility (student year vs eligible years)
-4. Financial need (student income range vs scholarship income limit)
+4. Financial need (student income range vs scholarship income limit - use the provided incomeEligibility: "ineligible" means the student is above the limit and is NOT eligible, "partial" means the student's bracket straddles the limit)
 5. Skills match (student skills vs required skills)
 6. Overall scholarship type fit (Merit, Need-based, etc.)
 
@@ -147,7 +164,7 @@ Student Profile:
 - Full Name: ${studentAssessment.fullName}
 - Course: ${studentAssessment.course}
 - Year Level: ${studentAssessment.yearLevel}
-- GPA: ${studentAssessment.gpa}
+- GPA: ${describeGPA(studentAssessment.gpa, studentAssessment.gradingScale)}
 - Income Range: ${studentAssessment.incomeRange}
 - Skills: ${studentAssessment.skills || "Not specified"}
 - Scholarship Type Preference: ${studentAssessment.scholarshipType}
@@ -159,10 +176,11 @@ ${JSON.stringify(scholarships.map(s => ({
   name: s.scholarshipName,
   organization: s.organizationName,
   type: s.scholarshipType,
-  minGPA: s.minGPA,
+  minGPA: describeGPA(s.minGPA, s.minGPAScale),
   eligibleCourses: s.eligibleCourses,
   eligibleYearLevels: s.eligibleYearLevels,
   incomeLimit: s.incomeLimit,
+  incomeEligibility: checkIncomeEligibility(studentAssessment.incomeRange, s.incomeLimit).status,
   requiredSkills: s.requiredSkills,
   slotsAvailable: s.slotsAvailable - (s.slotsFilled || 0)
 })), null, 2)}
@@ -191,47 +209,25 @@ IMPORTANT: You MUST include ALL scholarships in your response, even if they are
   try {
     const gptResponse = await callGPTAPI(systemPrompt, userPrompt);
 
-    // Parse the JSON response
-    let matches;
-    try {
-      // Try to extract JSON from the response
-      const jsonMatch = gptResponse.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        matches = JSON.parse(jsonMatch[0]);
-      } else {
-        matches = JSON.parse(gptResponse);
-      }
-
-      // Add source indicator for AI-generated recommendations
-      matches = matches.map(match => ({
-        ...match,
-        source: 'ai',
-        generatedBy: 'gpt'
-      }));
-
-    } catch (parseError) {
-      // Return fallback basic matching
-      const fallbackMatches = performBasicMatching(studentAssessment, scholarships);
-      // Cache fallback results too
-      if (studentId) {
-        const scholarshipIds = scholarships.map(s => s.id);
-        const cacheKey = generateCacheKey(studentId, scholarshipIds);
-        setCachedRecommendation(cacheKey, fallbackMatches);
-      }
-      return fallbackMatches;
-    }
-
-
-    // Cache the results
-    if (studentId) {
-      const scholarshipIds = scholarships.map(s => s.id);
-      const cacheKey = generateCacheKey(studentId, scholarshipIds);
-      setCachedRecommendation(cacheKey, matches);
+    // Whole-response failure: nothing usable, fall back to basic matching
+    const parsed = parseJSONArray(gptResponse);
+    if (parsed.error) {
+      return fallback([responseIssue(parsed.error)]);
     }
 
-    return matches;
+    // Validate item by item; bad or missing scholarships get the algorithm's result.
+    // Item problems are also kept on the items as `validationIssues`.
+    const validation = validateAIResponse(parsed.items, MATCH_SCHEMA, scholarships.map(s => s.id), id => fallbackById.get(id));
+
+    // Add source indicator for AI-generated recommendations
+    const matches = validation.items.map(match => (match.repaired ? match : {
+      ...match,
+      source: 'ai',
+      generatedBy: 'gpt'
+    }));
+    return { matches, issues: validation.issues };
   } catch (error) {
-    return performBasicMatching(studentAssessment, scholarships);
+    return fallback();
   }
 }
 
@@ -239,9 +235,14 @@ IMPORTANT: You MUST include ALL scholarships in your response, even if they are
  * Rank applicants for a scholarship using GPT
  * @param {array} applications - Array of applications with student data
  * @param {object} scholarship - Scholarship details and criteria
+ * @param {object} options - { onValidationIssues(issues) }, called with every
+ *   problem found in the AI response ([{ id, field, message }])
  * @returns {Promise<array>} - Ranked array of applications
  */
-async function rankApplicantsForScholarship(applications, scholarship) {
+async function rankApplicantsForScholarship(applications, scholarship, options = {}) {
+  const reportIssues = issues => {
+    if (issues.length > 0 && options.onValidationIssues) options.onValidationIssues(issues);
+  };
 
   if (applications.length === 0) {
     return [];
@@ -252,7 +253,7 @@ async function rankApplicantsForScholarship(applications, scholarship) {
 Evaluate each applicant based on:
 1. Academic performance (GPA)
 2. Course relevance
-3. Financial need
+3. Financial need (an incomeEligibility of "ineligible" means the applicant is above the income limit and is NOT eligible)
 4. Skills and qualifications
 5. Application letter/essay quality
 6. Overall fit with scholarship goals
@@ -266,7 +267,7 @@ Scholarship Details:
 - Name: ${scholarship.scholarshipName}
 - Type: ${scholarship.scholarshipType}
 - Organization: ${scholarship.organizationName}
-- Required GPA: ${scholarship.minGPA}
+- Required GPA: ${describeGPA(scholarship.minGPA, scholarship.minGPAScale)}
 - Eligible Courses: ${scholarship.eligibleCourses?.join(", ") || "All"}
 - Eligible Year Levels: ${scholarship.eligibleYearLevels?.join(", ") || "All"}
 - Income Limit: ${scholarship.incomeLimit || "No limit"}
@@ -279,8 +280,9 @@ ${JSON.stringify(applications.map(app => ({
   studentName: app.studentName,
   course: app.course,
   yearLevel: app.yearLevel,
-  gpa: app.gpa,
+  gpa: describeGPA(app.gpa, app.gradingScale),
   incomeRange: app.incomeRange,
+  incomeEligibility: checkIncomeEligibility(app.incomeRange, scholarship.incomeLimit).status,
   skills: app.skills,
   applicationLetter: app.applicationLetter || app.essayReason,
   involvement: app.involvement
@@ -310,18 +312,45 @@ Return a JSON array ranked from highest to lowest score:
   try {
     const gptResponse = await callGPTAPI(systemPrompt, userPrompt);
 
-    let rankings;
-    try {
-      const jsonMatch = gptResponse.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        rankings = JSON.parse(jsonMatch[0]);
-      } else {
-        rankings = JSON.parse(gptResponse);
-      }
-    } catch (parseError) {
+    const parsed = parseJSONArray(gptResponse);
+    if (parsed.error) {
+      reportIssues([responseIssue(parsed.error)]);
       return performBasicRanking(applications, scholarship);
     }
 
+    // Bad or missing applicants keep their rubric ranking
+    const fallbackById = new Map(
+      performBasicRanking(applications, scholarship).map(ranking => [String(ranking.applicationId), ranking])
+    );
+    const validation = validateAIResponse(parsed.items, RANKING_SCHEMA, applications.map(app => app.id), id => fallbackById.get(id));
+    reportIssues(validation.issues);
+    const rankings = validation.items;
+
+    // Hard requirements (minimum GPA, income limit) come from the rubric
+    // engine; the AI score only adjusts the rubric score within a band
+    const applicationsById = new Map(applications.map(app => [app.id, app]));
+    rankings.forEach(r => {
+      const app = applicationsById.get(r.applicationId);
+      if (!app || r.repaired) return;
+      const deterministic = scoreApplication(app, scholarship, resolveRubric(scholarship));
+      const blended = blendScores({ score: deterministic.total, eligible: deterministic.eligible }, r.rankScore);
+      r.incomeEligibility = deterministic.incomeEligibility;
+      r.source = 'ai';
+      r.generatedBy = 'gpt';
+      r.eligible = deterministic.eligible;
+      r.rankScore = blended.score;
+      r.scoreComponents = {
+        method: blended.method,
+        rubricScore: blended.algorithmScore,
+        aiScore: blended.aiScore,
+        aiAdjustment: blended.aiAdjustment,
+        capped: blended.capped
+      };
+      if (!deterministic.eligible) {
+        r.weaknesses = [...(r.weaknesses || []), ...deterministic.requirementFailures];
+      }
+    });
+
     // Sort by rankScore descending and assign ranks
     rankings.sort((a, b) => b.rankScore - a.rankScore);
     rankings.forEach((r, index) => {
@@ -347,13 +376,13 @@ async function generateRecommendationExplanation(student, scholarship) {
 Student: ${student.fullName}
 - Course: ${student.course}
 - Year: ${student.yearLevel}
-- GPA: ${student.gpa}
+- GPA: ${describeGPA(student.gpa, student.gradingScale)}
 - Income Range: ${student.incomeRange}
 - Skills: ${student.skills || "Not specified"}
 
 Scholarship: ${scholarship.scholarshipName}
 - Type: ${scholarship.scholarshipType}
-- Required GPA: ${scholarship.minGPA}
+- Required GPA: ${describeGPA(scholarship.minGPA, scholarship.minGPAScale)}
 - Eligible Courses: ${scholarship.eligibleCourses?.join(", ") || "All"}
 - Required Skills: ${scholarship.requiredSkills?.join(", ") || "None"}
 
@@ -380,17 +409,21 @@ function generateWhyMatchedExplanation(student, scholarship, matchDetails, match
   const positives = [];
   const negatives = [];
 
-  // GPA analysis
-  const studentGPA = parseFloat(student.gpa) || 0;
-  const minGPA = parseFloat(scholarship.minGPA) || 0;
+  // GPA analysis - compared on the 4.0 scale, shown in each side's own scale
+  const studentGPA = toStandardGPA(student.gpa, student.gradingScale) || 0;
+  const minGPA = toStandardGPA(scholarship.minGPA, scholarship.minGPAScale) || 0;
+  const studentLabel = formatGPA(student.gpa, student.gradingScale);
+  const minLabel = formatGPA(scholarship.minGPA, scholarship.minGPAScale);
   if (matchDetails.gpaMatch) {
-    if (studentGPA >= minGPA + 0.5) {
-      positives.push(`Your GPA (${studentGPA}) exceeds the requirement (${minGPA}) by a significant margin`);
+    if (!minGPA) {
+      positives.push("This scholarship has no minimum GPA requirement");
+    } else if (studentGPA >= minGPA + 0.5) {
+      positives.push(`Your GPA (${studentLabel}) exceeds the requirement (${minLabel}) by a significant margin`);
     } else {
-      positives.push(`Your GPA (${studentGPA}) meets the minimum requirement of ${minGPA}`);
+      positives.push(`Your GPA (${studentLabel}) meets the minimum requirement of ${minLabel}`);
     }
   } else {
-    negatives.push(`Your GPA (${studentGPA}) is below the minimum requirement of ${minGPA}`);
+    negatives.push(`Your GPA (${studentLabel}) is below the minimum requirement of ${minLabel}`);
   }
 
   // Course analysis
@@ -411,14 +444,54 @@ function generateWhyMatchedExplanation(student, scholarship, matchDetails, match
     negatives.push(`This scholarship is for ${scholarship.eligibleYearLevels.join(', ')} students`);
   }
 
+  // Income analysis
+  const income = checkIncomeEligibility(student.incomeRange, scholarship.incomeLimit);
+  if (income.status === ELIGIBILITY.ELIGIBLE) {
+    positives.push("Your family income is within this scholarship's income limit");
+  } else if (income.status === ELIGIBILITY.PARTIAL) {
+    negatives.push(`Your family income bracket may be above the income limit of ₱${income.limit.toLocaleString()}`);
+  } else if (income.status === ELIGIBILITY.INELIGIBLE) {
+    negatives.push(`Your family income is above the income limit of ₱${income.limit.toLocaleString()}`);
+  }
+
   // Scholarship type preference
   if (student.scholarshipType === scholarship.scholarshipType) {
     positives.push(`This ${scholarship.scholarshipType} scholarship matches your preference`);
   }
 
+  // Skills analysis - matched and missing skills are listed so students know what to improve
+  const skills = matchSkills(student.skills, student.involvement, scholarship.requiredSkills);
+  const skillReasons = { positive: [], negative: [] };
+  if (skills.matched.length > 0) {
+    skillReasons.positive.push({
+      type: 'positive',
+      category: 'skills',
+      text: `You have ${skills.matched.length} of ${skills.required.length} required skills: ${skills.matched.join(', ')}`,
+      skills: skills.matched
+    });
+  }
+  if (skills.partial.length > 0) {
+    skillReasons.positive.push({
+      type: 'positive',
+      category: 'skills',
+      text: `You have related experience for: ${skills.partial.join(', ')}`,
+      skills: skills.partial
+    });
+  }
+  if (skills.missing.length > 0) {
+    skillReasons.negative.push({
+      type: 'negative',
+      category: 'skills',
+      text: `Skills to develop for this scholarship: ${skills.missing.join(', ')}`,
+      skills: skills.missing
+    });
+  }
+
   // Build reasons array
   reasons.push(...positives.map(p => ({ type: 'positive', text: p })));
+  reasons.push(...skillReasons.positive);
   reasons.push(...negatives.map(n => ({ type: 'negative', text: n })));
+  reasons.push(...skillReasons.negative);
 
   // Generate summary
   let summary;
@@ -432,7 +505,11 @@ function generateWhyMatchedExplanation(student, scholarship, matchDetails, match
     summary = `Limited match. ${negatives.join('. ')}`;
   }
 
-  return { summary, reasons };
+  return {
+    summary,
+    reasons,
+    skills: { matched: skills.matched, partial: skills.partial, missing: skills.missing }
+  };
 }
 
 /**
@@ -446,64 +523,18 @@ function performBasicMatching(studentAssessment, scholarships) {
   const matches = [];
 
   for (const scholarship of scholarships) {
-    let matchScore = 50; // Base score
+    // Score with the deterministic matching engine
+    const result = matchScholarship(studentAssessment, scholarship);
+    const matchScore = result.score;
+
     const matchDetails = {
-      gpaMatch: true,
-      courseMatch: true,
-      yearLevelMatch: true,
-      incomeMatch: true,
-      skillsMatch: true
+      gpaMatch: result.criteria.gpa.eligible,
+      courseMatch: result.criteria.course.eligible,
+      yearLevelMatch: result.criteria.yearLevel.eligible,
+      incomeMatch: result.criteria.income.eligible,
+      skillsMatch: result.criteria.skills.eligible
     };
 
-    // GPA check
-    const studentGPA = parseFloat(studentAssessment.gpa) || 0;
-    const minGPA = parseFloat(scholarship.minGPA) || 0;
-    if (studentGPA >= minGPA) {
-      matchScore += 15;
-    } else {
-      matchDetails.gpaMatch = false;
-      matchScore -= 20;
-    }
-
-    // Course check
-    if (scholarship.eligibleCourses && scholarship.eligibleCourses.length > 0) {
-      const courseMatches = scholarship.eligibleCourses.some(
-        course => studentAssessment.course?.toLowerCase().includes(course.toLowerCase()) ||
-                  course.toLowerCase().includes(studentAssessment.course?.toLowerCase() || "")
-      );
-      if (courseMatches) {
-        matchScore += 15;
-      } else {
-        matchDetails.courseMatch = false;
-        matchScore -= 15;
-      }
-    } else {
-      matchScore += 10; // All courses eligible
-    }
-
-    // Year level check
-    if (scholarship.eligibleYearLevels && scholarship.eligibleYearLevels.length > 0) {
-      const yearMatches = scholarship.eligibleYearLevels.some(
-        year => studentAssessment.yearLevel?.includes(year) || year.includes(studentAssessment.yearLevel || "")
-      );
-      if (yearMatches) {
-        matchScore += 10;
-      } else {
-        matchDetails.yearLevelMatch = false;
-        matchScore -= 10;
-      }
-    } else {
-      matchScore += 5;
-    }
-
-    // Scholarship type preference match
-    if (studentAssessment.scholarshipType === scholarship.scholarshipType) {
-      matchScore += 10;
-    }
-
-    // Ensure score is between 0 and 100
-    matchScore = Math.max(0, Math.min(100, matchScore));
-
     // Include ALL scholarships with their match scores
     let recommendation = "Not Recommended";
     if (matchScore >= 80) recommendation = "Highly Recommended";
@@ -517,12 +548,14 @@ function performBasicMatching(studentAssessment, scholarships) {
       scholarshipId: scholarship.id,
       scholarshipName: scholarship.scholarshipName,
       matchScore,
-      eligible: matchDetails.gpaMatch && matchDetails.courseMatch,
+      eligible: result.eligible,
       matchDetails,
+      eligibilityFailures: result.failures,
       explanation: whyMatched.summary,
       whyMatched: whyMatched.reasons,
+      skillsAnalysis: whyMatched.skills,
       recommendation,
-      source: 'fallback',
+      source: 'algorithm',
       generatedBy: 'algorithm'
     });
   }
@@ -535,59 +568,17 @@ function performBasicMatching(studentAssessment, scholarships) {
 
 /**
  * Fallback: Basic ranking without GPT
+ * Scores applicants against the scholarship's ranking rubric (or the default rubric)
  * @param {array} applications - Applications to rank
  * @param {object} scholarship - Scholarship criteria
  * @returns {array} - Basic rankings
  */
 function performBasicRanking(applications, scholarship) {
-
-  const rankings = applications.map(app => {
-    let rankScore = 50;
-
-    // GPA score (40% weight)
-    const gpa = parseFloat(app.gpa) || 0;
-    const minGPA = parseFloat(scholarship.minGPA) || 0;
-    if (gpa >= minGPA) {
-      rankScore += (gpa / 4.0) * 40; // Assuming 4.0 scale
-    }
-
-    // Financial need score (20% weight) - Lower income gets higher score
-    const incomeRanges = ["Below ₱10,000", "₱10,000 - ₱20,000", "₱20,000 - ₱30,000", "₱30,000 - ₱50,000", "Above ₱50,000"];
-    const incomeIndex = incomeRanges.indexOf(app.incomeRange);
-    if (incomeIndex !== -1) {
-      rankScore += (5 - incomeIndex) * 4; // Lower income = higher score
-    }
-
-    // Ensure score is between 0 and 100
-    rankScore = Math.max(0, Math.min(100, Math.round(rankScore)));
-
-    return {
-      applicationId: app.id,
-      studentName: app.studentName,
-      rankScore,
-      eligible: gpa >= minGPA,
-      scoreBreakdown: {
-        academicScore: Math.round((gpa / 4.0) * 100),
-        financialNeedScore: incomeIndex !== -1 ? (5 - incomeIndex) * 20 : 50,
-        skillsScore: 50,
-        essayScore: 50,
-        overallFitScore: rankScore
-      },
-      strengths: gpa >= 3.5 ? ["Strong academic performance"] : [],
-      weaknesses: gpa < minGPA ? ["GPA below requirement"] : [],
-      recommendation: rankScore >= 70 ? "Recommended for Approval" : "Needs Review"
-    };
-  });
-
-  // Sort by rank score descending
-  rankings.sort((a, b) => b.rankScore - a.rankScore);
-
-  // Assign ranks
-  rankings.forEach((r, index) => {
-    r.rank = index + 1;
-  });
-
-  return rankings;
+  return rankApplicants(applications, scholarship).map(ranking => ({
+    ...ranking,
+    source: 'fallback',
+    generatedBy: 'algorithm'
+  }));
 }
 
 module.exports = {
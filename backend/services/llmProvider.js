@@ -0,0 +1,270 @@
+/**
+ * LLM Provider
+ * Chat-completion providers behind one interface so the matching service
+ * can talk to OpenAI, an OpenAI-compatible local server, or a deterministic
+ * mock (for tests and offline development).
+ *
+ * A provider is an object: { name, model, complete(systemPrompt, userPrompt, options) }
+ * where complete() resolves to the assistant's message text.
+ */
+
+require("dotenv").config();
+
+const LLM_PROVIDERS = {
+  OPENAI: "openai",
+  LOCAL: "local",
+  MOCK: "mock"
+};
+
+const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
+const LOCAL_API_URL = "http://localhost:11434/v1/chat/completions";
+const DEFAULT_OPENAI_MODEL = "gpt-4o-mini"; // Use gpt-4o-mini for cost efficiency
+
+const DEFAULT_OPTIONS = {
+  temperature: 0.3, // Lower temperature for more consistent results
+  maxTokens: 2000
+};
+
+/**
+ * Create a provider for any OpenAI-compatible chat completions endpoint
+ * @param {object} config - { name, apiUrl, apiKey, model, requireApiKey }
+ * @returns {object} - Provider
+ */
+function createChatCompletionsProvider(config) {
+  const { name, apiUrl, apiKey, model, requireApiKey = true } = config;
+
+  return {
+    name,
+    model,
+    async complete(systemPrompt, userPrompt, options = {}) {
+      if (requireApiKey && !apiKey) {
+        throw new Error("OpenAI API key not configured. Please add OPENAI_API_KEY to your .env file.");
+      }
+
+      const { temperature, maxTokens } = { ...DEFAULT_OPTIONS, ...options };
+      const headers = { "Content-Type": "application/json" };
+      if (apiKey) {
+        headers["Authorization"] = `Bearer ${apiKey}`;
+      }
+
+      const response = await fetch(apiUrl, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: "system", content: systemPrompt },
+            { role: "user", content: userPrompt }
+          ],
+          temperature,
+          max_tokens: maxTokens
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(`${name} API Error: ${errorData.error?.message || response.statusText || "Unknown error"}`);
+      }
+
+      const data = await response.json();
+      return data.choices[0].message.content;
+    }
+  };
+}
+
+/**
+ * Create the OpenAI provider
+ * @param {object} config - { apiKey, model, apiUrl }
+ * @returns {object} - Provider
+ */
+function createOpenAIProvider(config = {}) {
+  return createChatCompletionsProvider({
+    name: LLM_PROVIDERS.OPENAI,
+    apiUrl: config.apiUrl || OPENAI_API_URL,
+    apiKey: config.apiKey,
+    model: config.model || DEFAULT_OPENAI_MODEL
+  });
+}
+
+/**
+ * Create a provider for an OpenAI-compatible local server (Ollama, LM Studio, vLLM...)
+ * @param {object} config - { apiUrl, model, apiKey }
+ * @returns {object} - Provider
+ */
+function createLocalProvider(config = {}) {
+  return createChatCompletionsProvider({
+    name: LLM_PROVIDERS.LOCAL,
+    apiUrl: config.apiUrl || LOCAL_API_URL,
+    apiKey: config.apiKey,
+    model: config.model || "llama3.1",
+    requireApiKey: false
+  });
+}
+
+/**
+ * Create a deterministic mock provider
+ * Responses are taken from `handler` when given, otherwise from the
+ * `responses` queue in order. Objects are returned as JSON text and Error
+ * instances are thrown, so failure branches can be exercised too. Every
+ * call is recorded in `calls`.
+ * @param {object} config - { responses: array, handler: function(systemPrompt, userPrompt, options) }
+ * @returns {object} - Provider with `calls` and `enqueue(...responses)`
+ */
+function createMockProvider(config = {}) {
+  const queue = [...(config.responses || [])];
+  const calls = [];
+
+  return {
+    name: LLM_PROVIDERS.MOCK,
+    model: "mock",
+    calls,
+    enqueue(...responses) {
+      queue.push(...responses);
+    },
+    async complete(systemPrompt, userPrompt, options = {}) {
+      calls.push({ systemPrompt, userPrompt, options });
+
+      let response;
+      if (config.handler) {
+        response = await config.handler(systemPrompt, userPrompt, options);
+      } else if (queue.length > 0) {
+        response = queue.shift();
+      } else {
+        throw new Error("Mock LLM provider has no response queued");
+      }
+
+      if (response instanceof Error) {
+        throw response;
+      }
+      return typeof response === "string" ? response : JSON.stringify(response);
+    }
+  };
+}
+
+/**
+ * Read the JSON list a prompt embeds under a heading ("Applicants:", ...)
+ * @param {string} prompt
+ * @param {string} heading
+ * @returns {array} - Empty when the heading or a valid list is missing
+ */
+function embeddedList(prompt, heading) {
+  const start = prompt.indexOf(heading);
+  if (start === -1) return [];
+  const end = prompt.indexOf("\n\nReturn", start);
+
+  try {
+    const list = JSON.parse(prompt.slice(start + heading.length, end === -1 ? undefined : end).trim());
+    return Array.isArray(list) ? list : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Canned answers for the mock provider chosen from the environment
+ * Match and ranking prompts get valid JSON for every scholarship or applicant
+ * they list (scores depend only on list order); anything else gets plain text.
+ * @param {string} systemPrompt
+ * @param {string} userPrompt
+ * @returns {array|string}
+ */
+function cannedResponse(systemPrompt, userPrompt) {
+  const applicants = embeddedList(userPrompt, "Applicants:");
+  if (applicants.length > 0) {
+    return applicants.map((app, index) => {
+      const rankScore = Math.max(40, 90 - index * 5);
+      return {
+        applicationId: app.applicationId,
+        studentName: app.studentName,
+        rankScore,
+        rank: index + 1,
+        eligible: true,
+        scoreBreakdown: {
+          academicScore: rankScore,
+          financialNeedScore: rankScore,
+          skillsScore: rankScore,
+          essayScore: rankScore,
+          overallFitScore: rankScore
+        },
+        strengths: ["Mock strength"],
+        weaknesses: [],
+        recommendation: "Mock ranking"
+      };
+    });
+  }
+
+  const scholarships = embeddedList(userPrompt, "Available Scholarships:");
+  if (scholarships.length > 0) {
+    return scholarships.map((scholarship, index) => ({
+      scholarshipId: scholarship.id,
+      scholarshipName: scholarship.name,
+      matchScore: Math.max(40, 80 - index * 5),
+      eligible: true,
+      explanation: "Mock match explanation.",
+      recommendation: "Consider"
+    }));
+  }
+
+  return "Mock explanation: this is a canned response from the offline mock provider.";
+}
+
+/**
+ * Create a provider from environment variables
+ * LLM_PROVIDER selects openai (default), local or mock (canned answers for
+ * offline use); LLM_API_URL and LLM_MODEL override the endpoint and model.
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {object} - Provider
+ */
+function createProviderFromEnv(env = process.env) {
+  const type = (env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI).toLowerCase();
+
+  switch (type) {
+    case LLM_PROVIDERS.LOCAL:
+      return createLocalProvider({
+        apiUrl: env.LLM_API_URL,
+        model: env.LLM_MODEL,
+        apiKey: env.LLM_API_KEY
+      });
+    case LLM_PROVIDERS.MOCK:
+      return createMockProvider({ handler: cannedResponse });
+    case LLM_PROVIDERS.OPENAI:
+      return createOpenAIProvider({
+        apiUrl: env.LLM_API_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || env.OPENAI_MODEL
+      });
+    default:
+      throw new Error(`Unknown LLM provider: ${type}`);
+  }
+}
+
+let activeProvider = null;
+
+/**
+ * Get the active provider (created from the environment on first use)
+ * @returns {object} - Provider
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProviderFromEnv();
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (tests, scripts)
+ * @param {object|null} provider - Provider, or null to go back to the environment default
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  LLM_PROVIDERS,
+  createOpenAIProvider,
+  createLocalProvider,
+  createMockProvider,
+  createProviderFromEnv,
+  getProvider,
+  setProvider
+};
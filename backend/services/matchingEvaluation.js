@@ -0,0 +1,226 @@
+/**
+ * Matching Evaluation
+ * Offline evaluation harness: runs a matcher over a fixtures file of student
+ * assessments, scholarships and known outcomes (applied / accepted / known
+ * ineligible) and reports ranking quality, eligibility errors and score
+ * calibration. Reports contain no timestamps so they can be diffed between
+ * commits. Nothing here touches Firestore or a real LLM.
+ *
+ * Fixtures look like:
+ * {
+ *   "name": "sample",
+ *   "scholarships": [{ "id": "s1", "scholarshipName": "...", ... }],
+ *   "students": [{
+ *     "id": "stu-1",
+ *     "assessment": { "gpa": "3.6", "course": "...", ... },
+ *     "outcomes": { "applied": ["s1"], "accepted": ["s1"], "ineligible": ["s2"] },
+ *     "aiResponse": [{ "scholarshipId": "s1", "matchScore": 90, ... }]
+ *   }]
+ * }
+ * `aiResponse` is what the mocked AI answers for that student; scholarships
+ * it leaves out fall back to the algorithm, as in production.
+ */
+
+const fs = require("fs");
+const { ENGINE_VERSION } = require("../utils/matchingAlgorithm");
+const { scoreApplication, resolveRubric } = require("../utils/rankingAlgorithm");
+const { round, mean, precisionAtK, ndcgAtK, eligibilityFalsePositiveRate, calibration } = require("../utils/evaluationMetrics");
+const { buildRecommendationRecords } = require("./recommendationService");
+const { matchStudentToScholarships } = require("./gptMatchingService");
+const { createMockProvider, setProvider } = require("./llmProvider");
+
+const DEFAULT_K = 5;
+
+// Graded relevance used by NDCG
+const OUTCOME_GAINS = {
+  accepted: 2,
+  applied: 1
+};
+
+/*
+ * Matchers
+ * Each returns [{ scholarshipId, score, eligible }] for one student.
+ */
+const MATCHERS = {
+  fallback: {
+    description: "Deterministic matching engine (no AI)",
+    async score(student, scholarships) {
+      return buildRecommendationRecords(student.assessment, scholarships, [])
+        .map(rec => ({ scholarshipId: rec.scholarshipId, score: rec.matchScore, eligible: rec.eligible }));
+    }
+  },
+  rubric: {
+    description: "Applicant ranking rubric, scoring the assessment as an application",
+    async score(student, scholarships) {
+      return scholarships.map(scholarship => {
+        const result = scoreApplication(student.assessment, scholarship, resolveRubric(scholarship));
+        return { scholarshipId: scholarship.id, score: result.total, eligible: result.eligible };
+      });
+    }
+  },
+  ai: {
+    description: "Hybrid AI matching with a mocked provider answering from the fixtures",
+    async score(student, scholarships) {
+      const responses = student.aiResponse || [];
+      // Answer each batch with the fixture items for the scholarships in its prompt
+      setProvider(createMockProvider({
+        handler: (systemPrompt, userPrompt) =>
+          responses.filter(item => userPrompt.includes(`"id": ${JSON.stringify(item.scholarshipId)}`))
+      }));
+
+      try {
+        const matches = await matchStudentToScholarships(student.assessment, scholarships);
+        return buildRecommendationRecords(student.assessment, scholarships, matches)
+          .map(rec => ({ scholarshipId: rec.scholarshipId, score: rec.matchScore, eligible: rec.eligible }));
+      } finally {
+        setProvider(null);
+      }
+    }
+  }
+};
+
+/**
+ * Validate a parsed fixtures object
+ * @param {object} fixtures
+ * @returns {object} - { valid, error }
+ */
+function validateFixtures(fixtures) {
+  if (!fixtures || typeof fixtures !== "object") {
+    return { valid: false, error: "Fixtures must be a JSON object" };
+  }
+  if (!Array.isArray(fixtures.scholarships) || fixtures.scholarships.length === 0) {
+    return { valid: false, error: "Fixtures need a non-empty \"scholarships\" array" };
+  }
+  if (!Array.isArray(fixtures.students) || fixtures.students.length === 0) {
+    return { valid: false, error: "Fixtures need a non-empty \"students\" array" };
+  }
+
+  const scholarshipIds = new Set(fixtures.scholarships.map(s => s.id));
+  if (scholarshipIds.has(undefined) || scholarshipIds.size !== fixtures.scholarships.length) {
+    return { valid: false, error: "Every scholarship needs a unique \"id\"" };
+  }
+
+  for (const student of fixtures.students) {
+    if (!student.id || !student.assessment) {
+      return { valid: false, error: "Every student needs an \"id\" and an \"assessment\"" };
+    }
+    const outcomes = student.outcomes || {};
+    for (const key of ["applied", "accepted", "ineligible"]) {
+      const unknown = (outcomes[key] || []).find(id => !scholarshipIds.has(id));
+      if (unknown) {
+        return { valid: false, error: `Student ${student.id}: unknown scholarship "${unknown}" in outcomes.${key}` };
+      }
+    }
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Read and validate a fixtures file
+ * @param {string} filePath
+ * @returns {object} - Fixtures
+ */
+function loadFixtures(filePath) {
+  const fixtures = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  const validation = validateFixtures(fixtures);
+  if (!validation.valid) {
+    throw new Error(validation.error);
+  }
+  return fixtures;
+}
+
+/**
+ * Evaluate one matcher over every student in the fixtures
+ * @param {string} matcherName - Key of MATCHERS
+ * @param {object} fixtures - Validated fixtures
+ * @param {object} options - { k }
+ * @returns {Promise<object>} - { matcher, description, metrics, students }
+ */
+async function evaluateMatcher(matcherName, fixtures, options = {}) {
+  const matcher = MATCHERS[matcherName];
+  if (!matcher) {
+    throw new Error(`Unknown matcher: ${matcherName} (expected one of ${Object.keys(MATCHERS).join(", ")})`);
+  }
+  const k = options.k || DEFAULT_K;
+
+  const students = [];
+  const eligibilityPairs = [];
+  const calibrationPairs = [];
+
+  for (const student of fixtures.students) {
+    const results = await matcher.score(student, fixtures.scholarships);
+    const byId = new Map(results.map(result => [result.scholarshipId, result]));
+
+    // Ties are broken by ID so reports are stable
+    const ranking = [...results]
+      .sort((a, b) => b.score - a.score || String(a.scholarshipId).localeCompare(String(b.scholarshipId)))
+      .map(result => result.scholarshipId);
+
+    const outcomes = student.outcomes || {};
+    const accepted = new Set(outcomes.accepted || []);
+    const applied = new Set([...(outcomes.applied || []), ...accepted]);
+    const ineligible = new Set(outcomes.ineligible || []);
+
+    const gains = new Map();
+    applied.forEach(id => gains.set(id, accepted.has(id) ? OUTCOME_GAINS.accepted : OUTCOME_GAINS.applied));
+
+    ineligible.forEach(id => eligibilityPairs.push({ predictedEligible: byId.get(id).eligible, actuallyEligible: false }));
+    accepted.forEach(id => eligibilityPairs.push({ predictedEligible: byId.get(id).eligible, actuallyEligible: true }));
+    applied.forEach(id => calibrationPairs.push({ score: byId.get(id).score, accepted: accepted.has(id) }));
+
+    students.push({
+      id: student.id,
+      precisionAtK: round(precisionAtK(ranking, applied, k)),
+      ndcgAtK: round(ndcgAtK(ranking, gains, k)),
+      top: ranking.slice(0, k)
+    });
+  }
+
+  return {
+    matcher: matcherName,
+    description: matcher.description,
+    metrics: {
+      precisionAtK: round(mean(students.map(s => s.precisionAtK))),
+      ndcgAtK: round(mean(students.map(s => s.ndcgAtK))),
+      eligibilityFalsePositives: eligibilityFalsePositiveRate(eligibilityPairs),
+      calibration: calibration(calibrationPairs)
+    },
+    students
+  };
+}
+
+/**
+ * Evaluate several matchers and build a diffable report
+ * @param {object} fixtures - Validated fixtures
+ * @param {object} options - { matchers: array of names, k }
+ * @returns {Promise<object>} - Report
+ */
+async function runEvaluation(fixtures, options = {}) {
+  const matcherNames = options.matchers || Object.keys(MATCHERS);
+  const k = options.k || DEFAULT_K;
+
+  const matchers = {};
+  for (const name of matcherNames) {
+    const { matcher, ...result } = await evaluateMatcher(name, fixtures, { k });
+    matchers[matcher] = result;
+  }
+
+  return {
+    fixtures: fixtures.name || null,
+    engineVersion: ENGINE_VERSION,
+    k,
+    students: fixtures.students.length,
+    scholarships: fixtures.scholarships.length,
+    matchers
+  };
+}
+
+module.exports = {
+  DEFAULT_K,
+  MATCHERS,
+  validateFixtures,
+  loadFixtures,
+  evaluateMatcher,
+  runEvaluation
+};
@@ -3,18 +3,7 @@
  * Handles in-app notifications for users
  */
 
-const { db } = require("../config/firebaseConfig");
-const {
-  doc,
-  getDoc,
-  collection,
-  addDoc,
-  getDocs,
-  query,
-  where,
-  updateDoc,
-  deleteDoc
-} = require("firebase/firestore");
+const { getRepositories } = require("../repositories");
 
 /**
  * Create a new notification
@@ -37,10 +26,9 @@ async function createNotification(userId, type, title, message, relatedId = null
       createdAt: new Date().toISOString()
     };
 
-    const notificationsRef = collection(db, "notifications");
-    const newNotifRef = await addDoc(notificationsRef, notificationData);
+    const notification = await getRepositories().notifications.create(notificationData);
 
-    return newNotifRef.id;
+    return notification.id;
   } catch (error) {
     throw error;
   }
@@ -54,19 +42,7 @@ async function createNotification(userId, type, title, message, relatedId = null
  */
 async function getUserNotifications(userId, limitCount = 50) {
   try {
-    const notificationsRef = collection(db, "notifications");
-    // Use only where clause to avoid composite index requirement
-    const q = query(
-      notificationsRef,
-      where("userId", "==", userId)
-    );
-
-    const snapshot = await getDocs(q);
-    const notifications = [];
-
-    snapshot.forEach(doc => {
-      notifications.push({ id: doc.id, ...doc.data() });
-    });
+    const notifications = await getRepositories().notifications.findByUser(userId);
 
     // Sort by createdAt in JavaScript (descending) and limit
     notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
@@ -83,15 +59,8 @@ async function getUserNotifications(userId, limitCount = 50) {
  */
 async function getUnreadCount(userId) {
   try {
-    const notificationsRef = collection(db, "notifications");
-    const q = query(
-      notificationsRef,
-      where("userId", "==", userId),
-      where("read", "==", false)
-    );
-
-    const snapshot = await getDocs(q);
-    return snapshot.size;
+    const unread = await getRepositories().notifications.findUnreadByUser(userId);
+    return unread.length;
   } catch (error) {
     return 0;
   }
@@ -105,21 +74,19 @@ async function getUnreadCount(userId) {
  */
 async function markAsRead(notificationId, userId) {
   try {
-    const notifRef = doc(db, "notifications", notificationId);
-    const notifDoc = await getDoc(notifRef);
+    const { notifications } = getRepositories();
+    const notification = await notifications.findById(notificationId);
 
-    if (!notifDoc.exists()) {
+    if (!notification) {
       throw new Error("Notification not found");
     }
 
-    const notification = notifDoc.data();
-
     // Verify ownership
     if (notification.userId !== userId) {
       throw new Error("Unauthorized");
     }
 
-    await updateDoc(notifRef, { read: true });
+    await notifications.update(notificationId, { read: true });
     return true;
   } catch (error) {
     throw error;
@@ -133,18 +100,12 @@ async function markAsRead(notificationId, userId) {
  */
 async function markAllAsRead(userId) {
   try {
-    const notificationsRef = collection(db, "notifications");
-    const q = query(
-      notificationsRef,
-      where("userId", "==", userId),
-      where("read", "==", false)
-    );
-
-    const snapshot = await getDocs(q);
+    const { notifications } = getRepositories();
+    const unread = await notifications.findUnreadByUser(userId);
     let count = 0;
 
-    for (const docSnapshot of snapshot.docs) {
-      await updateDoc(doc(db, "notifications", docSnapshot.id), { read: true });
+    for (const notification of unread) {
+      await notifications.update(notification.id, { read: true });
       count++;
     }
 
@@ -162,21 +123,19 @@ async function markAllAsRead(userId) {
  */
 async function deleteNotification(notificationId, userId) {
   try {
-    const notifRef = doc(db, "notifications", notificationId);
-    const notifDoc = await getDoc(notifRef);
+    const { notifications } = getRepositories();
+    const notification = await notifications.findById(notificationId);
 
-    if (!notifDoc.exists()) {
+    if (!notification) {
       throw new Error("Notification not found");
     }
 
-    const notification = notifDoc.data();
-
     // Verify ownership
     if (notification.userId !== userId) {
       throw new Error("Unauthorized");
     }
 
-    await deleteDoc(notifRef);
+    await notifications.delete(notificationId);
     return true;
   } catch (error) {
     throw error;
@@ -216,14 +175,8 @@ async function sendBulkNotification(userIds, type, title, message, relatedId = n
 async function sendNotificationToRole(role, type, title, message) {
   try {
     // Get all users with the specified role
-    const usersRef = collection(db, "users");
-    const q = query(usersRef, where("role", "==", role));
-    const snapshot = await getDocs(q);
-
-    const userIds = [];
-    snapshot.forEach(doc => {
-      userIds.push(doc.id);
-    });
+    const users = await getRepositories().users.findByRole(role);
+    const userIds = users.map(user => user.id);
 
     return await sendBulkNotification(userIds, type, title, message);
   } catch (error) {
@@ -237,10 +190,13 @@ const NotificationTypes = {
   APPLICATION_UPDATE: "application_update",
   APPLICATION_APPROVED: "application_approved",
   APPLICATION_REJECTED: "application_rejected",
+  WAITLIST_OFFER: "waitlist_offer",
   SCHOLARSHIP_UPDATE: "scholarship_update",
   SCHOLARSHIP_NEW: "scholarship_new",
   SCHOLARSHIP_APPROVED: "scholarship_approved",
   SCHOLARSHIP_CLOSING: "scholarship_closing",
+  RECOMMENDATION_NEW_MATCH: "recommendation_new_match",
+  SAVED_SEARCH_MATCH: "saved_search_match",
   SYSTEM: "system",
   REMINDER: "reminder"
 };
@@ -0,0 +1,84 @@
+/**
+ * Ranking Service
+ * Ranks scholarship applicants with the sponsor's rubric and optionally
+ * attaches the GPT ranker's result as a second opinion.
+ */
+
+const { rankApplicants, resolveRubric } = require("../utils/rankingAlgorithm");
+const { rankApplicantsForScholarship } = require("./gptMatchingService");
+
+/**
+ * Rank applications for a scholarship
+ * @param {array} applications - Applications to rank
+ * @param {object} scholarship - Scholarship data (may carry a rankingRubric)
+ * @param {object} options - { aiSecondOpinion: boolean }
+ * @returns {Promise<object>} - { rubric, rankings, aiSecondOpinion }
+ */
+async function rankApplicationsWithRubric(applications, scholarship, options = {}) {
+  const rubric = resolveRubric(scholarship);
+  const rankings = rankApplicants(applications, scholarship, rubric);
+
+  let aiSecondOpinion = false;
+  if (options.aiSecondOpinion && rankings.length > 0) {
+    aiSecondOpinion = await attachAIOpinions(rankings, applications, scholarship);
+  }
+
+  return { rubric, rankings, aiSecondOpinion };
+}
+
+/**
+ * Add the GPT ranking to each rubric ranking as `aiOpinion`
+ * The rubric order is never changed by the AI result. Problems found in the
+ * AI response go on each ranking as `aiValidationIssues`: the ones about that
+ * applicant plus the ones that belong to no applicant (e.g. unknown ids).
+ * @param {array} rankings - Rubric rankings (mutated)
+ * @param {array} applications - Applications that were ranked
+ * @param {object} scholarship - Scholarship data
+ * @returns {Promise<boolean>} - Whether an AI opinion was attached
+ */
+async function attachAIOpinions(rankings, applications, scholarship) {
+  let aiRankings;
+  let issues = [];
+  try {
+    aiRankings = await rankApplicantsForScholarship(applications, scholarship, {
+      onValidationIssues: found => { issues = found; }
+    });
+  } catch (error) {
+    return false;
+  }
+
+  const applicationIds = new Set(applications.map(app => String(app.id)));
+  rankings.forEach(ranking => {
+    ranking.aiValidationIssues = issues.filter(issue =>
+      issue.id === String(ranking.applicationId) || !applicationIds.has(issue.id));
+  });
+
+  // The GPT ranker falls back to the rubric itself when the API is unavailable
+  const opinions = new Map(
+    (aiRankings || [])
+      .filter(r => r.source === "ai")
+      .map(r => [r.applicationId, r])
+  );
+  if (opinions.size === 0) {
+    return false;
+  }
+
+  rankings.forEach(ranking => {
+    const opinion = opinions.get(ranking.applicationId);
+    ranking.aiOpinion = opinion ? {
+      rank: opinion.rank,
+      rankScore: opinion.rankScore,
+      scoreComponents: opinion.scoreComponents || null,
+      recommendation: opinion.recommendation || null,
+      strengths: opinion.strengths || [],
+      weaknesses: opinion.weaknesses || [],
+      rankDifference: opinion.rank - ranking.rank
+    } : null;
+  });
+
+  return true;
+}
+
+module.exports = {
+  rankApplicationsWithRubric
+};
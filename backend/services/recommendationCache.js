@@ -0,0 +1,384 @@
+/**
+ * Recommendation Cache
+ * Caches AI match results per student behind a pluggable store (in-memory,
+ * JSON file, or Firestore). Keys include a hash of the student's assessment
+ * and every scholarship's `updatedAt`, so edits never serve stale results;
+ * entries are also deleted explicitly when an assessment or scholarship
+ * changes. Hit/miss counters are kept per process for the admin reports.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+const CACHE_TTL = 30 * 60 * 1000; // 30 minutes cache
+const DEFAULT_MAX_ENTRIES = 100;
+const DEFAULT_CACHE_FILE = path.join(__dirname, "..", "..", ".cache", "recommendations.json");
+const DEFAULT_CACHE_COLLECTION = "recommendationCache";
+
+// Assessment fields that do not affect matching
+const IGNORED_ASSESSMENT_FIELDS = ["files", "status"];
+
+/**
+ * Hash a value to a short hex digest
+ * @param {string} value
+ * @returns {string}
+ */
+function hash(value) {
+  return crypto.createHash("sha1").update(value).digest("hex").slice(0, 16);
+}
+
+/**
+ * JSON.stringify with sorted object keys, so equal objects hash the same
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash the matching-relevant part of an assessment
+ * @param {object} assessment
+ * @returns {string}
+ */
+function hashAssessment(assessment) {
+  const relevant = { ...(assessment || {}) };
+  IGNORED_ASSESSMENT_FIELDS.forEach(field => delete relevant[field]);
+  return hash(stableStringify(relevant));
+}
+
+/**
+ * Build the cache key for a student and a set of scholarships
+ * @param {string} studentId
+ * @param {object} assessment - Student assessment
+ * @param {array} scholarships - Scholarships that were matched
+ * @returns {string}
+ */
+function buildCacheKey(studentId, assessment, scholarships) {
+  const versions = scholarships
+    .map(s => `${s.id}@${s.updatedAt || s.createdAt || ""}`)
+    .sort()
+    .join(",");
+  return `${studentId}:${hashAssessment(assessment)}:${hash(versions)}`;
+}
+
+/**
+ * Check whether an entry belongs to a student or contains a scholarship
+ * @param {object} entry
+ * @param {object} criteria - { studentId, scholarshipId }
+ * @returns {boolean}
+ */
+function entryMatches(entry, { studentId, scholarshipId }) {
+  return Boolean(
+    (studentId && entry.studentId === studentId) ||
+    (scholarshipId && (entry.scholarshipIds || []).includes(scholarshipId))
+  );
+}
+
+/*
+ * Stores
+ * Every store implements: name, get(key), set(key, entry), delete(key),
+ * invalidate({ studentId, scholarshipId }) -> number removed, and clear().
+ * Entries look like { data, timestamp, studentId, scholarshipIds }.
+ */
+
+/**
+ * In-process store (lost on restart, not shared across instances)
+ * @param {object} options - { maxEntries }
+ * @returns {object} - Store
+ */
+function createMemoryStore(options = {}) {
+  const maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    async get(key) {
+      return entries.get(key) || null;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+      // Drop the oldest entries beyond the limit (Map keeps insertion order)
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async invalidate(criteria) {
+      let removed = 0;
+      for (const [key, entry] of entries.entries()) {
+        if (entryMatches(entry, criteria)) {
+          entries.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    },
+    async clear() {
+      entries.clear();
+    },
+    toJSON() {
+      return Object.fromEntries(entries);
+    }
+  };
+}
+
+/**
+ * JSON file store (survives restarts; for a single instance)
+ * Entries are held in memory and the whole file is rewritten on change.
+ * @param {object} options - { filePath, maxEntries }
+ * @returns {object} - Store
+ */
+function createFileStore(options = {}) {
+  const filePath = options.filePath || DEFAULT_CACHE_FILE;
+  const memory = createMemoryStore(options);
+  let loading = null;
+  let writing = Promise.resolve();
+
+  function load() {
+    if (!loading) {
+      loading = fs.promises.readFile(filePath, "utf8")
+        .then(async text => {
+          const saved = JSON.parse(text);
+          for (const key of Object.keys(saved)) {
+            await memory.set(key, saved[key]);
+          }
+        })
+        .catch(() => {}); // Missing or corrupt file: start empty
+    }
+    return loading;
+  }
+
+  async function write() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(memory.toJSON()));
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  // Writes share the temp file, so they run one at a time; each one
+  // snapshots the entries when it starts and so includes earlier changes
+  function persist() {
+    const next = writing.then(write);
+    writing = next.catch(() => {});
+    return next;
+  }
+
+  return {
+    name: "file",
+    async get(key) {
+      await load();
+      return memory.get(key);
+    },
+    async set(key, entry) {
+      await load();
+      await memory.set(key, entry);
+      await persist();
+    },
+    async delete(key) {
+      await load();
+      await memory.delete(key);
+      await persist();
+    },
+    async invalidate(criteria) {
+      await load();
+      const removed = await memory.invalidate(criteria);
+      if (removed > 0) await persist();
+      return removed;
+    },
+    async clear() {
+      await load();
+      await memory.clear();
+      await persist();
+    }
+  };
+}
+
+/**
+ * Firestore store (shared across instances)
+ * @param {object} options - { collectionName }
+ * @returns {object} - Store
+ */
+function createFirestoreStore(options = {}) {
+  // Required lazily so the other stores work without Firebase configured
+  const { db } = require("../config/firebaseConfig");
+  const { doc, getDoc, setDoc, deleteDoc, collection, getDocs, query, where } = require("firebase/firestore");
+  const collectionName = options.collectionName || DEFAULT_CACHE_COLLECTION;
+
+  // Keys contain ":" and can be long, so documents are named by their hash
+  const entryRef = key => doc(db, collectionName, hash(key));
+
+  async function deleteMatching(field, operator, value) {
+    const snapshot = await getDocs(query(collection(db, collectionName), where(field, operator, value)));
+    await Promise.all(snapshot.docs.map(entryDoc => deleteDoc(entryDoc.ref)));
+    return snapshot.size;
+  }
+
+  return {
+    name: "firestore",
+    async get(key) {
+      const entryDoc = await getDoc(entryRef(key));
+      if (!entryDoc.exists() || entryDoc.data().key !== key) return null;
+      return entryDoc.data();
+    },
+    async set(key, entry) {
+      await setDoc(entryRef(key), { key, ...entry });
+    },
+    async delete(key) {
+      await deleteDoc(entryRef(key));
+    },
+    async invalidate({ studentId, scholarshipId }) {
+      let removed = 0;
+      if (studentId) removed += await deleteMatching("studentId", "==", studentId);
+      if (scholarshipId) removed += await deleteMatching("scholarshipIds", "array-contains", scholarshipId);
+      return removed;
+    },
+    async clear() {
+      const snapshot = await getDocs(collection(db, collectionName));
+      await Promise.all(snapshot.docs.map(entryDoc => deleteDoc(entryDoc.ref)));
+    }
+  };
+}
+
+/**
+ * Create a store from environment variables
+ * RECOMMENDATION_CACHE_STORE selects memory (default), file or firestore;
+ * RECOMMENDATION_CACHE_FILE overrides the file store's path.
+ * @param {object} env - Environment (defaults to process.env)
+ * @returns {object} - Store
+ */
+function createStoreFromEnv(env = process.env) {
+  const type = (env.RECOMMENDATION_CACHE_STORE || "memory").toLowerCase();
+
+  switch (type) {
+    case "memory":
+      return createMemoryStore();
+    case "file":
+      return createFileStore({ filePath: env.RECOMMENDATION_CACHE_FILE });
+    case "firestore":
+      return createFirestoreStore();
+    default:
+      throw new Error(`Unknown recommendation cache store: ${type}`);
+  }
+}
+
+/**
+ * Create a recommendation cache on top of a store
+ * Store failures are treated as misses so matching never breaks because
+ * the cache is unavailable.
+ * @param {object} store - Store (see above)
+ * @param {object} options - { ttl }
+ * @returns {object} - Cache
+ */
+function createRecommendationCache(store, options = {}) {
+  const ttl = options.ttl || CACHE_TTL;
+  const stats = { hits: 0, misses: 0, writes: 0, invalidations: 0, errors: 0, since: new Date().toISOString() };
+
+  return {
+    store,
+    async get(studentId, assessment, scholarships) {
+      const key = buildCacheKey(studentId, assessment, scholarships);
+      try {
+        const entry = await store.get(key);
+        if (entry && Date.now() - entry.timestamp < ttl) {
+          stats.hits++;
+          return entry.data;
+        }
+        if (entry) {
+          await store.delete(key); // Remove expired cache
+        }
+      } catch (error) {
+        stats.errors++;
+      }
+      stats.misses++;
+      return null;
+    },
+    async set(studentId, assessment, scholarships, data) {
+      const key = buildCacheKey(studentId, assessment, scholarships);
+      try {
+        await store.set(key, {
+          data,
+          timestamp: Date.now(),
+          studentId,
+          scholarshipIds: scholarships.map(s => s.id)
+        });
+        stats.writes++;
+      } catch (error) {
+        stats.errors++;
+      }
+    },
+    async invalidateStudent(studentId) {
+      return this.invalidate({ studentId });
+    },
+    async invalidateScholarship(scholarshipId) {
+      return this.invalidate({ scholarshipId });
+    },
+    async invalidate(criteria) {
+      try {
+        const removed = await store.invalidate(criteria);
+        stats.invalidations += removed;
+        return removed;
+      } catch (error) {
+        stats.errors++;
+        return 0;
+      }
+    },
+    async clear() {
+      await store.clear();
+    },
+    getStats() {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        store: store.name,
+        lookups,
+        hitRate: lookups > 0 ? Math.round((stats.hits / lookups) * 100) : 0
+      };
+    }
+  };
+}
+
+let activeCache = null;
+
+/**
+ * Get the shared recommendation cache (created from the environment on first use)
+ * @returns {object} - Cache
+ */
+function getRecommendationCache() {
+  if (!activeCache) {
+    activeCache = createRecommendationCache(createStoreFromEnv());
+  }
+  return activeCache;
+}
+
+/**
+ * Replace the shared cache (tests, scripts)
+ * @param {object|null} cache - Cache, or null to go back to the environment default
+ */
+function setRecommendationCache(cache) {
+  activeCache = cache;
+}
+
+module.exports = {
+  CACHE_TTL,
+  hashAssessment,
+  buildCacheKey,
+  createMemoryStore,
+  createFileStore,
+  createFirestoreStore,
+  createStoreFromEnv,
+  createRecommendationCache,
+  getRecommendationCache,
+  setRecommendationCache
+};
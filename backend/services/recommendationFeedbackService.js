@@ -0,0 +1,114 @@
+/**
+ * Recommendation Feedback Service
+ * Stores students' save / dismiss / "not relevant" feedback on recommendations
+ * in the top-level recommendationFeedback collection (one document per student
+ * and scholarship), so both per-student preferences and admin reports can be
+ * read without scanning every user.
+ */
+
+const { getRepositories } = require("../repositories");
+const { FEEDBACK_ACTIONS, NOT_RELEVANT_REASONS, buildPreferenceProfile } = require("../utils/recommendationPreferences");
+
+/**
+ * Save (or replace) a student's feedback on a scholarship
+ * The scholarship's type and sponsor are copied in so preferences can be
+ * built without loading the scholarships again.
+ * @param {string} studentUid
+ * @param {object} scholarship - Scholarship the feedback is about
+ * @param {object} feedback - Validated { action, reason, note }
+ * @returns {Promise<object>} - Stored feedback
+ */
+async function saveFeedback(studentUid, scholarship, feedback) {
+  const entry = {
+    studentUid,
+    scholarshipId: scholarship.id,
+    scholarshipName: scholarship.scholarshipName || "",
+    scholarshipType: scholarship.scholarshipType || null,
+    organizationName: scholarship.organizationName || null,
+    action: feedback.action,
+    reason: feedback.reason || null,
+    note: feedback.note || "",
+    updatedAt: new Date().toISOString()
+  };
+
+  await getRepositories().feedback.save(studentUid, scholarship.id, entry);
+  return entry;
+}
+
+/**
+ * Remove a student's feedback on a scholarship (undo)
+ * @param {string} studentUid
+ * @param {string} scholarshipId
+ */
+async function removeFeedback(studentUid, scholarshipId) {
+  await getRepositories().feedback.remove(studentUid, scholarshipId);
+}
+
+/**
+ * Get all feedback a student has given
+ * @param {string} studentUid
+ * @returns {Promise<array>}
+ */
+async function getStudentFeedback(studentUid) {
+  const feedback = await getRepositories().feedback.findByStudent(studentUid);
+  return feedback.map(({ id, ...entry }) => entry);
+}
+
+/**
+ * Build a student's preference profile for scoring runs
+ * Missing feedback is not an error: scoring just runs without preferences.
+ * @param {string} studentUid
+ * @returns {Promise<object|null>}
+ */
+async function getStudentPreferences(studentUid) {
+  try {
+    const feedback = await getStudentFeedback(studentUid);
+    return feedback.length > 0 ? buildPreferenceProfile(feedback) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Scholarships most often marked "not relevant", for the admin reports
+ * @param {number} limitCount - Maximum scholarships to return
+ * @returns {Promise<array>} - [{ scholarshipId, scholarshipName, organizationName, count, reasons: [{ reason, label, count }] }]
+ */
+async function getIrrelevantScholarshipReport(limitCount = 10) {
+  const feedback = await getRepositories().feedback.findByAction(FEEDBACK_ACTIONS.NOT_RELEVANT);
+
+  const byScholarship = new Map();
+  feedback.forEach(entry => {
+    if (!byScholarship.has(entry.scholarshipId)) {
+      byScholarship.set(entry.scholarshipId, {
+        scholarshipId: entry.scholarshipId,
+        scholarshipName: entry.scholarshipName,
+        organizationName: entry.organizationName,
+        count: 0,
+        reasonCounts: {}
+      });
+    }
+    const item = byScholarship.get(entry.scholarshipId);
+    const reason = NOT_RELEVANT_REASONS[entry.reason] ? entry.reason : "other";
+    item.count++;
+    item.reasonCounts[reason] = (item.reasonCounts[reason] || 0) + 1;
+  });
+
+  return [...byScholarship.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limitCount)
+    .map(({ reasonCounts, ...item }) => ({
+      ...item,
+      reasons: Object.keys(reasonCounts)
+        .map(reason => ({ reason, label: NOT_RELEVANT_REASONS[reason], count: reasonCounts[reason] }))
+        .sort((a, b) => b.count - a.count)
+    }));
+}
+
+module.exports = {
+  saveFeedback,
+  removeFeedback,
+  getStudentFeedback,
+  getStudentPreferences,
+  getIrrelevantScholarshipReport
+};
@@ -0,0 +1,98 @@
+/**
+ * Recommendation History Service
+ * Every saved recommendation run is also kept as a versioned snapshot under
+ * users/{uid}/recommendationHistory so students can compare runs. Versions
+ * are allocated in the same transaction that saves the run; a run identical
+ * to the previous one adds no snapshot, and only the newest runs are kept.
+ */
+
+const { getRepositories } = require("../repositories");
+const { compactRecommendation } = require("../utils/recommendationDiff");
+
+const HISTORY_LIMIT = 20;
+
+// Snapshots kept per student; older ones are deleted
+const HISTORY_RETENTION = 50;
+
+/**
+ * Build the snapshot stored for a run
+ * @param {object} run - { version, generatedAt, trigger, assessmentSnapshot, recommendations, validationIssues }
+ * @returns {object}
+ */
+function buildSnapshot(run) {
+  return {
+    version: run.version,
+    generatedAt: run.generatedAt,
+    trigger: run.trigger,
+    validationIssues: run.validationIssues || [],
+    assessmentSnapshot: run.assessmentSnapshot,
+    recommendations: run.recommendations.map(compactRecommendation)
+  };
+}
+
+/**
+ * Check if two runs have the same assessment and results
+ * @param {object} previous - Saved run
+ * @param {object} run - New run
+ * @returns {boolean}
+ */
+function isSameRun(previous, run) {
+  const comparable = r => JSON.stringify({
+    assessmentSnapshot: r.assessmentSnapshot || null,
+    recommendations: (r.recommendations || []).map(compactRecommendation)
+  });
+  return comparable(previous) === comparable(run);
+}
+
+/**
+ * Save a run as the student's current recommendations and snapshot it
+ * @param {string} studentUid
+ * @param {object} run - { generatedAt, trigger, assessmentSnapshot, recommendations, ...extra fields for the current doc }
+ * @returns {Promise<object>} - { version, snapshotId } (snapshotId is null when nothing changed)
+ */
+async function saveRecommendationRun(studentUid, run) {
+  const { recommendations } = getRepositories();
+
+  const { current, snapshotId } = await recommendations.saveRun(studentUid, existing => {
+    // Unchanged runs keep their version and add no snapshot
+    if (existing && isSameRun(existing, run)) {
+      return { current: { ...run, version: existing.version || 1 }, snapshot: null };
+    }
+    const saved = { ...run, version: existing ? (existing.version || 0) + 1 : 1 };
+    return { current: saved, snapshot: buildSnapshot(saved) };
+  });
+
+  if (snapshotId) {
+    await recommendations.deleteSnapshotsAfter(studentUid, HISTORY_RETENTION);
+  }
+
+  return { version: current.version, snapshotId };
+}
+
+/**
+ * Get a student's most recent runs, newest first
+ * @param {string} studentUid
+ * @param {number} limitCount - Maximum runs to return
+ * @returns {Promise<array>}
+ */
+async function getRecommendationHistory(studentUid, limitCount = HISTORY_LIMIT) {
+  return getRepositories().recommendations.findSnapshots(studentUid, limitCount);
+}
+
+/**
+ * Get one run by ID
+ * @param {string} studentUid
+ * @param {string} runId
+ * @returns {Promise<object|null>}
+ */
+async function getRecommendationSnapshot(studentUid, runId) {
+  return getRepositories().recommendations.findSnapshot(studentUid, runId);
+}
+
+module.exports = {
+  HISTORY_RETENTION,
+  isSameRun,
+  saveRecommendationRun,
+  getRecommendationHistory,
+  getRecommendationSnapshot
+};
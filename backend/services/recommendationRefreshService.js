@@ -0,0 +1,220 @@
+/**
+ * Recommendation Refresh Service
+ * Keeps saved recommendations (users/{uid}/recommendations/main) current.
+ * When a student's assessment changes or a new scholarship opens, affected
+ * students are re-scored with the deterministic engine and told about new
+ * strong matches. Refreshes run in the background and never call the AI;
+ * a new scholarship only refreshes students who already have recommendations,
+ * and keeps the AI scores of their earlier run.
+ */
+
+const { getRepositories } = require("../repositories");
+const { createNotification, NotificationTypes } = require("./notificationService");
+const { buildRecommendationRecords } = require("./recommendationService");
+const { saveRecommendationRun } = require("./recommendationHistoryService");
+const { getStudentFeedback } = require("./recommendationFeedbackService");
+const { HIDDEN_ACTIONS, buildPreferenceProfile } = require("../utils/recommendationPreferences");
+const { mapWithConcurrency } = require("../utils/helpers");
+
+// A match is "new" when it enters the student's top matches at or above this score
+const NEW_MATCH = {
+  threshold: 70,
+  topCount: 5
+};
+
+// Students re-scored at once when a scholarship opens
+const REFRESH_CONCURRENCY = 5;
+
+/**
+ * Get open scholarships that still have slots
+ * @returns {Promise<array>}
+ */
+async function getOpenScholarships() {
+  return getRepositories().scholarships.findOpenScholarships({ withAvailableSlots: true });
+}
+
+/**
+ * Save a student's recommendations document
+ * The previous run is kept: every save that changes the results also adds a
+ * versioned history snapshot.
+ * @param {string} studentUid
+ * @param {object} assessment - Assessment the records were built from
+ * @param {array} recommendations - Recommendation records
+ * @param {string} trigger - What produced them ("manual", "assessment", "scholarship")
+ * @param {array} validationIssues - Problems found in the AI responses behind them
+ * @returns {Promise<number>} - Version of the saved run
+ */
+async function saveRecommendations(studentUid, assessment, recommendations, trigger = "manual", validationIssues = []) {
+  const run = {
+    generatedAt: new Date().toISOString(),
+    trigger,
+    validationIssues,
+    assessmentSnapshot: {
+      fullName: assessment.fullName,
+      gpa: assessment.gpa,
+      gradingScale: assessment.gradingScale || null,
+      course: assessment.course,
+      yearLevel: assessment.yearLevel,
+      incomeRange: assessment.incomeRange,
+      scholarshipType: assessment.scholarshipType,
+      skills: assessment.skills || "",
+      involvement: assessment.involvement || ""
+    },
+    recommendations,
+    studentName: assessment.fullName
+  };
+
+  const { version } = await saveRecommendationRun(studentUid, run);
+  return version;
+}
+
+/**
+ * Find strong top matches that were not strong matches before
+ * @param {array} previous - Previously saved records
+ * @param {array} current - New records (sorted best first)
+ * @param {object} options - { threshold, topCount }
+ * @returns {array} - New match records
+ */
+function findNewTopMatches(previous, current, options = {}) {
+  const { threshold, topCount } = { ...NEW_MATCH, ...options };
+  const previouslyStrong = new Set(
+    (previous || [])
+      .filter(rec => rec.eligible !== false && (rec.matchScore || 0) >= threshold)
+      .map(rec => rec.scholarshipId)
+  );
+
+  return (current || [])
+    .slice(0, topCount)
+    .filter(rec => rec.eligible && rec.matchScore >= threshold && !previouslyStrong.has(rec.scholarshipId));
+}
+
+/**
+ * Rebuild raw AI matches from saved records so a refresh can blend them again
+ * Only valid while the assessment they were scored against is unchanged.
+ * @param {array} records - Previously saved records
+ * @returns {array} - Matches in the shape buildRecommendationRecords takes
+ */
+function previousAIMatches(records) {
+  return (records || [])
+    .filter(rec => rec.source === "ai" && rec.breakdown && rec.breakdown.aiScore !== null && rec.breakdown.aiScore !== undefined)
+    .map(rec => ({
+      scholarshipId: rec.scholarshipId,
+      source: "ai",
+      matchScore: rec.breakdown.aiScore,
+      eligible: rec.breakdown.aiEligible,
+      recommendation: rec.recommendation,
+      explanation: rec.explanation
+    }));
+}
+
+/**
+ * Re-score one student with the deterministic engine and save the result
+ * Students are only told about new matches when they had an earlier run to
+ * compare with; a first run has nothing to be "new" against.
+ * @param {string} studentUid
+ * @param {object} options - { assessment, scholarships, trigger } (loaded when omitted),
+ *   existingOnly: skip students without saved recommendations,
+ *   keepAIScores: reuse the AI scores of the saved run (the assessment has not changed)
+ * @returns {Promise<object>} - { refreshed: boolean, newMatches: array }
+ */
+async function refreshStudentRecommendations(studentUid, options = {}) {
+  const repositories = getRepositories();
+  const current = await repositories.recommendations.findCurrent(studentUid);
+  if (!current && options.existingOnly) {
+    return { refreshed: false, newMatches: [] };
+  }
+
+  const assessment = options.assessment || await repositories.assessments.findByStudent(studentUid);
+  if (!assessment) {
+    return { refreshed: false, newMatches: [] };
+  }
+
+  const scholarships = options.scholarships || await getOpenScholarships();
+  const previous = current ? current.recommendations || [] : [];
+
+  const feedback = await getStudentFeedback(studentUid).catch(() => []);
+  const preferences = feedback.length > 0 ? buildPreferenceProfile(feedback) : null;
+
+  const matches = options.keepAIScores ? previousAIMatches(previous) : [];
+  const recommendations = buildRecommendationRecords(assessment, scholarships, matches, preferences);
+  await saveRecommendations(studentUid, assessment, recommendations, options.trigger || "manual");
+
+  if (!current) {
+    return { refreshed: true, newMatches: [] };
+  }
+
+  // Never notify about scholarships the student has hidden
+  const hidden = new Set(feedback.filter(entry => HIDDEN_ACTIONS.includes(entry.action)).map(entry => entry.scholarshipId));
+  const newMatches = findNewTopMatches(previous, recommendations.filter(rec => !hidden.has(rec.scholarshipId)));
+  if (newMatches.length > 0) {
+    const best = newMatches[0];
+    const message = newMatches.length === 1
+      ? `"${best.scholarshipName}" is a ${best.matchScore}% match for your profile. Take a look before the deadline!`
+      : `${newMatches.length} scholarships are now strong matches for you, including "${best.scholarshipName}" (${best.matchScore}%).`;
+
+    await createNotification(
+      studentUid,
+      NotificationTypes.RECOMMENDATION_NEW_MATCH,
+      "New Scholarship Match!",
+      message,
+      best.scholarshipId
+    );
+  }
+
+  return { refreshed: true, newMatches };
+}
+
+/**
+ * Re-score every assessed student who has saved recommendations (e.g. after a scholarship opens)
+ * @param {string} trigger - Refresh trigger saved on each document
+ * @returns {Promise<object>} - { refreshed, notified, failed }
+ */
+async function refreshAllStudentRecommendations(trigger = "scholarship") {
+  const students = await getRepositories().users.findByRole("student", { hasCompletedAssessment: true });
+  const studentUids = students.map(student => student.id);
+
+  // Load the open scholarships once for every student
+  const scholarships = await getOpenScholarships();
+
+  const results = await mapWithConcurrency(studentUids, REFRESH_CONCURRENCY, async studentUid => {
+    try {
+      return await refreshStudentRecommendations(studentUid, {
+        scholarships,
+        trigger,
+        existingOnly: true,
+        keepAIScores: true
+      });
+    } catch (error) {
+      return { refreshed: false, failed: true, newMatches: [] };
+    }
+  });
+
+  return {
+    refreshed: results.filter(r => r.refreshed).length,
+    notified: results.filter(r => r.newMatches.length > 0).length,
+    failed: results.filter(r => r.failed).length
+  };
+}
+
+/**
+ * Run a refresh without making the request wait for it
+ * Errors are swallowed: a failed refresh leaves the previous recommendations in place.
+ * @param {function} task - Async function to run
+ */
+function runInBackground(task) {
+  setImmediate(() => {
+    Promise.resolve()
+      .then(task)
+      .catch(() => {});
+  });
+}
+
+module.exports = {
+  NEW_MATCH,
+  getOpenScholarships,
+  saveRecommendations,
+  findNewTopMatches,
+  refreshStudentRecommendations,
+  refreshAllStudentRecommendations,
+  runInBackground
+};
@@ -0,0 +1,227 @@
+/**
+ * Recommendation Service
+ * Turns raw matcher output (GPT or algorithm) into one recommendation record
+ * shape with a per-criterion score breakdown, so every saved recommendation
+ * can explain its score the same way. AI scores are blended on top of the
+ * deterministic matcher rather than replacing it. A student's feedback
+ * preferences can nudge eligible scores on later runs. Also runs "what-if"
+ * simulations against hypothetical assessment answers.
+ */
+
+const { matchScholarship, blendScores } = require("../utils/matchingAlgorithm");
+const { generateWhyMatchedExplanation } = require("./gptMatchingService");
+const { preferenceAdjustment } = require("../utils/recommendationPreferences");
+const {
+  validateGPA,
+  GRADING_SCALES,
+  LEGACY_GRADING_SCALE,
+  YEAR_LEVELS,
+  INCOME_RANGES
+} = require("../utils/constants");
+
+const RECOMMENDATION_SOURCE = {
+  AI: "ai",
+  ALGORITHM: "algorithm"
+};
+
+/**
+ * Label a match score
+ * @param {number} score - 0-100
+ * @returns {string}
+ */
+function recommendationLabel(score) {
+  if (score >= 80) return "Highly Recommended";
+  if (score >= 60) return "Recommended";
+  if (score >= 40) return "Consider";
+  return "Not Recommended";
+}
+
+/**
+ * Build a unified recommendation record for one scholarship
+ * The deterministic engine decides eligibility and the base score; an AI
+ * result can only adjust that score within a bounded band (see blendScores).
+ * @param {object} assessment - Student assessment
+ * @param {object} scholarship - Scholarship data
+ * @param {object} match - Raw match from the matcher (may be empty)
+ * @returns {object} - Recommendation record
+ */
+function buildRecommendationRecord(assessment, scholarship, match = {}) {
+  const result = matchScholarship(assessment, scholarship);
+  const fromAI = match.source === RECOMMENDATION_SOURCE.AI;
+  const blended = blendScores(result, fromAI ? match.matchScore : null);
+  const source = blended.method === "hybrid" ? RECOMMENDATION_SOURCE.AI : RECOMMENDATION_SOURCE.ALGORITHM;
+  const matchScore = blended.score;
+
+  const matchDetails = {
+    gpaMatch: result.criteria.gpa ? result.criteria.gpa.eligible : true,
+    courseMatch: result.criteria.course ? result.criteria.course.eligible : true,
+    yearLevelMatch: result.criteria.yearLevel ? result.criteria.yearLevel.eligible : true,
+    incomeMatch: result.criteria.income ? result.criteria.income.eligible : true,
+    skillsMatch: result.criteria.skills ? result.criteria.skills.eligible : true
+  };
+
+  const whyMatched = generateWhyMatchedExplanation(assessment, scholarship, matchDetails, matchScore);
+
+  // The AI's label is dropped when blending moved the score into a different band
+  const label = recommendationLabel(matchScore);
+  const aiLabelAgrees = fromAI && match.recommendation && recommendationLabel(parseFloat(match.matchScore)) === label;
+
+  return {
+    scholarshipId: scholarship.id,
+    scholarshipName: scholarship.scholarshipName,
+    matchScore,
+    // Eligibility comes only from the deterministic gates
+    eligible: result.eligible,
+    recommendation: aiLabelAgrees ? match.recommendation : label,
+    source,
+    generatedBy: source === RECOMMENDATION_SOURCE.AI ? "gpt" : "algorithm",
+    matchDetails,
+    breakdown: {
+      method: blended.method,
+      algorithmScore: blended.algorithmScore,
+      aiScore: blended.aiScore,
+      aiAdjustment: blended.aiAdjustment,
+      aiEligible: fromAI && typeof match.eligible === "boolean" ? match.eligible : null,
+      capped: blended.capped,
+      criteria: result.criteria,
+      weights: result.weights,
+      engineVersion: result.engineVersion
+    },
+    eligibilityFailures: result.failures,
+    validationIssues: match.validationIssues || [],
+    explanation: (fromAI && match.explanation) || whyMatched.summary,
+    whyMatched: whyMatched.reasons,
+    skillsAnalysis: whyMatched.skills
+  };
+}
+
+/**
+ * Apply a student's feedback preferences to a record
+ * Only eligible records are adjusted, so preferences can reorder matches
+ * but never make an ineligible scholarship look like a good one.
+ * @param {object} record - Recommendation record
+ * @param {object} scholarship - Scholarship data
+ * @param {object} preferences - Profile from buildPreferenceProfile (or null)
+ * @returns {object} - Record with breakdown.preferenceAdjustment
+ */
+function applyPreferences(record, scholarship, preferences) {
+  const adjustment = record.eligible ? preferenceAdjustment(preferences, scholarship) : 0;
+  if (adjustment === 0) {
+    return { ...record, breakdown: { ...record.breakdown, preferenceAdjustment: 0 } };
+  }
+
+  const matchScore = Math.max(0, Math.min(100, record.matchScore + adjustment));
+  return {
+    ...record,
+    matchScore,
+    recommendation: recommendationLabel(matchScore),
+    breakdown: { ...record.breakdown, preferenceAdjustment: matchScore - record.matchScore }
+  };
+}
+
+/**
+ * Build unified records for every scholarship
+ * Scholarships the matcher skipped are scored by the algorithm alone.
+ * @param {object} assessment - Student assessment
+ * @param {array} scholarships - Scholarships that were matched
+ * @param {array} matches - Raw matches from matchStudentToScholarships
+ * @param {object} preferences - Student's feedback preferences (optional)
+ * @returns {array} - Records sorted by match score (highest first)
+ */
+function buildRecommendationRecords(assessment, scholarships, matches, preferences = null) {
+  const matchesById = new Map((matches || []).map(match => [match.scholarshipId, match]));
+
+  return scholarships
+    .map(scholarship => {
+      const record = buildRecommendationRecord(assessment, scholarship, matchesById.get(scholarship.id));
+      return preferences ? applyPreferences(record, scholarship, preferences) : record;
+    })
+    .sort((a, b) => b.matchScore - a.matchScore);
+}
+
+// Assessment fields a what-if simulation may override
+const WHAT_IF_FIELDS = ["gpa", "gradingScale", "course", "yearLevel", "incomeRange", "skills", "involvement"];
+
+/**
+ * Validate what-if overrides against the student's assessment
+ * Blank values keep the current answer; unknown fields are ignored.
+ * @param {object} assessment - Current assessment
+ * @param {object} input - Requested overrides
+ * @returns {object} - { valid, error, overrides }
+ */
+function validateWhatIfOverrides(assessment, input) {
+  const overrides = {};
+  WHAT_IF_FIELDS.forEach(field => {
+    let value = (input || {})[field];
+    if (Array.isArray(value)) value = value.join(", ");
+    if (value === undefined || value === null || value.toString().trim() === "") return;
+    overrides[field] = value.toString().trim();
+  });
+
+  if (Object.keys(overrides).length === 0) {
+    return { valid: false, error: "Change at least one field to run a simulation", overrides };
+  }
+  if (overrides.gradingScale && !GRADING_SCALES[overrides.gradingScale]) {
+    return { valid: false, error: "Invalid grading scale", overrides };
+  }
+  if (overrides.yearLevel && !YEAR_LEVELS.includes(overrides.yearLevel)) {
+    return { valid: false, error: "Invalid year level", overrides };
+  }
+  if (overrides.incomeRange && !INCOME_RANGES[overrides.incomeRange]) {
+    return { valid: false, error: "Invalid income range", overrides };
+  }
+  if (overrides.gpa || overrides.gradingScale) {
+    const scale = overrides.gradingScale || assessment.gradingScale || LEGACY_GRADING_SCALE;
+    const gpaCheck = validateGPA(overrides.gpa || assessment.gpa, scale);
+    if (!gpaCheck.valid) {
+      return { valid: false, error: gpaCheck.error, overrides };
+    }
+  }
+
+  return { valid: true, error: null, overrides };
+}
+
+/**
+ * Re-score scholarships for a hypothetical assessment (nothing is saved)
+ * @param {object} assessment - Current assessment
+ * @param {object} overrides - Validated overrides (see validateWhatIfOverrides)
+ * @param {array} scholarships - Scholarships to score
+ * @returns {object} - { results, summary }
+ */
+function simulateWhatIf(assessment, overrides, scholarships) {
+  const hypothetical = { ...assessment, ...overrides };
+
+  const results = scholarships.map(scholarship => {
+    const current = matchScholarship(assessment, scholarship);
+    const simulated = matchScholarship(hypothetical, scholarship);
+    return {
+      scholarshipId: scholarship.id,
+      scholarshipName: scholarship.scholarshipName,
+      current: { score: current.score, eligible: current.eligible, failures: current.failures },
+      hypothetical: { score: simulated.score, eligible: simulated.eligible, failures: simulated.failures },
+      delta: simulated.score - current.score,
+      eligibilityChanged: current.eligible !== simulated.eligible
+    };
+  }).sort((a, b) => b.hypothetical.score - a.hypothetical.score);
+
+  return {
+    results,
+    summary: {
+      newlyEligible: results.filter(r => r.hypothetical.eligible && !r.current.eligible).length,
+      noLongerEligible: results.filter(r => r.current.eligible && !r.hypothetical.eligible).length,
+      improved: results.filter(r => r.delta > 0).length,
+      declined: results.filter(r => r.delta < 0).length
+    }
+  };
+}
+
+module.exports = {
+  RECOMMENDATION_SOURCE,
+  WHAT_IF_FIELDS,
+  recommendationLabel,
+  buildRecommendationRecord,
+  applyPreferences,
+  buildRecommendationRecords,
+  validateWhatIfOverrides,
+  simulateWhatIf
+};
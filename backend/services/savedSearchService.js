@@ -0,0 +1,104 @@
+/**
+ * Saved Search Service
+ * Stores students' saved scholarship searches in the top-level savedSearches
+ * collection (so the digest job can read every student's searches in one
+ * query) and tracks when each one was last checked for new matches.
+ */
+
+const { getRepositories } = require("../repositories");
+
+/**
+ * Get a student's saved searches, newest first
+ * @param {string} studentUid
+ * @returns {Promise<array>}
+ */
+async function getStudentSavedSearches(studentUid) {
+  const savedSearches = await getRepositories().savedSearches.findByStudent(studentUid);
+  return savedSearches.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+/**
+ * Get one saved search, only if it belongs to the student
+ * @param {string} studentUid
+ * @param {string} savedSearchId
+ * @returns {Promise<object|null>}
+ */
+async function getSavedSearch(studentUid, savedSearchId) {
+  const savedSearch = await getRepositories().savedSearches.findById(savedSearchId);
+  if (!savedSearch || savedSearch.studentUid !== studentUid) return null;
+  return savedSearch;
+}
+
+/**
+ * Save a search for a student
+ * New matches are counted from now, so saving does not alert about
+ * scholarships the student is already looking at.
+ * @param {string} studentUid
+ * @param {object} savedSearch - Validated { name, query, alertsEnabled }
+ * @returns {Promise<object>} - Stored saved search with its ID
+ */
+async function createSavedSearch(studentUid, savedSearch) {
+  const now = new Date().toISOString();
+  const entry = {
+    studentUid,
+    name: savedSearch.name,
+    query: savedSearch.query,
+    alertsEnabled: savedSearch.alertsEnabled,
+    lastCheckedAt: now,
+    lastNotifiedAt: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  return getRepositories().savedSearches.create(entry);
+}
+
+/**
+ * Update a saved search's name or alert setting
+ * @param {string} savedSearchId
+ * @param {object} changes - { name, alertsEnabled }
+ */
+async function updateSavedSearch(savedSearchId, changes) {
+  await getRepositories().savedSearches.update(savedSearchId, {
+    ...changes,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Delete a saved search
+ * @param {string} savedSearchId
+ */
+async function deleteSavedSearch(savedSearchId) {
+  await getRepositories().savedSearches.delete(savedSearchId);
+}
+
+/**
+ * Saved searches that want new-match alerts, across all students
+ * @returns {Promise<array>}
+ */
+async function getAlertingSavedSearches() {
+  return getRepositories().savedSearches.findAlerting();
+}
+
+/**
+ * Record that a saved search was checked for new matches
+ * @param {string} savedSearchId
+ * @param {string} checkedAt - ISO date the check covered up to
+ * @param {boolean} notified - Whether a digest was sent
+ */
+async function markSavedSearchChecked(savedSearchId, checkedAt, notified) {
+  const changes = { lastCheckedAt: checkedAt };
+  if (notified) changes.lastNotifiedAt = checkedAt;
+  await getRepositories().savedSearches.update(savedSearchId, changes);
+}
+
+module.exports = {
+  getStudentSavedSearches,
+  getSavedSearch,
+  createSavedSearch,
+  updateSavedSearch,
+  deleteSavedSearch,
+  getAlertingSavedSearches,
+  markSavedSearchChecked
+};
@@ -3,9 +3,12 @@
  * Handles automatic tasks like closing expired scholarships
  */
 
-const { db } = require('../config/firebaseConfig');
-const { collection, getDocs, query, where, updateDoc, doc } = require('firebase/firestore');
-const { createNotification } = require('./notificationService');
+const { getRepositories } = require('../repositories');
+const { createNotification, NotificationTypes } = require('./notificationService');
+const { removeIndexedScholarship } = require('./scholarshipSearchIndex');
+const { getAlertingSavedSearches, markSavedSearchChecked } = require('./savedSearchService');
+const { findNewMatches, buildDigest } = require('../utils/savedSearches');
+const { expireWaitlistOffers } = require('./waitlistService');
 
 /**
  * Close expired scholarships
@@ -14,28 +17,25 @@ const { createNotification } = require('./notificationService');
 async function closeExpiredScholarships() {
 
   try {
-    const scholarshipsRef = collection(db, 'scholarships');
-    const q = query(scholarshipsRef, where('status', '==', 'Open'));
-    const snapshot = await getDocs(q);
+    const { scholarships } = getRepositories();
+    const openScholarships = await scholarships.findOpenScholarships();
 
     const now = new Date();
     let closedCount = 0;
 
-    for (const docSnap of snapshot.docs) {
-      const scholarship = docSnap.data();
+    for (const scholarship of openScholarships) {
       const endDate = new Date(scholarship.endDate);
 
       // Check if the scholarship has expired
       if (endDate < now) {
-        const scholarshipRef = doc(db, 'scholarships', docSnap.id);
-
-        await updateDoc(scholarshipRef, {
+        await scholarships.update(scholarship.id, {
           status: 'Closed',
           closedAt: new Date().toISOString(),
           closedBy: 'system',
           closureReason: 'Application deadline passed',
           updatedAt: new Date().toISOString()
         });
+        removeIndexedScholarship(scholarship.id);
 
         // Notify sponsor
         await createNotification(
@@ -43,7 +43,7 @@ async function closeExpiredScholarships() {
           'scholarship_closed',
           'Scholarship Closed Automatically',
           `Your scholarship "${scholarship.scholarshipName}" has been automatically closed because the application deadline has passed.`,
-          docSnap.id
+          scholarship.id
         );
 
         // Notify admin
@@ -52,7 +52,7 @@ async function closeExpiredScholarships() {
           'scholarship_closed',
           'Scholarship Auto-Closed',
           `"${scholarship.scholarshipName}" by ${scholarship.organizationName} was automatically closed (deadline passed).`,
-          docSnap.id
+          scholarship.id
         );
 
         closedCount++;
@@ -72,16 +72,14 @@ async function closeExpiredScholarships() {
 async function sendDeadlineReminders() {
 
   try {
-    const scholarshipsRef = collection(db, 'scholarships');
-    const q = query(scholarshipsRef, where('status', '==', 'Open'));
-    const snapshot = await getDocs(q);
+    const { scholarships } = getRepositories();
+    const openScholarships = await scholarships.findOpenScholarships();
 
     const now = new Date();
     const oneDayMs = 24 * 60 * 60 * 1000;
     let reminderCount = 0;
 
-    for (const docSnap of snapshot.docs) {
-      const scholarship = docSnap.data();
+    for (const scholarship of openScholarships) {
       const endDate = new Date(scholarship.endDate);
       const daysUntilDeadline = Math.ceil((endDate - now) / oneDayMs);
 
@@ -98,12 +96,11 @@ async function sendDeadlineReminders() {
             'deadline_reminder',
             `Deadline Reminder: ${daysUntilDeadline} day(s) left`,
             `Your scholarship "${scholarship.scholarshipName}" will close in ${daysUntilDeadline} day(s). Application deadline: ${endDate.toLocaleDateString()}.`,
-            docSnap.id
+            scholarship.id
           );
 
           // Mark reminder as sent
-          const scholarshipRef = doc(db, 'scholarships', docSnap.id);
-          await updateDoc(scholarshipRef, {
+          await scholarships.update(scholarship.id, {
             [reminderKey]: new Date().toISOString()
           });
 
@@ -118,6 +115,53 @@ async function sendDeadlineReminders() {
   }
 }
 
+/**
+ * Send one digest notification per saved search that has new matches
+ * Saved searches are re-run against scholarships opened (approved,
+ * reopened or restored) since the search was last checked.
+ * @returns {Promise<number>} - Number of digests sent
+ */
+async function sendSavedSearchDigests() {
+  const checkedAt = new Date().toISOString();
+  const savedSearches = await getAlertingSavedSearches();
+  if (savedSearches.length === 0) return 0;
+
+  const repositories = getRepositories();
+  const scholarships = await repositories.scholarships.findOpenScholarships();
+
+  // "Eligible for me" searches need the student's assessment; load each one once
+  const assessments = new Map();
+  const getAssessment = async (studentUid) => {
+    if (!assessments.has(studentUid)) {
+      assessments.set(studentUid, await repositories.assessments.findByStudent(studentUid));
+    }
+    return assessments.get(studentUid);
+  };
+
+  let digestCount = 0;
+  for (const savedSearch of savedSearches) {
+    // One failing search must not hold up the others or the later tasks;
+    // it stays unchecked and is tried again on the next run
+    try {
+      const eligibleOnly = savedSearch.query && savedSearch.query.eligibleOnly;
+      const assessment = eligibleOnly ? await getAssessment(savedSearch.studentUid) : null;
+      const matches = findNewMatches(savedSearch, scholarships, { assessment });
+
+      if (matches.length > 0) {
+        const { title, message } = buildDigest(savedSearch, matches);
+        await createNotification(savedSearch.studentUid, NotificationTypes.SAVED_SEARCH_MATCH, title, message, savedSearch.id);
+        digestCount++;
+      }
+
+      await markSavedSearchChecked(savedSearch.id, checkedAt, matches.length > 0);
+    } catch (error) {
+      continue;
+    }
+  }
+
+  return digestCount;
+}
+
 /**
  * Run all scheduled tasks
  * This should be called periodically (e.g., every hour or every day)
@@ -127,9 +171,12 @@ async function runAllScheduledTasks() {
   try {
     const closedCount = await closeExpiredScholarships();
     const reminderCount = await sendDeadlineReminders();
+    const digestCount = await sendSavedSearchDigests();
+    // Unanswered waitlist offers pass to the next applicant
+    const expiredOfferCount = await expireWaitlistOffers();
 
 
-    return { closedCount, reminderCount };
+    return { closedCount, reminderCount, digestCount, expiredOfferCount };
   } catch (error) {
     throw error;
   }
@@ -154,6 +201,7 @@ function initializeScheduledTasks(intervalMs = 60 * 60 * 1000) {
 module.exports = {
   closeExpiredScholarships,
   sendDeadlineReminders,
+  sendSavedSearchDigests,
   runAllScheduledTasks,
   initializeScheduledTasks
 };
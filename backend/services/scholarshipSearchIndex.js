@@ -0,0 +1,76 @@
+/**
+ * Scholarship Search Index Service
+ * Keeps one in-process full-text index (utils/searchIndex) of Open
+ * scholarships. Write paths call updateIndexedScholarship / removeIndexedScholarship
+ * so edits show up immediately, and every search reconciles the index with
+ * the Open scholarships it loaded, which catches changes made by other
+ * processes or by code paths that do not call the hooks.
+ */
+
+const { createSearchIndex } = require("../utils/searchIndex");
+
+let activeIndex = null;
+
+/**
+ * Get the process-wide index (created empty on first use)
+ * @returns {object} - Search index
+ */
+function getSearchIndex() {
+  if (!activeIndex) {
+    activeIndex = createSearchIndex();
+  }
+  return activeIndex;
+}
+
+/**
+ * Replace the process-wide index (tests)
+ * @param {object|null} index - Index, or null to start from an empty one
+ */
+function setSearchIndex(index) {
+  activeIndex = index;
+}
+
+/**
+ * Index a scholarship after it was created or changed
+ * Only Open scholarships are searchable; anything else is removed.
+ * @param {string} scholarshipId
+ * @param {object} data - Scholarship fields (at least status and the text fields)
+ */
+function updateIndexedScholarship(scholarshipId, data) {
+  if (data && data.status === "Open") {
+    getSearchIndex().add({ ...data, id: scholarshipId });
+  } else {
+    getSearchIndex().remove(scholarshipId);
+  }
+}
+
+/**
+ * Drop a scholarship from the index (closed, archived or deleted)
+ * @param {string} scholarshipId
+ */
+function removeIndexedScholarship(scholarshipId) {
+  getSearchIndex().remove(scholarshipId);
+}
+
+/**
+ * Make the index hold exactly the given Open scholarships
+ * Unchanged scholarships are skipped, so this is cheap once the index is warm.
+ * @param {array} scholarships - Every Open scholarship, with IDs
+ * @returns {object} - Search index
+ */
+function syncScholarshipIndex(scholarships) {
+  const index = getSearchIndex();
+  const openIds = new Set(scholarships.map(s => s.id));
+
+  index.ids().filter(id => !openIds.has(id)).forEach(id => index.remove(id));
+  scholarships.forEach(scholarship => index.add(scholarship));
+  return index;
+}
+
+module.exports = {
+  getSearchIndex,
+  setSearchIndex,
+  updateIndexedScholarship,
+  removeIndexedScholarship,
+  syncScholarshipIndex
+};
@@ -0,0 +1,256 @@
+/**
+ * Slot Allocation Service
+ * Every change that can move an application into or out of a slot-holding
+ * status (see SLOT_HOLDING_STATUSES) goes through here, so the application
+ * and the scholarship's slotsFilled are updated in one transaction. Two
+ * reviewers approving at the same time can no longer overfill a scholarship:
+ * the second transaction re-reads the scholarship and finds it full.
+ */
+
+const { getRepositories } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const { SCHOLARSHIP_STATUS } = require("../utils/constants");
+const { holdsSlot } = require("../utils/applicationStateMachine");
+
+// Recounts repeated while applications keep being created during them
+const RECOUNT_ATTEMPTS = 3;
+
+const SLOT_ERRORS = {
+  APPLICATION_NOT_FOUND: "APPLICATION_NOT_FOUND",
+  SCHOLARSHIP_NOT_FOUND: "SCHOLARSHIP_NOT_FOUND",
+  SCHOLARSHIP_NOT_OPEN: "SCHOLARSHIP_NOT_OPEN",
+  SLOTS_FULL: "SLOTS_FULL",
+  STATUS_CHANGED: "STATUS_CHANGED"
+};
+
+/**
+ * Slots filled after moving one application from `fromStatus` to `toStatus`
+ * @param {object} scholarship
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {number} - New slotsFilled (never below 0)
+ * @throws {AppError} - SLOTS_FULL when a slot is needed and none is left
+ */
+function nextSlotsFilled(scholarship, fromStatus, toStatus) {
+  const filled = scholarship.slotsFilled || 0;
+  const delta = Number(holdsSlot(toStatus)) - Number(holdsSlot(fromStatus));
+
+  if (delta > 0 && filled >= (scholarship.slotsAvailable || 0)) {
+    throw new AppError("All scholarship slots are already filled", 400, SLOT_ERRORS.SLOTS_FULL);
+  }
+  return Math.max(0, filled + delta);
+}
+
+/**
+ * Update an application and reserve or release its slot atomically
+ * A slot is reserved when the new status holds one and the old did not, and
+ * released in the opposite case (decline, not selected, undo acceptance).
+ * @param {string} applicationId
+ * @param {object} changes - Application fields to write (usually includes `status`)
+ * @param {object} options - { fromStatuses: statuses the application must still be in,
+ *   onWrite: (transaction, applicationId) => queue more writes in the same transaction }
+ * @returns {Promise<object>} - { application, scholarship } as written (scholarship may be null)
+ * @throws {AppError} - APPLICATION_NOT_FOUND, STATUS_CHANGED, SCHOLARSHIP_NOT_FOUND or SLOTS_FULL
+ */
+async function updateApplicationSlot(applicationId, changes, options = {}) {
+  return getRepositories().runTransaction(async transaction => {
+    const application = await transaction.get("applications", applicationId);
+    if (!application) {
+      throw new AppError("Application not found", 404, SLOT_ERRORS.APPLICATION_NOT_FOUND);
+    }
+    if (options.fromStatuses && !options.fromStatuses.includes(application.status)) {
+      throw new AppError("Application status has changed", 409, SLOT_ERRORS.STATUS_CHANGED);
+    }
+
+    const toStatus = changes.status || application.status;
+    let scholarship = await transaction.get("scholarships", application.scholarshipId);
+
+    if (holdsSlot(toStatus) !== holdsSlot(application.status)) {
+      if (!scholarship && holdsSlot(toStatus)) {
+        throw new AppError("Scholarship not found", 404, SLOT_ERRORS.SCHOLARSHIP_NOT_FOUND);
+      }
+      if (scholarship) {
+        const slotsFilled = nextSlotsFilled(scholarship, application.status, toStatus);
+        transaction.update("scholarships", scholarship.id, {
+          slotsFilled,
+          updatedAt: new Date().toISOString()
+        });
+        scholarship = { ...scholarship, slotsFilled };
+      }
+    }
+
+    transaction.update("applications", applicationId, changes);
+    if (options.onWrite) options.onWrite(transaction, applicationId);
+    return { application: { ...application, ...changes }, scholarship };
+  });
+}
+
+/**
+ * Delete an application (withdrawal), releasing its slot if it held one
+ * @param {string} applicationId
+ * @param {object} options - { fromStatuses, onWrite } as for updateApplicationSlot
+ * @returns {Promise<object>} - Deleted application
+ * @throws {AppError} - APPLICATION_NOT_FOUND or STATUS_CHANGED
+ */
+async function deleteApplicationSlot(applicationId, options = {}) {
+  return getRepositories().runTransaction(async transaction => {
+    const application = await transaction.get("applications", applicationId);
+    if (!application) {
+      throw new AppError("Application not found", 404, SLOT_ERRORS.APPLICATION_NOT_FOUND);
+    }
+    if (options.fromStatuses && !options.fromStatuses.includes(application.status)) {
+      throw new AppError("Application status has changed", 409, SLOT_ERRORS.STATUS_CHANGED);
+    }
+
+    if (holdsSlot(application.status)) {
+      const scholarship = await transaction.get("scholarships", application.scholarshipId);
+      if (scholarship) {
+        transaction.update("scholarships", scholarship.id, {
+          slotsFilled: nextSlotsFilled(scholarship, application.status, null),
+          updatedAt: new Date().toISOString()
+        });
+      }
+    }
+
+    transaction.delete("applications", applicationId);
+    if (options.onWrite) options.onWrite(transaction, applicationId);
+    return application;
+  });
+}
+
+/**
+ * Create or update an application only while its scholarship is open
+ * Submissions (not drafts) also need a free slot at the moment of writing.
+ * @param {string} scholarshipId
+ * @param {string|null} applicationId - Existing draft to update, or null to create
+ * @param {object} data - Application fields
+ * @param {object} options - { checkSlots: boolean, fromStatuses: statuses an existing draft must still be in,
+ *   onWrite: (transaction, applicationId) => queue more writes in the same transaction }
+ * @returns {Promise<string>} - Application ID
+ * @throws {AppError} - SCHOLARSHIP_NOT_FOUND, SCHOLARSHIP_NOT_OPEN, SLOTS_FULL or STATUS_CHANGED
+ */
+async function saveApplicationWhileOpen(scholarshipId, applicationId, data, options = {}) {
+  return getRepositories().runTransaction(async transaction => {
+    const scholarship = await transaction.get("scholarships", scholarshipId);
+    if (!scholarship) {
+      throw new AppError("Scholarship not found", 404, SLOT_ERRORS.SCHOLARSHIP_NOT_FOUND);
+    }
+    if (scholarship.status !== SCHOLARSHIP_STATUS.OPEN) {
+      throw new AppError("This scholarship is no longer accepting applications", 400, SLOT_ERRORS.SCHOLARSHIP_NOT_OPEN);
+    }
+    if (options.checkSlots && (scholarship.slotsFilled || 0) >= scholarship.slotsAvailable) {
+      throw new AppError("No slots available for this scholarship", 400, SLOT_ERRORS.SLOTS_FULL);
+    }
+
+    if (applicationId) {
+      if (options.fromStatuses) {
+        const application = await transaction.get("applications", applicationId);
+        if (!application || !options.fromStatuses.includes(application.status)) {
+          throw new AppError("Application status has changed", 409, SLOT_ERRORS.STATUS_CHANGED);
+        }
+      }
+      transaction.update("applications", applicationId, data);
+      if (options.onWrite) options.onWrite(transaction, applicationId);
+      return applicationId;
+    }
+
+    const id = transaction.create("applications", data);
+    if (options.onWrite) options.onWrite(transaction, id);
+    return id;
+  });
+}
+
+/**
+ * Rebuild a scholarship's slotsFilled from its applications' statuses
+ * The applications are re-read inside the transaction, so a status change
+ * that lands during the recount makes the transaction retry. Applications
+ * created meanwhile are not in the list the transaction reads, so the list
+ * is queried again afterwards and the recount repeated if it grew.
+ * Slots the recount frees are offered to the scholarship's waitlist.
+ * @param {string} scholarshipId
+ * @returns {Promise<object|null>} - { scholarshipId, scholarshipName, previous, slotsFilled, changed, promoted },
+ *   null if missing
+ */
+async function recountScholarshipSlots(scholarshipId) {
+  const repositories = getRepositories();
+  let applications = await repositories.applications.findApplicationsByScholarship(scholarshipId);
+  let result;
+  let firstPrevious = null;
+
+  for (let attempt = 1; attempt <= RECOUNT_ATTEMPTS; attempt++) {
+    const counted = applications;
+    result = await repositories.runTransaction(async transaction => {
+      const scholarship = await transaction.get("scholarships", scholarshipId);
+      if (!scholarship) return null;
+
+      const current = await Promise.all(counted.map(app => transaction.get("applications", app.id)));
+      const slotsFilled = current.filter(app => app && app.scholarshipId === scholarshipId && holdsSlot(app.status)).length;
+      const previous = scholarship.slotsFilled || 0;
+
+      if (slotsFilled !== previous) {
+        transaction.update("scholarships", scholarshipId, {
+          slotsFilled,
+          slotsRecountedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        });
+      }
+
+      return {
+        scholarshipId,
+        scholarshipName: scholarship.scholarshipName,
+        previous,
+        slotsFilled,
+        changed: slotsFilled !== previous
+      };
+    });
+    if (!result) return null;
+    if (firstPrevious === null) firstPrevious = result.previous;
+
+    applications = await repositories.applications.findApplicationsByScholarship(scholarshipId);
+    const countedIds = new Set(counted.map(app => app.id));
+    if (applications.every(app => countedIds.has(app.id))) break;
+  }
+
+  // Report against the count before the first attempt
+  result = { ...result, previous: firstPrevious, changed: result.slotsFilled !== firstPrevious };
+
+  let promoted = [];
+  if (result.slotsFilled < result.previous) {
+    // Loaded lazily: the waitlist service writes through this module
+    const { promoteFromWaitlist } = require("./waitlistService");
+    try {
+      promoted = await promoteFromWaitlist(scholarshipId);
+    } catch (error) {
+      console.error("Error promoting from waitlist:", error);
+    }
+  }
+
+  return { ...result, promoted };
+}
+
+/**
+ * Recount slots for every scholarship
+ * @returns {Promise<object>} - { checked, corrected: [recount results that changed] }
+ */
+async function recountAllScholarshipSlots() {
+  const scholarships = await getRepositories().scholarships.findAll();
+  const corrected = [];
+
+  // One at a time: each recount is its own transaction
+  for (const scholarship of scholarships) {
+    const result = await recountScholarshipSlots(scholarship.id);
+    if (result && result.changed) corrected.push(result);
+  }
+
+  return { checked: scholarships.length, corrected };
+}
+
+module.exports = {
+  SLOT_ERRORS,
+  nextSlotsFilled,
+  updateApplicationSlot,
+  deleteApplicationSlot,
+  saveApplicationWhileOpen,
+  recountScholarshipSlots,
+  recountAllScholarshipSlots
+};
@@ -0,0 +1,214 @@
+/**
+ * Waitlist Service
+ * Sponsors queue ranked applicants as waitlisted, in order. When a student
+ * declines an offer (or lets it expire) the freed slot is offered to the
+ * first waitlisted applicant, who then has a limited time to respond.
+ */
+
+const { getRepositories } = require("../repositories");
+const { AppError } = require("../middleware/errorHandler");
+const { transitionApplication } = require("./applicationStatusService");
+const { SLOT_ERRORS } = require("./slotAllocationService");
+const { APPLICATION_STATUS, ACTORS, DECLINE_REASONS } = require("../utils/applicationStateMachine");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WAITLIST_CONFIG = {
+  // Days a promoted applicant has to accept, unless the scholarship sets waitlistResponseDays
+  responseDays: parseInt(process.env.WAITLIST_RESPONSE_DAYS, 10) || 3,
+  maxResponseDays: 30
+};
+
+/**
+ * Waitlisted applications of a scholarship in queue order
+ * @param {string} scholarshipId
+ * @returns {Promise<array>}
+ */
+async function getWaitlist(scholarshipId) {
+  const applications = await getRepositories().applications.findApplicationsByScholarship(scholarshipId);
+  return applications
+    .filter(app => app.status === APPLICATION_STATUS.WAITLISTED)
+    .sort((a, b) => (a.waitlistPosition || 0) - (b.waitlistPosition || 0));
+}
+
+/**
+ * Response deadline for an offer made now
+ * @param {object} scholarship
+ * @param {Date} now
+ * @returns {string} - ISO date
+ */
+function offerDeadline(scholarship, now = new Date()) {
+  const days = scholarship.waitlistResponseDays || WAITLIST_CONFIG.responseDays;
+  return new Date(now.getTime() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Waitlist applications in the given order, after anyone already waitlisted
+ * @param {object} scholarship
+ * @param {array} applicationIds - Ordered, first is offered a slot first
+ * @param {object} options - { user: sponsor session user, responseDays: days to answer a promotion }
+ * @returns {Promise<object>} - { added: [applicationId], skipped: [applicationId] }
+ * @throws {AppError} - INVALID_RESPONSE_DAYS
+ */
+async function addToWaitlist(scholarship, applicationIds, options = {}) {
+  const repositories = getRepositories();
+
+  if (options.responseDays !== undefined && options.responseDays !== null && options.responseDays !== "") {
+    const responseDays = parseInt(options.responseDays, 10);
+    if (!responseDays || responseDays < 1 || responseDays > WAITLIST_CONFIG.maxResponseDays) {
+      throw new AppError(
+        `Response time must be between 1 and ${WAITLIST_CONFIG.maxResponseDays} days`,
+        400,
+        "INVALID_RESPONSE_DAYS"
+      );
+    }
+    await repositories.scholarships.update(scholarship.id, {
+      waitlistResponseDays: responseDays,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  const waitlist = await getWaitlist(scholarship.id);
+  let position = waitlist.reduce((max, app) => Math.max(max, app.waitlistPosition || 0), 0);
+  const added = [];
+  const skipped = [];
+
+  // One at a time so positions follow the sponsor's order
+  for (const applicationId of applicationIds) {
+    const application = await repositories.applications.findById(applicationId);
+    if (!application || application.scholarshipId !== scholarship.id) {
+      skipped.push(applicationId);
+      continue;
+    }
+
+    try {
+      await transitionApplication(applicationId, APPLICATION_STATUS.WAITLISTED, {
+        actor: ACTORS.SPONSOR,
+        user: options.user,
+        application,
+        note: `Waitlist position ${position + 1}`,
+        changes: {
+          waitlistPosition: position + 1,
+          waitlistedAt: new Date().toISOString(),
+          updatedAt: new Date().toISOString()
+        }
+      });
+      position++;
+      added.push(applicationId);
+    } catch (error) {
+      if (!(error instanceof AppError)) throw error;
+      skipped.push(applicationId);
+    }
+  }
+
+  return { added, skipped };
+}
+
+/**
+ * Offer free slots to waitlisted applicants, in order
+ * Applicants who already accepted another scholarship leave the waitlist
+ * without an offer. Each offer reserves the slot in its own transaction, so
+ * this stops as soon as the scholarship is full.
+ * @param {string} scholarshipId
+ * @returns {Promise<array>} - IDs of the applications offered a slot
+ */
+async function promoteFromWaitlist(scholarshipId) {
+  const repositories = getRepositories();
+  const scholarship = await repositories.scholarships.findById(scholarshipId);
+  if (!scholarship) return [];
+
+  const promoted = [];
+  for (const candidate of await getWaitlist(scholarshipId)) {
+    if (await repositories.applications.findAcceptedByStudent(candidate.studentUid)) {
+      try {
+        await transitionApplication(candidate.id, APPLICATION_STATUS.NOT_SELECTED, {
+          actor: ACTORS.SYSTEM,
+          application: candidate,
+          note: DECLINE_REASONS.ACCEPTED_ANOTHER,
+          changes: { notSelectedAt: new Date().toISOString(), updatedAt: new Date().toISOString() }
+        });
+      } catch (error) {
+        // Already off the waitlist; either way they get no offer
+        if (error.errorCode !== SLOT_ERRORS.STATUS_CHANGED) throw error;
+      }
+      continue;
+    }
+
+    try {
+      await transitionApplication(candidate.id, APPLICATION_STATUS.NOTIFIED, {
+        actor: ACTORS.SYSTEM,
+        application: candidate,
+        note: "Offered a freed slot from the waitlist",
+        changes: {
+          offerExpiresAt: offerDeadline(scholarship),
+          promotedFromWaitlistAt: new Date().toISOString(),
+          notifiedAt: new Date().toISOString(),
+          notifiedBy: "system",
+          updatedAt: new Date().toISOString()
+        }
+      });
+      promoted.push(candidate.id);
+    } catch (error) {
+      if (error.errorCode === SLOT_ERRORS.SLOTS_FULL) break;
+      // Someone moved this applicant off the waitlist meanwhile; try the next
+      if (error.errorCode === SLOT_ERRORS.STATUS_CHANGED) continue;
+      throw error;
+    }
+  }
+
+  return promoted;
+}
+
+/**
+ * Decline offers whose response deadline has passed (scheduled task)
+ * Each decline frees the slot for the next waitlisted applicant.
+ * @param {Date} now
+ * @returns {Promise<number>} - Offers expired
+ */
+async function expireWaitlistOffers(now = new Date()) {
+  const offers = await getRepositories().applications.findOffersExpiringBefore(now.toISOString());
+  let expiredCount = 0;
+
+  for (const offer of offers) {
+    if (offer.status !== APPLICATION_STATUS.NOTIFIED || offer.studentAccepted !== undefined) continue;
+
+    try {
+      await transitionApplication(offer.id, APPLICATION_STATUS.STUDENT_DECLINED, {
+        actor: ACTORS.SYSTEM,
+        application: offer,
+        note: DECLINE_REASONS.OFFER_EXPIRED,
+        changes: {
+          studentAccepted: false,
+          declineReason: DECLINE_REASONS.OFFER_EXPIRED,
+          updatedAt: now.toISOString()
+        }
+      });
+      expiredCount++;
+    } catch (error) {
+      // The student answered while this ran
+      if (error.errorCode !== SLOT_ERRORS.STATUS_CHANGED) throw error;
+    }
+  }
+
+  return expiredCount;
+}
+
+/**
+ * Check if an offer's response deadline has passed
+ * @param {object} application
+ * @param {Date} now
+ * @returns {boolean}
+ */
+function isOfferExpired(application, now = new Date()) {
+  return Boolean(application.offerExpiresAt) && new Date(application.offerExpiresAt) <= now;
+}
+
+module.exports = {
+  WAITLIST_CONFIG,
+  getWaitlist,
+  offerDeadline,
+  addToWaitlist,
+  promoteFromWaitlist,
+  expireWaitlistOffers,
+  isOfferExpired
+};
@@ -0,0 +1,219 @@
+/**
+ * AI response validation
+ * Parses LLM output and validates each item against a small schema. Items
+ * are repaired one at a time (invalid fields dropped, unusable items replaced
+ * with a fallback) so a partly bad response is neither trusted nor discarded
+ * as a whole. Every problem found is reported as an issue.
+ */
+
+const RECOMMENDATION_LABELS = ['Highly Recommended', 'Recommended', 'Consider', 'Not Recommended'];
+
+/*
+ * Schemas
+ * `idField` identifies the entity an item is about; fields marked `required`
+ * cannot be repaired in place, so an item with a bad required field is
+ * replaced by the fallback for its id.
+ */
+const MATCH_SCHEMA = {
+  name: 'match',
+  idField: 'scholarshipId',
+  fields: {
+    scholarshipId: { type: 'string', required: true },
+    matchScore: { type: 'number', required: true, min: 0, max: 100 },
+    eligible: { type: 'boolean' },
+    scholarshipName: { type: 'string' },
+    explanation: { type: 'string' },
+    recommendation: { type: 'string', enum: RECOMMENDATION_LABELS },
+    matchDetails: { type: 'object' }
+  }
+};
+
+const RANKING_SCHEMA = {
+  name: 'ranking',
+  idField: 'applicationId',
+  fields: {
+    applicationId: { type: 'string', required: true },
+    rankScore: { type: 'number', required: true, min: 0, max: 100 },
+    eligible: { type: 'boolean' },
+    studentName: { type: 'string' },
+    strengths: { type: 'array', items: 'string' },
+    weaknesses: { type: 'array', items: 'string' },
+    recommendation: { type: 'string' },
+    scoreBreakdown: { type: 'object' }
+  }
+};
+
+/**
+ * Parse a JSON array out of an LLM response
+ * Accepts a bare array, an object wrapping a single array (e.g. { "matches": [...] }),
+ * or an array surrounded by prose / code fences.
+ * @param {string} text
+ * @returns {object} - { items: array|null, error: string|null }
+ */
+function parseJSONArray(text) {
+  const raw = (text || '').toString().trim();
+  if (!raw) return { items: null, error: 'Empty response' };
+
+  const candidates = [raw.replace(/^```(?:json)?\s*|\s*```$/g, '')];
+  const bracketed = raw.match(/\[[\s\S]*\]/);
+  if (bracketed) candidates.push(bracketed[0]);
+
+  for (const candidate of candidates) {
+    let parsed;
+    try {
+      parsed = JSON.parse(candidate);
+    } catch (error) {
+      continue;
+    }
+    if (Array.isArray(parsed)) return { items: parsed, error: null };
+    if (parsed && typeof parsed === 'object') {
+      const arrays = Object.values(parsed).filter(Array.isArray);
+      if (arrays.length === 1) return { items: arrays[0], error: null };
+    }
+  }
+
+  return { items: null, error: 'Response does not contain a JSON array' };
+}
+
+/**
+ * Coerce and check one field value
+ * @param {*} value
+ * @param {object} rule - Field rule from a schema
+ * @returns {object} - { value, error: string|null }
+ */
+function checkField(value, rule) {
+  switch (rule.type) {
+    case 'number': {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) return { value, error: 'must be a number' };
+      if (rule.min !== undefined && num < rule.min) return { value, error: `must be at least ${rule.min}` };
+      if (rule.max !== undefined && num > rule.max) return { value, error: `must be at most ${rule.max}` };
+      return { value: num, error: null };
+    }
+    case 'string': {
+      const str = typeof value === 'number' ? String(value) : value;
+      if (typeof str !== 'string' || !str.trim()) return { value, error: 'must be a non-empty string' };
+      if (rule.enum && !rule.enum.includes(str.trim())) return { value, error: `must be one of: ${rule.enum.join(', ')}` };
+      return { value: str.trim(), error: null };
+    }
+    case 'boolean':
+      if (value === 'true' || value === 'false') return { value: value === 'true', error: null };
+      return typeof value === 'boolean' ? { value, error: null } : { value, error: 'must be true or false' };
+    case 'array':
+      if (!Array.isArray(value)) return { value, error: 'must be an array' };
+      if (rule.items && value.some(item => typeof item !== rule.items)) {
+        return { value, error: `must contain only ${rule.items} values` };
+      }
+      return { value, error: null };
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value)
+        ? { value, error: null }
+        : { value, error: 'must be an object' };
+    default:
+      return { value, error: null };
+  }
+}
+
+/**
+ * Validate one item against a schema
+ * Unknown fields are kept as-is; invalid optional fields are removed.
+ * @param {object} item
+ * @param {object} schema
+ * @returns {object} - { value, errors: [{ field, message }], fatal: boolean }
+ */
+function validateItem(item, schema) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { value: null, errors: [{ field: null, message: 'item must be an object' }], fatal: true };
+  }
+
+  const value = { ...item };
+  const errors = [];
+  let fatal = false;
+
+  Object.keys(schema.fields).forEach(field => {
+    const rule = schema.fields[field];
+    if (value[field] === undefined || value[field] === null) {
+      if (rule.required) {
+        errors.push({ field, message: 'is required' });
+        fatal = true;
+      }
+      delete value[field];
+      return;
+    }
+
+    const result = checkField(value[field], rule);
+    if (result.error) {
+      errors.push({ field, message: result.error });
+      if (rule.required) fatal = true;
+      delete value[field];
+    } else {
+      value[field] = result.value;
+    }
+  });
+
+  return { value, errors, fatal };
+}
+
+/**
+ * Validate and repair a whole AI response
+ * - Items for unknown or duplicate ids are dropped
+ * - Items with an invalid required field are replaced by `repair(id)`
+ * - Invalid optional fields are removed from otherwise good items
+ * - Expected ids missing from the response are filled with `repair(id)`
+ * Repaired and partly invalid items carry their problems in `validationIssues`.
+ * @param {array} items - Parsed response items
+ * @param {object} schema - MATCH_SCHEMA or RANKING_SCHEMA
+ * @param {Array<string>} expectedIds - Ids the response should cover
+ * @param {function} repair - (id) => fallback item for that id
+ * @returns {object} - { items, issues: [{ id, field, message }], valid: boolean }
+ */
+function validateAIResponse(items, schema, expectedIds, repair) {
+  const expected = new Set(expectedIds.map(String));
+  const seen = new Set();
+  const issues = [];
+  const results = [];
+
+  (Array.isArray(items) ? items : []).forEach((item, index) => {
+    const { value, errors, fatal } = validateItem(item, schema);
+    const rawId = item && typeof item === 'object' ? item[schema.idField] : undefined;
+    const id = rawId === undefined || rawId === null ? null : String(rawId);
+
+    if (!id || !expected.has(id)) {
+      issues.push({ id, field: schema.idField, message: id ? `unknown ${schema.idField} at index ${index}` : `item at index ${index} has no ${schema.idField}` });
+      return;
+    }
+    if (seen.has(id)) {
+      issues.push({ id, field: schema.idField, message: 'duplicate item ignored' });
+      return;
+    }
+    seen.add(id);
+
+    const itemIssues = errors.map(error => ({ id, field: error.field, message: `${error.field} ${error.message}` }));
+    issues.push(...itemIssues);
+
+    if (fatal) {
+      results.push({ ...repair(id), repaired: true, validationIssues: itemIssues.map(i => i.message) });
+    } else {
+      if (itemIssues.length > 0) value.validationIssues = itemIssues.map(i => i.message);
+      results.push(value);
+    }
+  });
+
+  expected.forEach(id => {
+    if (seen.has(id)) return;
+    const issue = { id, field: schema.idField, message: 'missing from response' };
+    issues.push(issue);
+    results.push({ ...repair(id), repaired: true, validationIssues: [issue.message] });
+  });
+
+  return { items: results, issues, valid: issues.length === 0 };
+}
+
+module.exports = {
+  RECOMMENDATION_LABELS,
+  MATCH_SCHEMA,
+  RANKING_SCHEMA,
+  parseJSONArray,
+  validateItem,
+  validateAIResponse
+};
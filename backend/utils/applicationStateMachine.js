@@ -0,0 +1,355 @@
+/**
+ * Application state machine
+ * The one definition of every application status, who may move an
+ * application between two statuses, and what each move does besides
+ * writing the status: whether the application holds a scholarship slot in
+ * its new status and which notifications go out. Executed by
+ * services/applicationStatusService.js; nothing else writes a status.
+ */
+
+const APPLICATION_STATUS = {
+  DRAFT: 'draft',
+  PENDING: 'pending',
+  UNDER_REVIEW: 'under_review',
+  WAITLISTED: 'waitlisted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  NOTIFIED: 'notified',
+  ACCEPTED: 'accepted',
+  NOT_SELECTED: 'not_selected',
+  WITHDRAWN: 'withdrawn',
+  ENROLLED: 'enrolled',
+  STUDENT_DECLINED: 'student_declined'
+};
+
+// Who performs a transition; `system` is the app acting on its own
+const ACTORS = {
+  STUDENT: 'student',
+  SPONSOR: 'sponsor',
+  ADMIN: 'admin',
+  SYSTEM: 'system'
+};
+
+// Statuses that occupy one of a scholarship's slots (slotsFilled counts these)
+const SLOT_HOLDING_STATUSES = [
+  APPLICATION_STATUS.APPROVED,
+  APPLICATION_STATUS.ACCEPTED,
+  APPLICATION_STATUS.NOTIFIED,
+  APPLICATION_STATUS.ENROLLED
+];
+
+// Why an offer was declined for the student (stored as declineReason)
+const DECLINE_REASONS = {
+  ACCEPTED_ANOTHER: 'Student accepted another scholarship',
+  OFFER_EXPIRED: 'Offer expired without a response'
+};
+
+// Statuses a student can create an application in
+const INITIAL_STATUSES = [APPLICATION_STATUS.DRAFT, APPLICATION_STATUS.PENDING];
+
+const S = APPLICATION_STATUS;
+
+/**
+ * Scholarship name for notification text
+ * @param {object} application
+ * @param {object|null} scholarship
+ * @returns {string}
+ */
+function scholarshipNameOf(application, scholarship) {
+  return application.scholarshipName || (scholarship && scholarship.scholarshipName) || '';
+}
+
+/**
+ * Slot usage for sponsor notifications, e.g. "Slots: 3/5"
+ * @param {object} scholarship
+ * @returns {string}
+ */
+function slotSummary(scholarship) {
+  return `Slots: ${scholarship.slotsFilled || 0}/${scholarship.slotsAvailable}`;
+}
+
+/**
+ * Response deadline for notification text, e.g. "Oct 21, 2026"
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function formatDeadline(isoDate) {
+  return new Date(isoDate).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Explanation appended to a decline notification
+ * @param {string} declineReason
+ * @returns {string}
+ */
+function declineSuffix(declineReason) {
+  if (declineReason === DECLINE_REASONS.ACCEPTED_ANOTHER) return ' (accepted another offer)';
+  if (declineReason === DECLINE_REASONS.OFFER_EXPIRED) return ' (the offer expired without a response)';
+  return '';
+}
+
+/*
+ * Notifications a transition sends. Each builder gets { application,
+ * scholarship, applicationId } after the write (scholarship may be null) and
+ * returns a notification or null to skip it.
+ */
+const NOTIFICATIONS = {
+  studentApproved: ({ application, scholarship, applicationId }) => ({
+    userId: application.studentUid,
+    type: 'application_approved',
+    title: 'Application Approved!',
+    message: `Congratulations! Your application for "${scholarshipNameOf(application, scholarship)}" has been approved.`,
+    relatedId: applicationId
+  }),
+  sponsorApproved: ({ application, scholarship }) => scholarship && ({
+    userId: scholarship.sponsorUid,
+    type: 'application_update',
+    title: 'Application Approved',
+    message: `An application for "${scholarship.scholarshipName}" has been approved. ${slotSummary(scholarship)}`,
+    relatedId: application.scholarshipId
+  }),
+  studentRejected: ({ application, scholarship, applicationId }) => ({
+    userId: application.studentUid,
+    type: 'application_rejected',
+    title: 'Application Update',
+    message: `Your application for "${scholarshipNameOf(application, scholarship)}" was not approved. Please check other opportunities.`,
+    relatedId: applicationId
+  }),
+  studentSelected: ({ application, scholarship, applicationId }) => ({
+    userId: application.studentUid,
+    type: 'application_approved',
+    title: 'Congratulations! You\'ve Been Selected!',
+    message: `Great news! You have been selected for the scholarship "${scholarshipNameOf(application, scholarship)}". Check your applications for more details.`,
+    relatedId: applicationId
+  }),
+  sponsorStudentNotified: ({ application, scholarship }) => scholarship && ({
+    userId: scholarship.sponsorUid,
+    type: 'application_update',
+    title: 'Student Notified',
+    message: `A student has been officially notified of their selection for "${scholarship.scholarshipName}". ${slotSummary(scholarship)}`,
+    relatedId: application.scholarshipId
+  }),
+  studentNotSelected: ({ application, scholarship, applicationId }) => ({
+    userId: application.studentUid,
+    type: 'application_not_selected',
+    title: 'Application Update',
+    message: `Unfortunately, you were not selected for the scholarship "${scholarshipNameOf(application, scholarship)}". Don't give up - keep applying to other scholarships!`,
+    relatedId: applicationId
+  }),
+  sponsorOfferAccepted: ({ application, scholarship, applicationId }) => ({
+    userId: application.sponsorUid,
+    type: 'student_accepted_offer',
+    title: 'Student Accepted Scholarship',
+    message: `${application.studentName} has accepted the scholarship "${scholarshipNameOf(application, scholarship)}".`,
+    relatedId: applicationId
+  }),
+  sponsorOfferDeclined: ({ application, scholarship, applicationId }) => ({
+    userId: application.sponsorUid,
+    type: 'student_declined_offer',
+    title: 'Student Declined Scholarship',
+    message: `${application.studentName} has declined the scholarship "${scholarshipNameOf(application, scholarship)}"` +
+      `${declineSuffix(application.declineReason)}.`,
+    relatedId: applicationId
+  }),
+  studentWaitlisted: ({ application, scholarship, applicationId }) => ({
+    userId: application.studentUid,
+    type: 'application_update',
+    title: 'You Are on the Waitlist',
+    message: `You have been placed on the waitlist for "${scholarshipNameOf(application, scholarship)}" ` +
+      `(position ${application.waitlistPosition}). We will let you know if a slot opens up.`,
+    relatedId: applicationId
+  }),
+  studentWaitlistOffer: ({ application, scholarship, applicationId }) => ({
+    userId: application.studentUid,
+    type: 'waitlist_offer',
+    title: 'A Slot Has Opened Up for You!',
+    message: `A slot in "${scholarshipNameOf(application, scholarship)}" has opened up and is now offered to you. ` +
+      `Please accept or decline by ${formatDeadline(application.offerExpiresAt)}, or it will go to the next applicant.`,
+    relatedId: applicationId
+  }),
+  sponsorWaitlistPromoted: ({ application, scholarship }) => scholarship && ({
+    userId: scholarship.sponsorUid,
+    type: 'application_update',
+    title: 'Waitlisted Applicant Offered a Slot',
+    message: `${application.studentName} was offered a freed slot in "${scholarship.scholarshipName}" from the waitlist. ${slotSummary(scholarship)}`,
+    relatedId: application.scholarshipId
+  })
+};
+
+/*
+ * Allowed transitions. A move is allowed when some rule lists its current
+ * status in `from`, its new status as `to` and the actor in `actors`.
+ * `requiresOpenScholarship` moves re-check that the scholarship still takes
+ * applications (and has a free slot with `requiresFreeSlot`);
+ * `removesApplication` moves delete the application instead of keeping it in
+ * the new status. Any move that frees a slot (see freesSlot) offers it to the
+ * next waitlisted applicant.
+ */
+const TRANSITIONS = [
+  { from: [S.DRAFT], to: S.DRAFT, actors: [ACTORS.STUDENT], requiresOpenScholarship: true },
+  {
+    from: [S.DRAFT],
+    to: S.PENDING,
+    actors: [ACTORS.STUDENT],
+    requiresOpenScholarship: true,
+    requiresFreeSlot: true
+  },
+  { from: [S.PENDING, S.UNDER_REVIEW, S.WAITLISTED], to: S.WITHDRAWN, actors: [ACTORS.STUDENT], removesApplication: true },
+
+  // Sponsor review
+  { from: [S.PENDING, S.NOT_SELECTED], to: S.UNDER_REVIEW, actors: [ACTORS.SPONSOR, ACTORS.ADMIN] },
+  { from: [S.ACCEPTED], to: S.UNDER_REVIEW, actors: [ACTORS.SPONSOR] },
+  { from: [S.UNDER_REVIEW], to: S.PENDING, actors: [ACTORS.SPONSOR, ACTORS.ADMIN] },
+  { from: [S.PENDING, S.UNDER_REVIEW], to: S.ACCEPTED, actors: [ACTORS.SPONSOR, ACTORS.ADMIN] },
+  { from: [S.PENDING, S.UNDER_REVIEW, S.ACCEPTED, S.WAITLISTED], to: S.NOT_SELECTED, actors: [ACTORS.SPONSOR] },
+
+  // Waitlist: sponsors queue ranked applicants; a freed slot is offered to the
+  // first one automatically, skipping anyone who already enrolled elsewhere
+  {
+    from: [S.PENDING, S.UNDER_REVIEW],
+    to: S.WAITLISTED,
+    actors: [ACTORS.SPONSOR],
+    notifications: ['studentWaitlisted']
+  },
+  { from: [S.WAITLISTED], to: S.UNDER_REVIEW, actors: [ACTORS.SPONSOR] },
+  {
+    from: [S.WAITLISTED],
+    to: S.NOTIFIED,
+    actors: [ACTORS.SYSTEM],
+    notifications: ['studentWaitlistOffer', 'sponsorWaitlistPromoted']
+  },
+  { from: [S.WAITLISTED], to: S.NOT_SELECTED, actors: [ACTORS.SYSTEM] },
+
+  // Admin decisions
+  {
+    from: [S.PENDING, S.UNDER_REVIEW],
+    to: S.APPROVED,
+    actors: [ACTORS.ADMIN],
+    notifications: ['studentApproved', 'sponsorApproved']
+  },
+  {
+    from: [S.PENDING, S.UNDER_REVIEW, S.APPROVED],
+    to: S.REJECTED,
+    actors: [ACTORS.ADMIN],
+    notifications: ['studentRejected']
+  },
+  {
+    from: [S.ACCEPTED, S.APPROVED],
+    to: S.NOTIFIED,
+    actors: [ACTORS.ADMIN],
+    notifications: ['studentSelected', 'sponsorStudentNotified']
+  },
+  {
+    from: [S.PENDING, S.UNDER_REVIEW, S.WAITLISTED, S.ACCEPTED, S.APPROVED],
+    to: S.NOT_SELECTED,
+    actors: [ACTORS.ADMIN],
+    notifications: ['studentNotSelected']
+  },
+
+  // Student response to an offer; accepting one declines the others for them
+  // (system declines also cover offers that expire)
+  {
+    from: [S.ACCEPTED, S.NOTIFIED],
+    to: S.ENROLLED,
+    actors: [ACTORS.STUDENT],
+    notifications: ['sponsorOfferAccepted']
+  },
+  {
+    from: [S.ACCEPTED, S.NOTIFIED],
+    to: S.STUDENT_DECLINED,
+    actors: [ACTORS.STUDENT, ACTORS.SYSTEM],
+    notifications: ['sponsorOfferDeclined']
+  }
+];
+
+/**
+ * Check that a value is a known application status
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isApplicationStatus(status) {
+  return Object.values(APPLICATION_STATUS).includes(status);
+}
+
+/**
+ * Check if an application in this status occupies a slot
+ * @param {string} status
+ * @returns {boolean}
+ */
+function holdsSlot(status) {
+  return SLOT_HOLDING_STATUSES.includes(status);
+}
+
+/**
+ * Check if a move gives up a slot
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+function freesSlot(fromStatus, toStatus) {
+  return holdsSlot(fromStatus) && !holdsSlot(toStatus);
+}
+
+/**
+ * Find the rule that allows a move
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @param {string} actor - One of ACTORS
+ * @returns {object|null} - Transition rule
+ */
+function getTransition(fromStatus, toStatus, actor) {
+  return TRANSITIONS.find(rule =>
+    rule.to === toStatus && rule.from.includes(fromStatus) && rule.actors.includes(actor)) || null;
+}
+
+/**
+ * Check if a status transition is valid
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @param {string} actor - One of ACTORS; any actor when omitted
+ * @returns {boolean}
+ */
+function isValidStatusTransition(fromStatus, toStatus, actor) {
+  if (actor) return getTransition(fromStatus, toStatus, actor) !== null;
+  return TRANSITIONS.some(rule => rule.to === toStatus && rule.from.includes(fromStatus));
+}
+
+/**
+ * Statuses an actor can move an application to from its current status
+ * @param {string} fromStatus
+ * @param {string} actor
+ * @returns {array}
+ */
+function getNextStatuses(fromStatus, actor) {
+  return [...new Set(TRANSITIONS
+    .filter(rule => rule.from.includes(fromStatus) && rule.actors.includes(actor))
+    .map(rule => rule.to))];
+}
+
+/**
+ * Build the notifications a transition sends
+ * @param {object} transition - Rule from getTransition
+ * @param {object} context - { application (after the write), scholarship, applicationId }
+ * @returns {array} - [{ userId, type, title, message, relatedId }]
+ */
+function buildTransitionNotifications(transition, context) {
+  return (transition.notifications || [])
+    .map(name => NOTIFICATIONS[name](context))
+    .filter(notification => notification && notification.userId);
+}
+
+module.exports = {
+  APPLICATION_STATUS,
+  ACTORS,
+  DECLINE_REASONS,
+  SLOT_HOLDING_STATUSES,
+  INITIAL_STATUSES,
+  TRANSITIONS,
+  isApplicationStatus,
+  holdsSlot,
+  freesSlot,
+  getTransition,
+  isValidStatusTransition,
+  getNextStatuses,
+  buildTransitionNotifications
+};
@@ -2,17 +2,13 @@
  * Application-wide constants for status values, validation rules, and enums
  */
 
-// Application Status Values
-const APPLICATION_STATUS = {
-  PENDING: 'pending',
-  UNDER_REVIEW: 'under_review',
-  APPROVED: 'approved',
-  REJECTED: 'rejected',
-  NOTIFIED: 'notified',
-  ACCEPTED: 'accepted',
-  NOT_SELECTED: 'not_selected',
-  WITHDRAWN: 'withdrawn'
-};
+// Application statuses and slot rules live with the transition rules
+const {
+  APPLICATION_STATUS,
+  SLOT_HOLDING_STATUSES,
+  holdsSlot,
+  isValidStatusTransition
+} = require('./applicationStateMachine');
 
 // Scholarship Status Values
 const SCHOLARSHIP_STATUS = {
@@ -64,6 +60,31 @@ const DEGREE_LEVELS = [
   'Any'
 ];
 
+// Year Levels (assessment form values)
+const YEAR_LEVELS = ['1st Year', '2nd Year', '3rd Year', '4th Year', '5th Year', 'Graduate'];
+
+// Monthly family income brackets (assessment form values, see utils/incomeParser.js)
+const INCOME_RANGES = {
+  below_10k: 'Below ₱10,000',
+  '10k_20k': '₱10,000 - ₱20,000',
+  '20k_30k': '₱20,000 - ₱30,000',
+  '30k_50k': '₱30,000 - ₱50,000',
+  above_50k: 'Above ₱50,000'
+};
+
+// Grading Scales - students declare theirs, sponsors set minGPA in theirs.
+// All comparisons convert to the 4.0 scale (see utils/gradeScale.js).
+const GRADING_SCALES = {
+  gpa_4: { label: '4.0 GPA (4.0 is highest)', shortLabel: 'GPA', min: 0, max: 4.0, higherIsBetter: true },
+  gwa_5: { label: '1.0-5.0 GWA (1.0 is highest)', shortLabel: 'GWA', min: 1.0, max: 5.0, higherIsBetter: false },
+  percent: { label: 'Percentage (0-100)', shortLabel: '%', min: 0, max: 100, higherIsBetter: true }
+};
+
+const DEFAULT_GRADING_SCALE = 'gpa_4';
+
+// Grades saved before scales existed were all entered as a 1.0-5.0 GWA
+const LEGACY_GRADING_SCALE = 'gwa_5';
+
 // Validation Rules
 const VALIDATION = {
   GPA: {
@@ -109,40 +130,53 @@ const FILE_LIMITS = {
 
 // Status Display Labels (for UI)
 const STATUS_LABELS = {
+  [APPLICATION_STATUS.DRAFT]: 'Draft',
   [APPLICATION_STATUS.PENDING]: 'Pending',
   [APPLICATION_STATUS.UNDER_REVIEW]: 'Under Review',
+  [APPLICATION_STATUS.WAITLISTED]: 'Waitlisted',
   [APPLICATION_STATUS.APPROVED]: 'Approved',
   [APPLICATION_STATUS.REJECTED]: 'Rejected',
   [APPLICATION_STATUS.NOTIFIED]: 'Notified',
   [APPLICATION_STATUS.ACCEPTED]: 'Accepted',
   [APPLICATION_STATUS.NOT_SELECTED]: 'Not Selected',
-  [APPLICATION_STATUS.WITHDRAWN]: 'Withdrawn'
+  [APPLICATION_STATUS.WITHDRAWN]: 'Withdrawn',
+  [APPLICATION_STATUS.ENROLLED]: 'Enrolled',
+  [APPLICATION_STATUS.STUDENT_DECLINED]: 'Declined'
 };
 
 // Status CSS Classes (for UI styling)
 const STATUS_CLASSES = {
+  [APPLICATION_STATUS.DRAFT]: 'pending',
   [APPLICATION_STATUS.PENDING]: 'pending',
   [APPLICATION_STATUS.UNDER_REVIEW]: 'under-review',
+  [APPLICATION_STATUS.WAITLISTED]: 'under-review',
   [APPLICATION_STATUS.APPROVED]: 'approved',
   [APPLICATION_STATUS.REJECTED]: 'rejected',
   [APPLICATION_STATUS.NOTIFIED]: 'notified',
   [APPLICATION_STATUS.ACCEPTED]: 'approved',
   [APPLICATION_STATUS.NOT_SELECTED]: 'rejected',
-  [APPLICATION_STATUS.WITHDRAWN]: 'closed'
+  [APPLICATION_STATUS.WITHDRAWN]: 'closed',
+  [APPLICATION_STATUS.ENROLLED]: 'approved',
+  [APPLICATION_STATUS.STUDENT_DECLINED]: 'closed'
 };
 
 /**
  * Validate GPA value
  * @param {number} gpa - GPA value to validate
+ * @param {string} scale - Grading scale key (defaults to the 4.0 scale)
  * @returns {object} - { valid: boolean, error: string|null }
  */
-function validateGPA(gpa) {
+function validateGPA(gpa, scale = DEFAULT_GRADING_SCALE) {
+  const gradingScale = GRADING_SCALES[scale];
+  if (!gradingScale) {
+    return { valid: false, error: 'Invalid grading scale' };
+  }
   const numGpa = parseFloat(gpa);
   if (isNaN(numGpa)) {
     return { valid: false, error: 'GPA must be a number' };
   }
-  if (numGpa < VALIDATION.GPA.MIN || numGpa > VALIDATION.GPA.MAX) {
-    return { valid: false, error: `GPA must be between ${VALIDATION.GPA.MIN} and ${VALIDATION.GPA.MAX}` };
+  if (numGpa < gradingScale.min || numGpa > gradingScale.max) {
+    return { valid: false, error: `GPA must be between ${gradingScale.min} and ${gradingScale.max} for ${gradingScale.label}` };
   }
   return { valid: true, error: null };
 }
@@ -226,35 +260,19 @@ function validateSlots(slots) {
   return { valid: true, error: null };
 }
 
-/**
- * Check if a status transition is valid
- * @param {string} currentStatus
- * @param {string} newStatus
- * @returns {boolean}
- */
-function isValidStatusTransition(currentStatus, newStatus) {
-  const validTransitions = {
-    [APPLICATION_STATUS.PENDING]: [APPLICATION_STATUS.UNDER_REVIEW, APPLICATION_STATUS.WITHDRAWN],
-    [APPLICATION_STATUS.UNDER_REVIEW]: [APPLICATION_STATUS.APPROVED, APPLICATION_STATUS.REJECTED, APPLICATION_STATUS.PENDING],
-    [APPLICATION_STATUS.APPROVED]: [APPLICATION_STATUS.NOTIFIED],
-    [APPLICATION_STATUS.NOTIFIED]: [APPLICATION_STATUS.ACCEPTED, APPLICATION_STATUS.NOT_SELECTED],
-    [APPLICATION_STATUS.REJECTED]: [],
-    [APPLICATION_STATUS.ACCEPTED]: [],
-    [APPLICATION_STATUS.NOT_SELECTED]: [],
-    [APPLICATION_STATUS.WITHDRAWN]: []
-  };
-
-  const allowed = validTransitions[currentStatus] || [];
-  return allowed.includes(newStatus);
-}
-
 module.exports = {
   APPLICATION_STATUS,
+  SLOT_HOLDING_STATUSES,
   SCHOLARSHIP_STATUS,
   USER_ROLES,
   AUTH_PROVIDERS,
   SCHOLARSHIP_TYPES,
   DEGREE_LEVELS,
+  YEAR_LEVELS,
+  INCOME_RANGES,
+  GRADING_SCALES,
+  DEFAULT_GRADING_SCALE,
+  LEGACY_GRADING_SCALE,
   VALIDATION,
   FILE_LIMITS,
   STATUS_LABELS,
@@ -264,5 +282,6 @@ module.exports = {
   validateScholarshipAmount,
   validateIncome,
   validateSlots,
+  holdsSlot,
   isValidStatusTransition
 };
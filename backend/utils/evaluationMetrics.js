@@ -0,0 +1,127 @@
+/**
+ * Evaluation metrics for matching quality
+ * Pure functions used by the offline evaluation harness (see
+ * services/matchingEvaluation.js). Rankings are arrays of scholarship IDs,
+ * best first; scores are 0-100 match scores.
+ */
+
+// Score buckets for calibration (0-9, 10-19, ... 90-100)
+const CALIBRATION_BUCKET_SIZE = 10;
+
+/**
+ * Round to a fixed number of decimals (keeps reports diffable)
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number|null}
+ */
+function round(value, decimals = 4) {
+  if (value === null || value === undefined || !Number.isFinite(value)) return null;
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Mean of the numbers in a list, ignoring nulls
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return null;
+  return present.reduce((sum, value) => sum + value, 0) / present.length;
+}
+
+/**
+ * Share of the top k results that are relevant
+ * @param {Array<string>} ranking - IDs, best first
+ * @param {Set<string>} relevant - Relevant IDs
+ * @param {number} k
+ * @returns {number|null} - 0-1, or null when nothing is relevant
+ */
+function precisionAtK(ranking, relevant, k) {
+  if (relevant.size === 0) return null;
+  const top = ranking.slice(0, k);
+  if (top.length === 0) return 0;
+  return top.filter(id => relevant.has(id)).length / Math.min(k, top.length);
+}
+
+/**
+ * Normalized discounted cumulative gain of the top k results
+ * @param {Array<string>} ranking - IDs, best first
+ * @param {Map<string, number>} gains - Graded relevance per ID (e.g. accepted 2, applied 1)
+ * @param {number} k
+ * @returns {number|null} - 0-1, or null when nothing has a gain
+ */
+function ndcgAtK(ranking, gains, k) {
+  const dcg = list => list.reduce((sum, gain, index) => sum + (2 ** gain - 1) / Math.log2(index + 2), 0);
+
+  const ideal = dcg([...gains.values()].filter(gain => gain > 0).sort((a, b) => b - a).slice(0, k));
+  if (ideal === 0) return null;
+
+  return dcg(ranking.slice(0, k).map(id => gains.get(id) || 0)) / ideal;
+}
+
+/**
+ * Eligibility false-positive rate: known-ineligible pairs predicted eligible
+ * @param {array} pairs - [{ predictedEligible: boolean, actuallyEligible: boolean }]
+ * @returns {object} - { rate, falsePositives, negatives }
+ */
+function eligibilityFalsePositiveRate(pairs) {
+  const negatives = pairs.filter(pair => pair.actuallyEligible === false);
+  const falsePositives = negatives.filter(pair => pair.predictedEligible).length;
+  return {
+    rate: negatives.length > 0 ? round(falsePositives / negatives.length) : null,
+    falsePositives,
+    negatives: negatives.length
+  };
+}
+
+/**
+ * Score calibration against acceptance outcomes
+ * A score of 80 should mean roughly an 80% chance of acceptance among
+ * applications with that score.
+ * @param {array} pairs - [{ score: 0-100, accepted: boolean }] for applications with a known decision
+ * @returns {object} - { buckets: [{ range, count, meanScore, acceptanceRate }], expectedCalibrationError, brierScore }
+ */
+function calibration(pairs) {
+  const buckets = new Map();
+  pairs.forEach(pair => {
+    const index = Math.min(Math.floor(pair.score / CALIBRATION_BUCKET_SIZE), 100 / CALIBRATION_BUCKET_SIZE - 1);
+    if (!buckets.has(index)) buckets.set(index, []);
+    buckets.get(index).push(pair);
+  });
+
+  let weightedError = 0;
+  const rows = [...buckets.keys()].sort((a, b) => a - b).map(index => {
+    const items = buckets.get(index);
+    const meanScore = mean(items.map(item => item.score));
+    const acceptanceRate = items.filter(item => item.accepted).length / items.length;
+    weightedError += items.length * Math.abs(meanScore / 100 - acceptanceRate);
+
+    const low = index * CALIBRATION_BUCKET_SIZE;
+    const high = low + CALIBRATION_BUCKET_SIZE >= 100 ? 100 : low + CALIBRATION_BUCKET_SIZE - 1;
+    return {
+      range: `${low}-${high}`,
+      count: items.length,
+      meanScore: round(meanScore, 2),
+      acceptanceRate: round(acceptanceRate)
+    };
+  });
+
+  return {
+    buckets: rows,
+    expectedCalibrationError: pairs.length > 0 ? round(weightedError / pairs.length) : null,
+    brierScore: pairs.length > 0
+      ? round(mean(pairs.map(pair => (pair.score / 100 - (pair.accepted ? 1 : 0)) ** 2)))
+      : null
+  };
+}
+
+module.exports = {
+  round,
+  mean,
+  precisionAtK,
+  ndcgAtK,
+  eligibilityFalsePositiveRate,
+  calibration
+};
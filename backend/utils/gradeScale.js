@@ -0,0 +1,168 @@
+/**
+ * Grading scale conversion
+ * Converts grades from any supported scale (4.0 GPA, 1.0-5.0 GWA, percentage)
+ * to a common 4.0-scale equivalent so they can be compared and scored.
+ */
+
+const { GRADING_SCALES, LEGACY_GRADING_SCALE, VALIDATION } = require('./constants');
+
+// Every grade is compared on this scale (higher is better)
+const STANDARD_GPA_MAX = VALIDATION.GPA.MAX;
+
+// Alternative spellings accepted for the scale keys
+const SCALE_ALIASES = {
+  '4': 'gpa_4',
+  '4.0': 'gpa_4',
+  gpa: 'gpa_4',
+  '5': 'gwa_5',
+  '5.0': 'gwa_5',
+  '1-5': 'gwa_5',
+  gwa: 'gwa_5',
+  '%': 'percent',
+  percentage: 'percent'
+};
+
+// Percentage -> 4.0 anchors (75% is the usual passing mark, 97%+ is a 1.0 GWA)
+const PERCENT_ANCHORS = [
+  [0, 0],
+  [60, 0],
+  [75, 2.0],
+  [97, 4.0],
+  [100, 4.0]
+];
+
+/**
+ * Linear interpolation through sorted [x, y] anchor points
+ * @param {Array} anchors
+ * @param {number} x
+ * @returns {number}
+ */
+function interpolate(anchors, x) {
+  if (x <= anchors[0][0]) return anchors[0][1];
+  for (let i = 1; i < anchors.length; i++) {
+    const [x1, y1] = anchors[i];
+    if (x <= x1) {
+      const [x0, y0] = anchors[i - 1];
+      return x1 === x0 ? y1 : y0 + ((x - x0) / (x1 - x0)) * (y1 - y0);
+    }
+  }
+  return anchors[anchors.length - 1][1];
+}
+
+/**
+ * Resolve a grading scale key
+ * Records saved before scales existed have none. Their grades were entered as
+ * a 1.0-5.0 GWA, so that is assumed unless the value can only be a percentage.
+ * @param {string} scale - Declared scale (key or alias)
+ * @param {number|string} value - Grade, used to infer the scale when none is declared
+ * @returns {string} - Scale key
+ */
+function resolveScale(scale, value) {
+  const key = (scale || '').toString().trim().toLowerCase();
+  if (GRADING_SCALES[key]) return key;
+  if (SCALE_ALIASES[key]) return SCALE_ALIASES[key];
+
+  const num = parseFloat(value);
+  if (!isNaN(num)) {
+    if (num > GRADING_SCALES.gwa_5.max) return 'percent';
+  }
+  return LEGACY_GRADING_SCALE;
+}
+
+/**
+ * Convert a grade to its 4.0-scale equivalent
+ * @param {number|string} value - Grade in its own scale
+ * @param {string} scale - Scale key (inferred when missing)
+ * @returns {number|null} - 0-4 (higher is better), or null if not a number
+ */
+function toStandardGPA(value, scale) {
+  const num = parseFloat(value);
+  if (isNaN(num)) return null;
+
+  let standard;
+  switch (resolveScale(scale, num)) {
+    case 'gwa_5':
+      // 1.0 -> 4.0, 2.0 -> 3.0, 3.0 (passing) -> 2.0, 5.0 (failing) -> 0
+      standard = GRADING_SCALES.gwa_5.max - num;
+      break;
+    case 'percent':
+      standard = interpolate(PERCENT_ANCHORS, num);
+      break;
+    default:
+      standard = num;
+  }
+
+  return Math.round(Math.max(0, Math.min(STANDARD_GPA_MAX, standard)) * 100) / 100;
+}
+
+/**
+ * Convert a 4.0-scale value back to a given scale
+ * @param {number} standard - 4.0-scale value
+ * @param {string} scale - Target scale key
+ * @returns {number|null}
+ */
+function fromStandardGPA(standard, scale) {
+  const num = parseFloat(standard);
+  if (isNaN(num)) return null;
+
+  switch (resolveScale(scale)) {
+    case 'gwa_5':
+      return Math.round((GRADING_SCALES.gwa_5.max - num) * 100) / 100;
+    case 'percent': {
+      // Invert the anchors (skip the flat segments at both ends)
+      const inverted = PERCENT_ANCHORS.slice(1, -1).map(([x, y]) => [y, x]);
+      return Math.round(interpolate(inverted, num));
+    }
+    default:
+      return num;
+  }
+}
+
+/**
+ * Get a grade as a 0-1 fraction of the best possible grade
+ * @param {number|string} value
+ * @param {string} scale
+ * @returns {number} - 0-1 (0 when the grade is missing)
+ */
+function gpaFraction(value, scale) {
+  const standard = toStandardGPA(value, scale);
+  return standard === null ? 0 : standard / STANDARD_GPA_MAX;
+}
+
+/**
+ * Check a student's grade against a minimum set in any scale
+ * @param {number|string} gpa - Student grade
+ * @param {string} gpaScale - Student's grading scale
+ * @param {number|string} minGPA - Required minimum
+ * @param {string} minScale - Scale the minimum was set in
+ * @returns {boolean} - True when there is no minimum or it is met
+ */
+function meetsMinimumGPA(gpa, gpaScale, minGPA, minScale) {
+  const required = toStandardGPA(minGPA, minScale);
+  if (!required) return true;
+  const actual = toStandardGPA(gpa, gpaScale);
+  return actual !== null && actual >= required;
+}
+
+/**
+ * Format a grade with its scale for display ("1.25 GWA", "3.5 GPA", "92%")
+ * @param {number|string} value
+ * @param {string} scale
+ * @returns {string}
+ */
+function formatGPA(value, scale) {
+  if (value === undefined || value === null || value === '') return 'Not specified';
+  const key = resolveScale(scale, value);
+  const shortLabel = GRADING_SCALES[key].shortLabel;
+  return key === 'percent' ? `${value}${shortLabel}` : `${value} ${shortLabel}`;
+}
+
+module.exports = {
+  STANDARD_GPA_MAX,
+  resolveScale,
+  toStandardGPA,
+  fromStandardGPA,
+  gpaFraction,
+  meetsMinimumGPA,
+  formatGPA
+};
@@ -0,0 +1,47 @@
+/**
+ * General helpers
+ */
+
+/**
+ * Split an array into chunks of at most `size` items
+ * @param {Array} items
+ * @param {number} size - Chunk size (at least 1)
+ * @returns {Array<Array>}
+ */
+function chunk(items, size) {
+  const step = Math.max(1, Math.floor(size) || 1);
+  const chunks = [];
+  for (let i = 0; i < (items || []).length; i += step) {
+    chunks.push(items.slice(i, i + step));
+  }
+  return chunks;
+}
+
+/**
+ * Map over items with an async function, running at most `limit` at a time
+ * Results keep the order of `items`.
+ * @param {Array} items
+ * @param {number} limit - Maximum concurrent calls (at least 1)
+ * @param {function} fn - async (item, index) => result
+ * @returns {Promise<Array>}
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Math.min(Math.max(1, Math.floor(limit) || 1), items.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = {
+  chunk,
+  mapWithConcurrency
+};
@@ -0,0 +1,180 @@
+/**
+ * Income parsing utilities
+ * Turns student income ranges and sponsor income limits (select values or
+ * free text) into numeric monthly peso ranges and decides eligibility.
+ */
+
+// Assessment select values -> monthly income range
+const INCOME_RANGE_KEYS = {
+  below_10k: { min: 0, max: 10000 },
+  '10k_20k': { min: 10000, max: 20000 },
+  '20k_30k': { min: 20000, max: 30000 },
+  '30k_50k': { min: 30000, max: 50000 },
+  above_50k: { min: 50000, max: Infinity }
+};
+
+// Sponsor select values -> monthly income ceiling
+const INCOME_LIMIT_KEYS = {
+  below_10k: 10000,
+  below_20k: 20000,
+  below_30k: 30000,
+  below_50k: 50000
+};
+
+// Used to rate financial need when the upper bound is open-ended
+const NEED_REFERENCE_INCOME = 60000;
+
+const ELIGIBILITY = {
+  ELIGIBLE: 'eligible',
+  PARTIAL: 'partial',
+  INELIGIBLE: 'ineligible',
+  UNKNOWN: 'unknown',
+  NOT_APPLICABLE: 'not_applicable'
+};
+
+/**
+ * Extract peso amounts from free text ("₱10,000", "15k", "PHP 2.5M")
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+function extractAmounts(text) {
+  const amounts = [];
+  const pattern = /(\d+(?:,\d{3})*(?:\.\d+)?)(?:\s*(k|m)(?![a-z]))?/gi;
+  let found;
+
+  while ((found = pattern.exec(text)) !== null) {
+    let amount = parseFloat(found[1].replace(/,/g, ''));
+    const suffix = (found[2] || '').toLowerCase();
+    if (suffix === 'k') amount *= 1000;
+    if (suffix === 'm') amount *= 1000000;
+    if (!isNaN(amount)) amounts.push(amount);
+  }
+
+  return amounts;
+}
+
+/**
+ * Convert yearly amounts to monthly when the text says so
+ * @param {string} text
+ * @param {number} amount
+ * @returns {number}
+ */
+function toMonthly(text, amount) {
+  if (/annual|yearly|per\s*year|\ba\s+year|\/\s*year|\/\s*yr/i.test(text)) {
+    return Math.round(amount / 12);
+  }
+  return amount;
+}
+
+/**
+ * Parse a student's income range into a numeric monthly range
+ * @param {string} value - e.g. "10k_20k", "₱10,000 - ₱20,000", "Below ₱10,000"
+ * @returns {object|null} - { min, max } (max may be Infinity) or null if unparseable
+ */
+function parseIncomeRange(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return { min: value, max: value };
+
+  const text = value.toString().trim();
+  const key = text.toLowerCase();
+  if (INCOME_RANGE_KEYS[key]) return { ...INCOME_RANGE_KEYS[key] };
+
+  const amounts = extractAmounts(text).map(a => toMonthly(text, a));
+  if (amounts.length === 0) return null;
+
+  if (/\b(below|under|less\s*than|up\s*to|at\s*most)\b|</i.test(text)) {
+    return { min: 0, max: amounts[0] };
+  }
+  if (/\b(above|over|more\s*than|at\s*least)\b|\+|>/i.test(text)) {
+    return { min: amounts[0], max: Infinity };
+  }
+  if (amounts.length >= 2) {
+    return { min: Math.min(amounts[0], amounts[1]), max: Math.max(amounts[0], amounts[1]) };
+  }
+  return { min: amounts[0], max: amounts[0] };
+}
+
+/**
+ * Parse a sponsor's income limit into a monthly ceiling
+ * @param {string} value - e.g. "below_20k", "Below ₱20,000 monthly", "25000", "300k annually"
+ * @returns {number|null} - Monthly ceiling, or null when there is no usable limit
+ */
+function parseIncomeLimit(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+
+  const text = value.toString().trim();
+  const key = text.toLowerCase();
+  if (INCOME_LIMIT_KEYS[key] !== undefined) return INCOME_LIMIT_KEYS[key];
+
+  // Any amount is the limit, even beside "any" ("Below ₱20,000 for any
+  // applicant"); text without one ("No limit", "N/A") has no limit
+  const amounts = extractAmounts(text).map(a => toMonthly(text, a));
+  if (amounts.length === 0) return null;
+
+  // For ranges like "10,000 - 20,000" the upper bound is the ceiling
+  return Math.max(...amounts);
+}
+
+/**
+ * Decide whether a student's income range fits under a scholarship's limit
+ * @param {string} incomeRange - Student income range
+ * @param {string} incomeLimit - Scholarship income limit
+ * @returns {object} - { status, score (0-1), detail, range, limit }
+ */
+function checkIncomeEligibility(incomeRange, incomeLimit) {
+  const limit = parseIncomeLimit(incomeLimit);
+  if (limit === null) {
+    return { status: ELIGIBILITY.NOT_APPLICABLE, score: 1, detail: 'No income limit', range: null, limit: null };
+  }
+
+  const range = parseIncomeRange(incomeRange);
+  if (!range) {
+    return { status: ELIGIBILITY.UNKNOWN, score: 0.5, detail: 'Income range not specified', range: null, limit };
+  }
+
+  const limitLabel = `₱${limit.toLocaleString()}`;
+
+  if (range.max <= limit) {
+    return { status: ELIGIBILITY.ELIGIBLE, score: 1, detail: `Family income is within the ${limitLabel} limit`, range, limit };
+  }
+
+  if (range.min >= limit) {
+    return { status: ELIGIBILITY.INELIGIBLE, score: 0, detail: `Family income is above the ${limitLabel} limit`, range, limit };
+  }
+
+  // The bracket straddles the limit - credit the share of the bracket under it
+  const upper = range.max === Infinity ? Math.max(limit * 2, range.min * 2) : range.max;
+  const share = (limit - range.min) / (upper - range.min);
+  return {
+    status: ELIGIBILITY.PARTIAL,
+    score: Math.max(0, Math.min(1, share)),
+    detail: `Family income may be above the ${limitLabel} limit`,
+    range,
+    limit
+  };
+}
+
+/**
+ * Rate financial need from an income range (lower income = higher need)
+ * @param {string} incomeRange
+ * @returns {number|null} - 0-1 need score, or null if unparseable
+ */
+function financialNeedScore(incomeRange) {
+  const range = parseIncomeRange(incomeRange);
+  if (!range) return null;
+
+  const upper = range.max === Infinity ? range.min * 1.5 : range.max;
+  const midpoint = (range.min + upper) / 2;
+  return Math.max(0, Math.min(1, 1 - midpoint / NEED_REFERENCE_INCOME));
+}
+
+module.exports = {
+  INCOME_RANGE_KEYS,
+  INCOME_LIMIT_KEYS,
+  ELIGIBILITY,
+  parseIncomeRange,
+  parseIncomeLimit,
+  checkIncomeEligibility,
+  financialNeedScore
+};
@@ -0,0 +1,327 @@
+/**
+ * Deterministic scholarship matching engine
+ * Scores a student's assessment against a scholarship using pluggable,
+ * weighted criterion scorers. Pure functions only - no database access.
+ */
+
+const { checkIncomeEligibility, ELIGIBILITY } = require('./incomeParser');
+const { matchSkills } = require('./skillMatcher');
+const { STANDARD_GPA_MAX, toStandardGPA, formatGPA } = require('./gradeScale');
+
+const ENGINE_VERSION = '1.3.0';
+
+// Default criterion weights (relative - normalized to 100 when scoring)
+const DEFAULT_WEIGHTS = {
+  gpa: 25,
+  course: 20,
+  yearLevel: 15,
+  income: 15,
+  skills: 10,
+  type: 10,
+  involvement: 5
+};
+
+// Hybrid scoring: the AI may move the algorithm score by at most `aiBand`
+// points, and any hard eligibility failure caps the final score
+const HYBRID_DEFAULTS = {
+  aiBand: 15,
+  ineligibleCap: 35
+};
+
+// Display labels for criteria (custom scorers fall back to their key)
+const CRITERION_LABELS = {
+  gpa: 'GPA',
+  course: 'Course',
+  yearLevel: 'Year Level',
+  income: 'Income',
+  skills: 'Skills',
+  type: 'Scholarship Type',
+  involvement: 'Involvement'
+};
+
+/**
+ * Lowercase and trim a value for loose comparisons
+ * @param {*} value
+ * @returns {string}
+ */
+function normalizeText(value) {
+  return (value || '').toString().trim().toLowerCase();
+}
+
+/**
+ * Split a comma separated string (or array) into a clean list
+ * @param {string|Array} value
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : value.toString().split(',');
+  return items.map(item => normalizeText(item)).filter(Boolean);
+}
+
+/**
+ * Clamp a number to the 0-1 range
+ * @param {number} value
+ * @returns {number}
+ */
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+/**
+ * Loose two-way containment check used for courses and year levels
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function looselyMatches(a, b) {
+  if (!a || !b) return false;
+  return a.includes(b) || b.includes(a);
+}
+
+/*
+ * Criterion scorers
+ * Each scorer receives (student, scholarship) and returns:
+ *   { score: 0-1, eligible: boolean, hard: boolean, detail: string, status?: string, evidence?: object }
+ * `hard` marks criteria whose failure makes the student ineligible.
+ * `evidence` carries criterion specific data (e.g. matched/missing skills).
+ */
+
+function scoreGPA(student, scholarship) {
+  // Compare on the 4.0 scale whatever scale each side was entered in
+  const studentGPA = toStandardGPA(student.gpa, student.gradingScale) || 0;
+  const minGPA = toStandardGPA(scholarship.minGPA, scholarship.minGPAScale) || 0;
+  const studentLabel = formatGPA(student.gpa, student.gradingScale);
+  const minLabel = formatGPA(scholarship.minGPA, scholarship.minGPAScale);
+
+  if (!minGPA) {
+    return { score: 1, eligible: true, hard: true, detail: 'No minimum GPA required' };
+  }
+
+  if (studentGPA >= minGPA) {
+    const headroom = Math.max(STANDARD_GPA_MAX - minGPA, 0.01);
+    const score = 0.7 + 0.3 * clamp01((studentGPA - minGPA) / headroom);
+    return { score, eligible: true, hard: true, detail: `GPA ${studentLabel} meets minimum ${minLabel}` };
+  }
+
+  return {
+    score: clamp01(0.5 * (studentGPA / minGPA)),
+    eligible: false,
+    hard: true,
+    detail: `GPA ${studentLabel} is below minimum ${minLabel}`
+  };
+}
+
+function scoreCourse(student, scholarship) {
+  const eligibleCourses = toList(scholarship.eligibleCourses);
+  if (eligibleCourses.length === 0) {
+    return { score: 1, eligible: true, hard: true, detail: 'Open to all courses' };
+  }
+
+  const course = normalizeText(student.course);
+  const matches = eligibleCourses.some(c => looselyMatches(course, c));
+  return {
+    score: matches ? 1 : 0,
+    eligible: matches,
+    hard: true,
+    detail: matches ? `${student.course} is an eligible course` : `${student.course || 'Course'} is not an eligible course`
+  };
+}
+
+function scoreYearLevel(student, scholarship) {
+  const eligibleYears = toList(scholarship.eligibleYearLevels);
+  if (eligibleYears.length === 0) {
+    return { score: 1, eligible: true, hard: true, detail: 'Open to all year levels' };
+  }
+
+  const yearLevel = normalizeText(student.yearLevel);
+  const matches = eligibleYears.some(y => looselyMatches(yearLevel, y));
+  return {
+    score: matches ? 1 : 0,
+    eligible: matches,
+    hard: true,
+    detail: matches ? `${student.yearLevel} is an eligible year level` : `${student.yearLevel || 'Year level'} is not eligible`
+  };
+}
+
+function scoreIncome(student, scholarship) {
+  const income = checkIncomeEligibility(student.incomeRange, scholarship.incomeLimit);
+  return {
+    score: income.score,
+    eligible: income.status !== ELIGIBILITY.INELIGIBLE,
+    hard: true,
+    status: income.status,
+    detail: income.detail
+  };
+}
+
+function scoreSkills(student, scholarship) {
+  const skills = matchSkills(student.skills, student.involvement, scholarship.requiredSkills);
+  if (skills.required.length === 0) {
+    return { score: 1, eligible: true, hard: false, detail: 'No specific skills required' };
+  }
+
+  return {
+    score: skills.score,
+    eligible: skills.matched.length + skills.partial.length > 0,
+    hard: false,
+    detail: `${skills.matched.length} of ${skills.required.length} required skills`,
+    evidence: { matched: skills.matched, partial: skills.partial, missing: skills.missing }
+  };
+}
+
+function scoreType(student, scholarship) {
+  const preferred = normalizeText(student.scholarshipType);
+  const offered = normalizeText(scholarship.scholarshipType);
+  const matches = Boolean(preferred) && preferred === offered;
+  return {
+    score: matches ? 1 : 0,
+    eligible: true,
+    hard: false,
+    detail: matches ? `Matches your ${scholarship.scholarshipType} preference` : 'Different from your preferred type'
+  };
+}
+
+function scoreInvolvement(student) {
+  const words = normalizeText(student.involvement).split(/\s+/).filter(Boolean);
+  let score = 0;
+  if (words.length >= 10) score = 1;
+  else if (words.length > 0) score = 0.5;
+
+  return {
+    score,
+    eligible: true,
+    hard: false,
+    detail: words.length > 0 ? 'Has extracurricular involvement' : 'No extracurricular involvement listed'
+  };
+}
+
+// Built-in scorers keyed by criterion name
+const DEFAULT_SCORERS = {
+  gpa: scoreGPA,
+  course: scoreCourse,
+  yearLevel: scoreYearLevel,
+  income: scoreIncome,
+  skills: scoreSkills,
+  type: scoreType,
+  involvement: scoreInvolvement
+};
+
+/**
+ * Create a matcher with custom weights and/or scorers
+ * @param {object} options
+ * @param {object} options.weights - Criterion weights (merged over defaults, 0 disables)
+ * @param {object} options.scorers - Additional or replacement scorers keyed by criterion
+ * @returns {object} - { weights, match(student, scholarship), rank(student, scholarships) }
+ */
+function createMatcher(options = {}) {
+  const scorers = { ...DEFAULT_SCORERS, ...(options.scorers || {}) };
+  const weights = { ...DEFAULT_WEIGHTS, ...(options.weights || {}) };
+
+  function match(student, scholarship) {
+    return matchScholarship(student, scholarship, { scorers, weights });
+  }
+
+  function rank(student, scholarships) {
+    return scholarships
+      .map(scholarship => ({ scholarship, result: match(student, scholarship) }))
+      .sort((a, b) => b.result.score - a.result.score);
+  }
+
+  return { weights, match, rank };
+}
+
+/**
+ * Score one scholarship for a student
+ * @param {object} student - Student assessment
+ * @param {object} scholarship - Scholarship data
+ * @param {object} options - { weights, scorers }
+ * @returns {object} - { score, eligible, criteria, failures, weights, engineVersion }
+ */
+function matchScholarship(student, scholarship, options = {}) {
+  const scorers = options.scorers || DEFAULT_SCORERS;
+  const weights = options.weights || DEFAULT_WEIGHTS;
+
+  const active = Object.keys(scorers).filter(name => (weights[name] || 0) > 0);
+  const totalWeight = active.reduce((sum, name) => sum + weights[name], 0) || 1;
+
+  const criteria = {};
+  const failures = [];
+  let weightedTotal = 0;
+
+  for (const name of active) {
+    const result = scorers[name](student || {}, scholarship || {});
+    const score = clamp01(result.score);
+    const weight = weights[name] / totalWeight;
+
+    criteria[name] = {
+      label: CRITERION_LABELS[name] || name,
+      score: Math.round(score * 100),
+      weight: Math.round(weight * 1000) / 1000,
+      contribution: Math.round(score * weight * 1000) / 10,
+      eligible: result.eligible !== false,
+      ...(result.status && { status: result.status }),
+      ...(result.evidence && { evidence: result.evidence }),
+      detail: result.detail || ''
+    };
+    weightedTotal += score * weight;
+
+    if (result.hard && result.eligible === false) {
+      failures.push({ criterion: name, reason: result.detail || `${name} requirement not met` });
+    }
+  }
+
+  return {
+    score: Math.round(weightedTotal * 100),
+    eligible: failures.length === 0,
+    criteria,
+    failures,
+    weights: active.reduce((acc, name) => ({ ...acc, [name]: weights[name] }), {}),
+    engineVersion: ENGINE_VERSION
+  };
+}
+
+/**
+ * Blend an AI score with a deterministic match result
+ * @param {object} result - Output of matchScholarship
+ * @param {number|null} aiScore - 0-100 AI score, or null when there is none
+ * @param {object} options - { aiBand, ineligibleCap }
+ * @returns {object} - { score, algorithmScore, aiScore, aiAdjustment, capped, method }
+ */
+function blendScores(result, aiScore, options = {}) {
+  const { aiBand, ineligibleCap } = { ...HYBRID_DEFAULTS, ...options };
+  const ai = aiScore === null || aiScore === undefined ? NaN : parseFloat(aiScore);
+  const hasAI = !isNaN(ai);
+
+  let aiAdjustment = 0;
+  if (hasAI) {
+    const clampedAI = Math.max(0, Math.min(100, ai));
+    aiAdjustment = Math.max(-aiBand, Math.min(aiBand, clampedAI - result.score));
+  }
+
+  let score = Math.max(0, Math.min(100, result.score + aiAdjustment));
+  const capped = !result.eligible && score > ineligibleCap;
+  if (capped) score = ineligibleCap;
+
+  return {
+    score: Math.round(score),
+    algorithmScore: result.score,
+    aiScore: hasAI ? Math.round(Math.max(0, Math.min(100, ai))) : null,
+    aiAdjustment: Math.round(aiAdjustment),
+    capped,
+    method: hasAI ? 'hybrid' : 'algorithm'
+  };
+}
+
+module.exports = {
+  ENGINE_VERSION,
+  DEFAULT_WEIGHTS,
+  DEFAULT_SCORERS,
+  CRITERION_LABELS,
+  HYBRID_DEFAULTS,
+  normalizeText,
+  toList,
+  createMatcher,
+  matchScholarship,
+  blendScores
+};
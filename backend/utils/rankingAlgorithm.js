@@ -0,0 +1,308 @@
+/**
+ * Applicant ranking algorithm
+ * Scores applications against a sponsor-defined rubric (criteria, weights,
+ * minimum cutoffs and tie-breakers). Pure functions only - no database access.
+ */
+
+const { checkIncomeEligibility, financialNeedScore, ELIGIBILITY } = require('./incomeParser');
+const { matchSkills } = require('./skillMatcher');
+const { DEFAULT_SCORERS } = require('./matchingAlgorithm');
+const { gpaFraction, meetsMinimumGPA } = require('./gradeScale');
+
+const RUBRIC_VERSION = 1;
+
+// Tie-breaker that is not a criterion: earlier submissions win
+const SUBMITTED_AT = 'submittedAt';
+
+/**
+ * Count words in free text
+ * @param {string} text
+ * @returns {number}
+ */
+function wordCount(text) {
+  return (text || '').toString().trim().split(/\s+/).filter(Boolean).length;
+}
+
+/*
+ * Rubric criteria
+ * Each criterion has a label and a scorer that receives (application, scholarship)
+ * and returns a 0-100 score.
+ */
+const RUBRIC_CRITERIA = {
+  gpa: {
+    label: 'Academic Performance',
+    score(app) {
+      return gpaFraction(app.gpa, app.gradingScale) * 100;
+    }
+  },
+  financialNeed: {
+    label: 'Financial Need',
+    score(app, scholarship) {
+      const need = financialNeedScore(app.incomeRange);
+      if (need === null) return 50;
+      const income = checkIncomeEligibility(app.incomeRange, scholarship.incomeLimit);
+      return need * income.score * 100;
+    }
+  },
+  skills: {
+    label: 'Skills',
+    score(app, scholarship) {
+      return matchSkills(app.skills, app.involvement, scholarship.requiredSkills).score * 100;
+    }
+  },
+  essay: {
+    label: 'Application Letter',
+    score(app) {
+      // Full marks from 200 words; the AI second opinion judges quality
+      return Math.min(1, wordCount(app.applicationLetter || app.essayReason) / 200) * 100;
+    }
+  },
+  involvement: {
+    label: 'Involvement',
+    score(app) {
+      return Math.min(1, wordCount(app.involvement) / 50) * 100;
+    }
+  },
+  course: {
+    label: 'Course Relevance',
+    score(app, scholarship) {
+      return DEFAULT_SCORERS.course(app, scholarship).score * 100;
+    }
+  },
+  yearLevel: {
+    label: 'Year Level',
+    score(app, scholarship) {
+      return DEFAULT_SCORERS.yearLevel(app, scholarship).score * 100;
+    }
+  }
+};
+
+// Used when a scholarship has no rubric attached
+const DEFAULT_RUBRIC = {
+  version: RUBRIC_VERSION,
+  criteria: [
+    { key: 'gpa', weight: 40, minimum: 0 },
+    { key: 'financialNeed', weight: 20, minimum: 0 },
+    { key: 'skills', weight: 15, minimum: 0 },
+    { key: 'essay', weight: 15, minimum: 0 },
+    { key: 'involvement', weight: 10, minimum: 0 }
+  ],
+  tieBreakers: ['gpa', 'financialNeed', SUBMITTED_AT]
+};
+
+/**
+ * Validate and normalize a rubric
+ * @param {object|string} input - Rubric object or JSON string
+ * @returns {object} - { valid: boolean, error: string|null, rubric: object|null }
+ */
+function validateRubric(input) {
+  let rubric = input;
+  if (typeof rubric === 'string') {
+    try {
+      rubric = JSON.parse(rubric);
+    } catch (error) {
+      return { valid: false, error: 'Rubric must be valid JSON', rubric: null };
+    }
+  }
+
+  if (!rubric || !Array.isArray(rubric.criteria) || rubric.criteria.length === 0) {
+    return { valid: false, error: 'Rubric must have at least one criterion', rubric: null };
+  }
+
+  const criteria = [];
+  const seen = new Set();
+  for (const item of rubric.criteria) {
+    const key = item && item.key;
+    if (!RUBRIC_CRITERIA[key]) {
+      return { valid: false, error: `Unknown rubric criterion: ${key}`, rubric: null };
+    }
+    if (seen.has(key)) {
+      return { valid: false, error: `Duplicate rubric criterion: ${key}`, rubric: null };
+    }
+    seen.add(key);
+
+    const weight = parseFloat(item.weight);
+    const minimum = item.minimum === undefined || item.minimum === '' ? 0 : parseFloat(item.minimum);
+    if (isNaN(weight) || weight < 0 || weight > 100) {
+      return { valid: false, error: `Weight for ${RUBRIC_CRITERIA[key].label} must be between 0 and 100`, rubric: null };
+    }
+    if (isNaN(minimum) || minimum < 0 || minimum > 100) {
+      return { valid: false, error: `Minimum for ${RUBRIC_CRITERIA[key].label} must be between 0 and 100`, rubric: null };
+    }
+    criteria.push({ key, weight, minimum });
+  }
+
+  if (criteria.every(c => c.weight === 0)) {
+    return { valid: false, error: 'At least one criterion must have a weight above 0', rubric: null };
+  }
+
+  const tieBreakers = Array.isArray(rubric.tieBreakers) ? rubric.tieBreakers.filter(Boolean) : [];
+  for (const tieBreaker of tieBreakers) {
+    if (tieBreaker !== SUBMITTED_AT && !seen.has(tieBreaker)) {
+      return { valid: false, error: `Tie-breaker must be a rubric criterion or ${SUBMITTED_AT}: ${tieBreaker}`, rubric: null };
+    }
+  }
+
+  return {
+    valid: true,
+    error: null,
+    rubric: { version: RUBRIC_VERSION, criteria, tieBreakers: [...new Set(tieBreakers)] }
+  };
+}
+
+/**
+ * Get the rubric for a scholarship, falling back to the default
+ * @param {object} scholarship
+ * @returns {object} - Normalized rubric
+ */
+function resolveRubric(scholarship) {
+  if (scholarship && scholarship.rankingRubric) {
+    const result = validateRubric(scholarship.rankingRubric);
+    if (result.valid) return result.rubric;
+  }
+  return DEFAULT_RUBRIC;
+}
+
+/**
+ * Score one application against a rubric
+ * @param {object} application - Application data
+ * @param {object} scholarship - Scholarship data
+ * @param {object} rubric - Normalized rubric
+ * @returns {object} - { total, criteria, meetsCutoffs, cutoffFailures, eligible, requirementFailures, incomeEligibility }
+ */
+function scoreApplication(application, scholarship, rubric = DEFAULT_RUBRIC) {
+  const app = application || {};
+  const totalWeight = rubric.criteria.reduce((sum, c) => sum + c.weight, 0) || 1;
+
+  const criteria = {};
+  const cutoffFailures = [];
+  let total = 0;
+
+  for (const { key, weight, minimum } of rubric.criteria) {
+    const definition = RUBRIC_CRITERIA[key];
+    const score = Math.round(Math.max(0, Math.min(100, definition.score(app, scholarship || {}))));
+    const share = weight / totalWeight;
+    const passed = score >= minimum;
+
+    criteria[key] = {
+      label: definition.label,
+      score,
+      weight,
+      contribution: Math.round(score * share * 10) / 10,
+      minimum,
+      passed
+    };
+    total += score * share;
+
+    if (!passed) {
+      cutoffFailures.push({ criterion: key, label: definition.label, score, minimum });
+    }
+  }
+
+  // Hard requirements from the scholarship itself, independent of the rubric
+  const { minGPA, minGPAScale, incomeLimit } = scholarship || {};
+  const income = checkIncomeEligibility(app.incomeRange, incomeLimit);
+  const requirementFailures = [];
+  if (!meetsMinimumGPA(app.gpa, app.gradingScale, minGPA, minGPAScale)) requirementFailures.push('GPA below requirement');
+  if (income.status === ELIGIBILITY.INELIGIBLE) requirementFailures.push('Family income above the scholarship\'s limit');
+
+  return {
+    total: Math.round(total),
+    criteria,
+    meetsCutoffs: cutoffFailures.length === 0,
+    cutoffFailures,
+    eligible: requirementFailures.length === 0,
+    requirementFailures,
+    incomeEligibility: income.status
+  };
+}
+
+/**
+ * Compare two scored applications using the rubric's tie-breakers
+ * @returns {number} - Sort comparator result
+ */
+function compareByTieBreakers(a, b, tieBreakers) {
+  for (const tieBreaker of tieBreakers) {
+    if (tieBreaker === SUBMITTED_AT) {
+      const dateA = new Date(a.application.submittedAt || a.application.createdAt || 0).getTime() || 0;
+      const dateB = new Date(b.application.submittedAt || b.application.createdAt || 0).getTime() || 0;
+      if (dateA !== dateB) return dateA - dateB;
+    } else {
+      const scoreA = a.result.criteria[tieBreaker] ? a.result.criteria[tieBreaker].score : 0;
+      const scoreB = b.result.criteria[tieBreaker] ? b.result.criteria[tieBreaker].score : 0;
+      if (scoreA !== scoreB) return scoreB - scoreA;
+    }
+  }
+  return 0;
+}
+
+/**
+ * Rank applications for a scholarship against a rubric
+ * Applicants who miss a cutoff or a hard requirement are ranked after everyone else.
+ * @param {array} applications - Applications to rank
+ * @param {object} scholarship - Scholarship data
+ * @param {object} rubric - Normalized rubric (defaults to the scholarship's rubric)
+ * @returns {array} - Rankings with per-criterion scores, sorted best first
+ */
+function rankApplicants(applications, scholarship, rubric = resolveRubric(scholarship)) {
+  const scored = (applications || []).map(application => ({
+    application,
+    result: scoreApplication(application, scholarship, rubric)
+  }));
+
+  scored.sort((a, b) => {
+    const qualifiedA = a.result.meetsCutoffs && a.result.eligible;
+    const qualifiedB = b.result.meetsCutoffs && b.result.eligible;
+    if (qualifiedA !== qualifiedB) return qualifiedA ? -1 : 1;
+    if (a.result.total !== b.result.total) return b.result.total - a.result.total;
+    return compareByTieBreakers(a, b, rubric.tieBreakers);
+  });
+
+  return scored.map(({ application, result }, index) => {
+    const criteria = result.criteria;
+    const strengths = Object.values(criteria)
+      .filter(c => c.score >= 80)
+      .map(c => `Strong ${c.label.toLowerCase()}`);
+    const weaknesses = result.cutoffFailures.map(f => `${f.label} below the minimum of ${f.minimum}`);
+    weaknesses.push(...result.requirementFailures);
+
+    const skills = matchSkills(application.skills, application.involvement, (scholarship || {}).requiredSkills);
+    if (skills.matched.length > 0) strengths.push(`Relevant skills: ${skills.matched.join(', ')}`);
+    if (skills.missing.length > 0) weaknesses.push(`Missing skills: ${skills.missing.join(', ')}`);
+
+    const qualified = result.meetsCutoffs && result.eligible;
+
+    return {
+      applicationId: application.id,
+      studentName: application.studentName,
+      rank: index + 1,
+      rankScore: result.total,
+      eligible: result.eligible,
+      incomeEligibility: result.incomeEligibility,
+      meetsCutoffs: result.meetsCutoffs,
+      cutoffFailures: result.cutoffFailures,
+      rubricScores: criteria,
+      scoreBreakdown: {
+        academicScore: criteria.gpa ? criteria.gpa.score : null,
+        financialNeedScore: criteria.financialNeed ? criteria.financialNeed.score : null,
+        skillsScore: criteria.skills ? criteria.skills.score : null,
+        essayScore: criteria.essay ? criteria.essay.score : null,
+        overallFitScore: result.total
+      },
+      strengths,
+      weaknesses,
+      recommendation: qualified && result.total >= 70 ? 'Recommended for Approval' : 'Needs Review'
+    };
+  });
+}
+
+module.exports = {
+  RUBRIC_VERSION,
+  RUBRIC_CRITERIA,
+  DEFAULT_RUBRIC,
+  SUBMITTED_AT,
+  validateRubric,
+  resolveRubric,
+  scoreApplication,
+  rankApplicants
+};
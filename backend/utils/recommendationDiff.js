@@ -0,0 +1,165 @@
+/**
+ * Recommendation diff
+ * Compares two saved recommendation runs: scholarships that appeared or
+ * disappeared, score changes with the criteria that moved them, and what
+ * changed in the student's assessment between the runs.
+ */
+
+const { formatGPA } = require('./gradeScale');
+
+// Assessment fields shown in the diff, in display order
+const ASSESSMENT_FIELDS = {
+  gpa: 'GPA',
+  course: 'Course',
+  yearLevel: 'Year Level',
+  incomeRange: 'Income Range',
+  scholarshipType: 'Scholarship Type',
+  skills: 'Skills',
+  involvement: 'Involvement'
+};
+
+/**
+ * Reduce a recommendation record to what a history snapshot needs
+ * @param {object} rec - Recommendation record (see recommendationService)
+ * @returns {object}
+ */
+function compactRecommendation(rec) {
+  const criteria = {};
+  const breakdown = (rec.breakdown && rec.breakdown.criteria) || {};
+  Object.keys(breakdown).forEach(key => {
+    const { label, score, eligible, detail } = breakdown[key];
+    criteria[key] = { label, score, eligible, detail: detail || '' };
+  });
+
+  return {
+    scholarshipId: rec.scholarshipId,
+    scholarshipName: rec.scholarshipName,
+    matchScore: rec.matchScore,
+    eligible: rec.eligible,
+    recommendation: rec.recommendation,
+    source: rec.source || null,
+    criteria
+  };
+}
+
+/**
+ * Format an assessment field for display
+ * @param {object} snapshot - Assessment snapshot
+ * @param {string} field
+ * @returns {string}
+ */
+function formatField(snapshot, field) {
+  const value = (snapshot || {})[field];
+  if (value === undefined || value === null || value === '') return 'Not specified';
+  if (field === 'gpa') return formatGPA(value, snapshot.gradingScale);
+  return Array.isArray(value) ? value.join(', ') : value.toString();
+}
+
+/**
+ * List assessment fields that differ between two snapshots
+ * @param {object} before
+ * @param {object} after
+ * @returns {array} - [{ field, label, before, after }]
+ */
+function diffAssessments(before, after) {
+  return Object.keys(ASSESSMENT_FIELDS)
+    .map(field => ({
+      field,
+      label: ASSESSMENT_FIELDS[field],
+      before: formatField(before, field),
+      after: formatField(after, field)
+    }))
+    .filter(change => change.before !== change.after);
+}
+
+/**
+ * Explain a score change by the criteria whose scores moved
+ * @param {object} before - Compact record
+ * @param {object} after - Compact record
+ * @returns {array} - [{ criterion, label, before, after, delta, detail }], biggest change first
+ */
+function explainScoreChange(before, after) {
+  const keys = new Set([...Object.keys(before.criteria || {}), ...Object.keys(after.criteria || {})]);
+  const reasons = [];
+
+  keys.forEach(key => {
+    const old = (before.criteria || {})[key];
+    const current = (after.criteria || {})[key];
+    const oldScore = old ? old.score : null;
+    const newScore = current ? current.score : null;
+    if (oldScore === newScore) return;
+
+    reasons.push({
+      criterion: key,
+      label: (current || old).label || key,
+      before: oldScore,
+      after: newScore,
+      delta: (newScore || 0) - (oldScore || 0),
+      detail: current ? current.detail : 'No longer scored'
+    });
+  });
+
+  return reasons.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+}
+
+/**
+ * Compare two recommendation runs
+ * @param {object} older - Snapshot { recommendations, assessmentSnapshot }
+ * @param {object} newer - Snapshot { recommendations, assessmentSnapshot }
+ * @param {object} options - { minDelta: smallest score change reported (default 1) }
+ * @returns {object} - { added, removed, changed, unchangedCount, assessmentChanges }
+ */
+function diffRecommendationRuns(older, newer, options = {}) {
+  const minDelta = options.minDelta === undefined ? 1 : options.minDelta;
+  const olderById = new Map(((older && older.recommendations) || []).map(rec => [rec.scholarshipId, rec]));
+  const newerById = new Map(((newer && newer.recommendations) || []).map(rec => [rec.scholarshipId, rec]));
+
+  const added = [];
+  const changed = [];
+  let unchangedCount = 0;
+
+  newerById.forEach((rec, id) => {
+    const previous = olderById.get(id);
+    if (!previous) {
+      added.push(rec);
+      return;
+    }
+
+    const delta = (rec.matchScore || 0) - (previous.matchScore || 0);
+    const eligibilityChanged = Boolean(previous.eligible) !== Boolean(rec.eligible);
+    if (Math.abs(delta) < minDelta && !eligibilityChanged) {
+      unchangedCount++;
+      return;
+    }
+
+    changed.push({
+      scholarshipId: id,
+      scholarshipName: rec.scholarshipName || previous.scholarshipName,
+      before: previous.matchScore,
+      after: rec.matchScore,
+      delta,
+      eligibleBefore: previous.eligible,
+      eligibleAfter: rec.eligible,
+      eligibilityChanged,
+      reasons: explainScoreChange(previous, rec)
+    });
+  });
+
+  const removed = [...olderById.values()].filter(rec => !newerById.has(rec.scholarshipId));
+
+  return {
+    added: added.sort((a, b) => b.matchScore - a.matchScore),
+    removed: removed.sort((a, b) => b.matchScore - a.matchScore),
+    changed: changed.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+    unchangedCount,
+    assessmentChanges: diffAssessments(older && older.assessmentSnapshot, newer && newer.assessmentSnapshot)
+  };
+}
+
+module.exports = {
+  ASSESSMENT_FIELDS,
+  compactRecommendation,
+  diffAssessments,
+  explainScoreChange,
+  diffRecommendationRuns
+};
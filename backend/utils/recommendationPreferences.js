@@ -0,0 +1,137 @@
+/**
+ * Recommendation preferences
+ * Turns a student's feedback on recommendations (save, dismiss, "not
+ * relevant because…") into a small preference profile, and that profile
+ * into a bounded score adjustment for later scoring runs. Eligibility is
+ * never affected: preferences only reorder scholarships the student can
+ * already apply to.
+ */
+
+const FEEDBACK_ACTIONS = {
+  SAVE: 'saved',
+  DISMISS: 'dismissed',
+  NOT_RELEVANT: 'not_relevant'
+};
+
+// Reasons a student can give for "not relevant"
+const NOT_RELEVANT_REASONS = {
+  type: 'Not interested in this type of scholarship',
+  sponsor: 'Not interested in this sponsor',
+  requirements: 'I don\'t meet the requirements',
+  other: 'Other'
+};
+
+// Actions that hide a scholarship from the recommendations page
+const HIDDEN_ACTIONS = [FEEDBACK_ACTIONS.DISMISS, FEEDBACK_ACTIONS.NOT_RELEVANT];
+
+const MAX_NOTE_LENGTH = 300;
+
+/*
+ * Signals each piece of feedback adds to the scholarship's type and sponsor.
+ * "requirements" feedback is about the matcher, not the student's taste,
+ * so it only shows up in the admin report.
+ */
+const FEEDBACK_SIGNALS = {
+  saved: { type: 1, sponsor: 0.5 },
+  dismissed: { type: -0.5, sponsor: 0 },
+  not_relevant: {
+    type: { type: -1, sponsor: 0 },
+    sponsor: { type: 0, sponsor: -1 },
+    requirements: { type: 0, sponsor: 0 },
+    other: { type: -0.5, sponsor: 0 }
+  }
+};
+
+const PREFERENCE_ADJUSTMENT = {
+  pointsPerSignal: 3, // Score points per net signal
+  maxPoints: 10       // Largest adjustment either way
+};
+
+/**
+ * Validate feedback sent by a student
+ * @param {object} input - { action, reason, note }
+ * @returns {object} - { valid, error, feedback: { action, reason, note } }
+ */
+function validateFeedback(input) {
+  const { action, reason, note } = input || {};
+
+  if (!Object.values(FEEDBACK_ACTIONS).includes(action)) {
+    return { valid: false, error: 'Unknown feedback action', feedback: null };
+  }
+
+  if (action !== FEEDBACK_ACTIONS.NOT_RELEVANT) {
+    return { valid: true, error: null, feedback: { action, reason: null, note: '' } };
+  }
+
+  if (!NOT_RELEVANT_REASONS[reason]) {
+    return { valid: false, error: 'Please choose why this scholarship is not relevant', feedback: null };
+  }
+
+  const trimmedNote = (note || '').toString().trim();
+  if (trimmedNote.length > MAX_NOTE_LENGTH) {
+    return { valid: false, error: `Note must be at most ${MAX_NOTE_LENGTH} characters`, feedback: null };
+  }
+
+  return { valid: true, error: null, feedback: { action, reason, note: trimmedNote } };
+}
+
+/**
+ * Signals for one feedback entry
+ * @param {object} entry - Stored feedback { action, reason }
+ * @returns {object} - { type, sponsor }
+ */
+function feedbackSignals(entry) {
+  const signals = FEEDBACK_SIGNALS[entry.action];
+  if (!signals) return { type: 0, sponsor: 0 };
+  if (entry.action === FEEDBACK_ACTIONS.NOT_RELEVANT) {
+    return signals[entry.reason] || signals.other;
+  }
+  return signals;
+}
+
+/**
+ * Aggregate a student's feedback into net signals per scholarship type and sponsor
+ * @param {array} feedback - Stored feedback entries ({ action, reason, scholarshipType, organizationName })
+ * @returns {object} - { types: { [type]: number }, sponsors: { [name]: number }, count }
+ */
+function buildPreferenceProfile(feedback) {
+  const profile = { types: {}, sponsors: {}, count: 0 };
+
+  (feedback || []).forEach(entry => {
+    const signals = feedbackSignals(entry);
+    if (entry.scholarshipType && signals.type) {
+      profile.types[entry.scholarshipType] = (profile.types[entry.scholarshipType] || 0) + signals.type;
+    }
+    if (entry.organizationName && signals.sponsor) {
+      profile.sponsors[entry.organizationName] = (profile.sponsors[entry.organizationName] || 0) + signals.sponsor;
+    }
+    profile.count++;
+  });
+
+  return profile;
+}
+
+/**
+ * Score adjustment a preference profile gives a scholarship
+ * @param {object} profile - From buildPreferenceProfile
+ * @param {object} scholarship
+ * @returns {number} - Whole points, within ±PREFERENCE_ADJUSTMENT.maxPoints
+ */
+function preferenceAdjustment(profile, scholarship) {
+  if (!profile || !scholarship) return 0;
+  const signal = (profile.types[scholarship.scholarshipType] || 0) +
+    (profile.sponsors[scholarship.organizationName] || 0);
+  const { pointsPerSignal, maxPoints } = PREFERENCE_ADJUSTMENT;
+  const points = Math.round(signal * pointsPerSignal);
+  return Math.max(-maxPoints, Math.min(maxPoints, points)) || 0;
+}
+
+module.exports = {
+  FEEDBACK_ACTIONS,
+  NOT_RELEVANT_REASONS,
+  HIDDEN_ACTIONS,
+  PREFERENCE_ADJUSTMENT,
+  validateFeedback,
+  buildPreferenceProfile,
+  preferenceAdjustment
+};
@@ -0,0 +1,133 @@
+/**
+ * Saved searches
+ * Validation, labels and new-match detection for the filter sets students
+ * save from the scholarship search page. A saved search stores the search
+ * query parameters as they appeared in the URL, so running it again is just
+ * a redirect to /student/scholarships with that query.
+ */
+
+const { pickSearchQuery, parseSearchParams, searchScholarships, DEADLINE_WINDOWS } = require('./scholarshipSearch');
+
+const MAX_SAVED_SEARCHES = 10;
+const MAX_NAME_LENGTH = 60;
+
+// Scholarships listed by name in a digest before it says "and N more"
+const DIGEST_NAME_LIMIT = 3;
+
+/**
+ * Validate a search a student wants to save
+ * @param {object} input - { name, query: search query parameters, alertsEnabled }
+ * @returns {object} - { valid, error, savedSearch: { name, query, alertsEnabled } }
+ */
+function validateSavedSearch(input) {
+  const { name, alertsEnabled } = input || {};
+  const query = pickSearchQuery((input && input.query) || {});
+
+  // The sort order does not change which scholarships match
+  const filterKeys = Object.keys(query).filter(key => key !== 'sort');
+  if (filterKeys.length === 0) {
+    return { valid: false, error: 'Choose at least one filter or search term before saving', savedSearch: null };
+  }
+
+  const trimmedName = (name || '').toString().trim();
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    return { valid: false, error: `Name must be at most ${MAX_NAME_LENGTH} characters`, savedSearch: null };
+  }
+
+  // Keep stored values plain strings so they round-trip through a URL
+  Object.keys(query).forEach(key => {
+    query[key] = Array.isArray(query[key]) ? query[key].join(',') : query[key].toString();
+  });
+
+  const savedSearch = {
+    name: trimmedName || describeSearch(query).slice(0, MAX_NAME_LENGTH),
+    query,
+    alertsEnabled: alertsEnabled !== false && alertsEnabled !== 'false'
+  };
+  return { valid: true, error: null, savedSearch };
+}
+
+/**
+ * Short human-readable summary of a search query
+ * @param {object} query - Search query parameters
+ * @returns {string} - e.g. '"engineering" · STEM · GPA 3.5 · Next 30 days'
+ */
+function describeSearch(query) {
+  const filters = parseSearchParams(query);
+  const parts = [];
+
+  if (filters.search) parts.push(`"${filters.search}"`);
+  if (filters.type) parts.push(filters.type);
+  if (filters.course) parts.push(filters.course);
+  if (filters.yearLevel) parts.push(filters.yearLevel);
+  if (filters.degreeLevel) parts.push(filters.degreeLevel);
+  if (filters.skills.length > 0) parts.push(filters.skills.join(', '));
+  if (filters.minGPA) parts.push(`GPA ${filters.minGPA}`);
+  if (filters.amountMin !== null || filters.amountMax !== null) {
+    const min = filters.amountMin !== null ? `₱${filters.amountMin.toLocaleString()}` : '';
+    const max = filters.amountMax !== null ? `₱${filters.amountMax.toLocaleString()}` : '';
+    parts.push(min && max ? `${min} - ${max}` : (min ? `${min}+` : `up to ${max}`));
+  }
+  if (filters.deadlineWithin) parts.push(DEADLINE_WINDOWS[filters.deadlineWithin]);
+  if (filters.incomeRange) parts.push('Income filter');
+  if (filters.eligibleOnly) parts.push('Eligible for me');
+
+  return parts.length > 0 ? parts.join(' · ') : 'Saved search';
+}
+
+/**
+ * When a scholarship became open to applications
+ * Restoring an archived scholarship reopens it as well.
+ * @param {object} scholarship
+ * @returns {Date|null}
+ */
+function openedAt(scholarship) {
+  const dates = [scholarship.reopenedAt, scholarship.restoredAt, scholarship.approvedAt, scholarship.createdAt]
+    .map(value => new Date(value))
+    .filter(date => !Number.isNaN(date.getTime()));
+  return dates.length > 0 ? new Date(Math.max(...dates)) : null;
+}
+
+/**
+ * Open scholarships that match a saved search and opened after it was last checked
+ * @param {object} savedSearch - { query, lastCheckedAt, createdAt }
+ * @param {array} scholarships - Open scholarships
+ * @param {object} options - { assessment, now }
+ * @returns {array} - Matching scholarships, best first
+ */
+function findNewMatches(savedSearch, scholarships, options = {}) {
+  const since = new Date(savedSearch.lastCheckedAt || savedSearch.createdAt);
+  const fresh = scholarships.filter(s => {
+    const opened = openedAt(s);
+    return opened && opened > since;
+  });
+  if (fresh.length === 0) return [];
+
+  return searchScholarships(fresh, parseSearchParams(savedSearch.query), options).results;
+}
+
+/**
+ * Digest notification text for a saved search's new matches
+ * @param {object} savedSearch - { name }
+ * @param {array} matches - From findNewMatches (at least one)
+ * @returns {object} - { title, message }
+ */
+function buildDigest(savedSearch, matches) {
+  const names = matches.slice(0, DIGEST_NAME_LIMIT).map(s => s.scholarshipName);
+  const more = matches.length - names.length;
+  const count = matches.length === 1 ? '1 new scholarship matches' : `${matches.length} new scholarships match`;
+
+  return {
+    title: `New matches for "${savedSearch.name}"`,
+    message: `${count} your saved search: ${names.join(', ')}${more > 0 ? ` and ${more} more` : ''}.`
+  };
+}
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  validateSavedSearch,
+  describeSearch,
+  openedAt,
+  findNewMatches,
+  buildDigest
+};
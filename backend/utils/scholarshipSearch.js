@@ -0,0 +1,284 @@
+/**
+ * Scholarship search
+ * Filters, sorts and ranks open scholarships in one pass and counts facet
+ * values for the search page. Facet counts for a filter ignore that filter's
+ * own selection (so picking a type still shows how many results the other
+ * types would give) but respect every other filter. Pure functions only.
+ */
+
+const { matchScholarship } = require('./matchingAlgorithm');
+const { meetsMinimumGPA, resolveScale } = require('./gradeScale');
+const { checkIncomeEligibility, ELIGIBILITY } = require('./incomeParser');
+const { parseSkillList } = require('./skillMatcher');
+const { buildSearchIndex } = require('./searchIndex');
+
+const SEARCH_SORTS = {
+  relevance: 'Best match for your search',
+  newest: 'Newest',
+  deadline: 'Deadline soon',
+  amount: 'Highest amount',
+  match: 'Match score'
+};
+
+// "Deadline within" options, in days
+const DEADLINE_WINDOWS = {
+  7: 'Next 7 days',
+  30: 'Next 30 days',
+  90: 'Next 3 months'
+};
+
+// Amount facet buckets (pesos); max is exclusive
+const AMOUNT_RANGES = [
+  { key: 'under_10k', label: 'Under ₱10,000', min: 0, max: 10000 },
+  { key: '10k_25k', label: '₱10,000 - ₱25,000', min: 10000, max: 25000 },
+  { key: '25k_50k', label: '₱25,000 - ₱50,000', min: 25000, max: 50000 },
+  { key: '50k_up', label: '₱50,000 and up', min: 50000, max: Infinity }
+];
+
+// Query parameters that make up a search (kept in pagination links and saved searches)
+const SEARCH_QUERY_PARAMS = [
+  'search', 'type', 'course', 'yearLevel', 'degreeLevel', 'incomeRange', 'skills',
+  'amountMin', 'amountMax', 'deadlineWithin', 'minGPA', 'gpaScale', 'eligibleOnly', 'sort'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a list filter (repeated query param or comma separated string)
+ * @param {string|Array} value
+ * @returns {Array<string>}
+ */
+function toList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : value.toString().split(',');
+  return items.map(item => item.toString().trim()).filter(item => item && item !== 'all');
+}
+
+/**
+ * Read a positive number, or null
+ * @param {*} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) && num >= 0 ? num : null;
+}
+
+/**
+ * Keep only the non-empty search parameters of a query
+ * @param {object} query - req.query
+ * @returns {object} - { [param]: value }
+ */
+function pickSearchQuery(query = {}) {
+  const picked = {};
+  SEARCH_QUERY_PARAMS.forEach(key => {
+    const value = query[key];
+    if (Array.isArray(value) ? value.length > 0 : value && value !== 'all') picked[key] = value;
+  });
+  return picked;
+}
+
+/**
+ * Normalize search query parameters
+ * @param {object} query - req.query
+ * @returns {object} - Filters
+ */
+function parseSearchParams(query = {}) {
+  const single = value => (value && value !== 'all' ? value.toString().trim() : '');
+  const search = single(query.search);
+  let sort = SEARCH_SORTS[query.sort] ? query.sort : (search ? 'relevance' : 'newest');
+  if (sort === 'relevance' && !search) sort = 'newest';
+
+  return {
+    search,
+    type: single(query.type),
+    course: single(query.course),
+    yearLevel: single(query.yearLevel),
+    degreeLevel: single(query.degreeLevel),
+    incomeRange: single(query.incomeRange),
+    skills: toList(query.skills),
+    amountMin: toNumber(query.amountMin),
+    amountMax: toNumber(query.amountMax),
+    deadlineWithin: DEADLINE_WINDOWS[query.deadlineWithin] ? parseInt(query.deadlineWithin, 10) : null,
+    minGPA: single(query.minGPA),
+    gpaScale: single(query.gpaScale),
+    eligibleOnly: query.eligibleOnly === '1' || query.eligibleOnly === 'true',
+    sort
+  };
+}
+
+/**
+ * Amount bucket key for a scholarship
+ * @param {object} scholarship
+ * @returns {string|null}
+ */
+function amountRange(scholarship) {
+  const amount = toNumber(scholarship.amount);
+  if (amount === null) return null;
+  const range = AMOUNT_RANGES.find(r => amount >= r.min && amount < r.max);
+  return range ? range.key : null;
+}
+
+/**
+ * Days until a scholarship's deadline
+ * @param {object} scholarship
+ * @param {Date} now
+ * @returns {number|null}
+ */
+function daysUntilDeadline(scholarship, now) {
+  const end = new Date(scholarship.endDate);
+  if (Number.isNaN(end.getTime())) return null;
+  return (end - now) / DAY_MS;
+}
+
+/*
+ * Filters
+ * Each takes (scholarship, filters, context) and returns whether the
+ * scholarship passes; a filter with no selection always passes.
+ */
+const FILTERS = {
+  type: (s, f) => !f.type || s.scholarshipType === f.type,
+  course: (s, f) => !f.course ||
+    !s.eligibleCourses || s.eligibleCourses.length === 0 ||
+    s.eligibleCourses.some(c => c.toLowerCase().includes(f.course.toLowerCase())),
+  yearLevel: (s, f) => !f.yearLevel ||
+    !s.eligibleYearLevels || s.eligibleYearLevels.length === 0 ||
+    s.eligibleYearLevels.includes(f.yearLevel),
+  // Scholarships without a degree level are open to any
+  degreeLevel: (s, f) => !f.degreeLevel || !s.degreeLevel || s.degreeLevel === 'Any' || s.degreeLevel === f.degreeLevel,
+  income: (s, f) => !f.incomeRange ||
+    checkIncomeEligibility(f.incomeRange, s.incomeLimit).status !== ELIGIBILITY.INELIGIBLE,
+  skills: (s, f) => {
+    if (f.skills.length === 0) return true;
+    const required = new Set(parseSkillList(s.requiredSkills).map(skill => skill.toLowerCase()));
+    return parseSkillList(f.skills).some(skill => required.has(skill.toLowerCase()));
+  },
+  amount: (s, f) => {
+    if (f.amountMin === null && f.amountMax === null) return true;
+    const amount = toNumber(s.amount);
+    if (amount === null) return false;
+    return (f.amountMin === null || amount >= f.amountMin) && (f.amountMax === null || amount <= f.amountMax);
+  },
+  deadline: (s, f, ctx) => {
+    if (!f.deadlineWithin) return true;
+    const days = daysUntilDeadline(s, ctx.now);
+    return days !== null && days >= 0 && days <= f.deadlineWithin;
+  },
+  gpa: (s, f) => !f.minGPA || meetsMinimumGPA(f.minGPA, resolveScale(f.gpaScale, f.minGPA), s.minGPA, s.minGPAScale),
+  eligibleForMe: (s, f, ctx) => !f.eligibleOnly || !ctx.assessment || ctx.matchFor(s).eligible,
+  text: (s, f, ctx) => ctx.textScores === null || ctx.textScores.has(s.id)
+};
+
+/*
+ * Facets
+ * `filter` is the filter a facet's own selection belongs to; `values`
+ * lists the facet values a scholarship counts towards.
+ */
+const FACETS = {
+  type: { filter: 'type', values: s => (s.scholarshipType ? [s.scholarshipType] : []) },
+  course: { filter: 'course', values: s => s.eligibleCourses || [] },
+  yearLevel: { filter: 'yearLevel', values: s => s.eligibleYearLevels || [] },
+  degreeLevel: { filter: 'degreeLevel', values: s => (s.degreeLevel ? [s.degreeLevel] : []) },
+  skills: { filter: 'skills', values: s => parseSkillList(s.requiredSkills) },
+  amount: { filter: 'amount', values: s => (amountRange(s) ? [amountRange(s)] : []) },
+  deadline: {
+    filter: 'deadline',
+    values: (s, ctx) => {
+      const days = daysUntilDeadline(s, ctx.now);
+      if (days === null || days < 0) return [];
+      return Object.keys(DEADLINE_WINDOWS).filter(window => days <= parseInt(window, 10));
+    }
+  }
+};
+
+/**
+ * Compare two results for a sort option
+ * @param {string} sort - Key of SEARCH_SORTS
+ * @returns {function}
+ */
+function comparator(sort) {
+  const newest = (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0);
+  switch (sort) {
+    case 'relevance':
+      return (a, b) => b.relevance - a.relevance || newest(a, b);
+    case 'deadline':
+      return (a, b) => new Date(a.endDate) - new Date(b.endDate) || newest(a, b);
+    case 'amount':
+      return (a, b) => (toNumber(b.amount) || 0) - (toNumber(a.amount) || 0) || newest(a, b);
+    case 'match':
+      return (a, b) => (b.matchScore || 0) - (a.matchScore || 0) || newest(a, b);
+    default:
+      return newest;
+  }
+}
+
+/**
+ * Search scholarships
+ * @param {array} scholarships - Candidate scholarships (e.g. every Open one)
+ * @param {object} filters - From parseSearchParams
+ * @param {object} options - { assessment: student's assessment (for "eligible for me" and match sort),
+ *   index: full-text index holding the scholarships (built on the fly when missing), now }
+ * @returns {object} - { results, total, facets: { [facet]: { [value]: count } }, sort }
+ */
+function searchScholarships(scholarships, filters, options = {}) {
+  const matches = new Map();
+  let textScores = null;
+  if (filters.search) {
+    const index = options.index || buildSearchIndex(scholarships);
+    textScores = index.search(filters.search);
+  }
+
+  const ctx = {
+    now: options.now || new Date(),
+    assessment: options.assessment || null,
+    // scholarshipId -> text relevance, or null when there is no text query
+    textScores,
+    matchFor(s) {
+      if (!matches.has(s.id)) matches.set(s.id, matchScholarship(ctx.assessment, s));
+      return matches.get(s.id);
+    }
+  };
+
+  // Which filters each scholarship fails, so facets can skip their own filter
+  const failures = scholarships.map(s => ({
+    scholarship: s,
+    failed: Object.keys(FILTERS).filter(name => !FILTERS[name](s, filters, ctx))
+  }));
+
+  const facets = {};
+  Object.keys(FACETS).forEach(name => {
+    const facet = FACETS[name];
+    const counts = {};
+    failures
+      .filter(({ failed }) => failed.every(filter => filter === facet.filter))
+      .forEach(({ scholarship }) => {
+        new Set(facet.values(scholarship, ctx)).forEach(value => {
+          counts[value] = (counts[value] || 0) + 1;
+        });
+      });
+    facets[name] = counts;
+  });
+
+  // Match sort falls back to newest when there is no assessment to score against
+  const sort = filters.sort === 'match' && !ctx.assessment ? 'newest' : filters.sort;
+  const results = failures
+    .filter(({ failed }) => failed.length === 0)
+    .map(({ scholarship }) => ({
+      ...scholarship,
+      relevance: textScores ? textScores.get(scholarship.id) : null,
+      matchScore: ctx.assessment ? ctx.matchFor(scholarship).score : null
+    }))
+    .sort(comparator(sort));
+
+  return { results, total: results.length, facets, sort };
+}
+
+module.exports = {
+  SEARCH_SORTS,
+  DEADLINE_WINDOWS,
+  AMOUNT_RANGES,
+  SEARCH_QUERY_PARAMS,
+  pickSearchQuery,
+  parseSearchParams,
+  searchScholarships
+};
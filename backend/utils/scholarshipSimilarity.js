@@ -0,0 +1,171 @@
+/**
+ * Scholarship similarity
+ * Content similarity between scholarships (type, eligible courses, year
+ * levels, skills and amount) and "applicants also applied to" counts built
+ * from co-applications. Co-application counts are only shown once enough
+ * distinct students are behind them, and are rounded down, so a small count
+ * can never point at an individual student.
+ */
+
+const { parseSkillList } = require('./skillMatcher');
+
+// Weight of each part of the similarity score (sums to 1)
+const SIMILARITY_WEIGHTS = {
+  type: 0.25,
+  courses: 0.25,
+  yearLevels: 0.15,
+  skills: 0.25,
+  amount: 0.10
+};
+
+// Scholarships scoring below this are not shown as similar
+const MIN_SIMILARITY = 0.3;
+
+// Privacy thresholds for "applicants also applied to"
+const CO_APPLICATION_THRESHOLDS = {
+  minApplicants: 10, // Distinct applicants the viewed scholarship needs before anything is shown
+  minCount: 5,       // Distinct students a co-applied scholarship needs to be listed
+  roundTo: 5         // Shown counts are rounded down to a multiple of this
+};
+
+/**
+ * Normalize a list field (array or comma separated string) to lowercase values
+ * @param {string|Array} value
+ * @returns {Set<string>}
+ */
+function toSet(value) {
+  if (!value) return new Set();
+  const items = Array.isArray(value) ? value : value.toString().split(',');
+  return new Set(items.map(item => (item || '').toString().trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Jaccard similarity of two sets
+ * An empty list means "open to all", so two open lists are identical and
+ * an open list is half-similar to a restricted one.
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number} - 0 to 1
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  if (a.size === 0 || b.size === 0) return 0.5;
+  const intersection = [...a].filter(item => b.has(item)).length;
+  return intersection / (a.size + b.size - intersection);
+}
+
+/**
+ * Closeness of two amounts (ratio of the smaller to the larger)
+ * @param {number} a
+ * @param {number} b
+ * @returns {number|null} - 0 to 1, or null when either amount is unknown
+ */
+function amountCloseness(a, b) {
+  const x = parseFloat(a);
+  const y = parseFloat(b);
+  if (!(x > 0) || !(y > 0)) return null;
+  return Math.min(x, y) / Math.max(x, y);
+}
+
+/**
+ * Content similarity between two scholarships
+ * Amount only counts when both scholarships list one; otherwise its weight
+ * is spread over the other parts.
+ * @param {object} a - Scholarship
+ * @param {object} b - Scholarship
+ * @returns {object} - { score (0-1), parts: { type, courses, yearLevels, skills, amount } }
+ */
+function scholarshipSimilarity(a, b) {
+  const parts = {
+    type: a.scholarshipType && a.scholarshipType === b.scholarshipType ? 1 : 0,
+    courses: jaccard(toSet(a.eligibleCourses), toSet(b.eligibleCourses)),
+    yearLevels: jaccard(toSet(a.eligibleYearLevels), toSet(b.eligibleYearLevels)),
+    skills: jaccard(
+      toSet(parseSkillList(a.requiredSkills)),
+      toSet(parseSkillList(b.requiredSkills))
+    ),
+    amount: amountCloseness(a.amount, b.amount)
+  };
+
+  let total = 0;
+  let weightUsed = 0;
+  Object.keys(SIMILARITY_WEIGHTS).forEach(key => {
+    if (parts[key] === null) return;
+    total += parts[key] * SIMILARITY_WEIGHTS[key];
+    weightUsed += SIMILARITY_WEIGHTS[key];
+  });
+
+  return {
+    score: weightUsed > 0 ? Math.round((total / weightUsed) * 100) / 100 : 0,
+    parts
+  };
+}
+
+/**
+ * Rank scholarships by similarity to a target
+ * @param {object} target - Scholarship being viewed
+ * @param {array} scholarships - Candidates (the target is skipped)
+ * @param {object} options - { limit, minSimilarity }
+ * @returns {array} - [{ scholarship, similarity, parts }], most similar first
+ */
+function findSimilarScholarships(target, scholarships, options = {}) {
+  const limit = options.limit || 4;
+  const minSimilarity = options.minSimilarity === undefined ? MIN_SIMILARITY : options.minSimilarity;
+
+  return (scholarships || [])
+    .filter(s => s.id !== target.id)
+    .map(scholarship => {
+      const { score, parts } = scholarshipSimilarity(target, scholarship);
+      return { scholarship, similarity: score, parts };
+    })
+    .filter(item => item.similarity >= minSimilarity)
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, limit);
+}
+
+/**
+ * Count scholarships that applicants of a scholarship also applied to
+ * Students are counted once per scholarship; the viewing student is left out
+ * so their own applications never show up in the counts.
+ * @param {array} applications - Application records ({ studentUid, scholarshipId })
+ * @param {string} scholarshipId - Scholarship being viewed
+ * @param {object} options - { excludeStudentUid, minApplicants, minCount, roundTo, limit }
+ * @returns {array} - [{ scholarshipId, count }], most co-applied first
+ */
+function coApplicationCounts(applications, scholarshipId, options = {}) {
+  const { minApplicants, minCount, roundTo } = { ...CO_APPLICATION_THRESHOLDS, ...options };
+  const limit = options.limit || 4;
+  const excluded = options.excludeStudentUid || null;
+
+  const byStudent = new Map();
+  (applications || []).forEach(app => {
+    if (!app.studentUid || !app.scholarshipId || app.studentUid === excluded) return;
+    if (!byStudent.has(app.studentUid)) byStudent.set(app.studentUid, new Set());
+    byStudent.get(app.studentUid).add(app.scholarshipId);
+  });
+
+  const applicants = [...byStudent.values()].filter(ids => ids.has(scholarshipId));
+  if (applicants.length < minApplicants) return [];
+
+  const counts = new Map();
+  applicants.forEach(ids => {
+    ids.forEach(id => {
+      if (id !== scholarshipId) counts.set(id, (counts.get(id) || 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .filter(([, count]) => count >= minCount)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([id, count]) => ({ scholarshipId: id, count: Math.floor(count / roundTo) * roundTo }));
+}
+
+module.exports = {
+  SIMILARITY_WEIGHTS,
+  MIN_SIMILARITY,
+  CO_APPLICATION_THRESHOLDS,
+  scholarshipSimilarity,
+  findSimilarScholarships,
+  coApplicationCounts
+};
@@ -0,0 +1,362 @@
+/**
+ * Scholarship full-text index
+ * A small in-memory inverted index over scholarship text fields, with light
+ * English stemming, typo tolerance (edit distance) and a boost when the query
+ * appears as a phrase. Runs in-process; no external search service.
+ */
+
+// Weight of a query term found in each field
+const FIELD_WEIGHTS = {
+  scholarshipName: 5,
+  organizationName: 3,
+  scholarshipType: 2,
+  requiredSkills: 2,
+  eligibleCourses: 1.5,
+  description: 1
+};
+
+// Words too common to be worth indexing
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// Score multipliers for how a query term matched an indexed term
+const MATCH_FACTORS = {
+  exact: 1,
+  prefix: 0.5,
+  typo: [1, 0.6, 0.35] // by edit distance
+};
+
+// Extra weight (times the field weight) when the whole query is a phrase in a field
+const PHRASE_BOOST = 2;
+
+/**
+ * Lowercase words of a text, with accents removed (e.g. "Niño" -> "nino")
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return (text || '').toString()
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Reduce a word to a stem so that "engineering", "engineers" and
+ * "engineer" index the same way. A light suffix stripper, not full Porter.
+ * @param {string} word - Lowercase word
+ * @returns {string}
+ */
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let stemmed = word;
+  const strip = (suffix, replacement = '', minStem = 3) => {
+    if (stemmed.endsWith(suffix) && stemmed.length - suffix.length >= minStem) {
+      stemmed = stemmed.slice(0, -suffix.length) + replacement;
+      return true;
+    }
+    return false;
+  };
+
+  // Plurals
+  if (!strip('ies', 'y') && !/(ss|us|is)$/.test(stemmed)) {
+    if (/(sh|ch|x|z|ss)es$/.test(stemmed)) strip('es');
+    else strip('s');
+  }
+
+  // Derivational and verb endings; a doubled final consonant is undone
+  // ("programming" -> "programm" -> "program")
+  if (strip('ational', 'ate') || strip('ation', 'ate') || strip('ization', 'ize') ||
+      strip('ness') || strip('ment') || strip('ing') || strip('ied', 'y') || strip('ed')) {
+    if (stemmed.length >= 4 && /([b-df-hj-np-tv-z])\1$/.test(stemmed) && !/(ll|ss|zz)$/.test(stemmed)) {
+      stemmed = stemmed.slice(0, -1);
+    }
+  }
+
+  // "nurse" and "nursing" both end up as "nurs"
+  strip('e');
+  return stemmed;
+}
+
+/**
+ * Words of a text worth indexing (stop words dropped)
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function indexableWords(text) {
+  return tokenize(text).filter(word => !STOP_WORDS.has(word));
+}
+
+/**
+ * Terms of a text as they are indexed and queried
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function analyze(text) {
+  return indexableWords(text).map(stem);
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions and adjacent
+ * transpositions), giving up once it exceeds a maximum
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number} - Distance, or max + 1 when it is larger than max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Typos allowed for a query term of a given length
+ * @param {string} term
+ * @returns {number}
+ */
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+}
+
+/**
+ * Text of each indexed field of a scholarship
+ * @param {object} scholarship
+ * @returns {object} - { [field]: string }
+ */
+function fieldTexts(scholarship) {
+  const texts = {};
+  Object.keys(FIELD_WEIGHTS).forEach(field => {
+    const value = scholarship[field];
+    texts[field] = Array.isArray(value) ? value.join(' ') : (value || '').toString();
+  });
+  return texts;
+}
+
+/**
+ * Create an empty search index
+ * @returns {object} - { add, remove, has, ids, size, search }
+ */
+function createSearchIndex() {
+  // term -> Map(scholarshipId -> { [field]: term count })
+  const postings = new Map();
+  // scholarshipId -> { signature, words: Array<word>, fields: { [field]: Array<term> } }
+  const documents = new Map();
+  // Indexed word as written -> { term, count }; typos and prefixes are
+  // matched against these, since a misspelled word rarely stems correctly
+  const vocabulary = new Map();
+
+  /**
+   * Remove a scholarship
+   * @param {string} id
+   * @returns {boolean} - Whether it was indexed
+   */
+  function remove(id) {
+    const document = documents.get(id);
+    if (!document) return false;
+
+    Object.values(document.fields).forEach(terms => {
+      terms.forEach(term => {
+        const docs = postings.get(term);
+        if (!docs) return;
+        docs.delete(id);
+        if (docs.size === 0) postings.delete(term);
+      });
+    });
+    document.words.forEach(word => {
+      const entry = vocabulary.get(word);
+      if (--entry.count === 0) vocabulary.delete(word);
+    });
+    documents.delete(id);
+    return true;
+  }
+
+  /**
+   * Add or replace a scholarship; unchanged text is not re-indexed
+   * @param {object} scholarship - Needs an id
+   * @returns {boolean} - Whether the index changed
+   */
+  function add(scholarship) {
+    const texts = fieldTexts(scholarship);
+    const signature = JSON.stringify(texts);
+    const existing = documents.get(scholarship.id);
+    if (existing && existing.signature === signature) return false;
+    if (existing) remove(scholarship.id);
+
+    const fields = {};
+    const words = [];
+    Object.keys(texts).forEach(field => {
+      const fieldWords = indexableWords(texts[field]);
+      fields[field] = fieldWords.map(stem);
+      fieldWords.forEach((word, position) => {
+        if (!vocabulary.has(word)) vocabulary.set(word, { term: fields[field][position], count: 0 });
+        vocabulary.get(word).count++;
+        words.push(word);
+      });
+      fields[field].forEach(term => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const counts = postings.get(term);
+        if (!counts.has(scholarship.id)) counts.set(scholarship.id, {});
+        const entry = counts.get(scholarship.id);
+        entry[field] = (entry[field] || 0) + 1;
+      });
+    });
+
+    documents.set(scholarship.id, { signature, words, fields });
+    return true;
+  }
+
+  /**
+   * Indexed terms a query word matches, with how well they match
+   * @param {string} queryWord - As typed (lowercase, no stop words)
+   * @param {boolean} allowPrefix - Whether partial words count (last word being typed)
+   * @returns {Map<string, number>} - Indexed term -> match factor
+   */
+  function expand(queryWord, allowPrefix) {
+    const matches = new Map();
+    const queryTerm = stem(queryWord);
+    if (postings.has(queryTerm)) matches.set(queryTerm, MATCH_FACTORS.exact);
+
+    const maxTypos = allowedTypos(queryWord);
+    vocabulary.forEach(({ term }, word) => {
+      if (matches.get(term) === MATCH_FACTORS.exact) return;
+      let factor = 0;
+      if (allowPrefix && queryWord.length >= 2 && word.startsWith(queryWord)) {
+        factor = MATCH_FACTORS.prefix;
+      }
+      if (maxTypos > 0) {
+        const distance = editDistance(queryWord, word, maxTypos);
+        if (distance <= maxTypos) factor = Math.max(factor, MATCH_FACTORS.typo[distance]);
+      }
+      if (factor > (matches.get(term) || 0)) matches.set(term, factor);
+    });
+    return matches;
+  }
+
+  /**
+   * Whether a field holds the query terms next to each other, in order
+   * @param {Array<string>} fieldTerms
+   * @param {Array<Map<string, number>>} expansions - Per query term
+   * @returns {boolean}
+   */
+  function hasPhrase(fieldTerms, expansions) {
+    for (let start = 0; start + expansions.length <= fieldTerms.length; start++) {
+      if (expansions.every((matches, offset) => matches.has(fieldTerms[start + offset]))) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Score indexed scholarships against a text query
+   * Every query term has to match (exactly, by prefix or with a typo) in
+   * some field. Terms are weighted by field and rarity (IDF).
+   * @param {string} text
+   * @returns {Map<string, number>|null} - scholarshipId -> score for matching
+   *   scholarships, or null when the query has no searchable terms
+   */
+  function search(text) {
+    const queryWords = indexableWords(text);
+    if (queryWords.length === 0) return null;
+
+    // Only the last word can be a partial word still being typed
+    const typingLastWord = /[\p{L}\p{N}]$/u.test(text.trim());
+    const expansions = queryWords.map((word, index) =>
+      expand(word, typingLastWord && index === queryWords.length - 1));
+
+    let scores = null;
+    expansions.forEach(matches => {
+      const termScores = new Map();
+      matches.forEach((factor, term) => {
+        const docs = postings.get(term);
+        const idf = 1 + Math.log(documents.size / docs.size);
+        docs.forEach((counts, id) => {
+          let fieldScore = 0;
+          Object.keys(counts).forEach(field => {
+            fieldScore += FIELD_WEIGHTS[field] * (1 + Math.log(counts[field]));
+          });
+          const score = fieldScore * factor * idf;
+          termScores.set(id, Math.max(termScores.get(id) || 0, score));
+        });
+      });
+
+      // Keep only scholarships that matched every term so far
+      if (scores === null) {
+        scores = termScores;
+      } else {
+        const combined = new Map();
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) combined.set(id, score + termScores.get(id));
+        });
+        scores = combined;
+      }
+    });
+
+    if (queryWords.length > 1) {
+      scores.forEach((score, id) => {
+        const { fields } = documents.get(id);
+        const phraseFields = Object.keys(fields).filter(field => hasPhrase(fields[field], expansions));
+        if (phraseFields.length > 0) {
+          const weight = Math.max(...phraseFields.map(field => FIELD_WEIGHTS[field]));
+          scores.set(id, score + weight * PHRASE_BOOST);
+        }
+      });
+    }
+
+    scores.forEach((score, id) => scores.set(id, Math.round(score * 100) / 100));
+    return scores;
+  }
+
+  return {
+    add,
+    remove,
+    has: id => documents.has(id),
+    ids: () => [...documents.keys()],
+    get size() {
+      return documents.size;
+    },
+    search
+  };
+}
+
+/**
+ * Build an index over a list of scholarships
+ * @param {array} scholarships
+ * @returns {object} - Search index
+ */
+function buildSearchIndex(scholarships) {
+  const index = createSearchIndex();
+  scholarships.forEach(scholarship => index.add(scholarship));
+  return index;
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  tokenize,
+  stem,
+  analyze,
+  editDistance,
+  createSearchIndex,
+  buildSearchIndex
+};
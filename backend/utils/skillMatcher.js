@@ -0,0 +1,177 @@
+/**
+ * Skill matching utilities
+ * Compares a student's skills and involvement text against a scholarship's
+ * required skills using a synonym dictionary, giving partial credit for
+ * skills that are only mentioned in involvement or are closely related.
+ */
+
+// Canonical skill -> aliases. Keys are the labels used by the assessment and
+// scholarship forms; add new aliases here rather than in the matching code.
+// Aliases are also searched for in free text, so leave out everyday words
+// ("head", "design", "node") that would credit skills nobody mentioned.
+const SKILL_SYNONYMS = {
+  'Leadership': ['leader', 'leading', 'lead', 'president', 'captain', 'officer', 'chairperson'],
+  'Communication': ['communications', 'communicating', 'interpersonal', 'people skills'],
+  'Teamwork': ['team work', 'team player', 'collaboration', 'collaborating', 'cooperation'],
+  'Problem Solving': ['problem-solving', 'problem solver', 'troubleshooting', 'analytical'],
+  'Critical Thinking': ['critical-thinking', 'reasoning', 'logical thinking'],
+  'Programming': ['coding', 'coder', 'software development', 'developer', 'web development', 'computer programming'],
+  'JavaScript': ['js', 'java script', 'nodejs', 'node.js'],
+  'Python': ['python3'],
+  'Research': ['researcher', 'researching', 'thesis', 'data gathering'],
+  'Writing': ['writer', 'journalism', 'journalist', 'blogging', 'editorial', 'copywriting', 'creative writing'],
+  'Public Speaking': ['speaking', 'speaker', 'debate', 'debater', 'oration', 'emcee'],
+  'Innovation': ['innovative', 'entrepreneurship', 'startup', 'invention'],
+  'Creativity': ['creative'],
+  'Time Management': ['organized', 'scheduling', 'time management skills'],
+  'Community Service': ['volunteer', 'volunteering', 'outreach', 'community work', 'civic', 'charity'],
+  'Sports': ['athlete', 'athletics', 'varsity', 'basketball', 'volleyball', 'football', 'swimming', 'track and field'],
+  'Music': ['musician', 'choir', 'band', 'singing', 'singer', 'instrument', 'guitar', 'piano'],
+  'Arts': ['art', 'artist', 'painting', 'drawing', 'visual arts', 'dance', 'theater', 'theatre']
+};
+
+// Skills that earn partial credit for each other
+const RELATED_SKILLS = {
+  'Programming': ['JavaScript', 'Python', 'Problem Solving'],
+  'JavaScript': ['Programming'],
+  'Python': ['Programming'],
+  'Problem Solving': ['Critical Thinking'],
+  'Critical Thinking': ['Problem Solving', 'Research'],
+  'Communication': ['Public Speaking', 'Writing'],
+  'Public Speaking': ['Communication'],
+  'Writing': ['Communication'],
+  'Creativity': ['Arts', 'Innovation', 'Music'],
+  'Arts': ['Creativity'],
+  'Innovation': ['Creativity'],
+  'Leadership': ['Teamwork'],
+  'Teamwork': ['Leadership']
+};
+
+// Credit given for each way a required skill can be satisfied
+const CREDIT = {
+  LISTED: 1,
+  INVOLVEMENT: 0.75,
+  RELATED: 0.5
+};
+
+/**
+ * Normalize a skill token for comparison
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeToken(value) {
+  return (value || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[^a-z0-9+#.\s-]/g, ' ')
+    .replace(/\.(?![a-z0-9])/g, ' ')
+    .replace(/[-_]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// alias/canonical (normalized) -> canonical label
+const ALIAS_INDEX = Object.keys(SKILL_SYNONYMS).reduce((index, canonical) => {
+  index[normalizeToken(canonical)] = canonical;
+  SKILL_SYNONYMS[canonical].forEach(alias => {
+    index[normalizeToken(alias)] = canonical;
+  });
+  return index;
+}, {});
+
+/**
+ * Resolve a single skill to its canonical label
+ * @param {string} skill
+ * @returns {string} - Canonical label, or the trimmed input if unknown
+ */
+function canonicalSkill(skill) {
+  const token = normalizeToken(skill);
+  return ALIAS_INDEX[token] || (skill || '').toString().trim();
+}
+
+/**
+ * Split a comma separated string (or array) of skills into canonical labels
+ * @param {string|Array} value
+ * @returns {Array<string>}
+ */
+function parseSkillList(value) {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : value.toString().split(/[,;\n]/);
+  const skills = items.map(item => canonicalSkill(item)).filter(Boolean);
+  return [...new Set(skills)];
+}
+
+/**
+ * Find canonical skills mentioned anywhere in free text
+ * @param {string} text - e.g. the student's involvement description
+ * @returns {Array<string>}
+ */
+function extractSkillsFromText(text) {
+  const haystack = ` ${normalizeToken(text)} `;
+  if (!haystack.trim()) return [];
+
+  const found = new Set();
+  Object.keys(ALIAS_INDEX).forEach(alias => {
+    if (haystack.includes(` ${alias} `)) {
+      found.add(ALIAS_INDEX[alias]);
+    }
+  });
+  return [...found];
+}
+
+/**
+ * Compare a student's skills and involvement against required skills
+ * @param {string|Array} studentSkills - Skills the student listed
+ * @param {string} involvement - Free text involvement description
+ * @param {string|Array} requiredSkills - Skills the scholarship asks for
+ * @returns {object} - { score (0-1), matched, partial, missing, required }
+ */
+function matchSkills(studentSkills, involvement, requiredSkills) {
+  const required = parseSkillList(requiredSkills);
+  if (required.length === 0) {
+    return { score: 1, matched: [], partial: [], missing: [], required };
+  }
+
+  // Compare on normalized labels so unknown skills still match case-insensitively
+  const listed = new Set(parseSkillList(studentSkills).map(normalizeToken));
+  const mentioned = new Set(extractSkillsFromText(involvement).map(normalizeToken));
+  const known = new Set([...listed, ...mentioned]);
+
+  const matched = [];
+  const partial = [];
+  const missing = [];
+  let credit = 0;
+
+  required.forEach(skill => {
+    const key = normalizeToken(skill);
+    if (listed.has(key)) {
+      matched.push(skill);
+      credit += CREDIT.LISTED;
+    } else if (mentioned.has(key)) {
+      matched.push(skill);
+      credit += CREDIT.INVOLVEMENT;
+    } else if ((RELATED_SKILLS[skill] || []).some(related => known.has(normalizeToken(related)))) {
+      partial.push(skill);
+      credit += CREDIT.RELATED;
+    } else {
+      missing.push(skill);
+    }
+  });
+
+  return {
+    score: Math.round((credit / required.length) * 100) / 100,
+    matched,
+    partial,
+    missing,
+    required
+  };
+}
+
+module.exports = {
+  SKILL_SYNONYMS,
+  RELATED_SKILLS,
+  canonicalSkill,
+  parseSkillList,
+  extractSkillsFromText,
+  matchSkills
+};
@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+/**
+ * Offline matching evaluation
+ * Usage: node scripts/evaluate-matching.js [options]
+ *   --fixtures <file>   Fixtures JSON (default: tests/fixtures/matching-evaluation.json)
+ *   --matcher <names>   Comma separated: fallback, rubric, ai (default: all)
+ *   --k <number>        Cut-off for precision@k and NDCG@k (default: 5)
+ *   --output <file>     Also write the JSON report to a file (diff it between commits)
+ *   --json              Print the JSON report instead of the summary
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_K, MATCHERS, loadFixtures, runEvaluation } = require("../backend/services/matchingEvaluation");
+
+const DEFAULT_FIXTURES = path.join(__dirname, "..", "tests", "fixtures", "matching-evaluation.json");
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv
+ * @returns {object} - { fixtures, matchers, k, output, json }
+ */
+function parseArgs(argv) {
+  const options = { fixtures: DEFAULT_FIXTURES, matchers: Object.keys(MATCHERS), k: DEFAULT_K, output: null, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case "--fixtures":
+        options.fixtures = next();
+        break;
+      case "--matcher":
+        options.matchers = next().split(",").map(name => name.trim()).filter(Boolean);
+        break;
+      case "--k":
+        options.k = parseInt(next(), 10);
+        if (!(options.k > 0)) throw new Error("--k must be a positive number");
+        break;
+      case "--output":
+        options.output = next();
+        break;
+      case "--json":
+        options.json = true;
+        break;
+      default:
+        throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  const unknown = options.matchers.find(name => !MATCHERS[name]);
+  if (unknown) {
+    throw new Error(`Unknown matcher: ${unknown} (expected one of ${Object.keys(MATCHERS).join(", ")})`);
+  }
+  return options;
+}
+
+/**
+ * Format a 0-1 metric for the summary table
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatMetric(value) {
+  return value === null ? "n/a" : value.toFixed(3);
+}
+
+/**
+ * Print a human-readable summary of a report
+ * @param {object} report
+ */
+function printSummary(report) {
+  const k = report.k;
+  console.log(`Fixtures: ${report.fixtures || "unnamed"} (${report.students} students, ${report.scholarships} scholarships)`);
+  console.log(`Engine version: ${report.engineVersion}\n`);
+
+  const header = ["Matcher", `P@${k}`, `NDCG@${k}`, "Elig. FPR", "ECE", "Brier"];
+  const rows = Object.keys(report.matchers).map(name => {
+    const { metrics } = report.matchers[name];
+    return [
+      name,
+      formatMetric(metrics.precisionAtK),
+      formatMetric(metrics.ndcgAtK),
+      `${formatMetric(metrics.eligibilityFalsePositives.rate)} (${metrics.eligibilityFalsePositives.falsePositives}/${metrics.eligibilityFalsePositives.negatives})`,
+      formatMetric(metrics.calibration.expectedCalibrationError),
+      formatMetric(metrics.calibration.brierScore)
+    ];
+  });
+
+  const widths = header.map((title, col) => Math.max(title.length, ...rows.map(row => row[col].length)));
+  const line = row => row.map((cell, col) => cell.padEnd(widths[col])).join("  ");
+  console.log(line(header));
+  console.log(widths.map(width => "-".repeat(width)).join("  "));
+  rows.forEach(row => console.log(line(row)));
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const fixtures = loadFixtures(options.fixtures);
+  const report = await runEvaluation(fixtures, { matchers: options.matchers, k: options.k });
+  const json = JSON.stringify(report, null, 2);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, `${json}\n`);
+  }
+
+  if (options.json) {
+    console.log(json);
+  } else {
+    printSummary(report);
+    if (options.output) console.log(`\nReport written to ${options.output}`);
+  }
+}
+
+main().catch(error => {
+  console.error(`Evaluation failed: ${error.message}`);
+  process.exit(1);
+});
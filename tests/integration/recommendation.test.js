@@ -0,0 +1,179 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const {
+  saveRecommendations,
+  refreshStudentRecommendations,
+  refreshAllStudentRecommendations
+} = require('../../backend/services/recommendationRefreshService');
+const { getRecommendationHistory } = require('../../backend/services/recommendationHistoryService');
+const { saveFeedback } = require('../../backend/services/recommendationFeedbackService');
+const { getUnreadCount, markAllAsRead } = require('../../backend/services/notificationService');
+
+const assessment = {
+  fullName: 'Juan Dela Cruz',
+  course: 'BS Computer Science',
+  yearLevel: '2nd Year',
+  gpa: '3.6',
+  gradingScale: 'gpa_4',
+  incomeRange: 'Below ₱10,000',
+  skills: 'Programming, Leadership',
+  scholarshipType: 'Merit'
+};
+
+const grant = {
+  id: 'grant',
+  scholarshipName: 'Open Merit Grant',
+  scholarshipType: 'Merit',
+  status: 'Open',
+  minGPA: '3.0',
+  minGPAScale: 'gpa_4',
+  eligibleCourses: ['BS Computer Science'],
+  eligibleYearLevels: ['2nd Year'],
+  requiredSkills: ['Programming'],
+  slotsAvailable: 5,
+  slotsFilled: 0
+};
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    users: [{ id: 'u1', role: 'student', hasCompletedAssessment: true }],
+    scholarships: [
+      grant,
+      { ...grant, id: 'full', scholarshipName: 'Full Grant', slotsFilled: 5 },
+      { ...grant, id: 'pending', scholarshipName: 'Pending Grant', status: 'Pending' }
+    ],
+    assessments: { u1: assessment }
+  });
+  setRepositories(repositories);
+});
+
+after(() => {
+  setRepositories(null);
+});
+
+test('a first refresh saves the run and keeps a snapshot without notifying', async () => {
+  const result = await refreshStudentRecommendations('u1', { trigger: 'assessment' });
+
+  assert.strictEqual(result.refreshed, true);
+  assert.deepStrictEqual(result.newMatches, []);
+
+  const current = await repositories.recommendations.findCurrent('u1');
+  assert.strictEqual(current.version, 1);
+  assert.strictEqual(current.trigger, 'assessment');
+  // Only open scholarships with slots left are scored
+  assert.deepStrictEqual(current.recommendations.map(r => r.scholarshipId), ['grant']);
+
+  const history = await getRecommendationHistory('u1');
+  assert.deepStrictEqual(history.map(run => run.version), [1]);
+
+  assert.strictEqual(await getUnreadCount('u1'), 0);
+});
+
+test('a refresh notifies about strong matches that are new since the last run', async () => {
+  await repositories.recommendations.saveCurrent('u1', { version: 1, recommendations: [] });
+
+  const result = await refreshStudentRecommendations('u1');
+
+  assert.deepStrictEqual(result.newMatches.map(r => r.scholarshipId), ['grant']);
+  const [notification] = await repositories.notifications.findByUser('u1');
+  assert.strictEqual(notification.relatedId, 'grant');
+  assert.strictEqual(await getUnreadCount('u1'), 1);
+});
+
+test('a second refresh bumps the version without notifying again', async () => {
+  await refreshStudentRecommendations('u1');
+  await markAllAsRead('u1');
+  await repositories.scholarships.update('grant', { requiredSkills: ['Programming', 'Leadership'] });
+
+  const result = await refreshStudentRecommendations('u1');
+
+  assert.deepStrictEqual(result.newMatches, []);
+  assert.strictEqual((await repositories.recommendations.findCurrent('u1')).version, 2);
+  assert.deepStrictEqual((await getRecommendationHistory('u1')).map(run => run.version), [2, 1]);
+  assert.strictEqual(await getUnreadCount('u1'), 0);
+});
+
+test('a refresh that changes nothing adds no snapshot', async () => {
+  await refreshStudentRecommendations('u1');
+  await refreshStudentRecommendations('u1', { trigger: 'scholarship' });
+
+  assert.strictEqual((await repositories.recommendations.findCurrent('u1')).version, 1);
+  assert.deepStrictEqual((await getRecommendationHistory('u1')).map(run => run.version), [1]);
+});
+
+test('concurrent refreshes get distinct versions', async () => {
+  await refreshStudentRecommendations('u1');
+  await repositories.scholarships.update('grant', { requiredSkills: ['Programming', 'Leadership'] });
+  const other = { ...assessment, skills: 'Programming' };
+
+  await Promise.all([
+    refreshStudentRecommendations('u1'),
+    refreshStudentRecommendations('u1', { assessment: other })
+  ]);
+
+  assert.deepStrictEqual((await getRecommendationHistory('u1')).map(run => run.version), [3, 2, 1]);
+});
+
+test('hidden scholarships are never announced as new matches', async () => {
+  await saveFeedback('u1', grant, { action: 'dismissed' });
+
+  const result = await refreshStudentRecommendations('u1');
+
+  assert.deepStrictEqual(result.newMatches, []);
+  assert.deepStrictEqual(await repositories.notifications.findByUser('u1'), []);
+});
+
+test('students without an assessment are skipped', async () => {
+  const result = await refreshStudentRecommendations('nobody');
+
+  assert.deepStrictEqual(result, { refreshed: false, newMatches: [] });
+});
+
+test('refreshAll only re-scores students who already have recommendations', async () => {
+  await repositories.users.update('u2', { role: 'student', hasCompletedAssessment: true });
+  await repositories.assessments.save('u2', assessment);
+  await repositories.recommendations.saveCurrent('u1', { version: 1, recommendations: [] });
+
+  const summary = await refreshAllStudentRecommendations('scholarship');
+
+  assert.deepStrictEqual(summary, { refreshed: 1, notified: 1, failed: 0 });
+  assert.strictEqual((await repositories.recommendations.findCurrent('u1')).trigger, 'scholarship');
+  assert.strictEqual(await repositories.recommendations.findCurrent('u2'), null);
+  assert.deepStrictEqual(await repositories.notifications.findByUser('u2'), []);
+});
+
+test('refreshAll keeps the AI scores of the saved run', async () => {
+  await repositories.recommendations.saveCurrent('u1', {
+    version: 1,
+    recommendations: [{
+      scholarshipId: 'grant',
+      matchScore: 90,
+      eligible: true,
+      source: 'ai',
+      recommendation: 'Highly Recommended',
+      explanation: 'Strong programming background',
+      breakdown: { aiScore: 95, aiEligible: true }
+    }]
+  });
+
+  const summary = await refreshAllStudentRecommendations('scholarship');
+
+  assert.strictEqual(summary.notified, 0);
+  const [record] = (await repositories.recommendations.findCurrent('u1')).recommendations;
+  assert.strictEqual(record.source, 'ai');
+  assert.strictEqual(record.breakdown.aiScore, 95);
+  assert.strictEqual(record.explanation, 'Strong programming background');
+});
+
+test('problems in the AI replies are saved with the run', async () => {
+  const issues = [{ id: 'ghost', field: 'scholarshipId', message: 'unknown scholarshipId at index 2' }];
+  await saveRecommendations('u1', assessment, [], 'manual', issues);
+
+  assert.deepStrictEqual((await repositories.recommendations.findCurrent('u1')).validationIssues, issues);
+  const [snapshot] = await getRecommendationHistory('u1');
+  assert.deepStrictEqual(snapshot.validationIssues, issues);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MATCH_SCHEMA,
+  parseJSONArray,
+  validateItem,
+  validateAIResponse
+} = require('../../backend/utils/aiResponseValidator');
+
+test('parseJSONArray reads bare, fenced, wrapped and prose-embedded arrays', () => {
+  assert.deepStrictEqual(parseJSONArray('[1, 2]').items, [1, 2]);
+  assert.deepStrictEqual(parseJSONArray('```json\n[1]\n```').items, [1]);
+  assert.deepStrictEqual(parseJSONArray('{"matches": [3]}').items, [3]);
+  assert.deepStrictEqual(parseJSONArray('Result:\n[4]\nDone').items, [4]);
+  assert.ok(parseJSONArray('no json here').error);
+  assert.ok(parseJSONArray('').error);
+});
+
+test('validateItem coerces numeric strings and drops invalid optional fields', () => {
+  const { value, errors, fatal } = validateItem(
+    { scholarshipId: 's1', matchScore: '72', eligible: 'yes', extra: 1 },
+    MATCH_SCHEMA
+  );
+
+  assert.strictEqual(fatal, false);
+  assert.strictEqual(value.matchScore, 72);
+  assert.strictEqual(value.eligible, undefined);
+  assert.strictEqual(value.extra, 1);
+  assert.deepStrictEqual(errors, [{ field: 'eligible', message: 'must be true or false' }]);
+});
+
+test('validateItem treats a bad required field as fatal', () => {
+  assert.strictEqual(validateItem({ scholarshipId: 's1', matchScore: -5 }, MATCH_SCHEMA).fatal, true);
+  assert.strictEqual(validateItem({ scholarshipId: 's1' }, MATCH_SCHEMA).fatal, true);
+  assert.strictEqual(validateItem('s1', MATCH_SCHEMA).fatal, true);
+});
+
+test('validateAIResponse drops unknown and duplicate ids and repairs the rest', () => {
+  const repair = id => ({ scholarshipId: id, matchScore: 50, source: 'algorithm' });
+  const { items, issues, valid } = validateAIResponse(
+    [
+      { scholarshipId: 'a', matchScore: 90 },
+      { scholarshipId: 'a', matchScore: 10 },
+      { scholarshipId: 'zzz', matchScore: 80 },
+      { scholarshipId: 'b', matchScore: 'NaN' }
+    ],
+    MATCH_SCHEMA,
+    ['a', 'b', 'c'],
+    repair
+  );
+
+  assert.strictEqual(valid, false);
+  assert.deepStrictEqual(items.map(i => [i.scholarshipId, i.matchScore, !!i.repaired]), [
+    ['a', 90, false],
+    ['b', 50, true],
+    ['c', 50, true]
+  ]);
+  assert.deepStrictEqual(issues.map(i => i.id), ['a', 'zzz', 'b', 'c']);
+});
+
+test('validateAIResponse accepts a clean response', () => {
+  const { items, valid } = validateAIResponse(
+    [{ scholarshipId: 'a', matchScore: 90, recommendation: 'Highly Recommended' }],
+    MATCH_SCHEMA,
+    ['a'],
+    () => null
+  );
+
+  assert.strictEqual(valid, true);
+  assert.strictEqual(items[0].validationIssues, undefined);
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  APPLICATION_STATUS,
+  ACTORS,
+  TRANSITIONS,
+  isApplicationStatus,
+  getTransition,
+  isValidStatusTransition,
+  getNextStatuses,
+  buildTransitionNotifications,
+  freesSlot
+} = require('../../backend/utils/applicationStateMachine');
+
+test('every transition uses known statuses and actors', () => {
+  const actors = Object.values(ACTORS);
+  for (const rule of TRANSITIONS) {
+    assert.ok(isApplicationStatus(rule.to), rule.to);
+    rule.from.forEach(status => assert.ok(isApplicationStatus(status), status));
+    rule.actors.forEach(actor => assert.ok(actors.includes(actor), actor));
+  }
+});
+
+test('transitions are limited to the role that owns them', () => {
+  assert.ok(isValidStatusTransition('under_review', 'accepted', ACTORS.SPONSOR));
+  assert.ok(!isValidStatusTransition('accepted', 'notified', ACTORS.SPONSOR));
+  assert.ok(isValidStatusTransition('accepted', 'notified', ACTORS.ADMIN));
+  assert.ok(!isValidStatusTransition('notified', 'enrolled', ACTORS.ADMIN));
+  assert.ok(isValidStatusTransition('notified', 'enrolled', ACTORS.STUDENT));
+  assert.ok(isValidStatusTransition('notified', 'student_declined', ACTORS.SYSTEM));
+});
+
+test('final statuses cannot be left', () => {
+  for (const status of ['enrolled', 'student_declined', 'rejected', 'withdrawn']) {
+    for (const actor of Object.values(ACTORS)) {
+      assert.deepStrictEqual(getNextStatuses(status, actor), [], `${status} by ${actor}`);
+    }
+  }
+  assert.ok(!isValidStatusTransition('notified', 'not_selected'));
+});
+
+test('students submit drafts and withdraw only before a decision', () => {
+  assert.deepStrictEqual(getNextStatuses('draft', ACTORS.STUDENT).sort(), ['draft', 'pending']);
+  assert.strictEqual(getTransition('draft', 'pending', ACTORS.STUDENT).requiresFreeSlot, true);
+  assert.ok(getTransition('under_review', 'withdrawn', ACTORS.STUDENT).removesApplication);
+  assert.strictEqual(getTransition('accepted', 'withdrawn', ACTORS.STUDENT), null);
+});
+
+test('admin notifications name the scholarship and report slots to the sponsor', () => {
+  const transition = getTransition('accepted', APPLICATION_STATUS.NOTIFIED, ACTORS.ADMIN);
+  const notifications = buildTransitionNotifications(transition, {
+    applicationId: 'a1',
+    application: { studentUid: 'u1', scholarshipId: 'grant', scholarshipName: 'Merit Grant' },
+    scholarship: { sponsorUid: 'sp', scholarshipName: 'Merit Grant', slotsFilled: 2, slotsAvailable: 5 }
+  });
+
+  assert.deepStrictEqual(notifications.map(n => [n.userId, n.relatedId]), [['u1', 'a1'], ['sp', 'grant']]);
+  assert.match(notifications[0].message, /"Merit Grant"/);
+  assert.match(notifications[1].message, /Slots: 2\/5/);
+});
+
+test('declines caused by another acceptance say so', () => {
+  const transition = getTransition('notified', 'student_declined', ACTORS.SYSTEM);
+  const application = { sponsorUid: 'sp', studentName: 'Ana', scholarshipName: 'Merit Grant' };
+
+  const [explicit] = buildTransitionNotifications(transition, { application, scholarship: null, applicationId: 'a1' });
+  const [automatic] = buildTransitionNotifications(transition, {
+    application: { ...application, declineReason: 'Student accepted another scholarship' },
+    scholarship: null,
+    applicationId: 'a1'
+  });
+
+  assert.strictEqual(explicit.message, 'Ana has declined the scholarship "Merit Grant".');
+  assert.strictEqual(automatic.message, 'Ana has declined the scholarship "Merit Grant" (accepted another offer).');
+});
+
+test('only the system offers waitlisted applicants a slot', () => {
+  assert.ok(isValidStatusTransition('under_review', APPLICATION_STATUS.WAITLISTED, ACTORS.SPONSOR));
+  assert.ok(isValidStatusTransition(APPLICATION_STATUS.WAITLISTED, 'notified', ACTORS.SYSTEM));
+  assert.ok(!isValidStatusTransition(APPLICATION_STATUS.WAITLISTED, 'notified', ACTORS.ADMIN));
+  assert.ok(!isValidStatusTransition(APPLICATION_STATUS.WAITLISTED, 'accepted', ACTORS.SPONSOR));
+});
+
+test('closing a round can take applicants off the waitlist', () => {
+  assert.ok(isValidStatusTransition(APPLICATION_STATUS.WAITLISTED, 'not_selected', ACTORS.ADMIN));
+});
+
+test('any move out of a slot-holding status frees the slot', () => {
+  assert.ok(freesSlot('notified', 'student_declined'));
+  assert.ok(freesSlot('accepted', 'under_review'));
+  assert.ok(freesSlot('approved', 'rejected'));
+  assert.ok(!freesSlot('under_review', 'not_selected'));
+  assert.ok(!freesSlot('notified', 'enrolled'));
+});
+
+test('waitlist offers give the response deadline', () => {
+  const transition = getTransition(APPLICATION_STATUS.WAITLISTED, 'notified', ACTORS.SYSTEM);
+  const [student, sponsor] = buildTransitionNotifications(transition, {
+    applicationId: 'a1',
+    application: {
+      studentUid: 'u1',
+      studentName: 'Ana',
+      scholarshipId: 'grant',
+      scholarshipName: 'Merit Grant',
+      offerExpiresAt: '2026-03-04T12:00:00.000Z'
+    },
+    scholarship: { sponsorUid: 'sp', scholarshipName: 'Merit Grant', slotsFilled: 1, slotsAvailable: 1 }
+  });
+
+  assert.strictEqual(student.type, 'waitlist_offer');
+  assert.match(student.message, /Merit Grant/);
+  assert.match(student.message, /2026/);
+  assert.strictEqual(sponsor.userId, 'sp');
+});
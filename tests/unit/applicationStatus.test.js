@@ -0,0 +1,143 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const {
+  TRANSITION_ERRORS,
+  transitionApplication,
+  createApplicationWithStatus
+} = require('../../backend/services/applicationStatusService');
+const { SLOT_ERRORS } = require('../../backend/services/slotAllocationService');
+const {
+  getApplicationHistory,
+  findRemovedApplication,
+  formatHistoryCsv
+} = require('../../backend/services/applicationHistoryService');
+
+const sponsor = { uid: 'sp', email: 'sponsor@example.com', role: 'sponsor' };
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    scholarships: [
+      { id: 'grant', scholarshipName: 'Merit Grant', sponsorUid: 'sp', status: 'Open', slotsAvailable: 1, slotsFilled: 0 }
+    ],
+    applications: [
+      { id: 'a1', scholarshipId: 'grant', studentUid: 'u1', sponsorUid: 'sp', studentName: 'Ana', status: 'under_review' },
+      { id: 'a2', scholarshipId: 'grant', studentUid: 'u2', sponsorUid: 'sp', studentName: 'Ben', status: 'draft' }
+    ]
+  });
+  setRepositories(repositories);
+});
+
+after(() => {
+  setRepositories(null);
+});
+
+test('a move the actor may not make changes nothing', async () => {
+  await assert.rejects(
+    transitionApplication('a1', 'notified', { actor: 'sponsor' }),
+    error => error.errorCode === TRANSITION_ERRORS.INVALID_TRANSITION && error.statusCode === 400
+  );
+
+  assert.strictEqual((await repositories.applications.findById('a1')).status, 'under_review');
+  assert.deepStrictEqual(await repositories.notifications.findByUser('u1'), []);
+});
+
+test('allowed moves write the status, fill the slot and send the notifications', async () => {
+  await transitionApplication('a1', 'accepted', { actor: 'sponsor', changes: { acceptedBySponsor: true } });
+  const { scholarship } = await transitionApplication('a1', 'notified', { actor: 'admin' });
+
+  const application = await repositories.applications.findById('a1');
+  assert.strictEqual(application.status, 'notified');
+  assert.strictEqual(application.acceptedBySponsor, true);
+  assert.strictEqual(scholarship.slotsFilled, 1);
+
+  const [student] = await repositories.notifications.findByUser('u1');
+  assert.strictEqual(student.relatedId, 'a1');
+  const [sponsor] = await repositories.notifications.findByUser('sp');
+  assert.match(sponsor.message, /Slots: 1\/1/);
+});
+
+test('submitting a draft needs a free slot', async () => {
+  await transitionApplication('a1', 'approved', { actor: 'admin' });
+
+  await assert.rejects(
+    transitionApplication('a2', 'pending', { actor: 'student' }),
+    error => error.errorCode === SLOT_ERRORS.SLOTS_FULL
+  );
+  await transitionApplication('a2', 'draft', { actor: 'student', changes: { applicationLetter: 'Hello' } });
+
+  assert.strictEqual((await repositories.applications.findById('a2')).applicationLetter, 'Hello');
+});
+
+test('withdrawing deletes the application', async () => {
+  await transitionApplication('a1', 'withdrawn', { actor: 'student' });
+
+  assert.strictEqual(await repositories.applications.findById('a1'), null);
+});
+
+test('new applications start as drafts or pending only', async () => {
+  await assert.rejects(
+    createApplicationWithStatus('grant', { scholarshipId: 'grant', status: 'accepted' }),
+    error => error.errorCode === TRANSITION_ERRORS.INVALID_INITIAL_STATUS
+  );
+
+  const id = await createApplicationWithStatus('grant', { scholarshipId: 'grant', status: 'pending' });
+  assert.strictEqual((await repositories.applications.findById(id)).status, 'pending');
+});
+
+test('each transition appends who made it, from and to, and the note', async () => {
+  await transitionApplication('a1', 'accepted', { actor: 'sponsor', user: sponsor, note: 'Strong essay' });
+  await transitionApplication('a1', 'notified', { actor: 'admin', user: { uid: 'ad', email: 'admin@example.com' } });
+  await transitionApplication('a1', 'student_declined', { actor: 'system' });
+
+  const history = await getApplicationHistory('a1');
+  assert.deepStrictEqual(
+    history.map(e => [e.fromStatus, e.toStatus, e.actorRole, e.actorUid, e.note]),
+    [
+      ['under_review', 'accepted', 'sponsor', 'sp', 'Strong essay'],
+      ['accepted', 'notified', 'admin', 'ad', null],
+      ['notified', 'student_declined', 'system', null, null]
+    ]
+  );
+});
+
+test('rejected moves and draft re-saves leave no history', async () => {
+  await assert.rejects(transitionApplication('a1', 'notified', { actor: 'sponsor', user: sponsor }));
+  await transitionApplication('a2', 'draft', { actor: 'student', changes: { applicationLetter: 'Hello' } });
+
+  assert.deepStrictEqual(await getApplicationHistory('a1'), []);
+  assert.deepStrictEqual(await getApplicationHistory('a2'), []);
+});
+
+test('creation and withdrawal are recorded, and the history outlives the application', async () => {
+  const student = { uid: 'u3', email: 'student@example.com' };
+  const id = await createApplicationWithStatus('grant', {
+    scholarshipId: 'grant',
+    scholarshipName: 'Merit Grant',
+    studentUid: 'u3',
+    status: 'pending'
+  }, student);
+  await transitionApplication(id, 'withdrawn', { actor: 'student', user: student });
+
+  const history = await getApplicationHistory(id);
+  assert.deepStrictEqual(history.map(e => [e.fromStatus, e.toStatus]), [[null, 'pending'], ['pending', 'withdrawn']]);
+  assert.strictEqual(await repositories.applications.findById(id), null);
+
+  // The withdrawal entry keeps who the application belonged to, for exports
+  const removed = findRemovedApplication(history);
+  assert.strictEqual(removed.studentUid, 'u3');
+  assert.strictEqual(removed.scholarshipId, 'grant');
+  assert.strictEqual(removed.status, 'withdrawn');
+  assert.strictEqual(findRemovedApplication(await getApplicationHistory('a1')), null);
+});
+
+test('history exports as CSV with status labels', async () => {
+  await transitionApplication('a1', 'accepted', { actor: 'sponsor', user: sponsor, note: 'Said "yes"' });
+
+  const [header, row] = formatHistoryCsv(await getApplicationHistory('a1')).split('\n');
+  assert.strictEqual(header, 'Date,From,To,Role,Changed By,Note');
+  assert.match(row, /,"Under Review","Accepted","sponsor","sponsor@example.com","Said ""yes"""$/);
+});
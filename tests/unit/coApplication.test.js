@@ -0,0 +1,59 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const {
+  CO_APPLICATION_TTL,
+  getCoApplications,
+  clearCoApplications
+} = require('../../backend/services/coApplicationService');
+
+let repositories;
+let studentQueries;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    applications: [
+      { id: 'a1', studentUid: 'u1', scholarshipId: 'grant', status: 'under_review' },
+      { id: 'a2', studentUid: 'u1', scholarshipId: 'other', status: 'under_review' },
+      { id: 'a3', studentUid: 'u2', scholarshipId: 'grant', status: 'under_review' },
+      { id: 'a4', studentUid: 'u3', scholarshipId: 'elsewhere', status: 'under_review' }
+    ]
+  });
+  const findApplicationsByStudents = repositories.applications.findApplicationsByStudents;
+  studentQueries = 0;
+  repositories.applications.findApplicationsByStudents = async uids => {
+    studentQueries++;
+    return findApplicationsByStudents.call(repositories.applications, uids);
+  };
+  setRepositories(repositories);
+  clearCoApplications();
+});
+
+after(() => {
+  setRepositories(null);
+  clearCoApplications();
+});
+
+test('co-applications cover every applicant of the scholarship', async () => {
+  const applications = await getCoApplications('grant');
+
+  assert.deepStrictEqual(
+    applications.map(app => `${app.studentUid}:${app.scholarshipId}`).sort(),
+    ['u1:grant', 'u1:other', 'u2:grant']
+  );
+});
+
+test('co-applications are loaded once per scholarship until they expire', async () => {
+  const now = new Date();
+  await getCoApplications('grant', now);
+  await repositories.applications.create({ studentUid: 'u2', scholarshipId: 'elsewhere' });
+
+  const cached = await getCoApplications('grant', new Date(now.getTime() + 1000));
+  assert.strictEqual(studentQueries, 1);
+  assert.strictEqual(cached.length, 3);
+
+  const reloaded = await getCoApplications('grant', new Date(now.getTime() + CO_APPLICATION_TTL));
+  assert.strictEqual(studentQueries, 2);
+  assert.strictEqual(reloaded.length, 4);
+});
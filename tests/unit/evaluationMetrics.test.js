@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  precisionAtK,
+  ndcgAtK,
+  eligibilityFalsePositiveRate,
+  calibration
+} = require('../../backend/utils/evaluationMetrics');
+
+test('precisionAtK counts relevant items in the top k', () => {
+  assert.strictEqual(precisionAtK(['a', 'b', 'c', 'd'], new Set(['a', 'c']), 2), 0.5);
+  assert.strictEqual(precisionAtK(['a'], new Set(['a']), 5), 1);
+  assert.strictEqual(precisionAtK(['a', 'b'], new Set(), 2), null);
+});
+
+test('ndcgAtK is 1 for the ideal order and lower otherwise', () => {
+  const gains = new Map([['a', 2], ['b', 1]]);
+
+  assert.strictEqual(ndcgAtK(['a', 'b', 'c'], gains, 3), 1);
+  assert.ok(ndcgAtK(['c', 'b', 'a'], gains, 3) < 1);
+  assert.strictEqual(ndcgAtK(['c', 'd'], gains, 2), 0);
+  assert.strictEqual(ndcgAtK(['a'], new Map(), 2), null);
+});
+
+test('eligibilityFalsePositiveRate only looks at known-ineligible pairs', () => {
+  const result = eligibilityFalsePositiveRate([
+    { predictedEligible: true, actuallyEligible: false },
+    { predictedEligible: false, actuallyEligible: false },
+    { predictedEligible: true, actuallyEligible: true }
+  ]);
+
+  assert.deepStrictEqual(result, { rate: 0.5, falsePositives: 1, negatives: 2 });
+  assert.strictEqual(eligibilityFalsePositiveRate([]).rate, null);
+});
+
+test('calibration buckets scores and compares them with acceptance', () => {
+  const result = calibration([
+    { score: 95, accepted: true },
+    { score: 100, accepted: true },
+    { score: 15, accepted: false }
+  ]);
+
+  assert.deepStrictEqual(result.buckets.map(b => b.range), ['10-19', '90-100']);
+  assert.strictEqual(result.buckets[1].acceptanceRate, 1);
+  assert.strictEqual(result.expectedCalibrationError, 0.0667);
+  assert.strictEqual(calibration([]).brierScore, null);
+});
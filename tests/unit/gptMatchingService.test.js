@@ -0,0 +1,281 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMockProvider, setProvider } = require('../../backend/services/llmProvider');
+const {
+  matchStudentToScholarships,
+  rankApplicantsForScholarship,
+  generateRecommendationExplanation,
+  clearRecommendationCache
+} = require('../../backend/services/gptMatchingService');
+
+const student = {
+  fullName: 'Juan Dela Cruz',
+  course: 'BS Computer Science',
+  yearLevel: '2nd Year',
+  gpa: '3.6',
+  gradingScale: 'gpa_4',
+  incomeRange: 'Below ₱10,000',
+  skills: 'Programming, Leadership',
+  scholarshipType: 'Merit'
+};
+
+const scholarships = [
+  {
+    id: 'open',
+    scholarshipName: 'Open Merit Grant',
+    scholarshipType: 'Merit',
+    minGPA: '3.0',
+    minGPAScale: 'gpa_4',
+    eligibleCourses: ['BS Computer Science'],
+    eligibleYearLevels: ['2nd Year'],
+    requiredSkills: ['Programming']
+  },
+  {
+    id: 'strict',
+    scholarshipName: 'Dean\'s List Award',
+    scholarshipType: 'Merit',
+    minGPA: '3.9',
+    minGPAScale: 'gpa_4',
+    eligibleCourses: [],
+    eligibleYearLevels: []
+  }
+];
+
+const applications = [
+  { id: 'a1', studentName: 'Ana', gpa: '3.8', gradingScale: 'gpa_4', incomeRange: 'Below ₱10,000', skills: 'Programming' },
+  { id: 'a2', studentName: 'Ben', gpa: '2.5', gradingScale: 'gpa_4', incomeRange: 'Below ₱10,000', skills: 'Programming' }
+];
+
+// Send every scholarship to the AI, including hard-ineligible ones
+const sendAll = { prefilter: false };
+
+/**
+ * Build eligible scholarships s0..s(count-1)
+ */
+function openScholarships(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    ...scholarships[0],
+    id: `s${i}`,
+    scholarshipName: `Grant ${i}`
+  }));
+}
+
+let provider;
+
+beforeEach(async () => {
+  await clearRecommendationCache();
+  provider = createMockProvider();
+  setProvider(provider);
+});
+
+after(() => {
+  setProvider(null);
+});
+
+test('matchStudentToScholarships returns the AI matches tagged as AI', async () => {
+  provider.enqueue([
+    { scholarshipId: 'open', scholarshipName: 'Open Merit Grant', matchScore: 90, eligible: true },
+    { scholarshipId: 'strict', scholarshipName: 'Dean\'s List Award', matchScore: 70, eligible: true }
+  ]);
+
+  const matches = await matchStudentToScholarships(student, scholarships, null, sendAll);
+
+  assert.strictEqual(matches.length, 2);
+  assert.ok(matches.every(m => m.source === 'ai' && m.generatedBy === 'gpt'));
+  assert.match(provider.calls[0].userPrompt, /Open Merit Grant/);
+});
+
+test('matchStudentToScholarships accepts JSON wrapped in prose', async () => {
+  provider.enqueue('Here you go:\n[{"scholarshipId":"open","matchScore":80},{"scholarshipId":"strict","matchScore":40}]\nGood luck!');
+
+  const matches = await matchStudentToScholarships(student, scholarships, null, sendAll);
+
+  assert.strictEqual(matches.length, 2);
+  assert.strictEqual(matches[0].matchScore, 80);
+  assert.ok(matches.every(m => m.source === 'ai'));
+});
+
+test('matchStudentToScholarships repairs a half-bad response item by item', async () => {
+  provider.enqueue([
+    { scholarshipId: 'open', matchScore: 88, recommendation: 'Amazing' },
+    { scholarshipId: 'strict', matchScore: 140 },
+    { scholarshipId: 'ghost', matchScore: 75 }
+  ]);
+
+  let issues = [];
+  const matches = await matchStudentToScholarships(student, scholarships, null, {
+    ...sendAll,
+    onValidationIssues: found => { issues = found; }
+  });
+  const open = matches.find(m => m.scholarshipId === 'open');
+  const strict = matches.find(m => m.scholarshipId === 'strict');
+
+  assert.strictEqual(matches.length, 2);
+  assert.deepStrictEqual(
+    issues.map(issue => [issue.id, issue.message]),
+    [
+      ['open', 'recommendation must be one of: Highly Recommended, Recommended, Consider, Not Recommended'],
+      ['strict', 'matchScore must be at most 100'],
+      ['ghost', 'unknown scholarshipId at index 2']
+    ]
+  );
+  assert.strictEqual(open.source, 'ai');
+  assert.strictEqual(open.recommendation, undefined);
+  assert.deepStrictEqual(open.validationIssues, ['recommendation must be one of: Highly Recommended, Recommended, Consider, Not Recommended']);
+  assert.strictEqual(strict.source, 'algorithm');
+  assert.strictEqual(strict.repaired, true);
+  assert.deepStrictEqual(strict.validationIssues, ['matchScore must be at most 100']);
+});
+
+test('matchStudentToScholarships fills scholarships missing from the response', async () => {
+  provider.enqueue([{ scholarshipId: 'open', matchScore: 80 }]);
+
+  const matches = await matchStudentToScholarships(student, scholarships, null, sendAll);
+  const strict = matches.find(m => m.scholarshipId === 'strict');
+
+  assert.strictEqual(strict.source, 'algorithm');
+  assert.deepStrictEqual(strict.validationIssues, ['missing from response']);
+});
+
+test('matchStudentToScholarships falls back to the algorithm on unparseable output', async () => {
+  provider.enqueue('Sorry, I cannot help with that.');
+
+  const matches = await matchStudentToScholarships(student, scholarships);
+
+  assert.strictEqual(matches.length, scholarships.length);
+  assert.ok(matches.every(m => m.source === 'algorithm'));
+});
+
+test('matchStudentToScholarships falls back to the algorithm when the provider fails', async () => {
+  provider.enqueue(new Error('network down'));
+
+  const matches = await matchStudentToScholarships(student, scholarships);
+
+  assert.ok(matches.every(m => m.source === 'algorithm'));
+  const strict = matches.find(m => m.scholarshipId === 'strict');
+  assert.strictEqual(strict.eligible, false);
+});
+
+test('matchStudentToScholarships caches results per student', async () => {
+  provider.enqueue([{ scholarshipId: 'open', matchScore: 90 }, { scholarshipId: 'strict', matchScore: 30 }]);
+
+  await matchStudentToScholarships(student, scholarships, 'student-1');
+  const cached = await matchStudentToScholarships(student, scholarships, 'student-1');
+
+  assert.strictEqual(provider.calls.length, 1);
+  assert.strictEqual(cached[0].matchScore, 90);
+});
+
+test('matchStudentToScholarships skips hard-ineligible scholarships in the AI prompt', async () => {
+  provider.enqueue([{ scholarshipId: 'open', matchScore: 90 }]);
+
+  const matches = await matchStudentToScholarships(student, scholarships);
+
+  assert.strictEqual(provider.calls.length, 1);
+  assert.doesNotMatch(provider.calls[0].userPrompt, /Dean's List Award/);
+  assert.strictEqual(matches.find(m => m.scholarshipId === 'strict').source, 'algorithm');
+});
+
+test('matchStudentToScholarships sends scholarships in bounded batches and merges them', async () => {
+  const many = openScholarships(5);
+  provider = createMockProvider({
+    handler: (system, user) => many
+      .filter(s => user.includes(`"id": "${s.id}"`))
+      .map(s => ({ scholarshipId: s.id, matchScore: 50 + Number(s.id.slice(1)) }))
+  });
+  setProvider(provider);
+
+  const matches = await matchStudentToScholarships(student, many, null, { batchSize: 2, concurrency: 2 });
+
+  assert.strictEqual(provider.calls.length, 3);
+  assert.ok(provider.calls.every(call => (call.userPrompt.match(/"id":/g) || []).length <= 2));
+  assert.deepStrictEqual(matches.map(m => m.scholarshipId), ['s4', 's3', 's2', 's1', 's0']);
+  assert.ok(matches.every(m => m.source === 'ai'));
+});
+
+test('matchStudentToScholarships falls back for a failed batch only', async () => {
+  const many = openScholarships(4);
+  provider.enqueue(
+    [{ scholarshipId: 's0', matchScore: 91 }, { scholarshipId: 's1', matchScore: 92 }],
+    new Error('rate limited')
+  );
+
+  const matches = await matchStudentToScholarships(student, many, null, { batchSize: 2, concurrency: 1 });
+  const bySource = id => matches.find(m => m.scholarshipId === id).source;
+
+  assert.deepStrictEqual(['s0', 's1', 's2', 's3'].map(bySource), ['ai', 'ai', 'algorithm', 'algorithm']);
+});
+
+test('matchStudentToScholarships limits how many scholarships go to the AI', async () => {
+  provider.enqueue([]);
+
+  await matchStudentToScholarships(student, openScholarships(5), null, { maxAIScholarships: 2 });
+
+  assert.strictEqual((provider.calls[0].userPrompt.match(/"id":/g) || []).length, 2);
+});
+
+test('rankApplicantsForScholarship keeps hard requirements over the AI score', async () => {
+  provider.enqueue([
+    { applicationId: 'a1', rankScore: 60, eligible: true },
+    { applicationId: 'a2', rankScore: 99, eligible: true }
+  ]);
+
+  const rankings = await rankApplicantsForScholarship(applications, scholarships[0]);
+  const ben = rankings.find(r => r.applicationId === 'a2');
+
+  assert.strictEqual(rankings[0].applicationId, 'a1');
+  assert.strictEqual(ben.eligible, false);
+  assert.strictEqual(ben.scoreComponents.capped, true);
+  assert.ok(rankings.every(r => r.source === 'ai'));
+});
+
+test('rankApplicantsForScholarship keeps the rubric ranking for invalid applicants', async () => {
+  provider.enqueue([
+    { applicationId: 'a1', rankScore: 'high' },
+    { applicationId: 'a2', rankScore: 40, strengths: 'none' }
+  ]);
+
+  let issues = [];
+  const rankings = await rankApplicantsForScholarship(applications, scholarships[0], {
+    onValidationIssues: found => { issues = found; }
+  });
+  const ana = rankings.find(r => r.applicationId === 'a1');
+  const ben = rankings.find(r => r.applicationId === 'a2');
+
+  assert.deepStrictEqual(issues.map(issue => issue.id), ['a1', 'a2']);
+  assert.strictEqual(ana.source, 'fallback');
+  assert.deepStrictEqual(ana.validationIssues, ['rankScore must be a number']);
+  assert.strictEqual(ben.source, 'ai');
+  assert.strictEqual(ben.strengths, undefined);
+});
+
+test('rankApplicantsForScholarship falls back to the rubric on unparseable output', async () => {
+  provider.enqueue('not json');
+
+  let issues = [];
+  const rankings = await rankApplicantsForScholarship(applications, scholarships[0], {
+    onValidationIssues: found => { issues = found; }
+  });
+
+  assert.deepStrictEqual(issues, [{ id: null, field: null, message: 'response unusable: Response does not contain a JSON array' }]);
+  assert.strictEqual(rankings.length, 2);
+  assert.ok(rankings.every(r => r.source === 'fallback'));
+  assert.deepStrictEqual(rankings.map(r => r.rank), [1, 2]);
+});
+
+test('generateRecommendationExplanation returns the provider text', async () => {
+  provider.enqueue('A strong fit for your program.');
+
+  const explanation = await generateRecommendationExplanation(student, scholarships[0]);
+
+  assert.strictEqual(explanation, 'A strong fit for your program.');
+});
+
+test('generateRecommendationExplanation degrades gracefully when the provider fails', async () => {
+  provider.enqueue(new Error('timeout'));
+
+  const explanation = await generateRecommendationExplanation(student, scholarships[0]);
+
+  assert.strictEqual(explanation, 'Unable to generate detailed explanation at this time.');
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  resolveScale,
+  toStandardGPA,
+  fromStandardGPA,
+  meetsMinimumGPA,
+  formatGPA
+} = require('../../backend/utils/gradeScale');
+
+test('toStandardGPA converts every scale to 4.0', () => {
+  assert.strictEqual(toStandardGPA('3.5', 'gpa_4'), 3.5);
+  assert.strictEqual(toStandardGPA('1.0', 'gwa_5'), 4);
+  assert.strictEqual(toStandardGPA('1.25', 'gwa_5'), 3.75);
+  assert.strictEqual(toStandardGPA('3.0', 'gwa_5'), 2);
+  assert.strictEqual(toStandardGPA('75', 'percent'), 2);
+  assert.strictEqual(toStandardGPA('97', 'percent'), 4);
+  assert.strictEqual(toStandardGPA('abc', 'gpa_4'), null);
+});
+
+test('grades without a declared scale are read as the legacy 1.0-5.0 GWA', () => {
+  assert.strictEqual(resolveScale(undefined, '1.25'), 'gwa_5');
+  assert.strictEqual(toStandardGPA('1.25'), 3.75);
+  assert.strictEqual(toStandardGPA('2.5', null), 2.5);
+  assert.strictEqual(resolveScale('', '88'), 'percent');
+  assert.strictEqual(formatGPA('1.25'), '1.25 GWA');
+});
+
+test('scale aliases resolve to their keys', () => {
+  assert.strictEqual(resolveScale('GWA', '1.5'), 'gwa_5');
+  assert.strictEqual(resolveScale('4.0', '3'), 'gpa_4');
+  assert.strictEqual(resolveScale('%', '90'), 'percent');
+});
+
+test('fromStandardGPA inverts toStandardGPA', () => {
+  assert.strictEqual(fromStandardGPA(3.75, 'gwa_5'), 1.25);
+  assert.strictEqual(fromStandardGPA(2, 'percent'), 75);
+  assert.strictEqual(fromStandardGPA(3.2, 'gpa_4'), 3.2);
+});
+
+test('meetsMinimumGPA compares across scales', () => {
+  // 1.5 GWA is 3.5 on the 4.0 scale
+  assert.strictEqual(meetsMinimumGPA('1.5', 'gwa_5', '3.0', 'gpa_4'), true);
+  assert.strictEqual(meetsMinimumGPA('2.5', 'gwa_5', '3.0', 'gpa_4'), false);
+  assert.strictEqual(meetsMinimumGPA('3.2', 'gpa_4', '2.0', 'gwa_5'), true);
+  assert.strictEqual(meetsMinimumGPA('90', 'percent', '1.75', 'gwa_5'), true);
+});
+
+test('meetsMinimumGPA reads legacy GWA records correctly', () => {
+  // An excellent legacy GWA against a legacy GWA minimum
+  assert.strictEqual(meetsMinimumGPA('1.25', undefined, '2.0', undefined), true);
+  assert.strictEqual(meetsMinimumGPA('2.75', undefined, '2.0', undefined), false);
+  assert.strictEqual(meetsMinimumGPA('1.25', undefined, '3.0', 'gpa_4'), true);
+});
+
+test('meetsMinimumGPA passes when there is no minimum, fails without a grade', () => {
+  assert.strictEqual(meetsMinimumGPA('2.0', 'gpa_4', '', 'gpa_4'), true);
+  assert.strictEqual(meetsMinimumGPA('', 'gpa_4', '3.0', 'gpa_4'), false);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { chunk, mapWithConcurrency } = require('../../backend/utils/helpers');
+
+test('chunk splits into bounded chunks', () => {
+  assert.deepStrictEqual(chunk([1, 2, 3, 4, 5], 2), [[1, 2], [3, 4], [5]]);
+  assert.deepStrictEqual(chunk([], 3), []);
+  assert.deepStrictEqual(chunk([1, 2], 0), [[1], [2]]);
+});
+
+test('mapWithConcurrency keeps order and respects the limit', async () => {
+  let running = 0;
+  let peak = 0;
+  const results = await mapWithConcurrency([30, 10, 20, 5], 2, async (delay, index) => {
+    running++;
+    peak = Math.max(peak, running);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    running--;
+    return index;
+  });
+
+  assert.deepStrictEqual(results, [0, 1, 2, 3]);
+  assert.strictEqual(peak, 2);
+});
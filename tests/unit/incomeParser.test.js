@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ELIGIBILITY,
+  parseIncomeRange,
+  parseIncomeLimit,
+  checkIncomeEligibility,
+  financialNeedScore
+} = require('../../backend/utils/incomeParser');
+
+test('parseIncomeRange reads select keys and free text', () => {
+  assert.deepStrictEqual(parseIncomeRange('10k_20k'), { min: 10000, max: 20000 });
+  assert.deepStrictEqual(parseIncomeRange('₱10,000 - ₱20,000'), { min: 10000, max: 20000 });
+  assert.deepStrictEqual(parseIncomeRange('Below ₱10,000'), { min: 0, max: 10000 });
+  assert.deepStrictEqual(parseIncomeRange('Above ₱50,000'), { min: 50000, max: Infinity });
+  assert.deepStrictEqual(parseIncomeRange('240k a year'), { min: 20000, max: 20000 });
+  assert.strictEqual(parseIncomeRange('prefer not to say'), null);
+});
+
+test('parseIncomeLimit reads select keys, amounts and yearly limits', () => {
+  assert.strictEqual(parseIncomeLimit('below_20k'), 20000);
+  assert.strictEqual(parseIncomeLimit('Below ₱20,000 monthly'), 20000);
+  assert.strictEqual(parseIncomeLimit('25000'), 25000);
+  assert.strictEqual(parseIncomeLimit('300k annually'), 25000);
+  assert.strictEqual(parseIncomeLimit('₱10,000 - ₱20,000'), 20000);
+});
+
+test('parseIncomeLimit treats explicit "no limit" wording as no limit', () => {
+  assert.strictEqual(parseIncomeLimit('No limit'), null);
+  assert.strictEqual(parseIncomeLimit('Any'), null);
+  assert.strictEqual(parseIncomeLimit('N/A'), null);
+  assert.strictEqual(parseIncomeLimit('Not applicable'), null);
+});
+
+test('parseIncomeLimit does not match "any" or "n/a" inside other words', () => {
+  assert.strictEqual(parseIncomeLimit('Company employees under ₱20,000'), 20000);
+  assert.strictEqual(parseIncomeLimit('Families of many children, below ₱15,000'), 15000);
+  assert.strictEqual(parseIncomeLimit('Financial need: under 30k'), 30000);
+});
+
+test('parseIncomeLimit keeps the amount when the text also says "any"', () => {
+  assert.strictEqual(parseIncomeLimit('Below ₱20,000 for any applicant'), 20000);
+  assert.strictEqual(parseIncomeLimit('₱20,000 monthly, any course'), 20000);
+  assert.strictEqual(
+    checkIncomeEligibility('Above ₱100,000', 'Below ₱20,000 for any applicant').status,
+    ELIGIBILITY.INELIGIBLE
+  );
+});
+
+test('checkIncomeEligibility compares the range with the limit', () => {
+  assert.strictEqual(checkIncomeEligibility('below_10k', 'below_20k').status, ELIGIBILITY.ELIGIBLE);
+  assert.strictEqual(checkIncomeEligibility('30k_50k', 'below_20k').status, ELIGIBILITY.INELIGIBLE);
+  assert.strictEqual(checkIncomeEligibility('30k_50k', 'Company employees under ₱20,000').status, ELIGIBILITY.INELIGIBLE);
+  assert.strictEqual(checkIncomeEligibility('', 'below_20k').status, ELIGIBILITY.UNKNOWN);
+  assert.strictEqual(checkIncomeEligibility('30k_50k', '').status, ELIGIBILITY.NOT_APPLICABLE);
+
+  const partial = checkIncomeEligibility('10k_20k', '15000');
+  assert.strictEqual(partial.status, ELIGIBILITY.PARTIAL);
+  assert.strictEqual(partial.score, 0.5);
+});
+
+test('financialNeedScore is higher for lower incomes', () => {
+  assert.ok(financialNeedScore('below_10k') > financialNeedScore('30k_50k'));
+  assert.strictEqual(financialNeedScore('unknown'), null);
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  LLM_PROVIDERS,
+  createMockProvider,
+  createProviderFromEnv,
+  setProvider
+} = require('../../backend/services/llmProvider');
+const {
+  matchStudentToScholarships,
+  rankApplicantsForScholarship,
+  clearRecommendationCache
+} = require('../../backend/services/gptMatchingService');
+
+test('mock provider returns queued responses in order and records calls', async () => {
+  const provider = createMockProvider({ responses: ['first', { second: true }] });
+
+  assert.strictEqual(await provider.complete('system', 'user one'), 'first');
+  assert.strictEqual(await provider.complete('system', 'user two'), '{"second":true}');
+  assert.strictEqual(provider.calls.length, 2);
+  assert.strictEqual(provider.calls[1].userPrompt, 'user two');
+});
+
+test('mock provider throws queued errors and fails when the queue is empty', async () => {
+  const provider = createMockProvider({ responses: [new Error('boom')] });
+
+  await assert.rejects(provider.complete('s', 'u'), /boom/);
+  await assert.rejects(provider.complete('s', 'u'), /no response queued/);
+});
+
+test('mock provider handler receives the prompts', async () => {
+  const provider = createMockProvider({ handler: (system, user) => `${system}|${user}` });
+  assert.strictEqual(await provider.complete('a', 'b'), 'a|b');
+});
+
+test('provider is selected from the environment', () => {
+  assert.strictEqual(createProviderFromEnv({}).name, LLM_PROVIDERS.OPENAI);
+  assert.strictEqual(createProviderFromEnv({ LLM_PROVIDER: 'local', LLM_MODEL: 'qwen' }).model, 'qwen');
+  assert.strictEqual(createProviderFromEnv({ LLM_PROVIDER: 'MOCK' }).name, LLM_PROVIDERS.MOCK);
+  assert.throws(() => createProviderFromEnv({ LLM_PROVIDER: 'nope' }), /Unknown LLM provider/);
+});
+
+test('openai provider requires an API key', async () => {
+  const provider = createProviderFromEnv({ LLM_PROVIDER: 'openai' });
+  await assert.rejects(provider.complete('s', 'u'), /API key not configured/);
+});
+
+test('the environment mock answers match and ranking prompts with canned JSON', async () => {
+  setProvider(createProviderFromEnv({ LLM_PROVIDER: 'mock' }));
+  clearRecommendationCache();
+
+  try {
+    const student = { fullName: 'Ana', course: 'BS Biology', yearLevel: '1st Year', gpa: '3.5', gradingScale: 'gpa_4' };
+    const scholarships = [
+      { id: 's1', scholarshipName: 'First Grant', minGPA: '3.0', minGPAScale: 'gpa_4' },
+      { id: 's2', scholarshipName: 'Second Grant' }
+    ];
+    const matches = await matchStudentToScholarships(student, scholarships, null, { prefilter: false });
+    assert.deepStrictEqual(matches.map(m => m.source), ['ai', 'ai']);
+
+    const applications = [
+      { id: 'a1', studentName: 'Ana', gpa: '3.5', gradingScale: 'gpa_4' },
+      { id: 'a2', studentName: 'Ben', gpa: '3.1', gradingScale: 'gpa_4' }
+    ];
+    const rankings = await rankApplicantsForScholarship(applications, scholarships[0]);
+    assert.deepStrictEqual(rankings.map(r => r.source), ['ai', 'ai']);
+  } finally {
+    setProvider(null);
+  }
+});
@@ -0,0 +1,139 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_WEIGHTS,
+  HYBRID_DEFAULTS,
+  createMatcher,
+  matchScholarship,
+  blendScores
+} = require('../../backend/utils/matchingAlgorithm');
+
+const student = {
+  gpa: '3.6',
+  gradingScale: 'gpa_4',
+  course: 'BS Computer Science',
+  yearLevel: '2nd Year',
+  incomeRange: 'below_10k',
+  skills: 'Programming, Leadership',
+  scholarshipType: 'Merit-based',
+  involvement: 'Class president and member of the programming club for two years'
+};
+
+const scholarship = {
+  minGPA: '3.0',
+  minGPAScale: 'gpa_4',
+  eligibleCourses: ['Computer Science', 'Information Technology'],
+  eligibleYearLevels: ['1st Year', '2nd Year'],
+  incomeLimit: 'below_20k',
+  requiredSkills: ['Programming'],
+  scholarshipType: 'Merit-based'
+};
+
+test('matchScholarship scores an eligible student on every criterion', () => {
+  const result = matchScholarship(student, scholarship);
+
+  assert.strictEqual(result.eligible, true);
+  assert.deepStrictEqual(result.failures, []);
+  assert.deepStrictEqual(Object.keys(result.criteria), Object.keys(DEFAULT_WEIGHTS));
+  assert.strictEqual(result.criteria.course.score, 100);
+  assert.deepStrictEqual(result.criteria.skills.evidence.matched, ['Programming']);
+  assert.ok(result.score >= 90 && result.score <= 100);
+});
+
+test('hard criteria failures make the student ineligible', () => {
+  const result = matchScholarship({ ...student, gpa: '2.5', course: 'BS Nursing' }, scholarship);
+
+  assert.strictEqual(result.eligible, false);
+  assert.deepStrictEqual(result.failures.map(f => f.criterion), ['gpa', 'course']);
+  assert.match(result.criteria.gpa.detail, /below minimum/);
+});
+
+test('GPA is compared across grading scales', () => {
+  const gwaStudent = { ...student, gpa: '1.5', gradingScale: 'gwa_5' };
+  assert.strictEqual(matchScholarship(gwaStudent, scholarship).criteria.gpa.eligible, true);
+
+  const weakGWA = { ...student, gpa: '2.75', gradingScale: 'gwa_5' };
+  assert.strictEqual(matchScholarship(weakGWA, scholarship).criteria.gpa.eligible, false);
+
+  const percentMinimum = { ...scholarship, minGPA: '85', minGPAScale: 'percent' };
+  const result = matchScholarship(student, percentMinimum);
+  assert.strictEqual(result.criteria.gpa.eligible, true);
+  assert.match(result.criteria.gpa.detail, /3\.6.*85/);
+});
+
+test('open requirements give full credit', () => {
+  const result = matchScholarship(student, { scholarshipType: 'Need-based' });
+
+  assert.strictEqual(result.eligible, true);
+  assert.strictEqual(result.criteria.gpa.score, 100);
+  assert.strictEqual(result.criteria.course.detail, 'Open to all courses');
+  assert.strictEqual(result.criteria.type.score, 0);
+});
+
+test('createMatcher applies custom weights and scorers', () => {
+  const matcher = createMatcher({
+    weights: { type: 0, location: 50 },
+    scorers: { location: s => ({ score: s.city === 'Cebu' ? 1 : 0, eligible: true }) }
+  });
+
+  const result = matcher.match({ ...student, city: 'Cebu' }, scholarship);
+  assert.strictEqual(result.criteria.type, undefined);
+  assert.strictEqual(result.criteria.location.score, 100);
+  assert.strictEqual(result.weights.location, 50);
+
+  const ranked = matcher.rank(student, [{ ...scholarship, eligibleCourses: ['BS Nursing'] }, scholarship]);
+  assert.strictEqual(ranked[0].scholarship, scholarship);
+});
+
+test('income above the limit is a hard failure, missing skills are not', () => {
+  const result = matchScholarship({ ...student, incomeRange: 'above_50k', skills: 'Music', involvement: '' }, scholarship);
+
+  assert.deepStrictEqual(result.failures.map(f => f.criterion), ['income']);
+  assert.strictEqual(result.criteria.skills.eligible, false);
+  assert.strictEqual(result.criteria.involvement.score, 0);
+});
+
+test('weights are normalized and zero weights drop a criterion', () => {
+  const result = matchScholarship(student, scholarship, {
+    weights: { ...DEFAULT_WEIGHTS, income: 0, involvement: 0 }
+  });
+
+  assert.strictEqual(result.criteria.income, undefined);
+  const totalWeight = Object.values(result.criteria).reduce((sum, c) => sum + c.weight, 0);
+  assert.ok(Math.abs(totalWeight - 1) < 0.01);
+  assert.strictEqual(result.weights.income, undefined);
+});
+
+test('blendScores moves the algorithm score by at most the AI band', () => {
+  const eligible = { score: 60, eligible: true };
+
+  const up = blendScores(eligible, 95);
+  assert.deepStrictEqual(
+    { score: up.score, aiAdjustment: up.aiAdjustment, method: up.method },
+    { score: 60 + HYBRID_DEFAULTS.aiBand, aiAdjustment: HYBRID_DEFAULTS.aiBand, method: 'hybrid' }
+  );
+  assert.strictEqual(blendScores(eligible, 10).aiAdjustment, -HYBRID_DEFAULTS.aiBand);
+  assert.strictEqual(blendScores(eligible, 52).score, 52);
+  assert.strictEqual(blendScores(eligible, 95, { aiBand: 5 }).score, 65);
+});
+
+test('blendScores caps ineligible matches whatever the AI says', () => {
+  const ineligible = blendScores({ score: 50, eligible: false }, 90);
+
+  assert.strictEqual(ineligible.score, HYBRID_DEFAULTS.ineligibleCap);
+  assert.strictEqual(ineligible.capped, true);
+  assert.strictEqual(blendScores({ score: 20, eligible: false }, 30).capped, false);
+  assert.strictEqual(blendScores({ score: 50, eligible: false }, 90, { ineligibleCap: 40 }).score, 40);
+});
+
+test('blendScores keeps the algorithm score when there is no AI score', () => {
+  [null, undefined, 'n/a'].forEach(aiScore => {
+    const result = blendScores({ score: 72, eligible: true }, aiScore);
+    assert.deepStrictEqual(
+      { score: result.score, aiScore: result.aiScore, aiAdjustment: result.aiAdjustment, method: result.method },
+      { score: 72, aiScore: null, aiAdjustment: 0, method: 'algorithm' }
+    );
+  });
+  assert.strictEqual(blendScores({ score: 50, eligible: false }, null).score, HYBRID_DEFAULTS.ineligibleCap);
+});
@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const { validateFixtures, loadFixtures, runEvaluation } = require('../../backend/services/matchingEvaluation');
+
+const fixtures = loadFixtures(path.join(__dirname, '..', 'fixtures', 'matching-evaluation.json'));
+
+test('validateFixtures rejects outcomes for unknown scholarships', () => {
+  const broken = {
+    scholarships: [{ id: 's1' }],
+    students: [{ id: 'a', assessment: {}, outcomes: { applied: ['s2'] } }]
+  };
+
+  assert.strictEqual(validateFixtures(broken).valid, false);
+  assert.match(validateFixtures(broken).error, /unknown scholarship "s2"/);
+  assert.strictEqual(validateFixtures({ scholarships: [], students: [] }).valid, false);
+});
+
+test('runEvaluation reports every metric for each matcher', async () => {
+  const report = await runEvaluation(fixtures, { matchers: ['fallback', 'rubric'], k: 3 });
+
+  assert.deepStrictEqual(Object.keys(report.matchers), ['fallback', 'rubric']);
+  assert.strictEqual(report.k, 3);
+
+  const { metrics, students } = report.matchers.fallback;
+  assert.strictEqual(students.length, fixtures.students.length);
+  assert.ok(metrics.precisionAtK >= 0 && metrics.precisionAtK <= 1);
+  assert.ok(metrics.ndcgAtK >= 0 && metrics.ndcgAtK <= 1);
+  assert.strictEqual(metrics.eligibilityFalsePositives.rate, 0);
+  assert.ok(metrics.calibration.buckets.length > 0);
+});
+
+test('runEvaluation is deterministic so reports can be diffed', async () => {
+  const first = await runEvaluation(fixtures, { matchers: ['ai'] });
+  const second = await runEvaluation(fixtures, { matchers: ['ai'] });
+
+  assert.deepStrictEqual(first, second);
+  assert.strictEqual(first.matchers.ai.students[0].top[0], 'stem-excellence');
+});
@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  DEFAULT_RUBRIC,
+  validateRubric,
+  resolveRubric,
+  scoreApplication,
+  rankApplicants
+} = require('../../backend/utils/rankingAlgorithm');
+
+const scholarship = {
+  id: 'grant',
+  minGPA: '3.0',
+  minGPAScale: 'gpa_4',
+  incomeLimit: 'below_20k',
+  requiredSkills: ['Programming']
+};
+
+const applicant = (id, gpa, extra = {}) => ({
+  id,
+  studentName: id,
+  gpa,
+  gradingScale: 'gpa_4',
+  incomeRange: 'below_10k',
+  skills: 'Programming',
+  ...extra
+});
+
+test('validateRubric rejects unknown criteria, bad weights and bad tie-breakers', () => {
+  assert.strictEqual(validateRubric('not json').valid, false);
+  assert.strictEqual(validateRubric({ criteria: [{ key: 'height', weight: 10 }] }).valid, false);
+  assert.strictEqual(validateRubric({ criteria: [{ key: 'gpa', weight: 120 }] }).valid, false);
+  assert.strictEqual(validateRubric({ criteria: [{ key: 'gpa', weight: 0 }] }).valid, false);
+  assert.strictEqual(validateRubric({ criteria: [{ key: 'gpa', weight: 50 }], tieBreakers: ['skills'] }).valid, false);
+
+  const { valid, rubric } = validateRubric({ criteria: [{ key: 'gpa', weight: 50, minimum: 60 }], tieBreakers: ['gpa'] });
+  assert.strictEqual(valid, true);
+  assert.deepStrictEqual(rubric.criteria, [{ key: 'gpa', weight: 50, minimum: 60 }]);
+});
+
+test('resolveRubric falls back to the default for a missing or invalid rubric', () => {
+  assert.strictEqual(resolveRubric({}), DEFAULT_RUBRIC);
+  assert.strictEqual(resolveRubric({ rankingRubric: '{' }), DEFAULT_RUBRIC);
+});
+
+test('scoreApplication flags hard requirement failures', () => {
+  const lowGPA = scoreApplication(applicant('a', '2.5'), scholarship);
+  assert.strictEqual(lowGPA.eligible, false);
+  assert.deepStrictEqual(lowGPA.requirementFailures, ['GPA below requirement']);
+
+  const richFamily = scoreApplication(applicant('b', '3.8', { incomeRange: 'above_50k' }), scholarship);
+  assert.strictEqual(richFamily.eligible, false);
+});
+
+test('rankApplicants puts ineligible applicants and cutoff misses after qualified ones', () => {
+  const rubric = validateRubric({ criteria: [{ key: 'gpa', weight: 60 }, { key: 'skills', weight: 40, minimum: 50 }] }).rubric;
+  const rankings = rankApplicants([
+    applicant('ineligible', '2.9'),
+    applicant('noSkills', '4.0', { skills: '' }),
+    applicant('good', '3.2'),
+    applicant('best', '3.9')
+  ], scholarship, rubric);
+
+  assert.deepStrictEqual(rankings.map(r => r.applicationId).slice(0, 2), ['best', 'good']);
+  assert.deepStrictEqual(rankings.map(r => r.rank), [1, 2, 3, 4]);
+  const ineligible = rankings.find(r => r.applicationId === 'ineligible');
+  assert.strictEqual(ineligible.eligible, false);
+  assert.ok(ineligible.rank > 2);
+  assert.strictEqual(rankings.find(r => r.applicationId === 'noSkills').meetsCutoffs, false);
+});
@@ -0,0 +1,80 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMockProvider, setProvider } = require('../../backend/services/llmProvider');
+const { rankApplicationsWithRubric } = require('../../backend/services/rankingService');
+
+const scholarship = {
+  id: 'grant',
+  scholarshipName: 'Open Merit Grant',
+  scholarshipType: 'Merit',
+  minGPA: '3.0',
+  minGPAScale: 'gpa_4',
+  requiredSkills: ['Programming']
+};
+
+const applications = [
+  { id: 'a1', studentName: 'Ana', gpa: '3.4', gradingScale: 'gpa_4', incomeRange: 'Below ₱10,000', skills: 'Programming' },
+  { id: 'a2', studentName: 'Ben', gpa: '3.9', gradingScale: 'gpa_4', incomeRange: 'Below ₱10,000', skills: 'Programming' }
+];
+
+let provider;
+
+beforeEach(() => {
+  provider = createMockProvider();
+  setProvider(provider);
+});
+
+after(() => {
+  setProvider(null);
+});
+
+test('rankApplicationsWithRubric ranks by the rubric without calling the AI', async () => {
+  const result = await rankApplicationsWithRubric(applications, scholarship);
+
+  assert.deepStrictEqual(result.rankings.map(r => r.applicationId), ['a2', 'a1']);
+  assert.deepStrictEqual(result.rankings.map(r => r.rank), [1, 2]);
+  assert.strictEqual(result.aiSecondOpinion, false);
+  assert.ok(result.rubric);
+  assert.strictEqual(provider.calls.length, 0);
+});
+
+test('rankApplicationsWithRubric attaches the AI ranking without reordering', async () => {
+  provider.enqueue([
+    { applicationId: 'a1', rankScore: 95, eligible: true, strengths: ['Leadership'] },
+    { applicationId: 'a2', rankScore: 70, eligible: true }
+  ]);
+
+  const result = await rankApplicationsWithRubric(applications, scholarship, { aiSecondOpinion: true });
+  const [first, second] = result.rankings;
+
+  assert.strictEqual(result.aiSecondOpinion, true);
+  assert.strictEqual(first.applicationId, 'a2');
+  assert.strictEqual(first.aiOpinion.rank, 2);
+  assert.strictEqual(first.aiOpinion.rankDifference, 1);
+  assert.strictEqual(second.aiOpinion.rank, 1);
+  assert.deepStrictEqual(second.aiOpinion.strengths, ['Leadership']);
+});
+
+test('rankApplicationsWithRubric reports no second opinion when the AI fails', async () => {
+  provider.enqueue(new Error('provider down'));
+
+  const result = await rankApplicationsWithRubric(applications, scholarship, { aiSecondOpinion: true });
+
+  assert.strictEqual(result.aiSecondOpinion, false);
+  assert.ok(result.rankings.every(r => r.aiOpinion === undefined));
+});
+
+test('rankApplicationsWithRubric keeps problems in the AI ranking on each applicant', async () => {
+  provider.enqueue([
+    { applicationId: 'a1', rankScore: 'high' },
+    { applicationId: 'a2', rankScore: 70 },
+    { applicationId: 'ghost', rankScore: 90 }
+  ]);
+
+  const result = await rankApplicationsWithRubric(applications, scholarship, { aiSecondOpinion: true });
+  const issues = id => result.rankings.find(r => r.applicationId === id).aiValidationIssues.map(issue => issue.message);
+
+  assert.deepStrictEqual(issues('a1'), ['rankScore must be a number', 'unknown applicationId at index 2']);
+  assert.deepStrictEqual(issues('a2'), ['unknown applicationId at index 2']);
+});
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  buildCacheKey,
+  createMemoryStore,
+  createFileStore,
+  createRecommendationCache
+} = require('../../backend/services/recommendationCache');
+
+const assessment = { course: 'BS Computer Science', gpa: '3.5', files: { schoolId: 'a.png' } };
+const scholarships = [
+  { id: 's1', updatedAt: '2026-01-01T00:00:00.000Z' },
+  { id: 's2', updatedAt: '2026-01-02T00:00:00.000Z' }
+];
+const matches = [{ scholarshipId: 's1', matchScore: 80 }];
+
+test('cache key changes with the assessment and scholarship versions only', () => {
+  const key = buildCacheKey('u1', assessment, scholarships);
+
+  assert.strictEqual(buildCacheKey('u1', { ...assessment, files: {} }, [...scholarships].reverse()), key);
+  assert.notStrictEqual(buildCacheKey('u1', { ...assessment, gpa: '3.6' }, scholarships), key);
+  assert.notStrictEqual(
+    buildCacheKey('u1', assessment, [scholarships[0], { ...scholarships[1], updatedAt: '2026-02-01T00:00:00.000Z' }]),
+    key
+  );
+});
+
+test('cache counts hits and misses', async () => {
+  const cache = createRecommendationCache(createMemoryStore());
+
+  assert.strictEqual(await cache.get('u1', assessment, scholarships), null);
+  await cache.set('u1', assessment, scholarships, matches);
+  assert.deepStrictEqual(await cache.get('u1', assessment, scholarships), matches);
+
+  const stats = cache.getStats();
+  assert.strictEqual(stats.hits, 1);
+  assert.strictEqual(stats.misses, 1);
+  assert.strictEqual(stats.hitRate, 50);
+  assert.strictEqual(stats.store, 'memory');
+});
+
+test('expired entries are misses', async () => {
+  const cache = createRecommendationCache(createMemoryStore(), { ttl: 1 });
+  await cache.set('u1', assessment, scholarships, matches);
+  await new Promise(resolve => setTimeout(resolve, 5));
+
+  assert.strictEqual(await cache.get('u1', assessment, scholarships), null);
+});
+
+test('invalidation removes entries by student or scholarship', async () => {
+  const cache = createRecommendationCache(createMemoryStore());
+  await cache.set('u1', assessment, scholarships, matches);
+  await cache.set('u2', assessment, [scholarships[1]], matches);
+
+  assert.strictEqual(await cache.invalidateScholarship('s1'), 1);
+  assert.strictEqual(await cache.get('u1', assessment, scholarships), null);
+  assert.strictEqual(await cache.invalidateStudent('u2'), 1);
+  assert.strictEqual(cache.getStats().invalidations, 2);
+});
+
+test('memory store drops the oldest entries beyond its limit', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', { studentId: 'a' });
+  await store.set('b', { studentId: 'b' });
+  await store.set('c', { studentId: 'c' });
+
+  assert.strictEqual(await store.get('a'), null);
+  assert.ok(await store.get('c'));
+});
+
+test('file store survives a restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rec-cache-'));
+  const filePath = path.join(dir, 'cache.json');
+  try {
+    const first = createRecommendationCache(createFileStore({ filePath }));
+    await first.set('u1', assessment, scholarships, matches);
+
+    const second = createRecommendationCache(createFileStore({ filePath }));
+    assert.deepStrictEqual(await second.get('u1', assessment, scholarships), matches);
+
+    await second.invalidateStudent('u1');
+    const third = createRecommendationCache(createFileStore({ filePath }));
+    assert.strictEqual(await third.get('u1', assessment, scholarships), null);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('file store keeps every entry from concurrent writes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rec-cache-'));
+  const filePath = path.join(dir, 'cache.json');
+  try {
+    const store = createFileStore({ filePath });
+    const students = ['u1', 'u2', 'u3', 'u4'];
+    const first = createRecommendationCache(store);
+    await Promise.all(students.map(uid => first.set(uid, assessment, scholarships, matches)));
+
+    const second = createRecommendationCache(createFileStore({ filePath }));
+    for (const uid of students) {
+      assert.deepStrictEqual(await second.get(uid, assessment, scholarships), matches);
+    }
+    assert.strictEqual(fs.existsSync(`${filePath}.tmp`), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('store failures are treated as misses', async () => {
+  const broken = {
+    name: 'broken',
+    get: async () => { throw new Error('offline'); },
+    set: async () => { throw new Error('offline'); },
+    delete: async () => {},
+    invalidate: async () => { throw new Error('offline'); },
+    clear: async () => {}
+  };
+  const cache = createRecommendationCache(broken);
+
+  assert.strictEqual(await cache.get('u1', assessment, scholarships), null);
+  await cache.set('u1', assessment, scholarships, matches);
+  assert.strictEqual(await cache.invalidateStudent('u1'), 0);
+  assert.strictEqual(cache.getStats().errors, 3);
+});
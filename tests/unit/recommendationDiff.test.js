@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { compactRecommendation, diffRecommendationRuns } = require('../../backend/utils/recommendationDiff');
+
+const run = (assessmentSnapshot, recommendations) => ({ assessmentSnapshot, recommendations });
+const rec = (scholarshipId, matchScore, gpaScore, eligible = true) => ({
+  scholarshipId,
+  scholarshipName: `Grant ${scholarshipId}`,
+  matchScore,
+  eligible,
+  criteria: { gpa: { label: 'GPA', score: gpaScore, eligible, detail: `GPA score ${gpaScore}` } }
+});
+
+test('compactRecommendation keeps scores and criteria only', () => {
+  const compact = compactRecommendation({
+    scholarshipId: 's1',
+    scholarshipName: 'Grant',
+    matchScore: 80,
+    eligible: true,
+    recommendation: 'Highly Recommended',
+    whyMatched: ['long text'],
+    breakdown: { criteria: { gpa: { label: 'GPA', score: 90, eligible: true, weight: 0.3, detail: 'ok' } } }
+  });
+
+  assert.deepStrictEqual(compact.criteria, { gpa: { label: 'GPA', score: 90, eligible: true, detail: 'ok' } });
+  assert.strictEqual(compact.whyMatched, undefined);
+});
+
+test('diffRecommendationRuns finds added, removed and changed scholarships', () => {
+  const older = run({ gpa: '3.0', gradingScale: 'gpa_4' }, [rec('a', 60, 50), rec('b', 70, 70), rec('c', 50, 50)]);
+  const newer = run({ gpa: '3.6', gradingScale: 'gpa_4' }, [rec('a', 75, 90), rec('b', 70, 70), rec('d', 65, 80)]);
+
+  const diff = diffRecommendationRuns(older, newer);
+
+  assert.deepStrictEqual(diff.added.map(r => r.scholarshipId), ['d']);
+  assert.deepStrictEqual(diff.removed.map(r => r.scholarshipId), ['c']);
+  assert.strictEqual(diff.unchangedCount, 1);
+  assert.strictEqual(diff.changed[0].delta, 15);
+  assert.deepStrictEqual(diff.changed[0].reasons.map(r => [r.criterion, r.before, r.after]), [['gpa', 50, 90]]);
+  assert.deepStrictEqual(diff.assessmentChanges, [{ field: 'gpa', label: 'GPA', before: '3.0 GPA', after: '3.6 GPA' }]);
+});
+
+test('diffRecommendationRuns reports eligibility changes even without a score change', () => {
+  const diff = diffRecommendationRuns(run({}, [rec('a', 40, 40, false)]), run({}, [rec('a', 40, 40, true)]));
+
+  assert.strictEqual(diff.changed.length, 1);
+  assert.strictEqual(diff.changed[0].eligibilityChanged, true);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  validateFeedback,
+  buildPreferenceProfile,
+  preferenceAdjustment
+} = require('../../backend/utils/recommendationPreferences');
+
+const entry = (action, reason = null, overrides = {}) => ({
+  action,
+  reason,
+  scholarshipType: 'Merit-based',
+  organizationName: 'Acme Foundation',
+  ...overrides
+});
+
+test('validateFeedback accepts save and dismiss without a reason', () => {
+  assert.deepStrictEqual(validateFeedback({ action: 'saved', reason: 'type' }).feedback, { action: 'saved', reason: null, note: '' });
+  assert.strictEqual(validateFeedback({ action: 'dismissed' }).valid, true);
+});
+
+test('validateFeedback requires a known reason for not relevant', () => {
+  assert.strictEqual(validateFeedback({ action: 'not_relevant' }).valid, false);
+  assert.strictEqual(validateFeedback({ action: 'not_relevant', reason: 'bogus' }).valid, false);
+  assert.deepStrictEqual(
+    validateFeedback({ action: 'not_relevant', reason: 'sponsor', note: '  too far away ' }).feedback,
+    { action: 'not_relevant', reason: 'sponsor', note: 'too far away' }
+  );
+});
+
+test('validateFeedback rejects unknown actions and long notes', () => {
+  assert.strictEqual(validateFeedback({ action: 'like' }).valid, false);
+  assert.strictEqual(validateFeedback(null).valid, false);
+  assert.strictEqual(validateFeedback({ action: 'not_relevant', reason: 'other', note: 'x'.repeat(301) }).valid, false);
+});
+
+test('buildPreferenceProfile nets signals per type and sponsor', () => {
+  const profile = buildPreferenceProfile([
+    entry('saved'),
+    entry('not_relevant', 'type'),
+    entry('not_relevant', 'sponsor', { scholarshipType: 'Need-based', organizationName: 'Other Org' }),
+    entry('not_relevant', 'requirements', { scholarshipType: 'Athletic' })
+  ]);
+
+  assert.deepStrictEqual(profile.types, { 'Merit-based': 0 });
+  assert.deepStrictEqual(profile.sponsors, { 'Acme Foundation': 0.5, 'Other Org': -1 });
+  assert.strictEqual(profile.count, 4);
+});
+
+test('preferenceAdjustment is bounded', () => {
+  const profile = buildPreferenceProfile([
+    entry('saved'),
+    entry('saved', null, { organizationName: 'B' }),
+    entry('saved', null, { organizationName: 'C' }),
+    entry('saved', null, { organizationName: 'D' })
+  ]);
+
+  assert.strictEqual(preferenceAdjustment(profile, { scholarshipType: 'Merit-based', organizationName: 'Acme Foundation' }), 10);
+  assert.strictEqual(preferenceAdjustment(profile, { scholarshipType: 'Need-based', organizationName: 'Nobody' }), 0);
+  assert.strictEqual(preferenceAdjustment(null, { scholarshipType: 'Merit-based' }), 0);
+});
@@ -0,0 +1,161 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const {
+  findNewTopMatches,
+  refreshStudentRecommendations,
+  refreshAllStudentRecommendations
+} = require('../../backend/services/recommendationRefreshService');
+const { saveFeedback } = require('../../backend/services/recommendationFeedbackService');
+
+const assessment = {
+  fullName: 'Maria Santos',
+  course: 'BS Information Technology',
+  yearLevel: '3rd Year',
+  gpa: '3.5',
+  gradingScale: 'gpa_4',
+  incomeRange: 'below_10k',
+  skills: 'Programming',
+  scholarshipType: 'Merit'
+};
+
+const scholarship = (id, overrides = {}) => ({
+  id,
+  scholarshipName: `Grant ${id}`,
+  scholarshipType: 'Merit',
+  status: 'Open',
+  minGPA: '3.0',
+  minGPAScale: 'gpa_4',
+  eligibleCourses: ['BS Information Technology'],
+  eligibleYearLevels: ['3rd Year'],
+  requiredSkills: ['Programming'],
+  slotsAvailable: 3,
+  slotsFilled: 0,
+  ...overrides
+});
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    users: [
+      { id: 's1', role: 'student', hasCompletedAssessment: true },
+      { id: 's2', role: 'student', hasCompletedAssessment: true }
+    ],
+    scholarships: [scholarship('it'), scholarship('nursing', { eligibleCourses: ['BS Nursing'] })],
+    assessments: { s1: assessment, s2: assessment }
+  });
+  setRepositories(repositories);
+});
+
+after(() => {
+  setRepositories(null);
+});
+
+const rec = (scholarshipId, matchScore, eligible = true) => ({ scholarshipId, scholarshipName: scholarshipId, matchScore, eligible });
+
+test('findNewTopMatches reports strong matches that were not strong before', () => {
+  const previous = [rec('a', 90), rec('b', 50)];
+  const current = [rec('a', 92), rec('b', 75), rec('c', 72), rec('d', 40)];
+
+  assert.deepStrictEqual(findNewTopMatches(previous, current).map(r => r.scholarshipId), ['b', 'c']);
+});
+
+test('findNewTopMatches ignores ineligible and low matches', () => {
+  const current = [rec('a', 95, false), rec('b', 65)];
+
+  assert.deepStrictEqual(findNewTopMatches([], current), []);
+});
+
+test('findNewTopMatches only looks at the top matches', () => {
+  const current = [rec('a', 90), rec('b', 85), rec('c', 80)];
+
+  assert.deepStrictEqual(findNewTopMatches([], current, { topCount: 2 }).map(r => r.scholarshipId), ['a', 'b']);
+});
+
+test('refreshStudentRecommendations re-scores open scholarships and saves the run', async () => {
+  const result = await refreshStudentRecommendations('s1', { trigger: 'assessment' });
+
+  assert.deepStrictEqual(result, { refreshed: true, newMatches: [] });
+  const saved = await repositories.recommendations.findCurrent('s1');
+  assert.strictEqual(saved.trigger, 'assessment');
+  assert.strictEqual(saved.assessmentSnapshot.course, 'BS Information Technology');
+  assert.deepStrictEqual(saved.recommendations.map(r => [r.scholarshipId, r.eligible]), [['it', true], ['nursing', false]]);
+  assert.ok(saved.recommendations[0].matchScore > saved.recommendations[1].matchScore);
+});
+
+test('refreshStudentRecommendations with existingOnly skips students without a saved run', async () => {
+  const result = await refreshStudentRecommendations('s1', { existingOnly: true });
+
+  assert.deepStrictEqual(result, { refreshed: false, newMatches: [] });
+  assert.strictEqual(await repositories.recommendations.findCurrent('s1'), null);
+});
+
+test('a first run saves without notifying; a later one announces new strong matches', async () => {
+  await refreshStudentRecommendations('s1');
+  assert.deepStrictEqual(await repositories.notifications.findByUser('s1'), []);
+
+  await repositories.scholarships.update('nursing', { eligibleCourses: [] });
+  const result = await refreshStudentRecommendations('s1');
+
+  assert.deepStrictEqual(result.newMatches.map(r => r.scholarshipId), ['nursing']);
+  const [notification] = await repositories.notifications.findByUser('s1');
+  assert.strictEqual(notification.relatedId, 'nursing');
+  assert.match(notification.message, /Grant nursing/);
+});
+
+test('hidden scholarships are saved but not announced', async () => {
+  await refreshStudentRecommendations('s1');
+  await saveFeedback('s1', scholarship('nursing'), { action: 'dismissed' });
+  await repositories.scholarships.update('nursing', { eligibleCourses: [] });
+
+  const result = await refreshStudentRecommendations('s1');
+
+  assert.deepStrictEqual(result.newMatches, []);
+  assert.deepStrictEqual(await repositories.notifications.findByUser('s1'), []);
+  const saved = await repositories.recommendations.findCurrent('s1');
+  assert.ok(saved.recommendations.some(r => r.scholarshipId === 'nursing'));
+});
+
+test('keepAIScores blends the saved AI score with the new algorithm score', async () => {
+  await refreshStudentRecommendations('s1');
+  const [plain] = (await repositories.recommendations.findCurrent('s1')).recommendations;
+  await repositories.recommendations.saveCurrent('s1', {
+    version: 1,
+    recommendations: [{
+      ...plain,
+      source: 'ai',
+      explanation: 'Great fit for an IT student',
+      breakdown: { ...plain.breakdown, aiScore: 40, aiEligible: true }
+    }]
+  });
+
+  await refreshStudentRecommendations('s1', { keepAIScores: true });
+  const [kept] = (await repositories.recommendations.findCurrent('s1')).recommendations
+    .filter(r => r.scholarshipId === 'it');
+
+  assert.strictEqual(kept.source, 'ai');
+  assert.strictEqual(kept.explanation, 'Great fit for an IT student');
+  assert.strictEqual(kept.breakdown.aiScore, 40);
+  assert.ok(kept.matchScore < plain.matchScore);
+
+  await refreshStudentRecommendations('s1');
+  const [dropped] = (await repositories.recommendations.findCurrent('s1')).recommendations;
+  assert.strictEqual(dropped.matchScore, plain.matchScore);
+});
+
+test('refreshAllStudentRecommendations refreshes existing runs and counts failures', async () => {
+  await refreshStudentRecommendations('s1');
+  await repositories.recommendations.saveCurrent('s2', { version: 1, recommendations: [] });
+  const findByStudent = repositories.assessments.findByStudent;
+  repositories.assessments.findByStudent = async uid => {
+    if (uid === 's2') throw new Error('read failed');
+    return findByStudent.call(repositories.assessments, uid);
+  };
+
+  const summary = await refreshAllStudentRecommendations('scholarship');
+
+  assert.deepStrictEqual(summary, { refreshed: 1, notified: 0, failed: 1 });
+  assert.strictEqual((await repositories.recommendations.findCurrent('s1')).trigger, 'scholarship');
+});
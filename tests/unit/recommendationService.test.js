@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  buildRecommendationRecord,
+  buildRecommendationRecords,
+  validateWhatIfOverrides,
+  simulateWhatIf
+} = require('../../backend/services/recommendationService');
+
+const assessment = {
+  gpa: '3.0',
+  gradingScale: 'gpa_4',
+  course: 'BS Computer Science',
+  yearLevel: '1st Year',
+  incomeRange: 'below_10k',
+  skills: 'Leadership'
+};
+
+const scholarships = [
+  { id: 'strict', scholarshipName: 'Dean\'s List', minGPA: '3.5', minGPAScale: 'gpa_4', eligibleYearLevels: ['2nd Year'] },
+  { id: 'open', scholarshipName: 'Open Grant' }
+];
+
+test('buildRecommendationRecord caps an AI score for a hard-ineligible scholarship', () => {
+  const record = buildRecommendationRecord(assessment, scholarships[0], { source: 'ai', matchScore: 95, eligible: true });
+
+  assert.strictEqual(record.eligible, false);
+  assert.ok(record.matchScore <= 35);
+  assert.strictEqual(record.breakdown.capped, true);
+  assert.strictEqual(record.breakdown.aiScore, 95);
+});
+
+test('buildRecommendationRecord keeps the AI adjustment within its band', () => {
+  const record = buildRecommendationRecord(assessment, scholarships[1], { source: 'ai', matchScore: 0 });
+
+  assert.strictEqual(record.breakdown.method, 'hybrid');
+  assert.strictEqual(record.matchScore, record.breakdown.algorithmScore - 15);
+});
+
+test('buildRecommendationRecords applies preferences to eligible records only', () => {
+  const typed = [
+    { ...scholarships[0], scholarshipType: 'Merit-based' },
+    { ...scholarships[1], scholarshipType: 'Merit-based' }
+  ];
+  const preferences = { types: { 'Merit-based': -2 }, sponsors: {}, count: 2 };
+  const plain = buildRecommendationRecords(assessment, typed, []);
+  const adjusted = buildRecommendationRecords(assessment, typed, [], preferences);
+
+  const byId = records => Object.fromEntries(records.map(r => [r.scholarshipId, r]));
+  assert.strictEqual(byId(adjusted).open.matchScore, byId(plain).open.matchScore - 6);
+  assert.strictEqual(byId(adjusted).open.breakdown.preferenceAdjustment, -6);
+  assert.strictEqual(byId(adjusted).strict.matchScore, byId(plain).strict.matchScore);
+  assert.strictEqual(byId(adjusted).strict.breakdown.preferenceAdjustment, 0);
+});
+
+test('validateWhatIfOverrides ignores blanks and unknown fields', () => {
+  const result = validateWhatIfOverrides(assessment, { gpa: ' 3.6 ', course: '', role: 'admin' });
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.overrides, { gpa: '3.6' });
+});
+
+test('validateWhatIfOverrides rejects invalid values', () => {
+  assert.strictEqual(validateWhatIfOverrides(assessment, {}).valid, false);
+  assert.strictEqual(validateWhatIfOverrides(assessment, { gpa: '5' }).valid, false);
+  assert.strictEqual(validateWhatIfOverrides(assessment, { gradingScale: 'letter' }).valid, false);
+  assert.strictEqual(validateWhatIfOverrides(assessment, { yearLevel: '9th Year' }).valid, false);
+  assert.strictEqual(validateWhatIfOverrides(assessment, { incomeRange: 'lots' }).valid, false);
+});
+
+test('simulateWhatIf compares current and hypothetical scores side by side', () => {
+  const { results, summary } = simulateWhatIf(assessment, { gpa: '3.6', yearLevel: '2nd Year' }, scholarships);
+  const strict = results.find(r => r.scholarshipId === 'strict');
+
+  assert.strictEqual(strict.current.eligible, false);
+  assert.strictEqual(strict.hypothetical.eligible, true);
+  assert.ok(strict.delta > 0);
+  assert.strictEqual(summary.newlyEligible, 1);
+  assert.strictEqual(summary.noLongerEligible, 0);
+});
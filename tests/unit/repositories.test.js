@@ -0,0 +1,135 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories } = require('../../backend/repositories');
+
+/**
+ * Repositories seeded with a small catalog
+ */
+function seeded() {
+  return createMemoryRepositories({
+    users: [
+      { id: 'u1', role: 'student', hasCompletedAssessment: true },
+      { id: 'u2', role: 'student', hasCompletedAssessment: false },
+      { id: 'sp', role: 'sponsor' }
+    ],
+    scholarships: [
+      { id: 'open', status: 'Open', slotsAvailable: 2, slotsFilled: 1, sponsorUid: 'sp' },
+      { id: 'full', status: 'Open', slotsAvailable: 1, slotsFilled: 1, sponsorUid: 'sp' },
+      { id: 'pending', status: 'Pending', slotsAvailable: 3 },
+      { id: 'reopen', status: 'Pending Reopen', slotsAvailable: 3 }
+    ],
+    applications: [
+      { id: 'a1', studentUid: 'u1', scholarshipId: 'open', status: 'pending' },
+      { id: 'a2', studentUid: 'u1', scholarshipId: 'full', status: 'notified', studentAccepted: true },
+      { id: 'a3', studentUid: 'u2', scholarshipId: 'open', status: 'pending' }
+    ],
+    assessments: { u1: { course: 'BS Computer Science' } }
+  });
+}
+
+test('findOpenScholarships can leave out full scholarships', async () => {
+  const { scholarships } = seeded();
+
+  assert.deepStrictEqual((await scholarships.findOpenScholarships()).map(s => s.id), ['open', 'full']);
+  assert.deepStrictEqual(
+    (await scholarships.findOpenScholarships({ withAvailableSlots: true })).map(s => s.id),
+    ['open']
+  );
+});
+
+test('findByStatus accepts one status or a list', async () => {
+  const { scholarships } = seeded();
+
+  assert.deepStrictEqual((await scholarships.findByStatus('Pending')).map(s => s.id), ['pending']);
+  assert.deepStrictEqual(
+    (await scholarships.findByStatus(['Pending', 'Pending Reopen'])).map(s => s.id),
+    ['pending', 'reopen']
+  );
+});
+
+test('application lookups filter by student and scholarship', async () => {
+  const { applications } = seeded();
+
+  assert.deepStrictEqual((await applications.findApplicationsByStudent('u1')).map(a => a.id), ['a1', 'a2']);
+  assert.deepStrictEqual((await applications.findApplicationsByStudents(['u2'])).map(a => a.id), ['a3']);
+  assert.deepStrictEqual((await applications.findApplicationsByScholarships(['full'])).map(a => a.id), ['a2']);
+  assert.strictEqual((await applications.findStudentApplication('u2', 'open')).id, 'a3');
+  assert.strictEqual(await applications.findStudentApplication('u2', 'full'), null);
+  assert.strictEqual((await applications.findAcceptedByStudent('u1')).id, 'a2');
+  assert.strictEqual(await applications.findAcceptedByStudent('u2'), null);
+});
+
+test('findByRole applies the extra equality filters', async () => {
+  const { users } = seeded();
+
+  assert.deepStrictEqual((await users.findByRole('student')).map(u => u.id), ['u1', 'u2']);
+  assert.deepStrictEqual(
+    (await users.findByRole('student', { hasCompletedAssessment: true })).map(u => u.id),
+    ['u1']
+  );
+});
+
+test('update fails for a missing document but users.update creates one', async () => {
+  const repositories = seeded();
+
+  await assert.rejects(repositories.scholarships.update('missing', { status: 'Closed' }), /scholarships\/missing/);
+
+  await repositories.users.update('admin', { role: 'admin' });
+  await repositories.users.update('admin', { fullName: 'Administrator' });
+  assert.deepStrictEqual(await repositories.users.findById('admin'), { id: 'admin', role: 'admin', fullName: 'Administrator' });
+});
+
+test('results are copies of the stored documents', async () => {
+  const repositories = seeded();
+
+  const scholarship = await repositories.scholarships.findById('open');
+  scholarship.status = 'Closed';
+  const assessment = await repositories.assessments.findByStudent('u1');
+  assessment.course = 'BS Nursing';
+
+  assert.strictEqual((await repositories.scholarships.findById('open')).status, 'Open');
+  assert.strictEqual((await repositories.assessments.findByStudent('u1')).course, 'BS Computer Science');
+});
+
+test('create assigns an ID and dump shows every table', async () => {
+  const repositories = seeded();
+
+  const notification = await repositories.notifications.create({ userId: 'u1', read: false });
+  await repositories.feedback.save('u1', 'open', { studentUid: 'u1', scholarshipId: 'open', action: 'saved' });
+
+  const dump = repositories.dump();
+  assert.deepStrictEqual(dump.notifications[notification.id], { userId: 'u1', read: false });
+  assert.strictEqual(dump.feedback.u1_open.action, 'saved');
+  assert.deepStrictEqual(await repositories.notifications.findUnreadByUser('u1'), [notification]);
+});
+
+test('recommendation snapshots come back newest version first', async () => {
+  const { recommendations } = seeded();
+
+  const first = await recommendations.addSnapshot('u1', { version: 1 });
+  await recommendations.addSnapshot('u1', { version: 3 });
+  await recommendations.addSnapshot('u1', { version: 2 });
+
+  assert.deepStrictEqual((await recommendations.findSnapshots('u1', 2)).map(s => s.version), [3, 2]);
+  assert.deepStrictEqual(await recommendations.findSnapshot('u1', first), { id: first, version: 1 });
+  assert.strictEqual(await recommendations.findSnapshot('u2', first), null);
+});
+
+test('saveRun allocates from the current run and old snapshots can be pruned', async () => {
+  const { recommendations } = seeded();
+  const nextRun = existing => {
+    const version = existing ? existing.version + 1 : 1;
+    return { current: { version }, snapshot: { version } };
+  };
+
+  await Promise.all([recommendations.saveRun('u1', nextRun), recommendations.saveRun('u1', nextRun)]);
+  const { snapshotId } = await recommendations.saveRun('u1', existing => ({ current: existing, snapshot: null }));
+
+  assert.strictEqual(snapshotId, null);
+  assert.deepStrictEqual(await recommendations.findCurrent('u1'), { version: 2 });
+  assert.deepStrictEqual((await recommendations.findSnapshots('u1', 10)).map(s => s.version), [2, 1]);
+
+  assert.strictEqual(await recommendations.deleteSnapshotsAfter('u1', 1), 1);
+  assert.deepStrictEqual((await recommendations.findSnapshots('u1', 10)).map(s => s.version), [2]);
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validateSavedSearch, describeSearch, openedAt, findNewMatches, buildDigest } = require('../../backend/utils/savedSearches');
+
+const scholarships = [
+  { id: 'old', scholarshipName: 'Old STEM Grant', scholarshipType: 'STEM', createdAt: '2026-01-01', approvedAt: '2026-01-02', endDate: '2026-12-31' },
+  { id: 'new', scholarshipName: 'New STEM Grant', scholarshipType: 'STEM', createdAt: '2026-05-01', approvedAt: '2026-06-05', endDate: '2026-12-31' },
+  { id: 'reopened', scholarshipName: 'Returning STEM Award', scholarshipType: 'STEM', createdAt: '2025-01-01', approvedAt: '2025-01-02', reopenedAt: '2026-06-03', endDate: '2026-12-31' },
+  { id: 'other', scholarshipName: 'Arts Grant', scholarshipType: 'Arts', createdAt: '2026-06-04', approvedAt: '2026-06-04', endDate: '2026-12-31' }
+];
+
+test('validateSavedSearch keeps search params and needs at least one filter', () => {
+  const result = validateSavedSearch({ name: ' STEM ', query: { type: 'STEM', course: 'all', page: '2', skills: ['Math', 'Art'] } });
+
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.savedSearch, { name: 'STEM', query: { type: 'STEM', skills: 'Math,Art' }, alertsEnabled: true });
+
+  assert.strictEqual(validateSavedSearch({ query: { sort: 'amount' } }).valid, false);
+  assert.strictEqual(validateSavedSearch({ name: 'x'.repeat(61), query: { type: 'STEM' } }).valid, false);
+  assert.strictEqual(validateSavedSearch({ query: { type: 'STEM' }, alertsEnabled: false }).savedSearch.alertsEnabled, false);
+});
+
+test('unnamed searches are named after their filters', () => {
+  assert.strictEqual(validateSavedSearch({ query: { search: 'engineering', type: 'STEM' } }).savedSearch.name, '"engineering" · STEM');
+  assert.strictEqual(describeSearch({ amountMin: '10000', deadlineWithin: '30' }), '₱10,000+ · Next 30 days');
+});
+
+test('openedAt uses the latest of reopen, restore, approval and creation', () => {
+  assert.strictEqual(openedAt(scholarships[2]).toISOString(), '2026-06-03T00:00:00.000Z');
+  assert.strictEqual(openedAt({ approvedAt: '2025-01-02', restoredAt: '2026-06-04' }).toISOString(), '2026-06-04T00:00:00.000Z');
+  assert.strictEqual(openedAt({}), null);
+});
+
+test('findNewMatches only returns matching scholarships opened since the last check', () => {
+  const savedSearch = { query: { type: 'STEM' }, createdAt: '2026-01-01', lastCheckedAt: '2026-06-01' };
+  const matches = findNewMatches(savedSearch, scholarships);
+
+  assert.deepStrictEqual(matches.map(s => s.id).sort(), ['new', 'reopened']);
+  assert.deepStrictEqual(findNewMatches({ ...savedSearch, lastCheckedAt: '2026-07-01' }, scholarships), []);
+});
+
+test('buildDigest lists a few names and counts the rest', () => {
+  const digest = buildDigest({ name: 'STEM' }, scholarships);
+
+  assert.strictEqual(digest.title, 'New matches for "STEM"');
+  assert.strictEqual(digest.message, '4 new scholarships match your saved search: Old STEM Grant, New STEM Grant, Returning STEM Award and 1 more.');
+  assert.strictEqual(buildDigest({ name: 'STEM' }, [scholarships[1]]).message, '1 new scholarship matches your saved search: New STEM Grant.');
+});
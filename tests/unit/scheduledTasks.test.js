@@ -0,0 +1,53 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const { sendSavedSearchDigests, runAllScheduledTasks } = require('../../backend/services/scheduledTasks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = days => new Date(Date.now() + days * DAY_MS).toISOString();
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    scholarships: [
+      { id: 'stem', scholarshipName: 'STEM Grant', scholarshipType: 'STEM', status: 'Open', approvedAt: daysFromNow(-1), endDate: daysFromNow(30), slotsAvailable: 2, slotsFilled: 1 }
+    ],
+    applications: [
+      { id: 'offer', scholarshipId: 'stem', studentUid: 'u9', status: 'notified', offerExpiresAt: daysFromNow(-1) }
+    ],
+    savedSearches: [
+      { id: 'broken', studentUid: 'u1', query: { type: 'STEM' }, alertsEnabled: true, createdAt: daysFromNow(-10) },
+      { id: 'fine', studentUid: 'u2', query: { type: 'STEM' }, alertsEnabled: true, createdAt: daysFromNow(-10) }
+    ]
+  });
+  // Notifications for one student cannot be written
+  const create = repositories.notifications.create;
+  repositories.notifications.create = async data => {
+    if (data.userId === 'u1') throw new Error('write failed');
+    return create(data);
+  };
+  setRepositories(repositories);
+});
+
+after(() => {
+  setRepositories(null);
+});
+
+test('a failing saved search does not stop the other digests', async () => {
+  assert.strictEqual(await sendSavedSearchDigests(), 1);
+
+  assert.strictEqual((await repositories.notifications.findByUser('u2')).length, 1);
+  assert.ok((await repositories.savedSearches.findById('fine')).lastNotifiedAt);
+  // Left unchecked so the next run tries again
+  assert.strictEqual((await repositories.savedSearches.findById('broken')).lastCheckedAt, undefined);
+});
+
+test('a failing saved search does not skip the tasks after the digests', async () => {
+  const result = await runAllScheduledTasks();
+
+  assert.strictEqual(result.digestCount, 1);
+  assert.strictEqual(result.expiredOfferCount, 1);
+  assert.strictEqual((await repositories.applications.findById('offer')).status, 'student_declined');
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseSearchParams, searchScholarships } = require('../../backend/utils/scholarshipSearch');
+const { buildSearchIndex } = require('../../backend/utils/searchIndex');
+
+const now = new Date('2026-06-01T00:00:00Z');
+const inDays = days => new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+
+const scholarships = [
+  {
+    id: 'stem',
+    scholarshipName: 'STEM Futures Grant',
+    organizationName: 'Tech Foundation',
+    scholarshipType: 'STEM',
+    description: 'For future engineers and programmers',
+    minGPA: 3.0,
+    eligibleCourses: ['BS Computer Science'],
+    eligibleYearLevels: ['2nd Year'],
+    requiredSkills: ['Programming'],
+    amount: 30000,
+    degreeLevel: 'Bachelor',
+    endDate: inDays(5),
+    createdAt: '2026-01-01'
+  },
+  {
+    id: 'need',
+    scholarshipName: 'Family Support Scholarship',
+    organizationName: 'Bayanihan Trust',
+    scholarshipType: 'Need-Based',
+    description: 'Helps students in programming and nursing courses',
+    minGPA: 2.5,
+    eligibleCourses: [],
+    eligibleYearLevels: [],
+    incomeLimit: 'below_20k',
+    requiredSkills: [],
+    amount: 8000,
+    endDate: inDays(60),
+    createdAt: '2026-03-01'
+  },
+  {
+    id: 'masters',
+    scholarshipName: 'Graduate Research Fellowship',
+    organizationName: 'State University',
+    scholarshipType: 'Research',
+    minGPA: 3.5,
+    eligibleCourses: [],
+    eligibleYearLevels: ['Graduate'],
+    requiredSkills: ['Research'],
+    degreeLevel: 'Master',
+    endDate: inDays(-2),
+    createdAt: '2026-02-01'
+  }
+];
+
+const search = (query, options = {}) => searchScholarships(scholarships, parseSearchParams(query), { now, ...options });
+const ids = result => result.results.map(s => s.id);
+
+test('parseSearchParams defaults the sort to relevance only with a query', () => {
+  assert.strictEqual(parseSearchParams({}).sort, 'newest');
+  assert.strictEqual(parseSearchParams({ search: 'stem' }).sort, 'relevance');
+  assert.strictEqual(parseSearchParams({ sort: 'relevance' }).sort, 'newest');
+  assert.deepStrictEqual(parseSearchParams({ skills: 'Programming,Research' }).skills, ['Programming', 'Research']);
+});
+
+test('text search ranks name matches above description matches', () => {
+  assert.deepStrictEqual(ids(search({ search: 'programming' })), ['stem', 'need']);
+  assert.deepStrictEqual(ids(search({ search: 'support' })), ['need']);
+  assert.deepStrictEqual(ids(search({ search: 'stem nursing' })), []);
+});
+
+test('text search uses a given index', () => {
+  const index = buildSearchIndex(scholarships.filter(s => s.id !== 'need'));
+  const result = search({ search: 'programming' }, { index });
+
+  assert.deepStrictEqual(ids(result), ['stem']);
+  assert.ok(result.results[0].relevance > 0);
+});
+
+test('filters by amount, deadline window, degree level, income and skills', () => {
+  assert.deepStrictEqual(ids(search({ amountMin: '10000' })), ['stem']);
+  assert.deepStrictEqual(ids(search({ deadlineWithin: '7' })), ['stem']);
+  assert.deepStrictEqual(ids(search({ degreeLevel: 'Bachelor' })).sort(), ['need', 'stem']);
+  assert.deepStrictEqual(ids(search({ incomeRange: '30k_50k' })).sort(), ['masters', 'stem']);
+  assert.deepStrictEqual(ids(search({ skills: 'Research' })), ['masters']);
+});
+
+test('eligible for me uses the student assessment', () => {
+  const assessment = { gpa: '3.2', gradingScale: 'gpa_4', course: 'BS Computer Science', yearLevel: '2nd Year', incomeRange: 'below_10k', skills: 'Programming' };
+  const result = search({ eligibleOnly: '1', sort: 'match' }, { assessment });
+
+  assert.deepStrictEqual(ids(result).sort(), ['need', 'stem']);
+  assert.strictEqual(result.sort, 'match');
+  assert.ok(result.results[0].matchScore >= result.results[1].matchScore);
+});
+
+test('sorts by deadline and amount', () => {
+  assert.deepStrictEqual(ids(search({ sort: 'deadline' })), ['masters', 'stem', 'need']);
+  assert.deepStrictEqual(ids(search({ sort: 'amount' })), ['stem', 'need', 'masters']);
+  assert.deepStrictEqual(ids(search({})), ['need', 'masters', 'stem']);
+});
+
+test('facet counts ignore their own selection but respect other filters', () => {
+  const result = search({ type: 'STEM', amountMin: '5000' });
+
+  assert.deepStrictEqual(ids(result), ['stem']);
+  assert.deepStrictEqual(result.facets.type, { STEM: 1, 'Need-Based': 1 });
+  assert.deepStrictEqual(result.facets.amount, { '25k_50k': 1 });
+  assert.deepStrictEqual(result.facets.deadline, { 7: 1, 30: 1, 90: 1 });
+});
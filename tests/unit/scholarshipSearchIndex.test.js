@@ -0,0 +1,34 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  getSearchIndex,
+  setSearchIndex,
+  updateIndexedScholarship,
+  removeIndexedScholarship,
+  syncScholarshipIndex
+} = require('../../backend/services/scholarshipSearchIndex');
+
+const open = (id, scholarshipName) => ({ id, scholarshipName, status: 'Open' });
+
+beforeEach(() => setSearchIndex(null));
+
+test('only Open scholarships are indexed', () => {
+  updateIndexedScholarship('a', { scholarshipName: 'Merit Award', status: 'Open' });
+  updateIndexedScholarship('b', { scholarshipName: 'Merit Grant', status: 'Pending' });
+
+  assert.deepStrictEqual(getSearchIndex().ids(), ['a']);
+
+  updateIndexedScholarship('a', { scholarshipName: 'Merit Award', status: 'Closed' });
+  assert.strictEqual(getSearchIndex().size, 0);
+});
+
+test('sync adds, updates and drops scholarships to match the Open list', () => {
+  syncScholarshipIndex([open('a', 'Merit Award'), open('b', 'Athletic Grant')]);
+  removeIndexedScholarship('b');
+  const index = syncScholarshipIndex([open('a', 'Academic Excellence Award'), open('c', 'Athletic Grant')]);
+
+  assert.deepStrictEqual(index.ids().sort(), ['a', 'c']);
+  assert.strictEqual(index.search('merit').size, 0);
+  assert.deepStrictEqual([...index.search('excellence').keys()], ['a']);
+});
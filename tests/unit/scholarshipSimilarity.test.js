@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  scholarshipSimilarity,
+  findSimilarScholarships,
+  coApplicationCounts
+} = require('../../backend/utils/scholarshipSimilarity');
+
+const scholarship = (id, overrides = {}) => ({
+  id,
+  scholarshipName: `Grant ${id}`,
+  scholarshipType: 'Merit-based',
+  eligibleCourses: ['BSIT', 'BSCS'],
+  eligibleYearLevels: ['1st Year', '2nd Year'],
+  requiredSkills: ['Programming'],
+  ...overrides
+});
+
+// `students` applicants of `target` who also applied to each of `others`
+const applicationsFor = (prefix, students, target, others) => {
+  const apps = [];
+  for (let i = 0; i < students; i++) {
+    const studentUid = `${prefix}${i}`;
+    apps.push({ studentUid, scholarshipId: target });
+    others.forEach(scholarshipId => apps.push({ studentUid, scholarshipId }));
+  }
+  return apps;
+};
+
+test('scholarshipSimilarity is 1 for identical content', () => {
+  const { score, parts } = scholarshipSimilarity(scholarship('a'), scholarship('b'));
+  assert.strictEqual(score, 1);
+  assert.strictEqual(parts.amount, null);
+});
+
+test('scholarshipSimilarity drops with different type, courses and skills', () => {
+  const other = scholarship('b', {
+    scholarshipType: 'Need-based',
+    eligibleCourses: ['BSN'],
+    requiredSkills: ['Leadership']
+  });
+  const { score, parts } = scholarshipSimilarity(scholarship('a'), other);
+
+  assert.strictEqual(parts.type, 0);
+  assert.strictEqual(parts.courses, 0);
+  assert.strictEqual(parts.yearLevels, 1);
+  assert.ok(score < 0.3);
+});
+
+test('scholarshipSimilarity compares amounts only when both have one', () => {
+  const a = scholarship('a', { amount: 10000 });
+  const b = scholarship('b', { amount: 5000 });
+
+  assert.strictEqual(scholarshipSimilarity(a, b).parts.amount, 0.5);
+  assert.strictEqual(scholarshipSimilarity(a, scholarship('c')).parts.amount, null);
+});
+
+test('findSimilarScholarships skips the target and ranks by similarity', () => {
+  const target = scholarship('a');
+  const results = findSimilarScholarships(target, [
+    target,
+    scholarship('close'),
+    scholarship('partial', { eligibleCourses: ['BSIT'] }),
+    scholarship('far', { scholarshipType: 'Need-based', eligibleCourses: ['BSN'], eligibleYearLevels: ['4th Year'], requiredSkills: ['Nursing'] })
+  ]);
+
+  assert.deepStrictEqual(results.map(r => r.scholarship.id), ['close', 'partial']);
+});
+
+test('coApplicationCounts counts distinct students and rounds down', () => {
+  const apps = [
+    ...applicationsFor('s', 12, 'a', ['b']),
+    ...applicationsFor('t', 3, 'a', ['c']),
+    { studentUid: 's0', scholarshipId: 'b' } // Duplicate application counts once
+  ];
+  const results = coApplicationCounts(apps, 'a');
+
+  assert.deepStrictEqual(results, [{ scholarshipId: 'b', count: 10 }]);
+});
+
+test('coApplicationCounts hides everything for scholarships with few applicants', () => {
+  const apps = applicationsFor('s', 9, 'a', ['b']);
+  assert.deepStrictEqual(coApplicationCounts(apps, 'a'), []);
+});
+
+test('coApplicationCounts leaves out the viewing student', () => {
+  const apps = [
+    ...applicationsFor('s', 10, 'a', []),
+    ...applicationsFor('t', 4, 'x', ['b']),
+    { studentUid: 'me', scholarshipId: 'a' },
+    { studentUid: 'me', scholarshipId: 'b' },
+    { studentUid: 's0', scholarshipId: 'b' },
+    { studentUid: 's1', scholarshipId: 'b' },
+    { studentUid: 's2', scholarshipId: 'b' },
+    { studentUid: 's3', scholarshipId: 'b' }
+  ];
+
+  assert.deepStrictEqual(coApplicationCounts(apps, 'a', { excludeStudentUid: 'me' }), []);
+  assert.deepStrictEqual(coApplicationCounts(apps, 'a'), [{ scholarshipId: 'b', count: 5 }]);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { stem, analyze, editDistance, createSearchIndex, buildSearchIndex } = require('../../backend/utils/searchIndex');
+
+const scholarships = [
+  {
+    id: 'eng',
+    scholarshipName: 'Women in Engineering Scholarship',
+    organizationName: 'Tech Foundation',
+    description: 'Supports future engineers',
+    eligibleCourses: ['BS Civil Engineering'],
+    requiredSkills: ['Mathematics']
+  },
+  {
+    id: 'nurse',
+    scholarshipName: 'Nursing Excellence Grant',
+    organizationName: 'Health Alliance',
+    description: 'For nurses serving rural communities',
+    eligibleCourses: ['BS Nursing'],
+    requiredSkills: []
+  },
+  {
+    id: 'code',
+    scholarshipName: 'Future Programmers Award',
+    organizationName: 'Code Niño Foundation',
+    description: 'Open to engineering and computer science students who love programming',
+    eligibleCourses: ['BS Computer Science'],
+    requiredSkills: ['Programming']
+  }
+];
+
+const ranked = scores => [...scores.entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+
+test('stems related word forms to the same term', () => {
+  assert.strictEqual(stem('engineering'), stem('engineers'));
+  assert.strictEqual(stem('nursing'), stem('nurse'));
+  assert.strictEqual(stem('programming'), 'program');
+  assert.strictEqual(stem('studies'), 'study');
+  assert.deepStrictEqual(analyze('Scholarships for the Classes'), ['scholarship', 'class']);
+});
+
+test('edit distance counts transpositions and stops past the maximum', () => {
+  assert.strictEqual(editDistance('nursing', 'nursnig', 2), 1);
+  assert.strictEqual(editDistance('scholarship', 'scholarship', 2), 0);
+  assert.strictEqual(editDistance('abcdef', 'uvwxyz', 2), 3);
+});
+
+test('matches stemmed words and ranks name matches first', () => {
+  const scores = buildSearchIndex(scholarships).search('engineer');
+
+  assert.deepStrictEqual(ranked(scores), ['eng', 'code']);
+});
+
+test('tolerates typos and missing accents', () => {
+  const index = buildSearchIndex(scholarships);
+
+  assert.deepStrictEqual(ranked(index.search('nursnig')), ['nurse']);
+  assert.deepStrictEqual(ranked(index.search('scholarhsip women')), ['eng']);
+  assert.deepStrictEqual(ranked(index.search('nino')), ['code']);
+});
+
+test('requires every term and boosts phrases', () => {
+  const index = buildSearchIndex(scholarships);
+
+  assert.deepStrictEqual(ranked(index.search('engineering nursing')), []);
+  // Same terms; only the first is a phrase in the text
+  const phrase = index.search('computer science');
+  const scattered = index.search('science computer');
+  assert.ok(phrase.get('code') > scattered.get('code'));
+});
+
+test('matches a partial last word while typing', () => {
+  const index = buildSearchIndex(scholarships);
+
+  assert.deepStrictEqual(ranked(index.search('health all')), ['nurse']);
+  assert.strictEqual(index.search('the and'), null);
+});
+
+test('stays current when scholarships change or are removed', () => {
+  const index = createSearchIndex();
+  scholarships.forEach(s => index.add(s));
+
+  assert.strictEqual(index.add(scholarships[1]), false);
+  index.add({ ...scholarships[1], scholarshipName: 'Midwifery Grant' });
+  assert.deepStrictEqual(ranked(index.search('excellence')), []);
+  assert.deepStrictEqual(ranked(index.search('midwifery')), ['nurse']);
+
+  index.remove('nurse');
+  assert.strictEqual(index.size, 2);
+  assert.deepStrictEqual(ranked(index.search('midwifery')), []);
+});
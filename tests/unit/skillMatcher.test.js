@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  canonicalSkill,
+  parseSkillList,
+  extractSkillsFromText,
+  matchSkills
+} = require('../../backend/utils/skillMatcher');
+
+test('canonicalSkill resolves aliases and keeps unknown skills', () => {
+  assert.strictEqual(canonicalSkill('coding'), 'Programming');
+  assert.strictEqual(canonicalSkill('Node.js'), 'JavaScript');
+  assert.strictEqual(canonicalSkill(' Volunteering '), 'Community Service');
+  assert.strictEqual(canonicalSkill('Welding'), 'Welding');
+});
+
+test('JavaScript is its own skill and TypeScript is not an alias of it', () => {
+  assert.strictEqual(canonicalSkill('js'), 'JavaScript');
+  assert.strictEqual(canonicalSkill('TypeScript'), 'TypeScript');
+  assert.deepStrictEqual(parseSkillList('JavaScript, Programming, js'), ['JavaScript', 'Programming']);
+});
+
+test('parseSkillList splits strings and arrays into unique canonical skills', () => {
+  assert.deepStrictEqual(parseSkillList('leader; team player\ncoding'), ['Leadership', 'Teamwork', 'Programming']);
+  assert.deepStrictEqual(parseSkillList(['debate', 'Public Speaking']), ['Public Speaking']);
+  assert.deepStrictEqual(parseSkillList(''), []);
+});
+
+test('extractSkillsFromText finds skills named in involvement', () => {
+  const skills = extractSkillsFromText('Class president, varsity athlete and choir member');
+  assert.deepStrictEqual(skills.sort(), ['Leadership', 'Music', 'Sports']);
+});
+
+test('extractSkillsFromText ignores everyday words', () => {
+  const text = 'I head to the library to host study groups, help with planning and design posters. ' +
+    'Node leader of our software club; data analysis via py scripts.';
+  assert.deepStrictEqual(extractSkillsFromText(text), ['Leadership']);
+});
+
+test('matchSkills gives full, involvement and related credit', () => {
+  const result = matchSkills('Python', 'Volunteer tutor', 'Programming, Community Service, Writing');
+
+  assert.deepStrictEqual(result.matched, ['Community Service']);
+  assert.deepStrictEqual(result.partial, ['Programming']);
+  assert.deepStrictEqual(result.missing, ['Writing']);
+  assert.strictEqual(result.score, 0.42);
+  assert.strictEqual(matchSkills('', '', '').score, 1);
+});
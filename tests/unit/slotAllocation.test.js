@@ -0,0 +1,138 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const {
+  SLOT_ERRORS,
+  updateApplicationSlot,
+  deleteApplicationSlot,
+  saveApplicationWhileOpen,
+  recountScholarshipSlots,
+  recountAllScholarshipSlots
+} = require('../../backend/services/slotAllocationService');
+
+let repositories;
+
+const slotsFilled = async id => (await repositories.scholarships.findById(id)).slotsFilled;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    scholarships: [
+      { id: 'grant', scholarshipName: 'Merit Grant', status: 'Open', slotsAvailable: 2, slotsFilled: 0 },
+      { id: 'closed', scholarshipName: 'Closed Grant', status: 'Closed', slotsAvailable: 5, slotsFilled: 0 }
+    ],
+    applications: [
+      { id: 'a1', scholarshipId: 'grant', status: 'under_review' },
+      { id: 'a2', scholarshipId: 'grant', status: 'under_review' },
+      { id: 'a3', scholarshipId: 'grant', status: 'under_review' }
+    ]
+  });
+  setRepositories(repositories);
+});
+
+after(() => {
+  setRepositories(null);
+});
+
+test('concurrent acceptances never overfill a scholarship', async () => {
+  const results = await Promise.allSettled(['a1', 'a2', 'a3'].map(id =>
+    updateApplicationSlot(id, { status: 'accepted' })));
+
+  const rejected = results.filter(r => r.status === 'rejected');
+  assert.strictEqual(rejected.length, 1);
+  assert.strictEqual(rejected[0].reason.errorCode, SLOT_ERRORS.SLOTS_FULL);
+  assert.strictEqual(await slotsFilled('grant'), 2);
+  assert.strictEqual((await repositories.applications.findById('a3')).status, 'under_review');
+});
+
+test('moving between slot-holding statuses keeps the count', async () => {
+  await updateApplicationSlot('a1', { status: 'accepted' });
+  const { scholarship } = await updateApplicationSlot('a1', { status: 'notified' }, { fromStatuses: ['accepted'] });
+  await updateApplicationSlot('a1', { status: 'enrolled' });
+
+  assert.strictEqual(scholarship.slotsFilled, 1);
+  assert.strictEqual(await slotsFilled('grant'), 1);
+});
+
+test('declining or undoing an acceptance releases the slot', async () => {
+  await updateApplicationSlot('a1', { status: 'accepted' });
+  await updateApplicationSlot('a2', { status: 'accepted' });
+
+  await updateApplicationSlot('a1', { status: 'student_declined' });
+  await updateApplicationSlot('a2', { status: 'under_review' });
+
+  assert.strictEqual(await slotsFilled('grant'), 0);
+});
+
+test('a stale status check leaves everything untouched', async () => {
+  await assert.rejects(
+    updateApplicationSlot('a1', { status: 'accepted' }, { fromStatuses: ['pending'] }),
+    error => error.errorCode === SLOT_ERRORS.STATUS_CHANGED
+  );
+
+  assert.strictEqual(await slotsFilled('grant'), 0);
+  assert.strictEqual((await repositories.applications.findById('a1')).status, 'under_review');
+});
+
+test('withdrawing an application frees its slot', async () => {
+  await updateApplicationSlot('a1', { status: 'accepted' });
+
+  await deleteApplicationSlot('a1');
+
+  assert.strictEqual(await repositories.applications.findById('a1'), null);
+  assert.strictEqual(await slotsFilled('grant'), 0);
+});
+
+test('submissions need an open scholarship with a free slot, drafts only an open one', async () => {
+  await repositories.scholarships.update('grant', { slotsFilled: 2 });
+
+  await assert.rejects(
+    saveApplicationWhileOpen('grant', null, { status: 'pending' }, { checkSlots: true }),
+    error => error.errorCode === SLOT_ERRORS.SLOTS_FULL
+  );
+  await assert.rejects(
+    saveApplicationWhileOpen('closed', null, { status: 'draft' }),
+    error => error.errorCode === SLOT_ERRORS.SCHOLARSHIP_NOT_OPEN
+  );
+
+  const id = await saveApplicationWhileOpen('grant', null, { scholarshipId: 'grant', status: 'draft' });
+  assert.strictEqual((await repositories.applications.findById(id)).status, 'draft');
+});
+
+test('recount rebuilds slotsFilled from application statuses', async () => {
+  await updateApplicationSlot('a1', { status: 'accepted' });
+  await repositories.scholarships.update('grant', { slotsFilled: 5 });
+  await repositories.scholarships.update('closed', { slotsFilled: 1 });
+
+  const result = await recountScholarshipSlots('grant');
+  assert.deepStrictEqual(
+    { previous: result.previous, slotsFilled: result.slotsFilled, changed: result.changed },
+    { previous: 5, slotsFilled: 1, changed: true }
+  );
+
+  const summary = await recountAllScholarshipSlots();
+  assert.strictEqual(summary.checked, 2);
+  assert.deepStrictEqual(summary.corrected.map(c => c.scholarshipId), ['closed']);
+  assert.strictEqual(await slotsFilled('closed'), 0);
+  assert.strictEqual(await recountScholarshipSlots('missing'), null);
+});
+
+test('recount counts applications created while it runs', async () => {
+  const findApplications = repositories.applications.findApplicationsByScholarship;
+  let calls = 0;
+  repositories.applications.findApplicationsByScholarship = async (...args) => {
+    const found = await findApplications.apply(repositories.applications, args);
+    if (++calls === 1) {
+      await repositories.applications.create({ scholarshipId: 'grant', status: 'accepted' });
+    }
+    return found;
+  };
+
+  const result = await recountScholarshipSlots('grant');
+
+  assert.deepStrictEqual(
+    { previous: result.previous, slotsFilled: result.slotsFilled, changed: result.changed },
+    { previous: 0, slotsFilled: 1, changed: true }
+  );
+  assert.strictEqual(await slotsFilled('grant'), 1);
+});
@@ -0,0 +1,178 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert');
+
+const { createMemoryRepositories, setRepositories } = require('../../backend/repositories');
+const { transitionApplication } = require('../../backend/services/applicationStatusService');
+const {
+  getWaitlist,
+  addToWaitlist,
+  promoteFromWaitlist,
+  expireWaitlistOffers,
+  isOfferExpired
+} = require('../../backend/services/waitlistService');
+const { recountScholarshipSlots } = require('../../backend/services/slotAllocationService');
+const { DECLINE_REASONS } = require('../../backend/utils/applicationStateMachine');
+
+const sponsor = { uid: 'sp', email: 'sponsor@example.com', role: 'sponsor' };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let repositories;
+
+beforeEach(() => {
+  repositories = createMemoryRepositories({
+    scholarships: [
+      { id: 'grant', scholarshipName: 'Merit Grant', sponsorUid: 'sp', status: 'Open', slotsAvailable: 1, slotsFilled: 1 }
+    ],
+    applications: [
+      { id: 'a1', scholarshipId: 'grant', studentUid: 'u1', sponsorUid: 'sp', studentName: 'Ana', status: 'notified' },
+      { id: 'a2', scholarshipId: 'grant', studentUid: 'u2', sponsorUid: 'sp', studentName: 'Ben', status: 'under_review' },
+      { id: 'a3', scholarshipId: 'grant', studentUid: 'u3', sponsorUid: 'sp', studentName: 'Cam', status: 'under_review' },
+      { id: 'other', scholarshipId: 'elsewhere', studentUid: 'u4', status: 'under_review' }
+    ]
+  });
+  setRepositories(repositories);
+});
+
+after(() => {
+  setRepositories(null);
+});
+
+const scholarship = () => repositories.scholarships.findById('grant');
+
+test('applicants join the waitlist in the order given, after those already on it', async () => {
+  await addToWaitlist(await scholarship(), ['a3'], { user: sponsor });
+  const result = await addToWaitlist(await scholarship(), ['a2', 'a1', 'other'], { user: sponsor });
+
+  assert.deepStrictEqual(result, { added: ['a2'], skipped: ['a1', 'other'] });
+  const waitlist = await getWaitlist('grant');
+  assert.deepStrictEqual(waitlist.map(app => [app.id, app.waitlistPosition]), [['a3', 1], ['a2', 2]]);
+
+  const [notification] = await repositories.notifications.findByUser('u3');
+  assert.match(notification.title, /waitlist/i);
+});
+
+test('the response time must be a sensible number of days', async () => {
+  await assert.rejects(
+    addToWaitlist(await scholarship(), ['a2'], { responseDays: '0' }),
+    error => error.errorCode === 'INVALID_RESPONSE_DAYS'
+  );
+  await addToWaitlist(await scholarship(), ['a2'], { responseDays: '5' });
+
+  assert.strictEqual((await scholarship()).waitlistResponseDays, 5);
+});
+
+test('a declined offer goes to the first waitlisted applicant', async () => {
+  await addToWaitlist(await scholarship(), ['a3', 'a2'], { user: sponsor, responseDays: 2 });
+
+  await transitionApplication('a1', 'student_declined', { actor: 'student', changes: { studentAccepted: false } });
+
+  const promoted = await repositories.applications.findById('a3');
+  assert.strictEqual(promoted.status, 'notified');
+  assert.strictEqual(promoted.notifiedBy, 'system');
+  const daysToRespond = (new Date(promoted.offerExpiresAt) - new Date(promoted.promotedFromWaitlistAt)) / DAY_MS;
+  assert.ok(Math.abs(daysToRespond - 2) < 0.01);
+  assert.strictEqual((await repositories.applications.findById('a2')).status, 'waitlisted');
+  assert.strictEqual((await scholarship()).slotsFilled, 1);
+
+  const offers = (await repositories.notifications.findByUser('u3')).filter(n => n.type === 'waitlist_offer');
+  assert.strictEqual(offers.length, 1);
+  assert.ok((await repositories.notifications.findByUser('sp')).some(n => /waitlist/i.test(n.message)));
+
+  const history = await repositories.applications.findHistory('a3');
+  assert.deepStrictEqual(history.map(entry => entry.toStatus), ['waitlisted', 'notified']);
+  assert.strictEqual(history[1].actorRole, 'system');
+});
+
+test('any move that gives up a slot offers it to the waitlist', async () => {
+  await addToWaitlist(await scholarship(), ['a3'], { user: sponsor });
+  await repositories.applications.update('a1', { status: 'accepted' });
+
+  await transitionApplication('a1', 'under_review', { actor: 'sponsor', user: sponsor });
+
+  assert.strictEqual((await repositories.applications.findById('a3')).status, 'notified');
+  assert.strictEqual((await scholarship()).slotsFilled, 1);
+});
+
+test('a recount that frees slots offers them to the waitlist', async () => {
+  await addToWaitlist(await scholarship(), ['a3'], { user: sponsor });
+  await repositories.applications.update('a1', { status: 'rejected' });
+
+  const result = await recountScholarshipSlots('grant');
+
+  assert.strictEqual(result.slotsFilled, 0);
+  assert.deepStrictEqual(result.promoted, ['a3']);
+  assert.strictEqual((await repositories.applications.findById('a3')).status, 'notified');
+  assert.strictEqual((await scholarship()).slotsFilled, 1);
+});
+
+test('admins can take applicants off the waitlist when a round closes', async () => {
+  await addToWaitlist(await scholarship(), ['a3'], { user: sponsor });
+
+  await transitionApplication('a3', 'not_selected', { actor: 'admin' });
+
+  assert.strictEqual((await repositories.applications.findById('a3')).status, 'not_selected');
+});
+
+test('waitlisted applicants who enrolled elsewhere are skipped', async () => {
+  await addToWaitlist(await scholarship(), ['a3', 'a2'], { user: sponsor });
+  await repositories.applications.update('other', { studentUid: 'u3', status: 'enrolled', studentAccepted: true });
+  await repositories.applications.update('a1', { status: 'student_declined' });
+  await repositories.scholarships.update('grant', { slotsFilled: 0 });
+
+  const promoted = await promoteFromWaitlist('grant');
+
+  assert.deepStrictEqual(promoted, ['a2']);
+  const skipped = await repositories.applications.findById('a3');
+  assert.strictEqual(skipped.status, 'not_selected');
+  const [entry] = (await repositories.applications.findHistory('a3')).slice(-1);
+  assert.strictEqual(entry.note, DECLINE_REASONS.ACCEPTED_ANOTHER);
+});
+
+test('a skipped applicant who leaves the waitlist meanwhile does not stop promotion', async () => {
+  await addToWaitlist(await scholarship(), ['a3', 'a2'], { user: sponsor });
+  await repositories.applications.update('other', { studentUid: 'u3', status: 'enrolled', studentAccepted: true });
+  await repositories.applications.update('a1', { status: 'student_declined' });
+  await repositories.scholarships.update('grant', { slotsFilled: 0 });
+
+  // The sponsor takes Cam off the waitlist while the promotion runs
+  const findAcceptedByStudent = repositories.applications.findAcceptedByStudent;
+  repositories.applications.findAcceptedByStudent = async uid => {
+    if (uid === 'u3') await repositories.applications.update('a3', { status: 'not_selected' });
+    return findAcceptedByStudent.call(repositories.applications, uid);
+  };
+
+  assert.deepStrictEqual(await promoteFromWaitlist('grant'), ['a2']);
+  assert.strictEqual((await repositories.applications.findById('a2')).status, 'notified');
+});
+
+test('nobody is promoted while the scholarship is full', async () => {
+  await addToWaitlist(await scholarship(), ['a2'], { user: sponsor });
+
+  assert.deepStrictEqual(await promoteFromWaitlist('grant'), []);
+  assert.strictEqual((await repositories.applications.findById('a2')).status, 'waitlisted');
+});
+
+test('expired offers are declined and passed down the waitlist', async () => {
+  await addToWaitlist(await scholarship(), ['a3', 'a2'], { user: sponsor, responseDays: 3 });
+  await transitionApplication('a1', 'student_declined', { actor: 'student', changes: { studentAccepted: false } });
+
+  assert.strictEqual(await expireWaitlistOffers(new Date()), 0);
+
+  const later = new Date(Date.now() + 4 * DAY_MS);
+  assert.ok(isOfferExpired(await repositories.applications.findById('a3'), later));
+  assert.strictEqual(await expireWaitlistOffers(later), 1);
+
+  const expired = await repositories.applications.findById('a3');
+  assert.strictEqual(expired.status, 'student_declined');
+  assert.strictEqual(expired.declineReason, DECLINE_REASONS.OFFER_EXPIRED);
+  assert.strictEqual((await repositories.applications.findById('a2')).status, 'notified');
+  assert.strictEqual((await scholarship()).slotsFilled, 1);
+});
+
+test('answered offers do not expire', async () => {
+  const deadline = new Date(Date.now() - DAY_MS).toISOString();
+  await repositories.applications.update('a1', { offerExpiresAt: deadline, studentAccepted: true, status: 'enrolled' });
+
+  assert.strictEqual(await expireWaitlistOffers(), 0);
+  assert.strictEqual((await repositories.applications.findById('a1')).status, 'enrolled');
+});